@@ -0,0 +1,369 @@
+/**
+ * Postal Addresses
+ * Offline parsing of free-text US addresses and normalization to USPS
+ * Publication 28 (upper case, no punctuation, standard suffix, directional,
+ * unit and state abbreviations).
+ *
+ * Issues are reported rather than guessed away:
+ *   severity "error"   — not enough to deliver or serve at (no street, no locality)
+ *   severity "warning" — deliverable but worth a human look (no ZIP, ZIP/state
+ *                        mismatch, unit without designator, city not delimited)
+ */
+
+import { DeliveryError } from './errors.js';
+
+// ============ Publication 28 Tables ============
+
+// Appendix C1 — common primary names and variants → standard suffix abbreviation
+const SUFFIXES = {
+  ALLEY: 'ALY', ALLEE: 'ALY', ALLY: 'ALY', ALY: 'ALY',
+  AVENUE: 'AVE', AV: 'AVE', AVE: 'AVE', AVEN: 'AVE', AVENU: 'AVE', AVN: 'AVE', AVNUE: 'AVE',
+  BEND: 'BND', BND: 'BND',
+  BOULEVARD: 'BLVD', BLVD: 'BLVD', BOUL: 'BLVD', BOULV: 'BLVD',
+  BRIDGE: 'BRG', BRG: 'BRG',
+  CENTER: 'CTR', CENTRE: 'CTR', CENTR: 'CTR', CNTR: 'CTR', CTR: 'CTR',
+  CIRCLE: 'CIR', CIRC: 'CIR', CIRCL: 'CIR', CIR: 'CIR', CRCL: 'CIR',
+  COURT: 'CT', CT: 'CT',
+  COVE: 'CV', CV: 'CV',
+  CREEK: 'CRK', CRK: 'CRK',
+  CROSSING: 'XING', CRSSNG: 'XING', XING: 'XING',
+  DRIVE: 'DR', DRIV: 'DR', DRV: 'DR', DR: 'DR',
+  EXPRESSWAY: 'EXPY', EXPRESS: 'EXPY', EXPW: 'EXPY', EXPY: 'EXPY',
+  FREEWAY: 'FWY', FRWY: 'FWY', FWY: 'FWY',
+  GARDENS: 'GDNS', GDNS: 'GDNS',
+  GROVE: 'GRV', GRV: 'GRV',
+  HEIGHTS: 'HTS', HTS: 'HTS', HT: 'HTS',
+  HIGHWAY: 'HWY', HIGHWY: 'HWY', HIWAY: 'HWY', HWAY: 'HWY', HWY: 'HWY',
+  HILL: 'HL', HL: 'HL',
+  HOLLOW: 'HOLW', HOLW: 'HOLW',
+  LANE: 'LN', LN: 'LN',
+  LOOP: 'LOOP',
+  MANOR: 'MNR', MNR: 'MNR',
+  MEADOWS: 'MDWS', MDWS: 'MDWS',
+  PARKWAY: 'PKWY', PARKWY: 'PKWY', PKWAY: 'PKWY', PKWY: 'PKWY', PKY: 'PKWY',
+  PIKE: 'PIKE',
+  PLACE: 'PL', PL: 'PL',
+  PLAZA: 'PLZ', PLZA: 'PLZ', PLZ: 'PLZ',
+  POINT: 'PT', PT: 'PT',
+  RIDGE: 'RDG', RDG: 'RDG',
+  ROAD: 'RD', RD: 'RD',
+  ROUTE: 'RTE', RTE: 'RTE',
+  ROW: 'ROW',
+  RUN: 'RUN',
+  SQUARE: 'SQ', SQR: 'SQ', SQRE: 'SQ', SQU: 'SQ', SQ: 'SQ',
+  STREET: 'ST', STRT: 'ST', STR: 'ST', ST: 'ST',
+  TERRACE: 'TER', TERR: 'TER', TER: 'TER',
+  TRAIL: 'TRL', TRAILS: 'TRL', TRLS: 'TRL', TRL: 'TRL',
+  TURNPIKE: 'TPKE', TRNPK: 'TPKE', TURNPK: 'TPKE', TPKE: 'TPKE',
+  VIEW: 'VW', VW: 'VW',
+  VILLAGE: 'VLG', VILLG: 'VLG', VLG: 'VLG',
+  WAY: 'WAY', WY: 'WAY'
+};
+
+// Section 233.3 — directionals
+const DIRECTIONALS = {
+  NORTH: 'N', SOUTH: 'S', EAST: 'E', WEST: 'W',
+  NORTHEAST: 'NE', NORTHWEST: 'NW', SOUTHEAST: 'SE', SOUTHWEST: 'SW',
+  N: 'N', S: 'S', E: 'E', W: 'W', NE: 'NE', NW: 'NW', SE: 'SE', SW: 'SW'
+};
+
+// Appendix C2 — secondary unit designators; `true` means a number must follow
+const UNITS = {
+  APARTMENT: ['APT', true], APT: ['APT', true],
+  BUILDING: ['BLDG', true], BLDG: ['BLDG', true],
+  DEPARTMENT: ['DEPT', true], DEPT: ['DEPT', true],
+  FLOOR: ['FL', true], FL: ['FL', true],
+  HANGAR: ['HNGR', true], HNGR: ['HNGR', true],
+  LOT: ['LOT', true],
+  PIER: ['PIER', true],
+  ROOM: ['RM', true], RM: ['RM', true],
+  SLIP: ['SLIP', true],
+  SPACE: ['SPC', true], SPC: ['SPC', true],
+  STOP: ['STOP', true],
+  SUITE: ['STE', true], STE: ['STE', true],
+  TRAILER: ['TRLR', true], TRLR: ['TRLR', true],
+  UNIT: ['UNIT', true],
+  '#': ['#', true],
+  BASEMENT: ['BSMT', false], BSMT: ['BSMT', false],
+  FRONT: ['FRNT', false], FRNT: ['FRNT', false],
+  LOBBY: ['LBBY', false], LBBY: ['LBBY', false],
+  LOWER: ['LOWR', false], LOWR: ['LOWR', false],
+  OFFICE: ['OFC', false], OFC: ['OFC', false],
+  PENTHOUSE: ['PH', false], PH: ['PH', false],
+  REAR: ['REAR', false],
+  SIDE: ['SIDE', false],
+  UPPER: ['UPPR', false], UPPR: ['UPPR', false]
+};
+
+// Appendix B — states, DC and territories
+const STATES = {
+  ALABAMA: 'AL', ALASKA: 'AK', ARIZONA: 'AZ', ARKANSAS: 'AR', CALIFORNIA: 'CA',
+  COLORADO: 'CO', CONNECTICUT: 'CT', DELAWARE: 'DE', 'DISTRICT OF COLUMBIA': 'DC',
+  FLORIDA: 'FL', GEORGIA: 'GA', HAWAII: 'HI', IDAHO: 'ID', ILLINOIS: 'IL', INDIANA: 'IN',
+  IOWA: 'IA', KANSAS: 'KS', KENTUCKY: 'KY', LOUISIANA: 'LA', MAINE: 'ME', MARYLAND: 'MD',
+  MASSACHUSETTS: 'MA', MICHIGAN: 'MI', MINNESOTA: 'MN', MISSISSIPPI: 'MS', MISSOURI: 'MO',
+  MONTANA: 'MT', NEBRASKA: 'NE', NEVADA: 'NV', 'NEW HAMPSHIRE': 'NH', 'NEW JERSEY': 'NJ',
+  'NEW MEXICO': 'NM', 'NEW YORK': 'NY', 'NORTH CAROLINA': 'NC', 'NORTH DAKOTA': 'ND',
+  OHIO: 'OH', OKLAHOMA: 'OK', OREGON: 'OR', PENNSYLVANIA: 'PA', 'RHODE ISLAND': 'RI',
+  'SOUTH CAROLINA': 'SC', 'SOUTH DAKOTA': 'SD', TENNESSEE: 'TN', TEXAS: 'TX', UTAH: 'UT',
+  VERMONT: 'VT', VIRGINIA: 'VA', WASHINGTON: 'WA', 'WEST VIRGINIA': 'WV', WISCONSIN: 'WI',
+  WYOMING: 'WY', 'PUERTO RICO': 'PR', GUAM: 'GU', 'VIRGIN ISLANDS': 'VI',
+  'AMERICAN SAMOA': 'AS', 'NORTHERN MARIANA ISLANDS': 'MP'
+};
+const STATE_CODES = new Set(Object.values(STATES));
+const STATE_NAMES = Object.keys(STATES).sort((a, b) => b.length - a.length);
+
+// First three ZIP digits by state (contiguous ranges; used for mismatch warnings only)
+const ZIP_PREFIXES = {
+  AL: [[350, 369]], AK: [[995, 999]], AZ: [[850, 865]], AR: [[716, 729]], CA: [[900, 961]],
+  CO: [[800, 816]], CT: [[60, 69]], DE: [[197, 199]], DC: [[200, 205], [569, 569]],
+  FL: [[320, 349]], GA: [[300, 319], [398, 399]], HI: [[967, 968]], ID: [[832, 838]],
+  IL: [[600, 629]], IN: [[460, 479]], IA: [[500, 528]], KS: [[660, 679]], KY: [[400, 427]],
+  LA: [[700, 714]], ME: [[39, 49]], MD: [[206, 219]], MA: [[10, 27], [55, 55]],
+  MI: [[480, 499]], MN: [[550, 567]], MS: [[386, 397]], MO: [[630, 658]], MT: [[590, 599]],
+  NE: [[680, 693]], NV: [[889, 898]], NH: [[30, 38]], NJ: [[70, 89]], NM: [[870, 884]],
+  NY: [[5, 5], [100, 149]], NC: [[270, 289]], ND: [[580, 588]], OH: [[430, 459]],
+  OK: [[730, 749]], OR: [[970, 979]], PA: [[150, 196]], RI: [[28, 29]], SC: [[290, 299]],
+  SD: [[570, 577]], TN: [[370, 385]], TX: [[750, 799], [733, 733], [885, 885]],
+  UT: [[840, 847]], VT: [[50, 59]], VA: [[201, 201], [220, 246]], WA: [[980, 994]],
+  WV: [[247, 268]], WI: [[530, 549]], WY: [[820, 831]]
+};
+
+// ============ Parsing ============
+
+/**
+ * Parse and normalize a US address. Accepts free text or
+ * { street | line1, line2, city, state, zip }.
+ *
+ * Returns { raw, components, normalized: { line1, line2, lastLine, full }, issues, valid }.
+ */
+export function parseAddress(input) {
+  const raw = input ?? null;
+  const issues = [];
+  const components = {
+    number: null, predirectional: null, streetName: null, suffix: null, postdirectional: null,
+    unitType: null, unitNumber: null, poBox: null, city: null, state: null, zip: null, zip4: null
+  };
+
+  let text = typeof input === 'string' ? input : objectToText(input);
+  text = text.toUpperCase()
+    .replace(/\r?\n/g, ',')
+    .replace(/[.]/g, '')
+    .replace(/#\s*/g, '# ')
+    .replace(/[^A-Z0-9#/\-, ]/g, ' ')
+    .replace(/\s*,\s*/g, ',')
+    .replace(/\s+/g, ' ')
+    .replace(/^,+|,+$/g, '')
+    .trim();
+  text = text.replace(/,?\s*(USA|US|UNITED STATES( OF AMERICA)?)$/, '');
+
+  // ZIP (+4)
+  const zip = text.match(/[ ,](\d{5})(?:-?(\d{4}))?$/);
+  if (zip) {
+    components.zip = zip[1];
+    components.zip4 = zip[2] || null;
+    text = text.slice(0, zip.index).replace(/[ ,]+$/, '');
+  }
+
+  // State: two-letter code or full name, at the end
+  const stateCode = text.match(/[ ,]([A-Z]{2})$/);
+  if (stateCode && STATE_CODES.has(stateCode[1])) {
+    components.state = stateCode[1];
+    text = text.slice(0, stateCode.index).replace(/[ ,]+$/, '');
+  } else {
+    const name = STATE_NAMES.find(n => text.endsWith(` ${n}`) || text.endsWith(`,${n}`));
+    if (name) {
+      components.state = STATES[name];
+      text = text.slice(0, text.length - name.length).replace(/[ ,]+$/, '');
+    }
+  }
+
+  // City: last comma-delimited part, or whatever follows the street line
+  let streetText = text;
+  const hasLocality = components.state || components.zip;
+  if (hasLocality && text.includes(',')) {
+    const cut = text.lastIndexOf(',');
+    components.city = text.slice(cut + 1).trim() || null;
+    streetText = text.slice(0, cut);
+  }
+
+  parseStreet(streetText.replace(/,/g, ' ').trim(), components, issues, hasLocality && !components.city);
+
+  collectIssues(components, issues);
+
+  const normalized = formatAddress(components);
+  return {
+    raw,
+    components,
+    normalized,
+    issues,
+    valid: !issues.some(issue => issue.severity === 'error')
+  };
+}
+
+/**
+ * Parse a postal address for dispatch; incomplete addresses are rejected,
+ * ambiguous ones travel with their warnings. Raw and normalized forms are
+ * both kept.
+ */
+export function checkPostalAddress(address) {
+  const parsed = parseAddress(address);
+  if (!parsed.valid) {
+    throw new DeliveryError(
+      `Address is incomplete: ${parsed.issues.filter(i => i.severity === 'error').map(i => i.message).join('; ')}`,
+      'INVALID_ADDRESS',
+      422,
+      { issues: parsed.issues }
+    );
+  }
+  return {
+    raw: parsed.raw,
+    normalized: parsed.normalized.full,
+    components: parsed.components,
+    issues: parsed.issues
+  };
+}
+
+function objectToText(input) {
+  if (!input || typeof input !== 'object') return '';
+  const street = input.street || input.line1 || input.address1 || '';
+  const line2 = input.line2 || input.address2 || '';
+  const zip = input.zip || input.postalCode || input.zipCode || '';
+  return [street, line2, input.city || '', `${input.state || ''} ${zip}`.trim()]
+    .filter(part => String(part).trim())
+    .join(', ');
+}
+
+function parseStreet(text, components, issues, cityUndelimited) {
+  const tokens = text ? text.split(' ') : [];
+  if (tokens.length === 0) return;
+
+  // PO Box
+  const box = text.match(/^(?:P ?O|POST OFFICE)? ?BOX (\S+)(?: (.*))?$/);
+  if (box) {
+    components.poBox = box[1];
+    if (cityUndelimited && box[2]) components.city = box[2];
+    return;
+  }
+
+  let i = 0;
+  if (/^\d+[A-Z]?(?:[-/]\d+[A-Z]?)?$/.test(tokens[0])) {
+    components.number = tokens[0];
+    i = 1;
+  }
+
+  // The street ends at the first suffix or unit designator after a name word
+  let end = tokens.length;
+  let suffixAt = -1;
+  for (let j = i + 1; j < tokens.length; j++) {
+    if (UNITS[tokens[j]]) {
+      end = j;
+      break;
+    }
+    if (SUFFIXES[tokens[j]]) {
+      suffixAt = j;
+      end = j + 1;
+      // A directional after the suffix is a postdirectional unless more words follow (the city)
+      if (DIRECTIONALS[tokens[j + 1]] && isUnitOrEnd(tokens, j + 2, cityUndelimited)) {
+        components.postdirectional = DIRECTIONALS[tokens[j + 1]];
+        end = j + 2;
+      }
+      break;
+    }
+  }
+
+  let nameTokens = tokens.slice(i, suffixAt === -1 ? end : suffixAt);
+  if (suffixAt !== -1) components.suffix = SUFFIXES[tokens[suffixAt]];
+
+  // Predirectional only when something besides it names the street
+  if (nameTokens.length > 1 && DIRECTIONALS[nameTokens[0]]) {
+    components.predirectional = DIRECTIONALS[nameTokens[0]];
+    nameTokens = nameTokens.slice(1);
+  }
+
+  // No suffix and no delimiter: can't tell where the street stops and the city starts
+  if (suffixAt === -1 && cityUndelimited && end === tokens.length) {
+    components.streetName = nameTokens.join(' ') || null;
+    issues.push(issue('warning', 'AMBIGUOUS_CITY', 'City is not separated from the street; add a comma before the city'));
+    return;
+  }
+  components.streetName = nameTokens.join(' ') || null;
+
+  // Unit designator and number
+  let rest = tokens.slice(end);
+  if (rest.length > 0 && UNITS[rest[0]]) {
+    const [type, needsNumber] = UNITS[rest[0]];
+    components.unitType = type;
+    if (needsNumber) {
+      if (rest[1] && /^[0-9A-Z-]{1,6}$/.test(rest[1]) && (/\d/.test(rest[1]) || rest[1].length === 1)) {
+        components.unitNumber = rest[1];
+        rest = rest.slice(2);
+      } else {
+        issues.push(issue('warning', 'AMBIGUOUS_UNIT', `${type} is missing its number`));
+        rest = rest.slice(1);
+      }
+    } else {
+      rest = rest.slice(1);
+    }
+  } else if (rest.length > 0 && /\d/.test(rest[0]) && /^[0-9A-Z-]{1,6}$/.test(rest[0])) {
+    // "123 Main St 4B" — a unit number with no designator
+    components.unitType = '#';
+    components.unitNumber = rest[0];
+    rest = rest.slice(1);
+    issues.push(issue('warning', 'AMBIGUOUS_UNIT', 'Unit number has no designator (APT, STE, #)'));
+  }
+
+  if (rest.length > 0) {
+    if (cityUndelimited) {
+      components.city = rest.join(' ');
+    } else {
+      issues.push(issue('warning', 'UNPARSED_TEXT', `Could not place "${rest.join(' ')}"`));
+    }
+  }
+}
+
+function isUnitOrEnd(tokens, index, cityUndelimited) {
+  return index >= tokens.length ? true : Boolean(UNITS[tokens[index]]) || (!cityUndelimited && /\d/.test(tokens[index]));
+}
+
+function collectIssues(c, issues) {
+  if (!c.poBox) {
+    if (!c.streetName) issues.push(issue('error', 'MISSING_STREET', 'No street line'));
+    else if (!c.number) issues.push(issue('error', 'MISSING_NUMBER', 'Street line has no house number'));
+  }
+
+  if (!c.zip && !(c.city && c.state)) {
+    issues.push(issue('error', 'MISSING_LOCALITY', 'Needs a ZIP code or a city and state'));
+  } else {
+    if (!c.zip) issues.push(issue('warning', 'MISSING_ZIP', 'No ZIP code'));
+    if (!c.city) issues.push(issue('warning', 'MISSING_CITY', 'No city'));
+    if (!c.state) issues.push(issue('warning', 'MISSING_STATE', 'No state'));
+  }
+
+  if (c.zip && c.state && ZIP_PREFIXES[c.state]) {
+    const prefix = Number(c.zip.slice(0, 3));
+    if (!ZIP_PREFIXES[c.state].some(([lo, hi]) => prefix >= lo && prefix <= hi)) {
+      issues.push(issue('warning', 'ZIP_STATE_MISMATCH', `ZIP ${c.zip} is not in ${c.state}`));
+    }
+  }
+}
+
+function formatAddress(c) {
+  const unit = c.unitType ? [c.unitType, c.unitNumber].filter(Boolean).join(' ') : null;
+  const line1 = c.poBox
+    ? `PO BOX ${c.poBox}`
+    : [c.number, c.predirectional, c.streetName, c.suffix, c.postdirectional, unit].filter(Boolean).join(' ') || null;
+  const zip = c.zip ? (c.zip4 ? `${c.zip}-${c.zip4}` : c.zip) : null;
+  const lastLine = [c.city, c.state, zip].filter(Boolean).join(' ') || null;
+
+  return {
+    line1,
+    line2: null,
+    lastLine,
+    full: [line1, lastLine].filter(Boolean).join(', ') || null
+  };
+}
+
+function issue(severity, code, message) {
+  return { severity, code, message };
+}
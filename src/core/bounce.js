@@ -0,0 +1,298 @@
+/**
+ * Bounce Parsing
+ * Normalizes delivery failure reports for the email channel.
+ *
+ * Accepts RFC 3464 delivery status notifications (multipart/report) and the
+ * JSON bounce webhooks of common providers (SES/SNS, SendGrid, Postmark,
+ * Mailgun). Every report becomes zero or more notices:
+ *
+ *   { deliveryId, messageId, recipient, action, bounceType, statusCode,
+ *     diagnosticCode, provider, timestamp }
+ *
+ * `bounceType` is 'hard' (permanent, 5.x.x) or 'soft' (transient, 4.x.x).
+ * `action` is 'failed' when the sender gave up, 'delayed' while it retries.
+ */
+
+// sendEmail uses MSG-<deliveryId> as the message ID
+const MESSAGE_ID_PATTERN = /MSG-(DD-[0-9A-Z]+-[0-9A-Z]+)/i;
+
+/**
+ * Parse a bounce report. Strings are treated as raw DSN messages unless
+ * they look like JSON.
+ */
+export function parseBounce(input, contentType = '') {
+  if (typeof input === 'string') {
+    const trimmed = input.trim();
+    if (contentType.includes('json') || trimmed.startsWith('{') || trimmed.startsWith('[')) {
+      return parseBounceJSON(JSON.parse(trimmed));
+    }
+    return parseDSN(input);
+  }
+  return parseBounceJSON(input);
+}
+
+/**
+ * Extract the ChittyDLVR delivery ID from anything carrying our message ID
+ */
+export function matchDeliveryId(value) {
+  if (value == null) return null;
+  const text = typeof value === 'string' ? value : JSON.stringify(value);
+  const match = text.match(MESSAGE_ID_PATTERN);
+  return match ? match[1].toUpperCase() : null;
+}
+
+// ============ RFC 3464 ============
+
+/**
+ * Parse an RFC 3464 delivery status notification
+ */
+export function parseDSN(raw) {
+  const message = splitMessage(raw);
+  const parts = collectParts(message);
+
+  const statusPart = parts.find(p => contentTypeOf(p.headers) === 'message/delivery-status');
+  if (!statusPart) {
+    throw new Error('Not a delivery status notification: no message/delivery-status part');
+  }
+
+  // Per-message fields, then one block per recipient, separated by blank lines
+  const blocks = statusPart.body.split(/\r?\n\s*\r?\n/).filter(b => b.trim());
+  const perMessage = parseHeaders(blocks[0] || '');
+  const recipients = blocks.slice(1).map(parseHeaders);
+
+  // The original message (or its headers) carries our Message-ID
+  const returned = parts.find(p => ['message/rfc822', 'text/rfc822-headers'].includes(contentTypeOf(p.headers)));
+  const messageId = firstHeader(perMessage, 'original-envelope-id')
+    || (returned && firstHeader(parseHeaders(returned.body.split(/\r?\n\r?\n/)[0]), 'message-id'))
+    || null;
+  const deliveryId = matchDeliveryId(messageId) || matchDeliveryId(raw);
+
+  const timestamp = toISO(firstHeader(perMessage, 'arrival-date')) || toISO(firstHeader(message.headers, 'date'));
+
+  // Only failure reports are bounces; DSNs also report 'delivered' and 'relayed'
+  const failures = recipients.filter(fields => ['failed', 'delayed'].includes((firstHeader(fields, 'action') || '').toLowerCase()));
+
+  return failures.map(fields => {
+    const statusCode = (firstHeader(fields, 'status') || '').split(/\s/)[0] || null;
+    return notice({
+      deliveryId,
+      messageId,
+      recipient: stripType(firstHeader(fields, 'final-recipient') || firstHeader(fields, 'original-recipient')),
+      action: (firstHeader(fields, 'action') || '').toLowerCase(),
+      statusCode,
+      diagnosticCode: stripType(firstHeader(fields, 'diagnostic-code')),
+      provider: 'dsn',
+      timestamp
+    });
+  });
+}
+
+function splitMessage(raw) {
+  const text = raw.replace(/\r\n/g, '\n');
+  const split = text.indexOf('\n\n');
+  const head = split === -1 ? text : text.slice(0, split);
+  const body = split === -1 ? '' : text.slice(split + 2);
+  return { headers: parseHeaders(head), body };
+}
+
+function collectParts(entity) {
+  const type = firstHeader(entity.headers, 'content-type') || '';
+  const boundary = type.match(/boundary="?([^";]+)"?/i);
+  if (!/^multipart\//i.test(type) || !boundary) {
+    return [{ headers: entity.headers, body: decodeBody(entity) }];
+  }
+
+  const delimiter = `--${boundary[1]}`;
+  const parts = [];
+  for (const chunk of entity.body.split(delimiter).slice(1)) {
+    if (chunk.startsWith('--')) break;
+    const part = splitMessage(chunk.replace(/^\n/, ''));
+    parts.push(...collectParts(part));
+  }
+  return parts;
+}
+
+function decodeBody(entity) {
+  const encoding = (firstHeader(entity.headers, 'content-transfer-encoding') || '').toLowerCase();
+  if (encoding === 'base64') {
+    try {
+      return atob(entity.body.replace(/\s+/g, ''));
+    } catch {
+      return entity.body;
+    }
+  }
+  return entity.body;
+}
+
+/**
+ * Parse an RFC 5322 header block (with folded lines) into [name, value] pairs
+ */
+function parseHeaders(block) {
+  const headers = [];
+  for (const line of block.replace(/\r\n/g, '\n').split('\n')) {
+    if (/^[ \t]/.test(line) && headers.length > 0) {
+      headers[headers.length - 1][1] += ` ${line.trim()}`;
+      continue;
+    }
+    const colon = line.indexOf(':');
+    if (colon > 0) {
+      headers.push([line.slice(0, colon).trim().toLowerCase(), line.slice(colon + 1).trim()]);
+    }
+  }
+  return headers;
+}
+
+function firstHeader(headers, name) {
+  const found = headers.find(([key]) => key === name);
+  return found ? found[1] : null;
+}
+
+function contentTypeOf(headers) {
+  return (firstHeader(headers, 'content-type') || 'text/plain').split(';')[0].trim().toLowerCase();
+}
+
+// "rfc822; user@example.com" → "user@example.com"
+function stripType(value) {
+  if (!value) return null;
+  const semi = value.indexOf(';');
+  return (semi === -1 ? value : value.slice(semi + 1)).trim();
+}
+
+// ============ Provider JSON ============
+
+/**
+ * Parse a provider bounce webhook body
+ */
+export function parseBounceJSON(body) {
+  if (Array.isArray(body)) {
+    return body.flatMap(item => parseBounceJSON(item));
+  }
+  if (!body || typeof body !== 'object') {
+    throw new Error('Bounce payload must be a JSON object or array');
+  }
+
+  // SNS envelope around an SES notification
+  if (body.Type === 'Notification' && typeof body.Message === 'string') {
+    return parseBounceJSON(JSON.parse(body.Message));
+  }
+  if (body.notificationType === 'Bounce' || body.eventType === 'Bounce') {
+    return parseSES(body);
+  }
+  if (body['event-data']) {
+    return parseMailgun(body['event-data']);
+  }
+  if (body.RecordType === 'Bounce') {
+    return parsePostmark(body);
+  }
+  if (typeof body.event === 'string' && body.email) {
+    return parseSendGrid(body);
+  }
+
+  throw new Error('Unrecognized bounce payload');
+}
+
+function parseSES(body) {
+  const { bounce = {}, mail = {} } = body;
+  const header = (mail.headers || []).find(h => h.name?.toLowerCase() === 'message-id');
+  const messageId = header?.value || mail.commonHeaders?.messageId || mail.messageId || null;
+  const deliveryId = matchDeliveryId(messageId) || matchDeliveryId(mail);
+  const permanent = bounce.bounceType === 'Permanent';
+
+  return (bounce.bouncedRecipients || []).map(r => notice({
+    deliveryId,
+    messageId,
+    recipient: r.emailAddress,
+    action: r.action || 'failed',
+    bounceType: permanent ? 'hard' : 'soft',
+    statusCode: r.status || null,
+    diagnosticCode: r.diagnosticCode || null,
+    provider: 'ses',
+    timestamp: toISO(bounce.timestamp)
+  }));
+}
+
+function parseSendGrid(event) {
+  if (!['bounce', 'dropped', 'deferred', 'blocked'].includes(event.event)) return [];
+
+  const messageId = event['smtp-id'] || event.dlvr_message_id || null;
+  const deferred = event.event === 'deferred';
+  const hard = event.event === 'dropped' || (event.event === 'bounce' && event.type !== 'blocked');
+
+  return [notice({
+    deliveryId: matchDeliveryId(messageId) || matchDeliveryId(event),
+    messageId,
+    recipient: event.email,
+    action: deferred ? 'delayed' : 'failed',
+    bounceType: hard && !deferred ? 'hard' : 'soft',
+    statusCode: event.status || null,
+    diagnosticCode: event.reason || event.response || null,
+    provider: 'sendgrid',
+    timestamp: toISO(event.timestamp)
+  })];
+}
+
+function parsePostmark(body) {
+  const soft = ['SoftBounce', 'Transient', 'DnsError', 'AutoResponder'].includes(body.Type);
+  return [notice({
+    deliveryId: matchDeliveryId(body.Metadata) || matchDeliveryId(body),
+    messageId: body.MessageID || null,
+    recipient: body.Email,
+    action: body.Type === 'Transient' ? 'delayed' : 'failed',
+    bounceType: soft ? 'soft' : 'hard',
+    statusCode: null,
+    diagnosticCode: body.Details || body.Description || null,
+    provider: 'postmark',
+    timestamp: toISO(body.BouncedAt)
+  })];
+}
+
+function parseMailgun(data) {
+  if (data.event !== 'failed') return [];
+
+  const status = data['delivery-status'] || {};
+  const messageId = data.message?.headers?.['message-id'] || null;
+  const permanent = data.severity === 'permanent';
+
+  return [notice({
+    deliveryId: matchDeliveryId(messageId) || matchDeliveryId(data['user-variables']),
+    messageId,
+    recipient: data.recipient,
+    action: permanent ? 'failed' : 'delayed',
+    bounceType: permanent ? 'hard' : 'soft',
+    statusCode: status['enhanced-code'] || (status.code ? String(status.code) : null),
+    diagnosticCode: status.message || status.description || null,
+    provider: 'mailgun',
+    timestamp: typeof data.timestamp === 'number' ? new Date(data.timestamp * 1000).toISOString() : null
+  })];
+}
+
+// ============ Normalization ============
+
+function notice(fields) {
+  const statusCode = fields.statusCode || enhancedCodeFrom(fields.diagnosticCode);
+  const bounceType = fields.bounceType
+    || (statusCode?.startsWith('5') ? 'hard' : 'soft');
+
+  return {
+    deliveryId: fields.deliveryId || null,
+    messageId: fields.messageId || null,
+    recipient: fields.recipient || null,
+    action: fields.action || 'failed',
+    bounceType,
+    statusCode: statusCode || null,
+    diagnosticCode: fields.diagnosticCode || null,
+    provider: fields.provider,
+    timestamp: fields.timestamp || new Date().toISOString()
+  };
+}
+
+function enhancedCodeFrom(text) {
+  const match = text && text.match(/\b([245]\.\d{1,3}\.\d{1,3})\b/);
+  return match ? match[1] : null;
+}
+
+function toISO(value) {
+  if (!value) return null;
+  const date = typeof value === 'number' ? new Date(value * 1000) : new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date.toISOString();
+}
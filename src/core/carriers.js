@@ -0,0 +1,202 @@
+/**
+ * Carrier Tracking
+ * Offline tracking-number validation (format + check digit) for USPS, UPS
+ * and FedEx, and normalization of carrier scan events.
+ *
+ * Check digits:
+ *   USPS IMpb / legacy 20-digit, FedEx Ground — mod 10, weights 3,1 from the right
+ *   USPS S10 (international)                  — mod 11, weights 8,6,4,2,3,5,9,7
+ *   UPS 1Z                                     — mod 10, odd ×1 / even ×2, letters mapped to digits
+ *   FedEx Express 12-digit                     — mod 11, weights 1,3,7 from the right
+ *
+ * Service detection (Certified Mail, Return Receipt) is by well-known prefix
+ * and is advisory; validity rests on the check digit.
+ */
+
+import { DeliveryError } from './errors.js';
+
+export const CARRIERS = ['usps', 'ups', 'fedex'];
+
+/**
+ * Validate a tracking number, optionally for a specific carrier.
+ * Returns { valid, carrier, trackingNumber, format, service, reason }.
+ */
+export function validateTrackingNumber(number, carrier = null) {
+  const trackingNumber = normalizeTrackingNumber(number);
+  const wanted = carrier ? String(carrier).toLowerCase() : null;
+
+  if (wanted && !CARRIERS.includes(wanted)) {
+    return { valid: false, carrier: wanted, trackingNumber, format: null, service: null, reason: `Unsupported carrier: ${carrier}` };
+  }
+
+  const candidates = (wanted ? [wanted] : CARRIERS)
+    .map(name => VALIDATORS[name](trackingNumber))
+    .filter(Boolean);
+
+  const match = candidates.find(c => c.valid);
+  if (match) return { ...match, trackingNumber: match.trackingNumber || trackingNumber, reason: null };
+
+  const nearMiss = candidates[0];
+  return {
+    valid: false,
+    carrier: nearMiss?.carrier || wanted,
+    trackingNumber,
+    format: nearMiss?.format || null,
+    service: null,
+    reason: nearMiss ? 'Check digit mismatch' : `Unrecognized ${wanted ? wanted.toUpperCase() + ' ' : ''}tracking number format`
+  };
+}
+
+/**
+ * Strip spaces/dashes and upper-case; drop a USPS "420 + ZIP" routing prefix
+ */
+export function normalizeTrackingNumber(number) {
+  const value = String(number ?? '').replace(/[\s-]/g, '').toUpperCase();
+  const routed = value.match(/^420(?:\d{5}|\d{9})(9[2-5]\d{20})$/);
+  return routed ? routed[1] : value;
+}
+
+// ============ Carrier Validators ============
+// Each returns null when the format doesn't fit, else { valid, carrier, format, service }
+
+const VALIDATORS = {
+  usps(n) {
+    if (/^9[2-5]\d{20}$/.test(n) || /^9[2-5]\d{18}$/.test(n)) {
+      return {
+        valid: mod10(n.slice(0, -1)) === Number(n.at(-1)),
+        carrier: 'usps',
+        format: 'IMpb',
+        service: uspsService(n)
+      };
+    }
+    // Pre-IMpb 20-digit labels (PS Form 3800 Certified Mail starts with 7)
+    if (/^(7\d|03|23)\d{18}$/.test(n)) {
+      return {
+        valid: mod10(n.slice(0, -1)) === Number(n.at(-1)),
+        carrier: 'usps',
+        format: 'legacy',
+        service: n.startsWith('7') ? 'certified' : null
+      };
+    }
+    if (/^[A-Z]{2}\d{9}US$/.test(n)) {
+      return { valid: s10(n.slice(2, 10)) === Number(n[10]), carrier: 'usps', format: 'S10', service: null };
+    }
+    return null;
+  },
+
+  ups(n) {
+    if (!/^1Z[0-9A-Z]{16}$/.test(n)) return null;
+    let sum = 0;
+    for (let i = 2; i < 17; i++) {
+      const value = /\d/.test(n[i]) ? Number(n[i]) : (n.charCodeAt(i) - 63) % 10;
+      sum += (i - 2) % 2 === 1 ? value * 2 : value;
+    }
+    return { valid: (10 - (sum % 10)) % 10 === Number(n[17]), carrier: 'ups', format: '1Z', service: null };
+  },
+
+  fedex(n) {
+    if (/^\d{12}$/.test(n)) {
+      const weights = [1, 3, 7];
+      let sum = 0;
+      const digits = n.slice(0, 11).split('').reverse();
+      digits.forEach((d, i) => { sum += Number(d) * weights[i % 3]; });
+      return { valid: (sum % 11) % 10 === Number(n[11]), carrier: 'fedex', format: 'express', service: null };
+    }
+    if (/^\d{15}$/.test(n) || /^96\d{20}$/.test(n)) {
+      const core = n.slice(-15);
+      return { valid: mod10(core.slice(0, -1)) === Number(core.at(-1)), carrier: 'fedex', format: 'ground', service: null };
+    }
+    return null;
+  }
+};
+
+function uspsService(n) {
+  // PS Form 3811 (green card) Return Receipt barcodes
+  if (n.startsWith('9590')) return 'returnReceipt';
+  // Retail PS Form 3800 Certified Mail labels
+  if (n.startsWith('958907')) return 'certified';
+  // IMpb service type codes 070–079 are the Certified Mail family
+  if (/^9[2-4]07\d/.test(n)) return 'certified';
+  return null;
+}
+
+function mod10(digits) {
+  let sum = 0;
+  for (let i = digits.length - 1, weight = 3; i >= 0; i--, weight = weight === 3 ? 1 : 3) {
+    sum += Number(digits[i]) * weight;
+  }
+  return (10 - (sum % 10)) % 10;
+}
+
+function s10(digits) {
+  const weights = [8, 6, 4, 2, 3, 5, 9, 7];
+  const sum = digits.split('').reduce((acc, d, i) => acc + Number(d) * weights[i], 0);
+  const check = 11 - (sum % 11);
+  return check === 10 ? 0 : check === 11 ? 5 : check;
+}
+
+// ============ Scan Events ============
+
+/**
+ * Carrier event codes → normalized scan status. Unlisted codes are kept as
+ * IN_TRANSIT events.
+ */
+const SCAN_CODES = {
+  usps: { '01': 'DELIVERED', '02': 'NOTICE_LEFT', '03': 'ACCEPTED', '04': 'REFUSED', '05': 'UNDELIVERABLE', '10': 'IN_TRANSIT', 'OF': 'OUT_FOR_DELIVERY' },
+  ups: { D: 'DELIVERED', I: 'IN_TRANSIT', P: 'ACCEPTED', M: 'LABEL_CREATED', X: 'EXCEPTION', RS: 'RETURNED' },
+  fedex: { DL: 'DELIVERED', PU: 'ACCEPTED', IT: 'IN_TRANSIT', OD: 'OUT_FOR_DELIVERY', DE: 'EXCEPTION', RS: 'RETURNED' }
+};
+
+export const SCAN_STATUSES = [
+  'LABEL_CREATED', 'ACCEPTED', 'IN_TRANSIT', 'OUT_FOR_DELIVERY', 'NOTICE_LEFT',
+  'DELIVERED', 'REFUSED', 'UNDELIVERABLE', 'RETURNED', 'EXCEPTION'
+];
+
+/**
+ * Scan status → delivery status it moves the delivery to (others are events)
+ */
+export const SCAN_TRANSITIONS = {
+  DELIVERED: 'DELIVERED',
+  REFUSED: 'REFUSED',
+  UNDELIVERABLE: 'FAILED',
+  RETURNED: 'FAILED'
+};
+
+/**
+ * Normalize a scan update: { carrier, trackingNumber, events: [...] } or an
+ * array of them. Each event takes a normalized `status` or a carrier `code`.
+ */
+export function parseScanEvents(input) {
+  const updates = Array.isArray(input) ? input : [input];
+  const scans = [];
+
+  for (const update of updates) {
+    if (!update || typeof update !== 'object') continue;
+    const carrier = update.carrier ? String(update.carrier).toLowerCase() : null;
+    const trackingNumber = normalizeTrackingNumber(update.trackingNumber);
+    const events = Array.isArray(update.events) ? update.events : [update];
+
+    for (const event of events) {
+      const at = event.timestamp ? new Date(event.timestamp) : new Date();
+      if (Number.isNaN(at.getTime())) {
+        throw new DeliveryError(`Invalid scan timestamp: ${event.timestamp}`, 'INVALID_SCAN_EVENT', 400);
+      }
+
+      const status = event.status && SCAN_STATUSES.includes(String(event.status).toUpperCase())
+        ? String(event.status).toUpperCase()
+        : SCAN_CODES[carrier]?.[event.code] || 'IN_TRANSIT';
+
+      scans.push({
+        carrier,
+        trackingNumber,
+        status,
+        code: event.code ?? null,
+        description: event.description || null,
+        location: event.location || null,
+        timestamp: at.toISOString()
+      });
+    }
+  }
+
+  return scans.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+}
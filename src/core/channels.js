@@ -1,67 +1,231 @@
 /**
  * Delivery Channels
  * Each channel handles the actual dispatch of deliveries.
+ *
+ * Channels are adapters in a registry. The seven built-ins are registered
+ * first; integrators add their own (a Slack DM, a case portal) through the
+ * `adapters` option of ChittyDLVR:
+ *
+ *   new ChittyDLVR({
+ *     adapters: {
+ *       slack: {
+ *         capabilities: { confirmation: true, openTracking: false, baseScore: 55 },
+ *         async dispatch({ deliveryId, address, mintId, timestamp }) { ... }
+ *       }
+ *     }
+ *   });
+ *
+ * Method validation and delivery scoring read from the registry. Every
+ * dispatch, built-in or not, is screened against the suppression list first.
  */
 
-const VALID_METHODS = ['email', 'sms', 'portal', 'api', 'physical', 'inPerson', 'legalService'];
+import { composeEmail, renderMessage, parseMailbox, formatMailbox } from './mime.js';
+import { signDKIM, domainOf } from './dkim.js';
+import { analyzeSMS, normalizeE164, MAX_SMS_SEGMENTS } from './sms.js';
+import { checkPostalAddress } from './address.js';
+import { normalizeTarget, normalizeRadius } from './geo.js';
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+const BUILTIN_CAPABILITIES = {
+  email: { confirmation: true, openTracking: true, baseScore: 70, description: 'Certified email with read receipt' },
+  sms: { confirmation: true, openTracking: false, baseScore: 60, description: 'SMS with delivery confirmation' },
+  portal: { confirmation: true, openTracking: true, baseScore: 85, description: 'ChittyPortal secure delivery' },
+  api: { confirmation: true, openTracking: false, baseScore: 65, description: 'API webhook delivery' },
+  physical: { confirmation: true, openTracking: false, baseScore: 75, description: 'Physical mail tracking (USPS/FedEx)' },
+  inPerson: { confirmation: true, openTracking: false, baseScore: 90, description: 'In-person with witness attestation' },
+  legalService: { confirmation: true, openTracking: false, baseScore: 95, description: 'Process server / legal service' }
+};
+
+export const BUILTIN_METHODS = Object.keys(BUILTIN_CAPABILITIES);
+
+const METHOD_NAME_PATTERN = /^[A-Za-z][A-Za-z0-9_-]{0,31}$/;
 
 export class DeliveryChannel {
-  constructor(dlvr) {
+  constructor(dlvr, adapters = {}) {
     this.dlvr = dlvr;
+    this.adapters = new Map();
+
+    const builtins = {
+      email: (opts) => this.sendEmail(opts),
+      sms: (opts) => this.sendSMS(opts),
+      portal: (opts) => this.sendPortal(opts),
+      api: (opts) => this.sendAPI(opts),
+      physical: (opts) => this.sendPhysical(opts),
+      inPerson: (opts) => this.recordInPerson(opts),
+      legalService: (opts) => this.initiateLegalService(opts)
+    };
+    for (const [method, dispatch] of Object.entries(builtins)) {
+      this.adapters.set(method, { dispatch, capabilities: { ...BUILTIN_CAPABILITIES[method], builtin: true } });
+    }
+
+    for (const [method, adapter] of Object.entries(adapters)) {
+      this.register(method, adapter);
+    }
+  }
+
+  /**
+   * Register a channel adapter. Replacing a built-in requires `replace: true`.
+   */
+  register(method, adapter, { replace = adapter?.replace === true } = {}) {
+    if (!METHOD_NAME_PATTERN.test(method)) {
+      throw new Error(`Invalid channel name: ${method}`);
+    }
+    if (!adapter || typeof adapter.dispatch !== 'function') {
+      throw new Error(`Channel adapter "${method}" must provide a dispatch() function`);
+    }
+    if (this.adapters.has(method) && !replace) {
+      throw new Error(`Channel "${method}" is already registered. Pass replace: true to override it.`);
+    }
+
+    const { confirmation = false, openTracking = false, baseScore, description = null } = adapter.capabilities || {};
+    if (typeof baseScore !== 'number' || !Number.isFinite(baseScore) || baseScore < 0 || baseScore > 100) {
+      throw new Error(`Channel adapter "${method}" must declare capabilities.baseScore between 0 and 100`);
+    }
+
+    this.adapters.set(method, {
+      dispatch: (opts) => adapter.dispatch(opts, this.dlvr),
+      capabilities: { confirmation: Boolean(confirmation), openTracking: Boolean(openTracking), baseScore, description, builtin: false }
+    });
+    return this;
+  }
+
+  /**
+   * Registered delivery methods, built-ins first
+   */
+  methods() {
+    return [...this.adapters.keys()];
+  }
+
+  supports(method) {
+    return this.adapters.has(method);
+  }
+
+  capabilities(method) {
+    const adapter = this.adapters.get(method);
+    return adapter ? { ...adapter.capabilities } : null;
   }
 
   /**
    * Dispatch a delivery through the appropriate channel
    */
   async dispatch(options) {
-    const { deliveryId, method, address, mintId, timestamp } = options;
+    const { deliveryId, method, to = null, address, mintId, options: deliveryOptions = {}, timestamp } = options;
 
-    if (!VALID_METHODS.includes(method)) {
-      throw new Error(`Unsupported delivery method: ${method}. Valid methods: ${VALID_METHODS.join(', ')}`);
+    if (!this.supports(method)) {
+      throw new Error(`Unsupported delivery method: ${method}. Valid methods: ${this.methods().join(', ')}`);
     }
 
+    // Suppressed recipients fail fast; service of process goes out with an audit note
+    const suppression = await this.dlvr.suppressions.screen(method, address);
+
     const handler = this.getHandler(method);
-    return await handler({
+    const result = await handler({
       deliveryId,
+      to,
       address,
       mintId,
+      options: deliveryOptions,
       timestamp
     });
+
+    return { channel: method, dispatched: true, ...result, ...(suppression ? { suppression } : {}) };
   }
 
   getHandler(method) {
-    const handlers = {
-      email: (opts) => this.sendEmail(opts),
-      sms: (opts) => this.sendSMS(opts),
-      portal: (opts) => this.sendPortal(opts),
-      api: (opts) => this.sendAPI(opts),
-      physical: (opts) => this.sendPhysical(opts),
-      inPerson: (opts) => this.recordInPerson(opts),
-      legalService: (opts) => this.initiateLegalService(opts)
-    };
-
-    return handlers[method];
+    return this.adapters.get(method)?.dispatch;
   }
 
   /**
    * Certified email delivery
    */
   async sendEmail(options) {
-    const { deliveryId, address, mintId, timestamp } = options;
+    const { deliveryId, address, mintId, to, options: deliveryOptions = {}, timestamp } = options;
+    const { from, dkim, transport } = this.dlvr.email;
+
+    // Headers are built from the validated parts, never from the raw string
+    const mailbox = typeof address === 'string' ? parseMailbox(address) : null;
+    if (!mailbox || !EMAIL_PATTERN.test(mailbox.address)) {
+      throw new Error(`Invalid email address: ${JSON.stringify(address)}`);
+    }
+
+    const domain = dkim?.domain || domainOf(from);
+    const links = {
+      view: `https://chitty.cc/view/${deliveryId}`,
+      receipt: `https://chitty.cc/receipt/${deliveryId}`,
+      decline: `https://chitty.cc/decline/${deliveryId}`
+    };
+    const trackingPixelUrl = `https://chitty.cc/open/${deliveryId}.gif`;
+    const messageId = `MSG-${deliveryId}`;
+
+    const content = await this.dlvr.templates.render('email', {
+      mintId,
+      deliveryId,
+      recipient: to || '',
+      viewUrl: links.view,
+      receiptUrl: links.receipt,
+      declineUrl: links.decline
+    }, { locale: await this.dlvr.templates.localesFor(to, deliveryOptions.locale), tenant: deliveryOptions.tenant });
+    const subject = content.subject;
+
+    const pixel = `<img src="${trackingPixelUrl}" width="1" height="1" alt="" style="display:block;border:0">`;
+    const html = content.html
+      ? (content.html.includes('</body>') ? content.html.replace('</body>', `${pixel}\n</body>`) : `${content.html}\n${pixel}`)
+      : null;
+
+    const message = composeEmail({
+      from,
+      to: formatMailbox(mailbox),
+      subject,
+      messageId: `<${messageId}@${domain}>`,
+      date: new Date(timestamp),
+      headers: {
+        'Content-Language': content.locale,
+        'Disposition-Notification-To': from,
+        'X-DLVR-Delivery-Id': deliveryId,
+        'X-DLVR-Mint-Id': mintId
+      },
+      text: content.text,
+      html
+    });
+
+    if (dkim) {
+      const signature = await signDKIM(message, { ...dkim, domain, timestamp: new Date(timestamp).getTime() });
+      message.headers.unshift(['DKIM-Signature', signature]);
+    }
+
+    const raw = renderMessage(message);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(raw));
+
+    let handoff = null;
+    if (transport) {
+      handoff = await transport.send({ from, to: mailbox.address, raw, messageId });
+      if (!handoff?.accepted) {
+        throw new Error(`Email transport rejected ${messageId}: ${handoff?.response || 'no response'}`);
+      }
+    } else if (!this._warnedNoEmailTransport) {
+      console.warn('WARNING: No email transport configured. Email is composed but not handed off.');
+      this._warnedNoEmailTransport = true;
+    }
 
     return {
       channel: 'email',
       dispatched: true,
-      messageId: `MSG-${deliveryId}`,
+      messageId,
       to: address,
-      subject: `Document Delivery: ${mintId}`,
-      trackingPixel: true,
+      from,
+      subject,
+      locale: content.locale,
+      template: { locale: content.locale, tenant: content.tenant, source: content.source },
+      trackingPixel: Boolean(html),
+      trackingPixelUrl: html ? trackingPixelUrl : null,
       readReceiptRequested: true,
-      links: {
-        view: `https://chitty.cc/view/${deliveryId}`,
-        receipt: `https://chitty.cc/receipt/${deliveryId}`,
-        decline: `https://chitty.cc/decline/${deliveryId}`
-      },
+      dispositionNotificationTo: from,
+      dkim: dkim ? { domain, selector: dkim.selector } : null,
+      size: raw.length,
+      sha256: Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join(''),
+      transport: handoff ? { name: transport.name || null, response: handoff.response || null } : null,
+      links,
       timestamp
     };
   }
@@ -70,15 +234,64 @@ export class DeliveryChannel {
    * SMS delivery with confirmation
    */
   async sendSMS(options) {
-    const { deliveryId, address, mintId, timestamp } = options;
+    const { deliveryId, address, mintId, to: recipient, options: deliveryOptions = {}, timestamp } = options;
+    const { from, transport } = this.dlvr.sms;
+
+    let to;
+    try {
+      to = normalizeE164(address);
+    } catch {
+      throw new Error(`Invalid phone number for SMS delivery: ${address}`);
+    }
+
+    // Short signed link keeps the body inside a single GSM-7 segment
+    const link = await this.dlvr.links.create(deliveryId);
+    const content = await this.dlvr.templates.render('sms', {
+      mintId,
+      deliveryId,
+      recipient: recipient || '',
+      shortUrl: link.url
+    }, { locale: await this.dlvr.templates.localesFor(recipient, deliveryOptions.locale), tenant: deliveryOptions.tenant });
+    const body = content.body;
+    const analysis = analyzeSMS(body);
+
+    if (analysis.segments > MAX_SMS_SEGMENTS) {
+      throw new Error(`SMS body needs ${analysis.segments} segments; the limit is ${MAX_SMS_SEGMENTS}`);
+    }
+
+    const messageId = `SMS-${deliveryId}`;
+
+    let handoff = null;
+    if (transport) {
+      handoff = await transport.send({ from, to, body, encoding: analysis.encoding, segments: analysis.segments, messageId });
+      if (!handoff?.accepted) {
+        throw new Error(`SMS transport rejected ${messageId}: ${handoff?.response || 'no response'}`);
+      }
+    } else if (!this._warnedNoSMSTransport) {
+      console.warn('WARNING: No SMS transport configured. SMS is composed but not handed off.');
+      this._warnedNoSMSTransport = true;
+    }
 
     return {
       channel: 'sms',
       dispatched: true,
-      messageId: `SMS-${deliveryId}`,
-      to: address,
-      body: `You have a certified document delivery. View: https://chitty.cc/view/${deliveryId}`,
+      messageId,
+      to,
+      from,
+      body,
+      locale: content.locale,
+      template: { locale: content.locale, tenant: content.tenant, source: content.source },
+      encoding: analysis.encoding,
+      characters: analysis.characters,
+      segments: analysis.segments,
+      costUnits: analysis.costUnits,
+      shortLink: { code: link.code, url: link.url },
       deliveryReport: true,
+      transport: handoff ? {
+        name: transport.name || null,
+        providerMessageId: handoff.providerMessageId || null,
+        response: handoff.response || null
+      } : null,
       timestamp
     };
   }
@@ -87,52 +300,89 @@ export class DeliveryChannel {
    * Secure portal delivery (requires auth)
    */
   async sendPortal(options) {
-    const { deliveryId, mintId, timestamp } = options;
+    const { deliveryId, mintId, options: deliveryOptions = {}, timestamp } = options;
+    const expiresAt = new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString();
+
+    // Recipient's first access token; more can be issued until expiresAt.
+    // The token is a bearer credential: only its ID goes on the record, and
+    // release() hands the token back once, in the send result.
+    const access = await this.dlvr.portalTokens.issue({
+      deliveryId,
+      scope: deliveryOptions.portalScope || ['view', 'acknowledge', 'receipt'],
+      expiresAt
+    });
 
     return {
       channel: 'portal',
       dispatched: true,
       portalUrl: `https://portal.chitty.cc/delivery/${deliveryId}`,
+      access: { tokenId: access.tokenId, scope: access.scope, expiresAt: access.expiresAt },
+      portalAccess: access,
       requiresAuth: true,
-      authMethod: 'ChittyID',
-      expiresAt: new Date(Date.now() + 30 * 24 * 60 * 60 * 1000).toISOString(),
+      authMethod: 'portal-token',
+      expiresAt,
       timestamp
     };
   }
 
   /**
-   * API webhook delivery
+   * API webhook delivery. The signed POST itself is made once the delivery
+   * is persisted (see WebhookDispatcher), so the outcome can move its status.
    */
   async sendAPI(options) {
     const { deliveryId, address, mintId, timestamp } = options;
 
+    let url;
+    try {
+      url = new URL(address);
+    } catch {
+      throw new Error(`Invalid webhook URL: ${address}`);
+    }
+    if (url.protocol !== 'https:' && url.protocol !== 'http:') {
+      throw new Error(`Invalid webhook URL: ${address}`);
+    }
+
     return {
       channel: 'api',
       dispatched: true,
-      webhookUrl: address,
+      webhookUrl: url.href,
       payload: {
         event: 'delivery.created',
         deliveryId,
         mintId,
         timestamp
       },
-      retries: 3,
+      retries: this.dlvr.webhooks.maxRetries,
+      webhook: {
+        url: url.href,
+        state: 'PENDING',
+        attempts: [],
+        nextAttemptAt: null
+      },
       timestamp
     };
   }
 
   /**
-   * Physical mail tracking
+   * Physical mail tracking. Carrier and tracking number may be given now
+   * (options.carrier / options.trackingNumber) or attached later.
    */
   async sendPhysical(options) {
-    const { deliveryId, address, timestamp } = options;
+    const { address, options: deliveryOptions = {}, timestamp } = options;
+
+    const postalAddress = checkPostalAddress(address);
+
+    // Indexed for scans once the delivery is saved (release)
+    const tracking = deliveryOptions.trackingNumber ? this.dlvr.buildTracking(deliveryOptions) : null;
 
     return {
       channel: 'physical',
       dispatched: true,
-      carrier: null,
-      trackingNumber: null,
+      carrier: tracking?.carrier || null,
+      trackingNumber: tracking?.trackingNumber || null,
+      tracking,
       address,
+      postalAddress,
       certified: true,
       returnReceiptRequested: true,
       timestamp
@@ -143,7 +393,11 @@ export class DeliveryChannel {
    * In-person delivery with witness
    */
   async recordInPerson(options) {
-    const { deliveryId, timestamp } = options;
+    const { deliveryId, options: deliveryOptions = {}, timestamp } = options;
+
+    // Hand-off is recorded later with device geolocation (recordHandoff);
+    // the target fixed here is what that fix is checked against
+    const target = normalizeTarget(deliveryOptions.targetLocation);
 
     return {
       channel: 'inPerson',
@@ -151,6 +405,10 @@ export class DeliveryChannel {
       witnessRequired: true,
       witness: null,
       location: null,
+      target,
+      radiusMeters: normalizeRadius(deliveryOptions.radiusMeters, this.dlvr.geofence.radiusMeters),
+      geolocation: null,
+      geofence: null,
       geoVerified: false,
       timestamp
     };
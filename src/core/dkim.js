@@ -0,0 +1,122 @@
+/**
+ * DKIM Signing
+ * RFC 6376 signatures (rsa-sha256, relaxed/relaxed) for outbound email.
+ *
+ * The private key is an RSA key as PKCS#8 PEM or JWK; the matching public
+ * key is published at <selector>._domainkey.<domain>.
+ */
+
+import { addressOf } from './mime.js';
+
+const DEFAULT_SIGNED_HEADERS = [
+  'from', 'to', 'subject', 'date', 'message-id', 'mime-version',
+  'content-type', 'disposition-notification-to'
+];
+
+/**
+ * Sign a composed message (see composeEmail). Returns the DKIM-Signature
+ * header value; prepend it to the message headers before rendering.
+ */
+export async function signDKIM(message, options) {
+  const { domain, selector, privateKey, timestamp = Date.now(), signedHeaders = DEFAULT_SIGNED_HEADERS } = options;
+
+  if (!domain || !selector || !privateKey) {
+    throw new Error('DKIM signing requires domain, selector and privateKey');
+  }
+
+  const key = await importDKIMKey(privateKey);
+  const bodyHash = await sha256Base64(canonicalizeBodyRelaxed(message.body));
+
+  // Only sign headers the message actually carries
+  const present = new Set(message.headers.map(([name]) => name.toLowerCase()));
+  const headerNames = signedHeaders.filter(name => present.has(name));
+
+  const tags = [
+    'v=1',
+    'a=rsa-sha256',
+    'c=relaxed/relaxed',
+    `d=${domain}`,
+    `s=${selector}`,
+    `t=${Math.floor(timestamp / 1000)}`,
+    `h=${headerNames.join(':')}`,
+    `bh=${bodyHash}`,
+    'b='
+  ].join('; ');
+
+  const signingInput = [
+    ...headerNames.map(name => canonicalizeHeaderRelaxed(name, lastHeader(message.headers, name))),
+    canonicalizeHeaderRelaxed('dkim-signature', tags)
+  ].join('\r\n');
+
+  const signature = await crypto.subtle.sign(
+    { name: 'RSASSA-PKCS1-v1_5' },
+    key,
+    new TextEncoder().encode(signingInput)
+  );
+
+  return `${tags}${toBase64(signature)}`;
+}
+
+/**
+ * RFC 6376 §3.4.2 relaxed header canonicalization
+ */
+export function canonicalizeHeaderRelaxed(name, value) {
+  const unfolded = String(value).replace(/\r?\n(?=[ \t])/g, '');
+  return `${name.toLowerCase().trim()}:${unfolded.replace(/[ \t]+/g, ' ').trim()}`;
+}
+
+/**
+ * RFC 6376 §3.4.4 relaxed body canonicalization
+ */
+export function canonicalizeBodyRelaxed(body) {
+  const lines = String(body).replace(/\r?\n/g, '\r\n').split('\r\n')
+    .map(line => line.replace(/[ \t]+/g, ' ').replace(/ $/, ''));
+
+  while (lines.length > 0 && lines[lines.length - 1] === '') lines.pop();
+  return lines.length === 0 ? '' : `${lines.join('\r\n')}\r\n`;
+}
+
+/**
+ * Import an RSA private key from PKCS#8 PEM or JWK
+ */
+export async function importDKIMKey(privateKey) {
+  const algorithm = { name: 'RSASSA-PKCS1-v1_5', hash: 'SHA-256' };
+
+  if (typeof CryptoKey !== 'undefined' && privateKey instanceof CryptoKey) return privateKey;
+  if (typeof privateKey === 'object') {
+    return crypto.subtle.importKey('jwk', privateKey, algorithm, false, ['sign']);
+  }
+  if (privateKey.trim().startsWith('{')) {
+    return crypto.subtle.importKey('jwk', JSON.parse(privateKey), algorithm, false, ['sign']);
+  }
+
+  const pem = privateKey.replace(/-----(BEGIN|END) PRIVATE KEY-----/g, '').replace(/\s+/g, '');
+  const der = Uint8Array.from(atob(pem), c => c.charCodeAt(0));
+  return crypto.subtle.importKey('pkcs8', der, algorithm, false, ['sign']);
+}
+
+/**
+ * Domain to sign for when none is configured: the From address's domain
+ */
+export function domainOf(mailbox) {
+  return addressOf(mailbox).split('@')[1] || null;
+}
+
+function lastHeader(headers, name) {
+  // RFC 6376 §5.4.2: sign the last instance of a repeated header
+  for (let i = headers.length - 1; i >= 0; i--) {
+    if (headers[i][0].toLowerCase() === name) return headers[i][1];
+  }
+  return '';
+}
+
+async function sha256Base64(text) {
+  return toBase64(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text)));
+}
+
+function toBase64(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary);
+}
@@ -10,6 +10,26 @@
 import { DeliveryChannel } from './channels.js';
 import { ReceiptEngine } from './receipt.js';
 import { ServiceEngine } from './service.js';
+import { MemoryDeliveryStore } from './store.js';
+import { DeliveryLifecycle } from './lifecycle.js';
+import { DeliveryError, deliveryNotFound } from './errors.js';
+import { parseBounce } from './bounce.js';
+import { EscalationEngine } from './escalation.js';
+import { ShortLinks } from './links.js';
+import { classifyOpen } from './opens.js';
+import { MemoryDocumentSource } from './documents.js';
+import { TemplateRegistry } from './templates.js';
+import { PortalTokens } from './portal.js';
+import { DispatchScheduler } from './schedule.js';
+import { WebhookDispatcher } from './webhooks.js';
+import { JobQueue } from './jobs.js';
+import { SuppressionList } from './suppression.js';
+import { RateLimiter } from './ratelimit.js';
+import { validateTrackingNumber, parseScanEvents, SCAN_TRANSITIONS } from './carriers.js';
+import { GEOFENCE_DEFAULTS, normalizeGeolocation, checkGeofence } from './geo.js';
+import { attestationPayload, normalizeAttestation, normalizeCredential, verifyWitnessSignature } from './witness.js';
+
+const REMINDER_METHODS = ['email', 'sms'];
 
 export class ChittyDLVR {
   constructor(config = {}) {
@@ -18,10 +38,59 @@ export class ChittyDLVR {
     this.chittyId = config.chittyId || null;
     this.signingKeyJwk = config.signingKeyJwk || null;
 
+    // Email channel: sender, optional DKIM key, transport
+    this.email = {
+      from: config.email?.from || 'ChittyDLVR <delivery@dlvr.chitty.cc>',
+      dkim: config.email?.dkim || null,
+      transport: config.email?.transport || null
+    };
+
+    // SMS channel: sender number, transport
+    this.sms = {
+      from: config.sms?.from || null,
+      transport: config.sms?.transport || null
+    };
+
+    // Secret for signed short links (LINK_SIGNING_SECRET)
+    this.linkSecret = config.linkSecret || null;
+
+    // Geofence for in-person hand-offs and service attempts
+    this.geofence = { ...GEOFENCE_DEFAULTS, ...config.geofence };
+
+    // WebAuthn relying party that witness passkey assertions must name
+    const rpId = config.webauthn?.rpId || 'dlvr.chitty.cc';
+    this.webauthn = { rpId, origins: config.webauthn?.origins || [`https://${rpId}`] };
+
+    // Secret for portal access tokens (PORTAL_TOKEN_SECRET)
+    this.portalSecret = config.portalSecret || null;
+
+    // Queue producer for deferred work (dispatch, webhooks, escalations, reminders).
+    // asyncDispatch hands every send's channel work to the queue consumer.
+    this.queue = config.queue || null;
+    this.asyncDispatch = Boolean(config.asyncDispatch && this.queue);
+
+    // Where /view/:deliveryId gets the document for a mintId (DocuMint)
+    this.documents = config.documents || new MemoryDocumentSource();
+
+    // Persistence (in-memory unless a DeliveryStore is supplied)
+    this.store = config.store || new MemoryDeliveryStore();
+
     // Core engines
-    this.channels = new DeliveryChannel(this);
+    this.channels = new DeliveryChannel(this, config.adapters);
     this.receipts = new ReceiptEngine(this);
     this.service = new ServiceEngine(this);
+    this.lifecycle = new DeliveryLifecycle(this);
+    this.escalations = new EscalationEngine(this);
+    this.links = new ShortLinks(this);
+    this.templates = new TemplateRegistry(this, { defaultLocale: config.defaultLocale, templates: config.templates });
+    this.portalTokens = new PortalTokens(this);
+    this.scheduler = new DispatchScheduler(this, config.schedule);
+    this.webhooks = new WebhookDispatcher(this, config.webhooks);
+    this.jobs = new JobQueue(this, config.jobs);
+    this.suppressions = new SuppressionList(this);
+
+    // Token buckets per recipient (and per API key, taken by the Worker); off unless configured
+    this.rateLimits = config.rateLimits ? new RateLimiter(this, config.rateLimits) : null;
 
     this.initialized = false;
   }
@@ -41,42 +110,52 @@ export class ChittyDLVR {
   }
 
   /**
-   * Send a certified delivery
+   * Send a certified delivery. With asyncDispatch (or when quiet hours or
+   * sendAt defer it) the delivery is stored PENDING and the channel work is
+   * left to a queued dispatch job.
+   *
+   * `link` ties an escalation step to its chain before it is first stored.
    */
-  async send(options) {
-    const { mintId, to, method = 'email', address, options: deliveryOptions = {} } = options;
+  async send(options, link = {}) {
+    const { mintId, to, method = 'email', address, escalation, options: deliveryOptions = {} } = options;
 
     if (!mintId || typeof mintId !== 'string') {
       throw new Error('mintId is required and must be a string');
     }
 
+    // Reject a bad escalation policy before anything is dispatched
+    if (escalation) this.escalations.normalize(escalation);
+
+    if (!this.channels.supports(method)) {
+      throw new Error(`Unsupported delivery method: ${method}. Valid methods: ${this.channels.methods().join(', ')}`);
+    }
+    if (deliveryOptions.remindAfter != null) this.reminderDelay(method, deliveryOptions.remindAfter);
+
+    // Last check before anything is stored, so a refused send spends no other state
+    if (this.rateLimits) await this.rateLimits.takeRecipient(method, address);
+
     const deliveryId = this.generateDeliveryId();
     const timestamp = new Date().toISOString();
+    const from = this.chittyId || 'anonymous';
+
+    // Quiet hours and sendAt, in the recipient's time zone
+    const schedule = this.scheduler.plan({ method, address, options: deliveryOptions, now: new Date(timestamp) });
 
     // Create delivery record
     const delivery = {
       deliveryId,
       mintId,
-      from: this.chittyId || 'anonymous',
+      from,
       to,
       method,
       address,
-
-      // Dispatch through channel
-      dispatch: await this.channels.dispatch({
-        deliveryId,
-        method,
-        address,
-        mintId,
-        options: deliveryOptions,
-        timestamp
-      }),
+      dispatch: null,
+      schedule,
 
       // Status tracking
-      status: 'SENT',
+      status: 'PENDING',
       statusHistory: [
-        { status: 'PENDING', timestamp, actor: 'system' },
-        { status: 'SENT', timestamp: new Date().toISOString(), actor: 'system' }
+        { status: 'PENDING', from: null, timestamp, actor: from, source: 'api', score: 0 }
       ],
 
       // Proof linkage
@@ -85,12 +164,12 @@ export class ChittyDLVR {
         mintId,
         deliveryId,
         method,
-        score: this.calculateDeliveryScore(method, 'SENT')
+        score: 0
       },
 
       // Timestamps
       createdAt: timestamp,
-      sentAt: new Date().toISOString(),
+      sentAt: null,
       deliveredAt: null,
       receiptedAt: null,
 
@@ -99,50 +178,506 @@ export class ChittyDLVR {
       receiptUrl: `https://chitty.cc/receipt/${deliveryId}`
     };
 
+    if (link.escalationId) {
+      delivery.escalationId = link.escalationId;
+      delivery.escalationStep = link.escalationStep;
+    }
+
+    if (schedule?.deferred || this.asyncDispatch) {
+      // Fail fast rather than queue a send the dispatch job would refuse
+      await this.suppressions.screen(method, address);
+      return await this.queueDispatch(delivery, { options: deliveryOptions, escalation });
+    }
+
+    return await this.release(delivery, { options: deliveryOptions, escalation, timestamp });
+  }
+
+  // ============ Queued Dispatch ============
+
+  /**
+   * Store a delivery PENDING and queue its dispatch job, for now or for when
+   * its window opens. The channel options and escalation policy wait with it.
+   */
+  async queueDispatch(delivery, { options, escalation = null }) {
+    const { deliveryId, schedule, createdAt } = delivery;
+    const deferred = Boolean(schedule?.deferred);
+    delivery.pendingDispatch = { options, escalation };
+
+    if (deferred) {
+      schedule.state = 'DEFERRED';
+      this.lifecycle.recordEvent(delivery, 'DISPATCH_DEFERRED', {
+        source: 'scheduler',
+        reason: schedule.reason,
+        dispatchAt: schedule.dispatchAt,
+        timeZone: schedule.timeZone,
+        timeZoneSource: schedule.timeZoneSource,
+        timestamp: createdAt
+      });
+    } else {
+      this.lifecycle.recordEvent(delivery, 'DISPATCH_QUEUED', { source: 'queue', timestamp: createdAt });
+    }
+    await this.saveDelivery(delivery);
+
+    try {
+      await this.jobs.enqueueAt('dispatch', { deliveryId }, deferred ? schedule.dispatchAt : createdAt, new Date(createdAt));
+    } catch (error) {
+      delete delivery.pendingDispatch;
+      this.lifecycle.transition(delivery, 'FAILED', {
+        actor: 'system',
+        source: 'queue',
+        reason: 'Dispatch could not be queued',
+        error: error.message
+      });
+      await this.saveDelivery(delivery);
+      throw error;
+    }
     return delivery;
   }
 
+  /**
+   * Run the dispatch job for a stored PENDING delivery. A job that arrives
+   * before a deferred delivery's window re-enqueues itself; one for a
+   * delivery that is no longer waiting does nothing. One that finds the
+   * delivery already sent by an earlier attempt finishes the release
+   * without sending again.
+   *
+   * Errors propagate so the job is retried. On the `final` attempt, or for
+   * a DeliveryError such as SUPPRESSED, a delivery that never went out is
+   * marked FAILED and DISPATCH_FAILED is thrown; one that did stays SENT,
+   * notes RELEASE_INCOMPLETE and throws that.
+   */
+  async dispatchPending(deliveryId, { now = new Date(), final = true } = {}) {
+    const delivery = await this.getDelivery(deliveryId);
+    const { pendingDispatch: pending, schedule } = delivery;
+    if (!pending || (!pending.dispatchedAt && delivery.status !== 'PENDING')) return delivery;
+
+    if (!pending.dispatchedAt && schedule?.state === 'DEFERRED' && Date.parse(schedule.dispatchAt) > now.getTime()) {
+      await this.jobs.enqueueAt('dispatch', { deliveryId }, schedule.dispatchAt, now);
+      return delivery;
+    }
+
+    const timestamp = now.toISOString();
+    if (schedule?.state === 'DEFERRED') {
+      schedule.state = 'RELEASED';
+      schedule.releasedAt = timestamp;
+    }
+
+    try {
+      if (pending.dispatchedAt) {
+        return await this.completeRelease(delivery, { ...pending, timestamp: pending.dispatchedAt });
+      }
+      return await this.release(delivery, { ...pending, timestamp });
+    } catch (error) {
+      if (!final && !(error instanceof DeliveryError)) throw error;
+      delete delivery.pendingDispatch;
+
+      // Sent already: the recipient has it, so the record must not say FAILED
+      if (delivery.status === 'SENT') {
+        this.lifecycle.recordEvent(delivery, 'RELEASE_INCOMPLETE', { source: 'queue', error: error.message });
+        await this.saveDelivery(delivery);
+        throw new DeliveryError(`Dispatched ${deliveryId} but could not finish releasing it: ${error.message}`, 'RELEASE_INCOMPLETE', 502, { deliveryId });
+      }
+
+      if (schedule?.state === 'RELEASED') schedule.state = 'FAILED';
+      this.lifecycle.transition(delivery, 'FAILED', {
+        actor: 'system',
+        source: 'queue',
+        reason: 'Dispatch failed',
+        error: error.message
+      });
+      await this.saveDelivery(delivery);
+      throw new DeliveryError(`Dispatch failed for ${deliveryId}: ${error.message}`, 'DISPATCH_FAILED', 502, { deliveryId });
+    }
+  }
+
+  /**
+   * Dispatch through the channel, mark SENT and persist that at once, then
+   * complete the release. A portal's first access token is on the result as
+   * `portalAccess` and nowhere else; queued portal sends issue theirs with
+   * issuePortalToken().
+   */
+  async release(delivery, { options = {}, escalation = null, timestamp }) {
+    const { deliveryId, method, to, address, mintId } = delivery;
+
+    const { portalAccess = null, ...dispatch } = await this.channels.dispatch({
+      deliveryId,
+      method,
+      to,
+      address,
+      mintId,
+      options,
+      timestamp
+    });
+    delivery.dispatch = dispatch;
+
+    this.lifecycle.transition(delivery, 'SENT', {
+      actor: 'system',
+      source: `channel:${method}`,
+      timestamp,
+      ...(delivery.schedule?.state === 'RELEASED' ? { scheduled: true, reason: delivery.schedule.reason } : {})
+    });
+
+    // Service of process to a suppressed address: dispatched, and on the record
+    const { suppression } = delivery.dispatch;
+    if (suppression?.bypassed) {
+      this.lifecycle.recordEvent(delivery, 'SUPPRESSION_BYPASSED', {
+        source: 'suppression',
+        timestamp,
+        address: suppression.address,
+        reason: suppression.reason,
+        suppressedAt: suppression.suppressedAt,
+        note: suppression.note
+      });
+    }
+
+    // Stored before anything else can fail, so a retried dispatch job sees
+    // the send and doesn't repeat it
+    if (delivery.pendingDispatch) delivery.pendingDispatch.dispatchedAt = timestamp;
+    await this.saveDelivery(delivery);
+
+    const released = await this.completeRelease(delivery, { options, escalation, timestamp });
+    return portalAccess ? { ...released, portalAccess } : released;
+  }
+
+  /**
+   * The rest of a release once the channel has sent: start any escalation
+   * chain and reminder, and persist. Webhook channels POST once the
+   * delivery is stored.
+   */
+  async completeRelease(delivery, { options = {}, escalation = null, timestamp }) {
+    const { deliveryId } = delivery;
+
+    // Escalation policy: later steps are sent by the scheduled sweep
+    if (escalation) {
+      await this.escalations.start(delivery, escalation);
+    }
+
+    if (options.remindAfter != null) {
+      delivery.reminder = this.planReminder(delivery, options);
+    }
+
+    delete delivery.pendingDispatch;
+    await this.saveDelivery(delivery);
+
+    // Scans can only find a delivery that exists
+    if (delivery.dispatch.tracking) {
+      const { trackingNumber, carrier } = delivery.dispatch.tracking;
+      await this.store.putTracking({ trackingNumber, carrier, deliveryId });
+    }
+
+    if (delivery.reminder) {
+      await this.jobs.enqueueAt('reminder', { deliveryId }, delivery.reminder.dueAt, new Date(timestamp));
+    }
+
+    // Webhook channels POST now that there is a delivery for the outcome to
+    // move: from the queue when there is one, so the response doesn't wait
+    if (delivery.dispatch.webhook) {
+      if (!this.queue) return await this.webhooks.attempt(deliveryId, 1);
+      await this.jobs.enqueue('retry', { deliveryId, attempt: 1 });
+    }
+
+    return delivery;
+  }
+
+  // ============ Reminders ============
+
+  /**
+   * Validate options.remindAfter for a method; returns the delay in ms.
+   * Reminders need the queue, and go only over email and SMS.
+   */
+  reminderDelay(method, remindAfter) {
+    if (!REMINDER_METHODS.includes(method)) {
+      throw new DeliveryError(`Reminders are not supported for ${method} deliveries`, 'REMINDER_UNSUPPORTED', 422);
+    }
+    if (!this.queue) {
+      throw new DeliveryError('Reminders need a job queue (DLVR_QUEUE); none is configured', 'QUEUE_UNAVAILABLE', 503);
+    }
+    try {
+      return this.escalations.parseDuration(remindAfter);
+    } catch {
+      throw new DeliveryError(`Invalid remindAfter: ${remindAfter}. Use e.g. '30m', '48h', '5d' or milliseconds`, 'INVALID_REMINDER', 400);
+    }
+  }
+
+  /**
+   * When to remind: remindAfter past sending, held past quiet hours
+   */
+  planReminder(delivery, options) {
+    const due = Date.parse(delivery.sentAt) + this.reminderDelay(delivery.method, options.remindAfter);
+    const plan = this.scheduler.plan({
+      method: delivery.method,
+      address: delivery.address,
+      options: { ...options, sendAt: new Date(due).toISOString() },
+      now: new Date(delivery.sentAt)
+    });
+    return { state: 'SCHEDULED', dueAt: plan.dispatchAt, options, sentAt: null };
+  }
+
+  /**
+   * Run a reminder job: re-send the channel notice unless the recipient has
+   * opened the delivery (or it has ended) in the meantime
+   */
+  async remind(deliveryId, now = new Date()) {
+    const delivery = await this.getDelivery(deliveryId);
+    const reminder = delivery.reminder;
+    if (reminder?.state !== 'SCHEDULED') return delivery;
+
+    if (Date.parse(reminder.dueAt) > now.getTime()) {
+      await this.jobs.enqueueAt('reminder', { deliveryId }, reminder.dueAt, now);
+      return delivery;
+    }
+
+    const timestamp = now.toISOString();
+    if (this.lifecycle.isTerminal(delivery) || this.lifecycle.hasReached(delivery, 'OPENED')) {
+      reminder.state = 'SKIPPED';
+    } else if (await this.suppressions.check(delivery.address)) {
+      // Opted out since the original notice
+      reminder.state = 'SUPPRESSED';
+    } else {
+      const dispatch = await this.channels.dispatch({
+        deliveryId,
+        method: delivery.method,
+        to: delivery.to,
+        address: delivery.address,
+        mintId: delivery.mintId,
+        options: reminder.options,
+        timestamp
+      });
+      reminder.state = 'SENT';
+      reminder.sentAt = timestamp;
+      reminder.messageId = dispatch.messageId || null;
+      this.lifecycle.recordEvent(delivery, 'REMINDER_SENT', {
+        source: `channel:${delivery.method}`,
+        messageId: reminder.messageId,
+        timestamp
+      });
+    }
+
+    delete reminder.options;
+    return await this.saveDelivery(delivery);
+  }
+
   /**
    * Record delivery confirmation from channel
    */
   async confirm(deliveryId, confirmation = {}) {
     const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (this.channels.capabilities(delivery.method)?.confirmation === false) {
+      throw new DeliveryError(
+        `Channel ${delivery.method} does not support delivery confirmation`,
+        'CONFIRMATION_UNSUPPORTED',
+        422,
+        { deliveryId, method: delivery.method }
+      );
+    }
+
+    delivery.confirmation = {
+      ...confirmation,
+      channelConfirmed: true,
+      timestamp
+    };
+    this.lifecycle.transition(delivery, 'DELIVERED', {
+      actor: 'channel',
+      source: confirmation.source || `channel:${delivery.method}`,
+      timestamp
+    });
+    await this.saveDelivery(delivery);
 
     return {
       deliveryId,
       status: 'DELIVERED',
       confirmedAt: timestamp,
-      confirmation: {
-        ...confirmation,
-        channelConfirmed: true,
-        timestamp
-      },
+      confirmation: delivery.confirmation,
       proof: {
         pillar: 'delivery',
-        score: this.calculateDeliveryScore(confirmation.method || 'email', 'DELIVERED')
+        score: delivery.proof.score
       }
     };
   }
 
   /**
-   * Record that recipient opened/viewed the delivery
+   * Record that recipient opened/viewed the delivery.
+   * Views after the first are kept on the delivery without a status change.
    */
   async opened(deliveryId, viewData = {}) {
     const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    const view = {
+      ...viewData,
+      ip: viewData.ip || null,
+      userAgent: viewData.userAgent || null,
+      timestamp
+    };
+
+    const repeat = this.lifecycle.hasReached(delivery, 'OPENED');
+    if (repeat) {
+      delivery.views = [...(delivery.views || []), view];
+    } else {
+      delivery.viewData = view;
+      this.lifecycle.transition(delivery, 'OPENED', {
+        actor: 'recipient',
+        source: viewData.source || 'view',
+        timestamp
+      });
+    }
+    await this.saveDelivery(delivery);
 
     return {
       deliveryId,
-      status: 'OPENED',
-      openedAt: timestamp,
-      viewData: {
-        ...viewData,
-        ip: viewData.ip || null,
-        userAgent: viewData.userAgent || null,
-        timestamp
-      },
+      status: delivery.status,
+      openedAt: delivery.openedAt,
+      repeat,
+      viewData: view,
+      proof: {
+        pillar: 'delivery',
+        score: delivery.proof.score
+      }
+    };
+  }
+
+  /**
+   * Record a tracking-pixel load. The first recipient load moves the
+   * delivery to OPENED; repeats only bump the load count. Likely prefetches
+   * (Apple MPP, mail image proxies) are kept as low-confidence events and
+   * never move the status or score.
+   */
+  async pixelOpen(deliveryId, viewData = {}) {
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+    const { automated, confidence, agent } = classifyOpen(viewData);
+
+    const pixel = delivery.pixel || { loads: 0, prefetches: 0, firstLoadAt: null, lastLoadAt: null };
+    pixel.loads += 1;
+    pixel.firstLoadAt = pixel.firstLoadAt || timestamp;
+    pixel.lastLoadAt = timestamp;
+    delivery.pixel = pixel;
+
+    let recorded = 'repeat';
+    if (automated) {
+      pixel.prefetches += 1;
+      recorded = 'prefetch';
+      // One event per prefetcher; proxies re-fetch freely
+      const seen = (delivery.events || []).some(e => e.event === 'OPEN_PREFETCHED' && e.details?.agent === agent);
+      if (!seen) {
+        this.lifecycle.recordEvent(delivery, 'OPEN_PREFETCHED', {
+          actor: agent,
+          source: 'pixel',
+          timestamp,
+          confidence,
+          agent,
+          ip: viewData.ip || null,
+          userAgent: viewData.userAgent || null
+        });
+      }
+    } else if (!this.lifecycle.hasReached(delivery, 'OPENED') && this.lifecycle.canTransition(delivery.status, 'OPENED')) {
+      recorded = 'opened';
+    }
+
+    await this.saveDelivery(delivery);
+    if (recorded === 'opened') {
+      await this.opened(deliveryId, { ...viewData, source: 'pixel', confidence });
+    }
+
+    return { deliveryId, recorded, confidence, agent };
+  }
+
+  /**
+   * Serve the delivery's document to the recipient and record the view.
+   * The SHA-256 of the exact bytes served is kept on the delivery and
+   * carried into the signed receipt. Likely link scanners and prefetchers
+   * are served too, but only leave a low-confidence DOCUMENT_VIEWED: no
+   * open, no score, no bound content.
+   */
+  async view(deliveryId, viewData = {}) {
+    const delivery = await this.getDelivery(deliveryId);
+
+    const document = await this.documents.get(delivery.mintId);
+    if (!document) {
+      throw new DeliveryError(`Document not found for ${delivery.mintId}`, 'DOCUMENT_NOT_FOUND', 404, { deliveryId, mintId: delivery.mintId });
+    }
+
+    const bytes = document.bytes instanceof Uint8Array ? document.bytes : new Uint8Array(document.bytes);
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    const sha256 = Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('');
+    const content = { mintId: delivery.mintId, sha256, size: bytes.length, contentType: document.contentType, filename: document.filename || null };
+
+    const timestamp = new Date().toISOString();
+    const view = { ip: viewData.ip || null, userAgent: viewData.userAgent || null, source: 'view', contentSha256: sha256 };
+    const { automated, confidence, agent } = classifyOpen(viewData);
+    if (automated) {
+      // One event per scanner; they re-fetch freely
+      const seen = (delivery.events || []).some(e => e.event === 'DOCUMENT_VIEWED' && e.details?.agent === agent);
+      if (!seen) {
+        this.lifecycle.recordEvent(delivery, 'DOCUMENT_VIEWED', { actor: agent, timestamp, ...view, confidence, agent });
+        await this.saveDelivery(delivery);
+      }
+      return { deliveryId, ...content, bytes };
+    }
+
+    if (delivery.content && delivery.content.sha256 !== sha256) {
+      // The source served different bytes than before; the receipt binds the latest
+      this.lifecycle.recordEvent(delivery, 'DOCUMENT_CHANGED', {
+        actor: 'system',
+        source: 'view',
+        timestamp,
+        previousSha256: delivery.content.sha256,
+        sha256
+      });
+    }
+    delivery.content = { ...content, servedAt: timestamp };
+
+    if (this.lifecycle.hasReached(delivery, 'OPENED') || this.lifecycle.canTransition(delivery.status, 'OPENED')) {
+      await this.saveDelivery(delivery);
+      await this.opened(deliveryId, view);
+    } else {
+      // Still served (a refusing recipient may read what they refused), but not an open
+      this.lifecycle.recordEvent(delivery, 'DOCUMENT_VIEWED', { actor: 'recipient', timestamp, ...view });
+      await this.saveDelivery(delivery);
+    }
+
+    return { deliveryId, ...content, bytes };
+  }
+
+  /**
+   * Record the recipient's explicit acknowledgment of receipt
+   * ("I acknowledge receipt of DM-…"). The statement is carried into the
+   * signed receipt payload.
+   */
+  async acknowledge(deliveryId, options = {}) {
+    const { statement, ip, userAgent, signer } = options;
+
+    if (!statement || typeof statement !== 'string' || !statement.trim()) {
+      throw new Error('statement is required and must be a non-empty string');
+    }
+
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    delivery.acknowledgment = {
+      statement: statement.trim(),
+      acknowledgedBy: signer || delivery.to || null,
+      ip: ip || null,
+      userAgent: userAgent || null,
+      timestamp
+    };
+    this.lifecycle.transition(delivery, 'ACKNOWLEDGED', {
+      actor: delivery.acknowledgment.acknowledgedBy || 'recipient',
+      source: 'acknowledgment',
+      timestamp
+    });
+    await this.saveDelivery(delivery);
+
+    return {
+      deliveryId,
+      status: 'ACKNOWLEDGED',
+      acknowledgedAt: timestamp,
+      acknowledgment: delivery.acknowledgment,
       proof: {
         pillar: 'delivery',
-        score: this.calculateDeliveryScore(viewData.method || 'email', 'OPENED')
+        score: delivery.proof.score
       }
     };
   }
@@ -151,31 +686,732 @@ export class ChittyDLVR {
    * Create a signed receipt (cryptographic proof of receipt)
    */
   async receipt(deliveryId, options = {}) {
-    return await this.receipts.create({
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    const method = options.method || 'digital';
+
+    // Refuse before signing anything the delivery can't back up
+    this.lifecycle.assertTransition(delivery, 'RECEIPTED');
+
+    // A witness receipt is only as good as the witness's own signature
+    let witnessAttestation = null;
+    if (method === 'witness') {
+      witnessAttestation = delivery.witnessAttestationId
+        ? await this.store.getAttestation(delivery.witnessAttestationId)
+        : null;
+      if (!witnessAttestation) {
+        throw new DeliveryError(
+          'A witness receipt requires a signed witness attestation',
+          'WITNESS_ATTESTATION_REQUIRED',
+          422,
+          { deliveryId }
+        );
+      }
+    }
+
+    const receipt = await this.receipts.create({
       deliveryId,
       signer: options.signer,
-      method: options.method || 'digital',
-      timestamp: new Date().toISOString()
+      method,
+      acknowledgment: delivery.acknowledgment || null,
+      witnessAttestation,
+      content: delivery.content || null,
+      timestamp
+    });
+
+    delivery.receiptId = receipt.receiptId;
+    this.lifecycle.transition(delivery, 'RECEIPTED', {
+      actor: options.signer || 'recipient',
+      source: 'receipt',
+      timestamp,
+      receiptId: receipt.receiptId
     });
+    await this.saveDelivery(delivery);
+
+    return receipt;
   }
 
   /**
-   * Get full delivery status with timeline
+   * Record the recipient's refusal of a delivery and issue a signed
+   * refusal record. A documented refusal is still evidence of tender.
    */
-  async status(deliveryId) {
+  async decline(deliveryId, options = {}) {
+    const { reason = null, ip = null, userAgent = null, refusedBy } = options;
+
+    if (reason !== null && typeof reason !== 'string') {
+      throw new Error('reason must be a string');
+    }
+
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    this.lifecycle.assertTransition(delivery, 'REFUSED');
+
+    const record = await this.receipts.createRefusal({
+      deliveryId,
+      mintId: delivery.mintId,
+      refusedBy: refusedBy || delivery.to || 'recipient',
+      reason,
+      ip,
+      userAgent,
+      timestamp
+    });
+
+    delivery.refusal = { reason, ip, userAgent, timestamp, receiptId: record.receiptId };
+    delivery.receiptId = record.receiptId;
+    this.lifecycle.transition(delivery, 'REFUSED', {
+      actor: record.refusedBy,
+      source: 'decline',
+      timestamp,
+      receiptId: record.receiptId
+    });
+    await this.saveDelivery(delivery);
+
     return {
       deliveryId,
-      status: 'PENDING',
-      timeline: [],
-      receipt: null,
+      status: 'REFUSED',
+      refusedAt: timestamp,
+      refusal: delivery.refusal,
+      receipt: record,
       proof: {
         pillar: 'delivery',
-        score: 0
-      },
+        score: delivery.proof.score
+      }
+    };
+  }
+
+  /**
+   * Ingest a bounce report (RFC 3464 DSN or provider JSON). Final failures
+   * move the matching delivery to BOUNCED (hard) or FAILED (soft); delayed
+   * notices are kept on its timeline without a status change.
+   */
+  async ingestBounce(report, contentType = '') {
+    const notices = parseBounce(report, contentType);
+    const results = [];
+
+    for (const bounce of notices) {
+      if (!bounce.deliveryId) {
+        results.push({ ...bounce, matched: false, applied: false });
+        continue;
+      }
+
+      try {
+        results.push(await this.recordBounce(bounce));
+      } catch (error) {
+        results.push({ ...bounce, matched: error.code !== 'DELIVERY_NOT_FOUND', applied: false, error: error.message });
+      }
+    }
+
+    return {
+      received: notices.length,
+      applied: results.filter(r => r.applied).length,
+      results
+    };
+  }
+
+  /**
+   * Apply one normalized bounce notice to its delivery
+   */
+  async recordBounce(bounce) {
+    const delivery = await this.getDelivery(bounce.deliveryId);
+    const meta = {
+      actor: bounce.provider,
+      source: 'bounce',
+      bounceType: bounce.bounceType,
+      statusCode: bounce.statusCode,
+      diagnosticCode: bounce.diagnosticCode,
+      recipient: bounce.recipient
+    };
+
+    if (bounce.action !== 'failed') {
+      this.lifecycle.recordEvent(delivery, `BOUNCE_${bounce.action.toUpperCase()}`, meta);
+      await this.saveDelivery(delivery);
+      return { ...bounce, matched: true, applied: false, status: delivery.status };
+    }
+
+    const status = bounce.bounceType === 'hard' ? 'BOUNCED' : 'FAILED';
+    delivery.bounce = {
+      bounceType: bounce.bounceType,
+      statusCode: bounce.statusCode,
+      diagnosticCode: bounce.diagnosticCode,
+      recipient: bounce.recipient,
+      provider: bounce.provider,
+      reportedAt: bounce.timestamp
+    };
+    this.lifecycle.transition(delivery, status, meta);
+    await this.saveDelivery(delivery);
+
+    // A hard bounce means the address is dead: stop sending to it
+    if (status === 'BOUNCED') {
+      const address = bounce.recipient || delivery.address;
+      try {
+        await this.suppressions.add({ address, reason: 'HARD_BOUNCE', source: `bounce:${bounce.provider}`, deliveryId: delivery.deliveryId });
+      } catch (error) {
+        console.error(`Could not suppress bounced address ${address}:`, error.message);
+      }
+    }
+
+    return { ...bounce, matched: true, applied: true, status };
+  }
+
+  // ============ Carrier Tracking ============
+
+  /**
+   * Validate a carrier tracking number offline and build the tracking record
+   */
+  buildTracking({ carrier = null, trackingNumber, returnReceiptNumber = null } = {}) {
+    const result = validateTrackingNumber(trackingNumber, carrier);
+    if (!result.valid) {
+      throw new DeliveryError(
+        `Invalid tracking number: ${result.reason}`,
+        'INVALID_TRACKING_NUMBER',
+        400,
+        { trackingNumber: result.trackingNumber, carrier: result.carrier }
+      );
+    }
+
+    let returnReceipt = null;
+    if (returnReceiptNumber) {
+      returnReceipt = validateTrackingNumber(returnReceiptNumber, 'usps');
+      if (!returnReceipt.valid) {
+        throw new DeliveryError(
+          `Invalid return receipt number: ${returnReceipt.reason}`,
+          'INVALID_TRACKING_NUMBER',
+          400,
+          { returnReceiptNumber: returnReceipt.trackingNumber }
+        );
+      }
+    }
+
+    return {
+      carrier: result.carrier,
+      trackingNumber: result.trackingNumber,
+      format: result.format,
+      service: result.service,
+      certified: result.service === 'certified',
+      returnReceiptNumber: returnReceipt?.trackingNumber || null,
+      attachedAt: new Date().toISOString(),
+      lastScan: null
+    };
+  }
+
+  /**
+   * Attach (or replace) the carrier tracking number of a physical delivery
+   */
+  async attachTracking(deliveryId, options = {}) {
+    const delivery = await this.getDelivery(deliveryId);
+    if (delivery.method !== 'physical') {
+      throw new DeliveryError(
+        `Tracking numbers apply to physical deliveries, not ${delivery.method}`,
+        'TRACKING_UNSUPPORTED',
+        422,
+        { deliveryId, method: delivery.method }
+      );
+    }
+
+    this.assertDispatched(delivery);
+
+    const tracking = this.buildTracking(options);
+    const existing = await this.store.getTracking(tracking.trackingNumber);
+    if (existing && existing.deliveryId !== deliveryId) {
+      throw new DeliveryError(
+        `Tracking number ${tracking.trackingNumber} is already attached to another delivery`,
+        'TRACKING_IN_USE',
+        409,
+        { trackingNumber: tracking.trackingNumber }
+      );
+    }
+
+    const replaced = delivery.dispatch.trackingNumber;
+    Object.assign(delivery.dispatch, { carrier: tracking.carrier, trackingNumber: tracking.trackingNumber, tracking });
+    this.lifecycle.recordEvent(delivery, 'TRACKING_ATTACHED', {
+      source: `carrier:${tracking.carrier}`,
+      carrier: tracking.carrier,
+      trackingNumber: tracking.trackingNumber,
+      service: tracking.service,
+      ...(replaced && replaced !== tracking.trackingNumber ? { replaced } : {})
+    });
+    await this.saveDelivery(delivery);
+
+    await this.store.putTracking({ trackingNumber: tracking.trackingNumber, carrier: tracking.carrier, deliveryId });
+    if (replaced && replaced !== tracking.trackingNumber) {
+      await this.store.removeTracking(replaced);
+    }
+    return delivery;
+  }
+
+  /**
+   * Ingest carrier scan events. DELIVERED and REFUSED scans move the delivery;
+   * undeliverable/returned scans fail it; everything else lands on its
+   * timeline as an event.
+   */
+  async ingestScans(input) {
+    const scans = parseScanEvents(input);
+    const results = [];
+
+    for (const scan of scans) {
+      try {
+        results.push(await this.recordScan(scan));
+      } catch (error) {
+        results.push({ ...scan, matched: error.code !== 'TRACKING_NOT_FOUND', applied: false, error: error.message });
+      }
+    }
+
+    return {
+      received: scans.length,
+      applied: results.filter(r => r.applied).length,
+      results
+    };
+  }
+
+  /**
+   * Apply one normalized scan to the delivery its tracking number belongs to
+   */
+  async recordScan(scan) {
+    const index = await this.store.getTracking(scan.trackingNumber);
+    if (!index) {
+      throw new DeliveryError(`No delivery for tracking number ${scan.trackingNumber}`, 'TRACKING_NOT_FOUND', 404);
+    }
+
+    const delivery = await this.getDelivery(index.deliveryId);
+    const carrier = scan.carrier || index.carrier;
+    const meta = {
+      actor: carrier,
+      source: `carrier:${carrier}`,
+      timestamp: scan.timestamp,
+      scan: scan.status,
+      code: scan.code,
+      description: scan.description,
+      location: scan.location
+    };
+
+    // Replayed scan — already on the timeline
+    const seen = [...delivery.statusHistory, ...(delivery.events || [])]
+      .some(e => e.details?.scan === scan.status && e.timestamp === scan.timestamp);
+    if (seen) {
+      return { ...scan, deliveryId: delivery.deliveryId, matched: true, applied: false, duplicate: true, status: delivery.status };
+    }
+
+    if (delivery.dispatch?.tracking) delivery.dispatch.tracking.lastScan = { status: scan.status, timestamp: scan.timestamp, location: scan.location };
+
+    const target = SCAN_TRANSITIONS[scan.status];
+    if (!target || !this.lifecycle.canTransition(delivery.status, target)) {
+      this.lifecycle.recordEvent(delivery, `CARRIER_${scan.status}`, meta);
+      await this.saveDelivery(delivery);
+      return { ...scan, deliveryId: delivery.deliveryId, matched: true, applied: false, status: delivery.status };
+    }
+
+    if (target === 'REFUSED') {
+      // A carrier-documented refusal is tender evidence like a recipient decline
+      const record = await this.receipts.createRefusal({
+        deliveryId: delivery.deliveryId,
+        mintId: delivery.mintId,
+        refusedBy: delivery.to || 'recipient',
+        reason: scan.description || 'Refused at delivery',
+        timestamp: scan.timestamp
+      });
+      delivery.refusal = { reason: record.reason, ip: null, userAgent: null, timestamp: scan.timestamp, receiptId: record.receiptId, carrier };
+      delivery.receiptId = record.receiptId;
+      meta.receiptId = record.receiptId;
+    }
+
+    this.lifecycle.transition(delivery, target, meta);
+    await this.saveDelivery(delivery);
+    return { ...scan, deliveryId: delivery.deliveryId, matched: true, applied: true, status: target };
+  }
+
+  /**
+   * Record the return receipt for a physical delivery (scanned green card
+   * or carrier electronic signature) and issue a signed physical receipt
+   */
+  async returnReceipt(deliveryId, options = {}) {
+    const { signedBy, signedAt = null, returnReceiptNumber = null } = options;
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (delivery.method !== 'physical') {
+      throw new DeliveryError(
+        `Return receipts apply to physical deliveries, not ${delivery.method}`,
+        'RETURN_RECEIPT_UNSUPPORTED',
+        422,
+        { deliveryId, method: delivery.method }
+      );
+    }
+    if (!signedBy || typeof signedBy !== 'string') {
+      throw new DeliveryError('signedBy is required', 'INVALID_RETURN_RECEIPT', 400);
+    }
+    if (signedAt !== null && Number.isNaN(new Date(signedAt).getTime())) {
+      throw new DeliveryError(`Invalid signedAt: ${signedAt}`, 'INVALID_RETURN_RECEIPT', 400);
+    }
+    this.assertDispatched(delivery);
+
+    const tracking = delivery.dispatch.tracking;
+    let cardNumber = tracking?.returnReceiptNumber || null;
+    if (returnReceiptNumber) {
+      const checked = this.buildTracking({ carrier: 'usps', trackingNumber: returnReceiptNumber });
+      if (cardNumber && cardNumber !== checked.trackingNumber) {
+        throw new DeliveryError(
+          `Return receipt ${checked.trackingNumber} does not match ${cardNumber} on this delivery`,
+          'RETURN_RECEIPT_MISMATCH',
+          409,
+          { deliveryId }
+        );
+      }
+      cardNumber = checked.trackingNumber;
+    }
+
+    this.lifecycle.assertTransition(delivery, 'RECEIPTED');
+
+    let evidence;
+    try {
+      evidence = await this.receipts.digestEvidence(options);
+    } catch (error) {
+      throw new DeliveryError(error.message, 'INVALID_RETURN_RECEIPT', 400);
+    }
+
+    const deliveredAt = signedAt ? new Date(signedAt).toISOString() : null;
+    const receipt = await this.receipts.createPhysicalReceipt({
+      deliveryId,
+      mintId: delivery.mintId,
+      carrier: tracking?.carrier || null,
+      trackingNumber: tracking?.trackingNumber || null,
+      returnReceiptNumber: cardNumber,
+      signedBy,
+      evidence,
+      deliveredAt,
+      timestamp
+    });
+
+    delivery.receiptId = receipt.receiptId;
+    delivery.returnReceipt = { signedBy, deliveredAt, returnReceiptNumber: cardNumber, evidence, receiptId: receipt.receiptId };
+    this.lifecycle.transition(delivery, 'RECEIPTED', {
+      actor: signedBy,
+      source: 'return-receipt',
+      timestamp,
+      receiptId: receipt.receiptId,
+      evidenceSha256: evidence.sha256
+    });
+    await this.saveDelivery(delivery);
+
+    return receipt;
+  }
+
+  // ============ In-Person Hand-off ============
+
+  /**
+   * Record an in-person hand-off with the courier's device geolocation.
+   * geoVerified is computed against the delivery's target location.
+   */
+  async recordHandoff(deliveryId, options = {}) {
+    const { geolocation = null, handedTo = null, actor = 'courier', notes = null } = options;
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (delivery.method !== 'inPerson') {
+      throw new DeliveryError(
+        `Hand-offs apply to inPerson deliveries, not ${delivery.method}`,
+        'HANDOFF_UNSUPPORTED',
+        422,
+        { deliveryId, method: delivery.method }
+      );
+    }
+
+    this.assertDispatched(delivery);
+    const evidence = normalizeGeolocation(geolocation);
+    this.lifecycle.assertTransition(delivery, 'DELIVERED');
+
+    const geofence = checkGeofence(evidence, delivery.dispatch.target || null, {
+      ...this.geofence,
+      radiusMeters: delivery.dispatch.radiusMeters ?? this.geofence.radiusMeters
+    });
+
+    delivery.dispatch = {
+      ...delivery.dispatch,
+      geolocation: evidence,
+      geofence,
+      geoVerified: geofence.verified,
+      handedTo,
+      notes
+    };
+    this.lifecycle.transition(delivery, 'DELIVERED', {
+      actor,
+      source: 'channel:inPerson',
+      timestamp,
+      geoVerified: geofence.verified,
+      distanceMeters: geofence.distanceMeters
+    });
+    await this.saveDelivery(delivery);
+
+    return delivery;
+  }
+
+  // ============ Portal Access ============
+
+  /**
+   * Issue another portal access token for a portal delivery. The token
+   * never outlives the delivery's portal expiry.
+   */
+  async issuePortalToken(deliveryId, options = {}) {
+    const delivery = await this.portalDelivery(deliveryId);
+    this.assertDispatched(delivery);
+    return await this.portalTokens.issue({
+      deliveryId,
+      scope: options.scope,
+      ttlSeconds: options.ttlSeconds,
+      expiresAt: delivery.dispatch.expiresAt
+    });
+  }
+
+  /**
+   * Validate a portal access token and log the access as OPENED
+   */
+  async portalAccess(deliveryId, token, viewData = {}) {
+    const claims = await this.portalTokens.verify(token, { deliveryId, scope: 'view' });
+    await this.portalDelivery(deliveryId);
+
+    const result = await this.opened(deliveryId, {
+      ip: viewData.ip || null,
+      userAgent: viewData.userAgent || null,
+      source: 'portal',
+      tokenId: claims.jti
+    });
+
+    return {
+      ...result,
+      access: {
+        tokenId: claims.jti,
+        scope: claims.scope,
+        expiresAt: new Date(claims.exp * 1000).toISOString()
+      }
+    };
+  }
+
+  async portalDelivery(deliveryId) {
+    const delivery = await this.getDelivery(deliveryId);
+    if (delivery.method !== 'portal') {
+      throw new DeliveryError(
+        `Portal access applies to portal deliveries, not ${delivery.method}`,
+        'PORTAL_UNSUPPORTED',
+        422,
+        { deliveryId, method: delivery.method }
+      );
+    }
+    return delivery;
+  }
+
+  // ============ Witness Attestation ============
+
+  /**
+   * Record a witness's self-signed attestation to an in-person hand-off.
+   * The signature (key or passkey) must verify over attestationPayload().
+   */
+  async attestWitness(deliveryId, attestation = {}) {
+    const timestamp = new Date().toISOString();
+    const delivery = await this.getDelivery(deliveryId);
+
+    if (delivery.method !== 'inPerson') {
+      throw new DeliveryError(
+        `Witness attestations apply to inPerson deliveries, not ${delivery.method}`,
+        'WITNESS_UNSUPPORTED',
+        422,
+        { deliveryId, method: delivery.method }
+      );
+    }
+    if (this.lifecycle.isTerminal(delivery)) {
+      throw new DeliveryError(
+        `Delivery ${deliveryId} is ${delivery.status}; it can no longer be attested`,
+        'WITNESS_CLOSED',
+        409,
+        { deliveryId, status: delivery.status }
+      );
+    }
+
+    const witness = normalizeAttestation(attestation);
+    const credential = await this.witnessCredential(witness.chittyId, attestation.signature);
+    const payload = attestationPayload({ deliveryId, mintId: delivery.mintId, ...witness });
+    const signature = await verifyWitnessSignature(payload, attestation.signature, credential, this.webauthn);
+    const digest = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(payload));
+
+    const record = await this.store.putAttestation({
+      attestationId: this.generateAttestationId(),
+      deliveryId,
+      mintId: delivery.mintId,
+      witness: { name: witness.name, chittyId: witness.chittyId, contact: witness.contact },
+      statement: witness.statement,
+      attestedAt: witness.attestedAt,
+      payload,
+      payloadSha256: Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join(''),
+      signature,
+      recordedAt: timestamp
+    });
+
+    delivery.witnessAttestationId = record.attestationId;
+    delivery.dispatch = {
+      ...delivery.dispatch,
+      witness: { attestationId: record.attestationId, name: witness.name, chittyId: witness.chittyId }
+    };
+    this.lifecycle.recordEvent(delivery, 'WITNESS_ATTESTED', {
+      actor: witness.chittyId || witness.name,
+      source: 'witness',
+      timestamp,
+      attestationId: record.attestationId,
+      signatureType: signature.type
+    });
+    await this.saveDelivery(delivery);
+
+    return record;
+  }
+
+  /**
+   * Register a witness's signing key or passkey under their chittyId.
+   * Attestations are only accepted with a registered credential.
+   */
+  async registerWitnessCredential(credential = {}) {
+    const record = await normalizeCredential(credential);
+    return await this.store.putWitnessCredential({ ...record, registeredAt: new Date().toISOString() });
+  }
+
+  /**
+   * The registered credential an attestation's signature names, or
+   * WITNESS_CREDENTIAL_UNKNOWN
+   */
+  async witnessCredential(chittyId, signature = {}) {
+    if (!chittyId) {
+      throw new DeliveryError('Signed attestations need the witness chittyId', 'INVALID_WITNESS_ATTESTATION', 400);
+    }
+    if (!signature.credentialId || typeof signature.credentialId !== 'string') {
+      throw new DeliveryError('signature.credentialId is required', 'INVALID_WITNESS_ATTESTATION', 400);
+    }
+
+    const credential = await this.store.getWitnessCredential(chittyId, signature.credentialId);
+    if (!credential) {
+      throw new DeliveryError(
+        `Credential ${signature.credentialId} is not registered for ${chittyId}`,
+        'WITNESS_CREDENTIAL_UNKNOWN',
+        403,
+        { chittyId, credentialId: signature.credentialId }
+      );
+    }
+    return credential;
+  }
+
+  /**
+   * Public view of a delivery for /track/:id — status and timestamps only.
+   * Addresses, dispatch details, IPs and evidence stay behind status().
+   * Returns null when the delivery is unknown.
+   */
+  async publicStatus(deliveryId) {
+    const delivery = await this.store.getDelivery(deliveryId);
+    if (!delivery) return null;
+
+    return {
+      deliveryId,
+      method: delivery.method,
+      status: delivery.status,
+      timeline: delivery.statusHistory.map(({ status, timestamp }) => ({ status, timestamp })),
+      createdAt: delivery.createdAt,
+      sentAt: delivery.sentAt,
+      deliveredAt: delivery.deliveredAt,
+      openedAt: delivery.openedAt || null,
+      acknowledgedAt: delivery.acknowledgedAt || null,
+      receiptedAt: delivery.receiptedAt,
+      receiptId: delivery.receiptId || null,
+      receiptUrl: delivery.receiptId ? delivery.receiptUrl : null,
+      checkedAt: new Date().toISOString()
+    };
+  }
+
+  /**
+   * Get full delivery status with timeline (authenticated callers only).
+   * Returns null when the delivery is unknown.
+   */
+  async status(deliveryId) {
+    const delivery = await this.store.getDelivery(deliveryId);
+    if (!delivery) return null;
+
+    const receipt = delivery.receiptId
+      ? await this.store.getReceipt(delivery.receiptId)
+      : null;
+    const escalation = delivery.escalationId
+      ? await this.escalations.summary(delivery.escalationId)
+      : null;
+
+    return {
+      deliveryId,
+      mintId: delivery.mintId,
+      to: delivery.to,
+      method: delivery.method,
+      status: delivery.status,
+      timeline: this.lifecycle.timeline(delivery),
+      dispatch: delivery.dispatch,
+      schedule: delivery.schedule || null,
+      reminder: delivery.reminder ? { ...delivery.reminder, options: undefined } : null,
+      receipt,
+      proof: delivery.proof,
+      createdAt: delivery.createdAt,
+      sentAt: delivery.sentAt,
+      deliveredAt: delivery.deliveredAt,
+      openedAt: delivery.openedAt || null,
+      acknowledgedAt: delivery.acknowledgedAt || null,
+      acknowledgment: delivery.acknowledgment || null,
+      refusal: delivery.refusal || null,
+      bounce: delivery.bounce || null,
+      pixel: delivery.pixel || null,
+      content: delivery.content || null,
+      tracking: delivery.dispatch?.tracking || null,
+      returnReceipt: delivery.returnReceipt || null,
+      witness: delivery.dispatch?.witness || null,
+      escalation,
+      receiptedAt: delivery.receiptedAt,
+      trackingUrl: delivery.trackingUrl,
+      receiptUrl: delivery.receiptUrl,
       checkedAt: new Date().toISOString()
     };
   }
 
+  /**
+   * Move a stored delivery to a new status and persist it
+   */
+  async transition(deliveryId, status, meta = {}) {
+    const delivery = await this.getDelivery(deliveryId);
+    this.lifecycle.transition(delivery, status, meta);
+    return await this.saveDelivery(delivery);
+  }
+
+  /**
+   * Persist a delivery, then send the status webhooks its transitions staged
+   */
+  async saveDelivery(delivery) {
+    await this.store.putDelivery(delivery);
+    await this.webhooks.flush(delivery);
+    return delivery;
+  }
+
+  /**
+   * Throw NOT_DISPATCHED for a delivery still waiting in the queue; it has
+   * no dispatch record to attach tracking, hand-offs or tokens to yet
+   */
+  assertDispatched(delivery) {
+    if (!delivery.dispatch) {
+      throw new DeliveryError(
+        `Delivery ${delivery.deliveryId} has not been dispatched yet (${delivery.status})`,
+        'NOT_DISPATCHED',
+        409,
+        { deliveryId: delivery.deliveryId, status: delivery.status }
+      );
+    }
+  }
+
+  /**
+   * Load a delivery or throw DELIVERY_NOT_FOUND
+   */
+  async getDelivery(deliveryId) {
+    const delivery = await this.store.getDelivery(deliveryId);
+    if (!delivery) throw deliveryNotFound(deliveryId);
+    return delivery;
+  }
+
   /**
    * Initiate legal service of process
    */
@@ -187,6 +1423,13 @@ export class ChittyDLVR {
     });
   }
 
+  /**
+   * Record a service attempt with the process server's device geolocation
+   */
+  async recordAttempt(serviceId, attempt = {}) {
+    return await this.service.recordAttempt(serviceId, attempt);
+  }
+
   /**
    * Record proof of service (affidavit from process server)
    */
@@ -226,7 +1469,8 @@ export class ChittyDLVR {
           to: recipient.to,
           method: recipient.method,
           status: 'FAILED',
-          error: error.message
+          error: error.message,
+          code: error.code || null
         });
       }
     }
@@ -235,7 +1479,9 @@ export class ChittyDLVR {
       bulkId: this.generateBulkId(),
       mintId,
       totalRecipients: recipients.length,
-      sent: results.filter(r => r.status === 'SENT').length,
+      // Dispatched: SENT, or already further along (an api webhook comes back DELIVERED)
+      sent: results.filter(r => r.status !== 'FAILED' && r.status !== 'PENDING').length,
+      queued: results.filter(r => r.status === 'PENDING').length,
       failed: results.filter(r => r.status === 'FAILED').length,
       deliveries: results,
       createdAt: new Date().toISOString()
@@ -245,16 +1491,6 @@ export class ChittyDLVR {
   // ============ Scoring ============
 
   calculateDeliveryScore(method, status) {
-    const methodScores = {
-      legalService: 95,
-      inPerson: 90,
-      portal: 85,
-      email: 70,
-      sms: 60,
-      api: 65,
-      physical: 75
-    };
-
     const statusMultipliers = {
       PENDING: 0,
       SENT: 0.3,
@@ -267,7 +1503,8 @@ export class ChittyDLVR {
       REFUSED: 0.5
     };
 
-    const baseScore = methodScores[method] || 50;
+    // Base score comes from the channel adapter registry
+    const baseScore = this.channels.capabilities(method)?.baseScore ?? 50;
     const multiplier = statusMultipliers[status] || 0;
 
     return Math.round(baseScore * multiplier);
@@ -282,6 +1519,13 @@ export class ChittyDLVR {
     return `DD-${Date.now().toString(36)}-${random}`.toUpperCase();
   }
 
+  generateAttestationId() {
+    const bytes = new Uint8Array(6);
+    crypto.getRandomValues(bytes);
+    const random = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `DW-${Date.now().toString(36)}-${random}`.toUpperCase();
+  }
+
   generateBulkId() {
     const bytes = new Uint8Array(4);
     crypto.getRandomValues(bytes);
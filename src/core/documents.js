@@ -0,0 +1,76 @@
+/**
+ * Document Sources
+ * Where the document behind a delivery's mintId comes from when the
+ * recipient opens /view/:deliveryId.
+ *
+ * A document source implements:
+ *   get(mintId) → { bytes: Uint8Array, contentType, filename } | null
+ *
+ * The memory source holds documents put into it; it is the local stand-in
+ * for DocuMint in tests and development.
+ */
+
+export class MemoryDocumentSource {
+  constructor(documents = {}) {
+    this.name = 'memory';
+    this._documents = new Map();
+    for (const [mintId, document] of Object.entries(documents)) this.put(mintId, document);
+  }
+
+  put(mintId, { bytes, contentType = 'application/octet-stream', filename = null }) {
+    this._documents.set(mintId, { bytes: toBytes(bytes), contentType, filename });
+  }
+
+  async get(mintId) {
+    const document = this._documents.get(mintId);
+    return document ? { ...document, bytes: document.bytes.slice() } : null;
+  }
+}
+
+/**
+ * DocuMint document API, over HTTP or a Workers service binding
+ * (GET <baseUrl>/documents/:mintId/content)
+ */
+export class DocuMintDocumentSource {
+  constructor({ baseUrl = 'https://api.chitty.cc/documint/v1', apiKey = null, binding = null, fetch: fetchImpl = null } = {}) {
+    this.name = 'documint';
+    this.baseUrl = baseUrl.replace(/\/+$/, '');
+    this.apiKey = apiKey;
+    this.fetch = binding ? binding.fetch.bind(binding) : (fetchImpl || globalThis.fetch.bind(globalThis));
+  }
+
+  async get(mintId) {
+    const headers = this.apiKey ? { 'Authorization': `Bearer ${this.apiKey}` } : {};
+    const response = await this.fetch(`${this.baseUrl}/documents/${encodeURIComponent(mintId)}/content`, { headers });
+
+    if (response.status === 404) return null;
+    if (!response.ok) throw new Error(`DocuMint returned HTTP ${response.status} for ${mintId}`);
+
+    return {
+      bytes: new Uint8Array(await response.arrayBuffer()),
+      contentType: response.headers.get('Content-Type') || 'application/octet-stream',
+      filename: filenameFrom(response.headers.get('Content-Disposition'))
+    };
+  }
+}
+
+/**
+ * Pick a document source from Worker bindings: DocuMint service binding
+ * (DOCUMINT) first, then DOCUMINT_URL, else null (callers fall back to memory)
+ */
+export function createDocumentSource(env = {}) {
+  if (env.DOCUMINT) return new DocuMintDocumentSource({ binding: env.DOCUMINT, apiKey: env.DOCUMINT_API_KEY || null });
+  if (env.DOCUMINT_URL) return new DocuMintDocumentSource({ baseUrl: env.DOCUMINT_URL, apiKey: env.DOCUMINT_API_KEY || null });
+  return null;
+}
+
+function toBytes(bytes) {
+  if (bytes instanceof Uint8Array) return bytes.slice();
+  if (bytes instanceof ArrayBuffer) return new Uint8Array(bytes.slice(0));
+  return new TextEncoder().encode(String(bytes));
+}
+
+function filenameFrom(disposition) {
+  const match = disposition?.match(/filename="?([^";]+)"?/i);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,39 @@
+/**
+ * Delivery Errors
+ * Typed errors raised by the core engines. `code` is stable for callers to
+ * branch on; `status` is the HTTP status the worker answers with.
+ */
+
+export class DeliveryError extends Error {
+  constructor(message, code, status = 400, details = {}) {
+    super(message);
+    this.name = 'DeliveryError';
+    this.code = code;
+    this.status = status;
+    this.details = details;
+  }
+}
+
+/**
+ * Raised when a delivery is asked to move to a status its current status
+ * does not allow (e.g. receipting a BOUNCED delivery).
+ */
+export class TransitionError extends DeliveryError {
+  constructor(deliveryId, from, to) {
+    super(
+      `Illegal delivery transition for ${deliveryId}: ${from} → ${to}`,
+      'ILLEGAL_TRANSITION',
+      409,
+      { deliveryId, from, to }
+    );
+    this.name = 'TransitionError';
+    this.from = from;
+    this.to = to;
+  }
+}
+
+export function deliveryNotFound(deliveryId) {
+  return new DeliveryError(`Delivery not found: ${deliveryId}`, 'DELIVERY_NOT_FOUND', 404, { deliveryId });
+}
+
+export default DeliveryError;
@@ -0,0 +1,305 @@
+/**
+ * Escalation Engine
+ * Walks a delivery down a chain of channels until it reaches a target status.
+ *
+ * A policy looks like:
+ *
+ *   {
+ *     until: 'RECEIPTED',
+ *     steps: [
+ *       { method: 'sms', address: '+13125550100', after: '48h' },
+ *       { method: 'physical', address: '123 Main St, Chicago, IL 60601', after: '5d' },
+ *       { method: 'legalService', after: '10d' }
+ *     ]
+ *   }
+ *
+ * `after` is measured from the original send. A step fires early when the
+ * current delivery fails outright (FAILED or BOUNCED). A refusal ends the
+ * chain: it is already evidence of tender.
+ *
+ * A step whose send fails for a reason that can pass (a rate limit, a
+ * transport or storage error) is tried again after a backoff, or after the
+ * limit's retryAfterSeconds; the chain moves past it only once it is sent,
+ * or once it fails for good (a DeliveryError, or MAX_STEP_ATTEMPTS tries).
+ *
+ * The original delivery and every escalated one share an escalationId, so
+ * the chain's timeline can be read back as one effort.
+ */
+
+import { DeliveryError } from './errors.js';
+
+const ESCALATION_TARGETS = ['DELIVERED', 'OPENED', 'ACKNOWLEDGED', 'RECEIPTED'];
+const DURATION_UNITS = { m: 60 * 1000, h: 60 * 60 * 1000, d: 24 * 60 * 60 * 1000 };
+const MAX_STEP_ATTEMPTS = 5;
+const STEP_RETRY_BASE_MS = 15 * 60 * 1000;
+
+export class EscalationEngine {
+  constructor(dlvr) {
+    this.dlvr = dlvr;
+  }
+
+  /**
+   * Start an escalation chain with `delivery` as its first step
+   */
+  async start(delivery, policy = {}) {
+    const { until, steps } = this.normalize(policy);
+    const startedAt = delivery.sentAt || delivery.createdAt;
+
+    const escalation = {
+      escalationId: this.generateEscalationId(),
+      mintId: delivery.mintId,
+      to: delivery.to,
+      until,
+      steps,
+      deliveries: [{ deliveryId: delivery.deliveryId, method: delivery.method, step: 0 }],
+      currentStep: 0,
+      retry: null,
+      status: 'ACTIVE',
+      history: [{ event: 'STARTED', deliveryId: delivery.deliveryId, timestamp: startedAt }],
+      startedAt,
+      nextCheckAt: this.dueAt(startedAt, steps[0]),
+      closedAt: null
+    };
+
+    delivery.escalationId = escalation.escalationId;
+    delivery.escalationStep = 0;
+
+    await this.dlvr.store.putEscalation(escalation);
+    return escalation;
+  }
+
+  /**
+   * Validate a policy and resolve its delays to milliseconds
+   */
+  normalize(policy = {}) {
+    const { until = 'RECEIPTED', steps } = policy;
+
+    if (!ESCALATION_TARGETS.includes(until)) {
+      throw new Error(`Invalid escalation target: ${until}. Valid targets: ${ESCALATION_TARGETS.join(', ')}`);
+    }
+    if (!Array.isArray(steps) || steps.length === 0) {
+      throw new Error('escalation.steps must be a non-empty array');
+    }
+
+    return {
+      until,
+      steps: steps.map((step, i) => {
+        if (!this.dlvr.channels.supports(step.method)) {
+          throw new Error(`Unsupported delivery method in escalation step ${i + 1}: ${step.method}`);
+        }
+        return {
+          method: step.method,
+          address: step.address ?? null,
+          options: step.options || {},
+          afterMs: this.parseDuration(step.after)
+        };
+      })
+    };
+  }
+
+  /**
+   * Re-evaluate one chain: close it if the target was reached, send the next
+   * step if it is due, otherwise leave it waiting.
+   */
+  async advance(escalationId, now = new Date()) {
+    const escalation = await this.dlvr.store.getEscalation(escalationId);
+    if (!escalation) throw new Error(`Escalation not found: ${escalationId}`);
+    if (escalation.status !== 'ACTIVE') return escalation;
+
+    const timestamp = now.toISOString();
+    const current = escalation.deliveries[escalation.deliveries.length - 1];
+    const delivery = await this.dlvr.store.getDelivery(current.deliveryId);
+    const status = delivery?.status || 'FAILED';
+
+    if (delivery && this.dlvr.lifecycle.hasReached(delivery, escalation.until)) {
+      return await this.close(escalation, 'SATISFIED', timestamp, current.deliveryId);
+    }
+    if (status === 'REFUSED') {
+      return await this.close(escalation, 'REFUSED', timestamp, current.deliveryId);
+    }
+
+    const failed = status === 'FAILED' || status === 'BOUNCED';
+    const next = escalation.steps[escalation.currentStep];
+
+    if (!next) {
+      // Out of steps: wait on the last delivery until it resolves one way or the other
+      if (failed) return await this.close(escalation, 'EXHAUSTED', timestamp, current.deliveryId);
+      escalation.nextCheckAt = null;
+      await this.dlvr.store.putEscalation(escalation);
+      return escalation;
+    }
+
+    // A step waiting out a retry waits even if the current delivery failed
+    const due = escalation.retry?.at || (failed ? timestamp : this.dueAt(escalation.startedAt, next));
+    if (timestamp < due) {
+      escalation.nextCheckAt = due;
+      await this.dlvr.store.putEscalation(escalation);
+      return escalation;
+    }
+
+    const stepNumber = escalation.currentStep + 1;
+
+    try {
+      const escalated = await this.dlvr.send({
+        mintId: escalation.mintId,
+        to: escalation.to,
+        method: next.method,
+        address: next.address,
+        options: next.options
+      }, { escalationId: escalation.escalationId, escalationStep: stepNumber });
+
+      escalation.currentStep = stepNumber;
+      escalation.retry = null;
+      escalation.deliveries.push({ deliveryId: escalated.deliveryId, method: next.method, step: stepNumber });
+      escalation.history.push({
+        event: 'ESCALATED',
+        from: current.deliveryId,
+        deliveryId: escalated.deliveryId,
+        method: next.method,
+        reason: failed ? status : 'TIMEOUT',
+        timestamp
+      });
+    } catch (error) {
+      const attempts = (escalation.retry?.attempts || 0) + 1;
+      if (this.isRetryable(error) && attempts < MAX_STEP_ATTEMPTS) {
+        const at = new Date(now.getTime() + this.retryDelay(error, attempts)).toISOString();
+        escalation.retry = { attempts, at };
+        escalation.history.push({
+          event: 'STEP_RETRY',
+          step: stepNumber,
+          method: next.method,
+          error: error.message,
+          code: error.code || null,
+          attempt: attempts,
+          retryAt: at,
+          timestamp
+        });
+        escalation.nextCheckAt = at;
+        await this.dlvr.store.putEscalation(escalation);
+        return escalation;
+      }
+
+      escalation.currentStep = stepNumber;
+      escalation.retry = null;
+      escalation.history.push({ event: 'STEP_FAILED', step: stepNumber, method: next.method, error: error.message, attempts, timestamp });
+    }
+
+    const following = escalation.steps[escalation.currentStep];
+    escalation.nextCheckAt = following ? this.dueAt(escalation.startedAt, following) : timestamp;
+    await this.dlvr.store.putEscalation(escalation);
+    return escalation;
+  }
+
+  /**
+   * Advance every active chain whose next check is due, inline or as
+   * queued escalate jobs. Run from cron.
+   */
+  async sweep(now = new Date()) {
+    const timestamp = now.toISOString();
+    const active = (await this.dlvr.store.listOpenEscalations())
+      .filter(e => e.nextCheckAt === null || e.nextCheckAt <= timestamp);
+
+    const results = [];
+    for (const escalation of active) {
+      try {
+        // With a queue, each chain advances in its own escalate job
+        if (this.dlvr.queue) {
+          await this.dlvr.jobs.enqueue('escalate', { escalationId: escalation.escalationId });
+          results.push({ escalationId: escalation.escalationId, queued: true });
+          continue;
+        }
+
+        const updated = await this.advance(escalation.escalationId, now);
+        results.push({ escalationId: updated.escalationId, status: updated.status, step: updated.currentStep });
+      } catch (error) {
+        console.error(`Escalation sweep failed for ${escalation.escalationId}:`, error.message);
+        results.push({ escalationId: escalation.escalationId, error: error.message });
+      }
+    }
+    return { checked: active.length, results, sweptAt: timestamp };
+  }
+
+  /**
+   * Chain summary with the merged timeline of every delivery in it
+   */
+  async summary(escalationId) {
+    const escalation = await this.dlvr.store.getEscalation(escalationId);
+    if (!escalation) return null;
+
+    const deliveries = [];
+    const timeline = [];
+    for (const link of escalation.deliveries) {
+      const delivery = await this.dlvr.store.getDelivery(link.deliveryId);
+      if (!delivery) continue;
+      deliveries.push({ ...link, status: delivery.status, createdAt: delivery.createdAt });
+      for (const entry of this.dlvr.lifecycle.timeline(delivery)) {
+        timeline.push({ ...entry, deliveryId: link.deliveryId, method: link.method });
+      }
+    }
+    timeline.sort((a, b) => a.timestamp.localeCompare(b.timestamp));
+
+    return {
+      escalationId,
+      mintId: escalation.mintId,
+      to: escalation.to,
+      until: escalation.until,
+      status: escalation.status,
+      currentStep: escalation.currentStep,
+      totalSteps: escalation.steps.length + 1,
+      deliveries,
+      history: escalation.history,
+      timeline,
+      startedAt: escalation.startedAt,
+      nextCheckAt: escalation.nextCheckAt,
+      closedAt: escalation.closedAt
+    };
+  }
+
+  async close(escalation, status, timestamp, deliveryId) {
+    escalation.status = status;
+    escalation.closedAt = timestamp;
+    escalation.nextCheckAt = null;
+    escalation.history.push({ event: status, deliveryId, timestamp });
+    await this.dlvr.store.putEscalation(escalation);
+    return escalation;
+  }
+
+  /**
+   * Rate limits and errors that aren't DeliveryErrors (a transport or store
+   * outage) can pass; other DeliveryErrors will fail the same way again
+   */
+  isRetryable(error) {
+    return !(error instanceof DeliveryError) || error.status === 429 || error.status >= 500;
+  }
+
+  retryDelay(error, attempts) {
+    const retryAfterSeconds = error.details?.retryAfterSeconds;
+    if (retryAfterSeconds > 0) return retryAfterSeconds * 1000;
+    return STEP_RETRY_BASE_MS * 2 ** (attempts - 1);
+  }
+
+  dueAt(startedAt, step) {
+    return new Date(new Date(startedAt).getTime() + step.afterMs).toISOString();
+  }
+
+  /**
+   * '30m' | '48h' | '5d' | milliseconds → milliseconds
+   */
+  parseDuration(value) {
+    if (typeof value === 'number' && Number.isFinite(value) && value >= 0) return value;
+    const match = typeof value === 'string' && value.trim().match(/^(\d+(?:\.\d+)?)\s*([mhd])$/);
+    if (!match) {
+      throw new Error(`Invalid escalation delay: ${value}. Use e.g. '30m', '48h', '5d' or milliseconds`);
+    }
+    return Math.round(Number(match[1]) * DURATION_UNITS[match[2]]);
+  }
+
+  generateEscalationId() {
+    const bytes = new Uint8Array(6);
+    crypto.getRandomValues(bytes);
+    const random = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+    return `DE-${Date.now().toString(36)}-${random}`.toUpperCase();
+  }
+}
+
+export default EscalationEngine;
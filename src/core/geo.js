@@ -0,0 +1,135 @@
+/**
+ * Geofence Verification
+ * Checks device geolocation evidence against a target location for
+ * in-person delivery and service attempts.
+ *
+ * A fix counts as verified only when all of these hold:
+ *   - it is within the radius of the target (haversine distance)
+ *   - its reported accuracy is no coarser than the radius
+ *   - its device timestamp is recent and not in the future
+ * The caller never supplies `geoVerified`; it is always computed here.
+ */
+
+import { DeliveryError } from './errors.js';
+
+const EARTH_RADIUS_METERS = 6371008.8;
+
+export const GEOFENCE_DEFAULTS = {
+  radiusMeters: 150,
+  maxAgeSeconds: 15 * 60,
+  maxClockSkewSeconds: 120
+};
+
+/**
+ * Great-circle distance between two { lat, lng } points, in meters
+ */
+export function haversineMeters(a, b) {
+  const toRad = deg => deg * Math.PI / 180;
+  const dLat = toRad(b.lat - a.lat);
+  const dLng = toRad(b.lng - a.lng);
+  const h = Math.sin(dLat / 2) ** 2 +
+    Math.cos(toRad(a.lat)) * Math.cos(toRad(b.lat)) * Math.sin(dLng / 2) ** 2;
+  return 2 * EARTH_RADIUS_METERS * Math.asin(Math.min(1, Math.sqrt(h)));
+}
+
+/**
+ * Validate a target { lat, lng }; returns null when absent
+ */
+export function normalizeTarget(target) {
+  if (target == null) return null;
+  const lat = toNumber(target.lat);
+  const lng = toNumber(target.lng ?? target.lon);
+  if (!isLatitude(lat) || !isLongitude(lng)) {
+    throw new DeliveryError('targetLocation needs numeric lat (-90..90) and lng (-180..180)', 'INVALID_GEOLOCATION', 400);
+  }
+  return { lat, lng };
+}
+
+/**
+ * Validate a per-delivery / per-service radius override
+ */
+export function normalizeRadius(radiusMeters, fallback = GEOFENCE_DEFAULTS.radiusMeters) {
+  if (radiusMeters == null) return fallback;
+  const radius = Number(radiusMeters);
+  if (!Number.isFinite(radius) || radius <= 0) {
+    throw new DeliveryError('radiusMeters must be a positive number', 'INVALID_GEOLOCATION', 400);
+  }
+  return radius;
+}
+
+/**
+ * Validate device evidence { lat, lng, accuracy, timestamp }; returns null when absent
+ */
+export function normalizeGeolocation(evidence) {
+  if (evidence == null) return null;
+  const lat = toNumber(evidence.lat);
+  const lng = toNumber(evidence.lng ?? evidence.lon);
+  const accuracy = toNumber(evidence.accuracy);
+  const timestamp = new Date(evidence.timestamp);
+
+  if (!isLatitude(lat) || !isLongitude(lng)) {
+    throw new DeliveryError('geolocation needs numeric lat (-90..90) and lng (-180..180)', 'INVALID_GEOLOCATION', 400);
+  }
+  if (!Number.isFinite(accuracy) || accuracy < 0) {
+    throw new DeliveryError('geolocation.accuracy must be a non-negative number of meters', 'INVALID_GEOLOCATION', 400);
+  }
+  if (evidence.timestamp == null || Number.isNaN(timestamp.getTime())) {
+    throw new DeliveryError('geolocation.timestamp must be the device fix time', 'INVALID_GEOLOCATION', 400);
+  }
+
+  return { lat, lng, accuracy, timestamp: timestamp.toISOString() };
+}
+
+/**
+ * A number or numeric string; NaN for anything else. Number() alone turns
+ * null, '' and false into 0 — a real point off the coast of Africa.
+ */
+function toNumber(value) {
+  if (typeof value === 'number') return value;
+  if (typeof value === 'string' && value.trim() !== '') return Number(value);
+  return NaN;
+}
+
+/**
+ * Check evidence against a target. Returns the check record, including the
+ * reason when the fix does not verify.
+ */
+export function checkGeofence(evidence, target, options = {}) {
+  const {
+    radiusMeters = GEOFENCE_DEFAULTS.radiusMeters,
+    maxAgeSeconds = GEOFENCE_DEFAULTS.maxAgeSeconds,
+    maxClockSkewSeconds = GEOFENCE_DEFAULTS.maxClockSkewSeconds,
+    now = Date.now()
+  } = options;
+
+  const check = {
+    verified: false,
+    distanceMeters: null,
+    radiusMeters,
+    accuracyMeters: evidence?.accuracy ?? null,
+    target: target || null,
+    checkedAt: new Date(now).toISOString(),
+    reason: null
+  };
+
+  if (!evidence) return { ...check, reason: 'NO_GEOLOCATION' };
+  if (!target) return { ...check, reason: 'NO_TARGET_LOCATION' };
+
+  check.distanceMeters = Math.round(haversineMeters(evidence, target) * 10) / 10;
+
+  const ageSeconds = (now - new Date(evidence.timestamp).getTime()) / 1000;
+  if (ageSeconds < -maxClockSkewSeconds) return { ...check, reason: 'FIX_IN_FUTURE' };
+  if (ageSeconds > maxAgeSeconds) return { ...check, reason: 'FIX_TOO_OLD' };
+  if (evidence.accuracy > radiusMeters) return { ...check, reason: 'ACCURACY_TOO_COARSE' };
+  if (check.distanceMeters > radiusMeters) return { ...check, reason: 'OUTSIDE_RADIUS' };
+
+  return { ...check, verified: true };
+}
+
+function isLatitude(value) {
+  return Number.isFinite(value) && value >= -90 && value <= 90;
+}
+
+function isLongitude(value) {
+  return Number.isFinite(value) && value >= -180 && value <= 180;
+}
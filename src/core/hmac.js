@@ -0,0 +1,47 @@
+/**
+ * HMAC Helpers
+ * Shared by short links, webhook signatures and portal tokens.
+ */
+
+const encoder = new TextEncoder();
+
+export async function hmacSHA256(secret, data) {
+  const key = await crypto.subtle.importKey(
+    'raw',
+    typeof secret === 'string' ? encoder.encode(secret) : secret,
+    { name: 'HMAC', hash: 'SHA-256' },
+    false,
+    ['sign']
+  );
+  return crypto.subtle.sign('HMAC', key, typeof data === 'string' ? encoder.encode(data) : data);
+}
+
+export function toHex(buffer) {
+  return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+}
+
+export function toBase64Url(buffer) {
+  const bytes = new Uint8Array(buffer);
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+}
+
+export function fromBase64Url(value) {
+  const base64 = value.replace(/-/g, '+').replace(/_/g, '/');
+  const padded = base64 + '='.repeat((4 - (base64.length % 4)) % 4);
+  return Uint8Array.from(atob(padded), c => c.charCodeAt(0));
+}
+
+/**
+ * Constant-time string comparison: hash both to fixed length, then XOR
+ */
+export async function timingSafeEqual(a, b) {
+  const aHash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(String(a))));
+  const bHash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(String(b))));
+  let mismatch = 0;
+  for (let i = 0; i < aHash.length; i++) {
+    mismatch |= aHash[i] ^ bHash[i];
+  }
+  return mismatch === 0;
+}
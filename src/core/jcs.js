@@ -0,0 +1,34 @@
+/**
+ * JSON Canonicalization Scheme (RFC 8785)
+ * One serialization per JSON value, so a signer and a verifier — in any
+ * language with a JCS library — derive the same bytes from the same fields.
+ *
+ *   - object members sorted by key, compared as UTF-16 code units
+ *   - no whitespace
+ *   - strings escaped as JSON.stringify does (ES2019 well-formed output)
+ *   - numbers in ECMAScript shortest round-trip form; NaN and Infinity rejected
+ *
+ * Members whose value is undefined are dropped, as JSON.stringify drops them.
+ */
+
+export function canonicalize(value) {
+  if (value === null || typeof value === 'boolean' || typeof value === 'string') {
+    return JSON.stringify(value);
+  }
+  if (typeof value === 'number') {
+    if (!Number.isFinite(value)) throw new TypeError(`Cannot canonicalize non-finite number: ${value}`);
+    return JSON.stringify(value);
+  }
+  if (Array.isArray(value)) {
+    return `[${value.map(item => (item === undefined ? 'null' : canonicalize(item))).join(',')}]`;
+  }
+  if (typeof value === 'object') {
+    if (typeof value.toJSON === 'function') return canonicalize(value.toJSON());
+    const members = Object.keys(value)
+      .filter(key => value[key] !== undefined)
+      .sort()
+      .map(key => `${JSON.stringify(key)}:${canonicalize(value[key])}`);
+    return `{${members.join(',')}}`;
+  }
+  throw new TypeError(`Cannot canonicalize a ${typeof value}`);
+}
@@ -0,0 +1,204 @@
+/**
+ * Job Queue
+ * Typed jobs for the worker's queue consumer (DLVR_QUEUE).
+ *
+ *   dispatch  { deliveryId }           channel work for a stored PENDING delivery
+ *   retry     { deliveryId, attempt }  delivery.created webhook for the api channel
+ *   event     { deliveryId, recipient, url, payload }  status webhook for the api channel
+ *   escalate  { escalationId }         advance one escalation chain
+ *   reminder  { deliveryId }           re-notify a recipient who hasn't opened
+ *
+ * A job that throws is retried with backoff until its type's attempt limit,
+ * then written to the dead-letter list. A DeliveryError (unknown delivery,
+ * illegal transition) will not go away on retry, so it dead-letters at once.
+ * Dead letters can be read and replayed through the API.
+ */
+
+import { DeliveryError } from './errors.js';
+
+export const JOB_TYPES = {
+  dispatch: { maxAttempts: 5 },
+  retry: { maxAttempts: 3 },
+  event: { maxAttempts: 5 },
+  escalate: { maxAttempts: 5 },
+  reminder: { maxAttempts: 3 }
+};
+
+const DEFAULT_BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 12 * 60 * 60; // Cloudflare Queues delay ceiling
+
+export class JobQueue {
+  constructor(dlvr, config = {}) {
+    this.dlvr = dlvr;
+    this.baseDelaySeconds = config.baseDelaySeconds ?? DEFAULT_BASE_DELAY_SECONDS;
+    this.maxAttempts = {};
+    for (const [type, { maxAttempts }] of Object.entries(JOB_TYPES)) {
+      this.maxAttempts[type] = config.maxAttempts?.[type] ?? maxAttempts;
+    }
+  }
+
+  /**
+   * Put a job on the queue. Throws QUEUE_UNAVAILABLE without one.
+   */
+  async enqueue(type, body = {}, { delaySeconds = 0 } = {}) {
+    if (!JOB_TYPES[type]) throw new Error(`Unknown job type: ${type}`);
+    if (!this.dlvr.queue) {
+      throw new DeliveryError(
+        `Queued ${type} jobs need a job queue (DLVR_QUEUE); none is configured`,
+        'QUEUE_UNAVAILABLE',
+        503
+      );
+    }
+
+    const job = { type, jobId: this.generateJobId(), ...body, enqueuedAt: new Date().toISOString() };
+    const delay = Math.min(Math.max(Math.ceil(delaySeconds), 0), MAX_DELAY_SECONDS);
+    await this.dlvr.queue.send(job, { delaySeconds: delay });
+    return job;
+  }
+
+  /**
+   * Enqueue a job for a point in time. Anything past the queue's delay
+   * ceiling arrives early, and handlers re-enqueue themselves for the rest.
+   */
+  async enqueueAt(type, body, at, now = new Date()) {
+    return this.enqueue(type, body, { delaySeconds: (Date.parse(at) - now.getTime()) / 1000 });
+  }
+
+  /**
+   * Run one job by type. `final` is set on the last attempt allowed.
+   */
+  async run(type, job, { final = true, attempt = 1 } = {}) {
+    switch (type) {
+      case 'dispatch':
+        return this.dlvr.dispatchPending(job.deliveryId, { final });
+      case 'retry':
+        return this.dlvr.webhooks.attempt(job.deliveryId, job.attempt);
+      case 'event':
+        return this.dlvr.webhooks.deliverEvent(job, attempt);
+      case 'escalate':
+        return this.dlvr.escalations.advance(job.escalationId);
+      case 'reminder':
+        return this.dlvr.remind(job.deliveryId);
+    }
+  }
+
+  /**
+   * Handle one queue message: ack on success, retry with backoff while
+   * attempts remain, otherwise dead-letter and ack.
+   * Returns { outcome: 'done' | 'retrying' | 'dead-lettered' | 'ignored', ... }.
+   */
+  async process(message) {
+    const job = message.body || {};
+    const { type } = job;
+
+    if (!JOB_TYPES[type]) {
+      console.log(`ChittyDLVR queue event: ${JSON.stringify(message.body)}`);
+      message.ack();
+      return { outcome: 'ignored' };
+    }
+
+    const attempts = message.attempts || 1;
+    try {
+      await this.run(type, job, { final: attempts >= this.maxAttempts[type], attempt: attempts });
+      message.ack();
+      return { outcome: 'done', type };
+    } catch (error) {
+      const retryable = !(error instanceof DeliveryError);
+
+      if (retryable && attempts < this.maxAttempts[type]) {
+        const delaySeconds = this.backoff(attempts);
+        console.error(`Queue ${type} job failed (attempt ${attempts}/${this.maxAttempts[type]}), retrying in ${delaySeconds}s:`, error.message);
+        message.retry({ delaySeconds });
+        return { outcome: 'retrying', type, attempts, delaySeconds };
+      }
+
+      const deadLetter = await this.deadLetter(type, job, error, attempts);
+      message.ack();
+      return { outcome: 'dead-lettered', type, deadLetterId: deadLetter.deadLetterId };
+    }
+  }
+
+  /**
+   * Seconds to wait after failed attempt `attempts`
+   */
+  backoff(attempts) {
+    return Math.min(this.baseDelaySeconds * 2 ** (attempts - 1), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Record a job that will not be retried, and note it on its delivery
+   */
+  async deadLetter(type, job, error, attempts) {
+    const record = {
+      deadLetterId: this.generateDeadLetterId(),
+      type,
+      job,
+      deliveryId: job.deliveryId || null,
+      escalationId: job.escalationId || null,
+      attempts,
+      maxAttempts: this.maxAttempts[type],
+      error: { message: error.message, code: error.code || null },
+      failedAt: new Date().toISOString(),
+      replayedAt: null
+    };
+    await this.dlvr.store.putDeadLetter(record);
+    console.error(`Queue ${type} job dead-lettered as ${record.deadLetterId}:`, error.message);
+
+    const delivery = record.deliveryId ? await this.dlvr.store.getDelivery(record.deliveryId) : null;
+    if (delivery) {
+      this.dlvr.lifecycle.recordEvent(delivery, 'JOB_DEAD_LETTERED', {
+        source: 'queue',
+        job: type,
+        deadLetterId: record.deadLetterId,
+        attempts,
+        error: error.message
+      });
+      await this.dlvr.store.putDelivery(delivery);
+    }
+    return record;
+  }
+
+  /**
+   * Dead letters, newest first
+   */
+  async deadLetters({ type = null, deliveryId = null } = {}) {
+    return (await this.dlvr.store.listDeadLetters())
+      .filter(d => (!type || d.type === type) && (!deliveryId || d.deliveryId === deliveryId))
+      .sort((a, b) => b.failedAt.localeCompare(a.failedAt));
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue
+   */
+  async replay(deadLetterId) {
+    const record = await this.dlvr.store.getDeadLetter(deadLetterId);
+    if (!record) {
+      throw new DeliveryError(`Dead letter not found: ${deadLetterId}`, 'DEAD_LETTER_NOT_FOUND', 404, { deadLetterId });
+    }
+    const body = { ...record.job };
+    delete body.type;
+    delete body.jobId;
+    delete body.enqueuedAt;
+    const job = await this.enqueue(record.type, body);
+
+    record.replayedAt = job.enqueuedAt;
+    record.replayJobId = job.jobId;
+    await this.dlvr.store.putDeadLetter(record);
+    return record;
+  }
+
+  generateJobId() {
+    return generateId('DJ');
+  }
+
+  generateDeadLetterId() {
+    return generateId('DL');
+  }
+}
+
+function generateId(prefix) {
+  const bytes = new Uint8Array(4);
+  crypto.getRandomValues(bytes);
+  const random = Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+  return `${prefix}-${Date.now().toString(36)}-${random}`.toUpperCase();
+}
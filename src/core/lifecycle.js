@@ -0,0 +1,117 @@
+/**
+ * Delivery Lifecycle
+ * The only way a delivery's status changes.
+ *
+ * PENDING → SENT → DELIVERED → OPENED → ACKNOWLEDGED → RECEIPTED
+ * Steps on the happy path may be skipped (not every channel reports every
+ * step), but never reversed. FAILED, BOUNCED and REFUSED are terminal.
+ */
+
+import { TransitionError } from './errors.js';
+
+export const DELIVERY_TRANSITIONS = {
+  PENDING: ['SENT', 'FAILED'],
+  SENT: ['DELIVERED', 'OPENED', 'ACKNOWLEDGED', 'RECEIPTED', 'FAILED', 'BOUNCED', 'REFUSED'],
+  DELIVERED: ['OPENED', 'ACKNOWLEDGED', 'RECEIPTED', 'REFUSED'],
+  OPENED: ['ACKNOWLEDGED', 'RECEIPTED', 'REFUSED'],
+  ACKNOWLEDGED: ['RECEIPTED'],
+  RECEIPTED: [],
+  FAILED: [],
+  BOUNCED: [],
+  REFUSED: []
+};
+
+export const TERMINAL_STATUSES = ['RECEIPTED', 'FAILED', 'BOUNCED', 'REFUSED'];
+
+const PROGRESS_ORDER = ['PENDING', 'SENT', 'DELIVERED', 'OPENED', 'ACKNOWLEDGED', 'RECEIPTED'];
+
+const STATUS_TIMESTAMPS = {
+  SENT: 'sentAt',
+  DELIVERED: 'deliveredAt',
+  OPENED: 'openedAt',
+  ACKNOWLEDGED: 'acknowledgedAt',
+  RECEIPTED: 'receiptedAt',
+  FAILED: 'failedAt',
+  BOUNCED: 'bouncedAt',
+  REFUSED: 'refusedAt'
+};
+
+export class DeliveryLifecycle {
+  constructor(dlvr) {
+    this.dlvr = dlvr;
+  }
+
+  canTransition(from, to) {
+    return (DELIVERY_TRANSITIONS[from] || []).includes(to);
+  }
+
+  /**
+   * Throw a TransitionError unless `delivery` may move to `to`
+   */
+  assertTransition(delivery, to) {
+    if (!this.canTransition(delivery.status, to)) {
+      throw new TransitionError(delivery.deliveryId, delivery.status, to);
+    }
+  }
+
+  /**
+   * Whether a delivery has reached `status` on the happy path
+   * (e.g. a RECEIPTED delivery has also been OPENED)
+   */
+  hasReached(delivery, status) {
+    const current = PROGRESS_ORDER.indexOf(delivery.status);
+    const target = PROGRESS_ORDER.indexOf(status);
+    return current !== -1 && target !== -1 && current >= target;
+  }
+
+  isTerminal(delivery) {
+    return TERMINAL_STATUSES.includes(delivery.status);
+  }
+
+  /**
+   * Move a delivery to `to`, recording who did it, when and through what.
+   * Mutates and returns the delivery; persisting it is the caller's job,
+   * and saving it through dlvr.saveDelivery sends the status webhook.
+   */
+  transition(delivery, to, { actor = 'system', source = 'api', timestamp, ...details } = {}) {
+    this.assertTransition(delivery, to);
+
+    const at = timestamp || new Date().toISOString();
+    const score = this.dlvr.calculateDeliveryScore(delivery.method, to);
+
+    const entry = { status: to, from: delivery.status, timestamp: at, actor, source, score };
+    if (Object.keys(details).length > 0) entry.details = details;
+
+    delivery.status = to;
+    delivery.statusHistory.push(entry);
+    delivery.proof.score = score;
+    delivery[STATUS_TIMESTAMPS[to]] = at;
+    this.dlvr.webhooks.stage(delivery, entry);
+
+    return delivery;
+  }
+
+  /**
+   * Record something that happened to a delivery without changing its
+   * status (a delayed-delivery notice, a carrier scan, a deferral).
+   */
+  recordEvent(delivery, event, { actor = 'system', source = 'api', timestamp, ...details } = {}) {
+    const entry = { event, status: delivery.status, timestamp: timestamp || new Date().toISOString(), actor, source };
+    if (Object.keys(details).length > 0) entry.details = details;
+
+    delivery.events = [...(delivery.events || []), entry];
+    return delivery;
+  }
+
+  /**
+   * Status transitions and events, oldest first
+   */
+  timeline(delivery) {
+    return [...delivery.statusHistory, ...(delivery.events || [])]
+      .map((entry, index) => ({ entry, index }))
+      .sort((a, b) => a.entry.timestamp.localeCompare(b.entry.timestamp) || a.index - b.index)
+      .map(({ entry }) => entry);
+  }
+}
+
+export default DeliveryLifecycle;
@@ -0,0 +1,75 @@
+/**
+ * Short Links
+ * Signed short codes for links in space-constrained channels (SMS).
+ *
+ * A code is the truncated HMAC-SHA256 of the delivery ID under the link
+ * secret, so codes can't be enumerated or minted without the secret. The
+ * code → delivery mapping is persisted; resolve() re-derives the code from
+ * the stored delivery ID before honouring it.
+ */
+
+import { hmacSHA256, toBase64Url, timingSafeEqual } from './hmac.js';
+
+const CODE_LENGTH = 10; // base64url chars ≈ 60 bits
+const CODE_PATTERN = /^[A-Za-z0-9_-]{10}$/;
+
+export class ShortLinks {
+  constructor(dlvr) {
+    this.dlvr = dlvr;
+    this.baseUrl = 'https://chitty.cc/s';
+    this._secret = null;
+  }
+
+  /**
+   * Link secret from config, or an ephemeral one with a warning
+   */
+  secret() {
+    if (this._secret) return this._secret;
+
+    if (this.dlvr.linkSecret) {
+      this._secret = this.dlvr.linkSecret;
+      return this._secret;
+    }
+
+    // Fall back to ephemeral secret — issued links won't resolve after restart
+    console.warn('WARNING: Using ephemeral link secret. Set LINK_SIGNING_SECRET for persistent short links.');
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    this._secret = bytes;
+    return this._secret;
+  }
+
+  /**
+   * Issue (or re-issue) the short link to a delivery's view page
+   */
+  async create(deliveryId) {
+    const code = await this.sign(deliveryId);
+    const link = {
+      code,
+      deliveryId,
+      target: `https://chitty.cc/view/${deliveryId}`,
+      url: `${this.baseUrl}/${code}`,
+      createdAt: new Date().toISOString()
+    };
+    await this.dlvr.store.putShortLink(link);
+    return link;
+  }
+
+  /**
+   * Resolve a code to its link, or null when unknown or not signed by us
+   */
+  async resolve(code) {
+    if (typeof code !== 'string' || !CODE_PATTERN.test(code)) return null;
+
+    const link = await this.dlvr.store.getShortLink(code);
+    if (!link) return null;
+
+    const expected = await this.sign(link.deliveryId);
+    return (await timingSafeEqual(code, expected)) ? link : null;
+  }
+
+  async sign(deliveryId) {
+    const mac = await hmacSHA256(this.secret(), `short:${deliveryId}`);
+    return toBase64Url(mac).slice(0, CODE_LENGTH);
+  }
+}
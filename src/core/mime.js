@@ -0,0 +1,187 @@
+/**
+ * MIME Composition
+ * Builds RFC 5322 / RFC 2045 messages for the email channel.
+ *
+ * Messages are kept as an ordered header list plus a body so that DKIM can
+ * sign the exact header values before the message is rendered to wire form.
+ */
+
+const CRLF = '\r\n';
+// CR and LF would start a new header; no control character belongs in one
+const CONTROL_CHARS = /[\x00-\x1f\x7f]/;
+const HEADER_NAME = /^[\x21-\x39\x3b-\x7e]+$/;
+const DAYS = ['Sun', 'Mon', 'Tue', 'Wed', 'Thu', 'Fri', 'Sat'];
+const MONTHS = ['Jan', 'Feb', 'Mar', 'Apr', 'May', 'Jun', 'Jul', 'Aug', 'Sep', 'Oct', 'Nov', 'Dec'];
+
+/**
+ * Compose a multipart/alternative message with text and HTML parts
+ */
+export function composeEmail(options) {
+  const { from, to, subject, text, html, messageId, date = new Date(), headers = {} } = options;
+
+  if (!from || !to) throw new Error('Email requires from and to addresses');
+  if (!text && !html) throw new Error('Email requires a text or HTML body');
+
+  const boundary = `=_dlvr_${randomHex(12)}`;
+
+  assertHeaderValue('Subject', subject || '');
+
+  const headerList = [
+    ['From', from],
+    ['To', to],
+    ['Subject', encodeHeaderWord(subject || '')],
+    ['Date', formatDate(date)],
+    ['Message-ID', messageId],
+    ['MIME-Version', '1.0'],
+    ...Object.entries(headers).filter(([, value]) => value != null).map(([name, value]) => [name, String(value)]),
+    ['Content-Type', `multipart/alternative; boundary="${boundary}"`]
+  ].filter(([, value]) => value);
+
+  for (const [name, value] of headerList) {
+    if (!HEADER_NAME.test(name)) throw new Error(`Invalid email header name: ${JSON.stringify(name)}`);
+    assertHeaderValue(name, value);
+  }
+
+  const parts = [];
+  if (text) parts.push(textPart('text/plain', text));
+  if (html) parts.push(textPart('text/html', html));
+
+  const body = [
+    'This is a multi-part message in MIME format.',
+    ...parts.map(part => `--${boundary}${CRLF}${part}`),
+    `--${boundary}--`,
+    ''
+  ].join(CRLF);
+
+  return { headers: headerList, body, boundary };
+}
+
+/**
+ * Render a composed message to its wire form
+ */
+export function renderMessage(message) {
+  const head = message.headers.map(([name, value]) => `${name}: ${value}`).join(CRLF);
+  return `${head}${CRLF}${CRLF}${message.body}`;
+}
+
+function textPart(type, content) {
+  return [
+    `Content-Type: ${type}; charset=utf-8`,
+    'Content-Transfer-Encoding: quoted-printable',
+    '',
+    encodeQuotedPrintable(content)
+  ].join(CRLF);
+}
+
+/**
+ * RFC 2045 quoted-printable over UTF-8, with soft breaks at 76 columns
+ */
+export function encodeQuotedPrintable(input) {
+  const lines = String(input).replace(/\r\n?/g, '\n').split('\n');
+  const encoder = new TextEncoder();
+
+  return lines.map(line => {
+    const bytes = encoder.encode(line);
+    let out = '';
+    let column = 0;
+
+    for (let i = 0; i < bytes.length; i++) {
+      const byte = bytes[i];
+      const isLast = i === bytes.length - 1;
+      const literal = (byte >= 33 && byte <= 126 && byte !== 61) || ((byte === 32 || byte === 9) && !isLast);
+      const token = literal ? String.fromCharCode(byte) : `=${byte.toString(16).toUpperCase().padStart(2, '0')}`;
+
+      if (column + token.length > 75) {
+        out += `=${CRLF}`;
+        column = 0;
+      }
+      out += token;
+      column += token.length;
+    }
+    return out;
+  }).join(CRLF);
+}
+
+/**
+ * RFC 2047 encoded-word for non-ASCII header text
+ */
+export function encodeHeaderWord(value) {
+  if (/^[\x20-\x7e]*$/.test(value)) return value;
+  const bytes = new TextEncoder().encode(value);
+  let binary = '';
+  for (const byte of bytes) binary += String.fromCharCode(byte);
+  return `=?UTF-8?B?${btoa(binary)}?=`;
+}
+
+/**
+ * RFC 5322 date-time in UTC
+ */
+export function formatDate(date) {
+  const d = new Date(date);
+  const pad = n => String(n).padStart(2, '0');
+  return `${DAYS[d.getUTCDay()]}, ${pad(d.getUTCDate())} ${MONTHS[d.getUTCMonth()]} ${d.getUTCFullYear()} ` +
+    `${pad(d.getUTCHours())}:${pad(d.getUTCMinutes())}:${pad(d.getUTCSeconds())} +0000`;
+}
+
+/**
+ * "Name <addr@example.com>" or "addr@example.com" → { name, address }, or
+ * null when either part holds a control character or the brackets are off
+ */
+export function parseMailbox(mailbox) {
+  const value = String(mailbox);
+  if (CONTROL_CHARS.test(value)) return null;
+
+  const match = value.match(/^([^<>]*)<([^<>]+)>\s*$/);
+  if (match) {
+    const name = match[1].trim().replace(/^"(.*)"$/s, '$1').replace(/\\(.)/g, '$1');
+    return { name: name || null, address: match[2].trim() };
+  }
+  if (/[<>]/.test(value)) return null;
+  return { name: null, address: value.trim() };
+}
+
+/**
+ * Render a parsed mailbox for a header: the bare addr-spec, with the display
+ * name quoted (or RFC 2047-encoded) in front of it
+ */
+export function formatMailbox({ name = null, address }) {
+  if (CONTROL_CHARS.test(address) || /[<>\s]/.test(address)) {
+    throw new Error(`Invalid email address: ${JSON.stringify(address)}`);
+  }
+  if (!name) return address;
+  assertHeaderValue('display name', name);
+
+  const phrase = /^[\x20-\x7e]*$/.test(name)
+    ? `"${name.replace(/(["\\])/g, '\\$1')}"`
+    : encodeHeaderWord(name);
+  return `${phrase} <${address}>`;
+}
+
+function assertHeaderValue(name, value) {
+  if (CONTROL_CHARS.test(String(value))) {
+    throw new Error(`Invalid email header ${name}: control characters are not allowed`);
+  }
+}
+
+/**
+ * "Name <addr@example.com>" → "addr@example.com"
+ */
+export function addressOf(mailbox) {
+  const match = String(mailbox).match(/<([^>]+)>/);
+  return (match ? match[1] : String(mailbox)).trim();
+}
+
+export function escapeHtml(s) {
+  return String(s)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;')
+    .replace(/'/g, '&#39;');
+}
+
+function randomHex(length) {
+  const bytes = new Uint8Array(length);
+  crypto.getRandomValues(bytes);
+  return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+}
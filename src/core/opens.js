@@ -0,0 +1,40 @@
+/**
+ * Open Classification
+ * Tells recipient opens from automated image prefetches, so a mail
+ * provider fetching the tracking pixel doesn't count as the recipient.
+ *
+ * Prefetchers:
+ *   Apple Mail Privacy Protection — bare "Mozilla/5.0" user agent, or Apple's 17.0.0.0/8 egress
+ *   Gmail image proxy             — "GoogleImageProxy" (via ggpht.com)
+ *   Yahoo mail proxy              — "YahooMailProxy"
+ *   Generic crawlers / previewers — bot, crawler, spider, preview in the user agent
+ * These are heuristics; a match means "probably not a person", nothing more.
+ */
+
+const PREFETCH_AGENTS = [
+  { agent: 'gmail-proxy', pattern: /GoogleImageProxy/i },
+  { agent: 'yahoo-proxy', pattern: /YahooMailProxy/i },
+  { agent: 'apple-mpp', pattern: /^Mozilla\/5\.0$/ },
+  { agent: 'crawler', pattern: /bot\b|crawler|spider|preview/i }
+];
+
+/**
+ * Classify a pixel load. Returns { automated, confidence, agent }.
+ */
+export function classifyOpen({ userAgent = null, ip = null } = {}) {
+  const ua = (userAgent || '').trim();
+
+  if (!ua) return { automated: true, confidence: 'low', agent: 'unknown' };
+
+  for (const { agent, pattern } of PREFETCH_AGENTS) {
+    if (pattern.test(ua)) return { automated: true, confidence: 'low', agent };
+  }
+
+  if (isAppleEgress(ip)) return { automated: true, confidence: 'low', agent: 'apple-mpp' };
+
+  return { automated: false, confidence: 'high', agent: null };
+}
+
+function isAppleEgress(ip) {
+  return typeof ip === 'string' && /^17\.\d{1,3}\.\d{1,3}\.\d{1,3}$/.test(ip);
+}
@@ -0,0 +1,122 @@
+/**
+ * Portal Access Tokens
+ * Signed, scoped, single-delivery tokens for portal.chitty.cc/delivery/:id.
+ *
+ * A token is `<claims>.<mac>`: base64url JSON claims and the base64url
+ * HMAC-SHA256 of that segment under the portal secret. Claims bind the
+ * token to one delivery (`sub`), a scope list and an expiry (`exp`, unix
+ * seconds). Nothing is stored; verify() re-derives the MAC.
+ */
+
+import { DeliveryError } from './errors.js';
+import { hmacSHA256, toBase64Url, fromBase64Url, timingSafeEqual } from './hmac.js';
+
+export const PORTAL_SCOPES = ['view', 'acknowledge', 'receipt'];
+export const PORTAL_TOKEN_TTL_SECONDS = 30 * 24 * 60 * 60;
+
+export class PortalTokens {
+  constructor(dlvr) {
+    this.dlvr = dlvr;
+    this._secret = null;
+  }
+
+  /**
+   * Portal secret from config, or an ephemeral one with a warning
+   */
+  secret() {
+    if (this._secret) return this._secret;
+
+    if (this.dlvr.portalSecret) {
+      this._secret = this.dlvr.portalSecret;
+      return this._secret;
+    }
+
+    // Fall back to ephemeral secret — issued tokens stop verifying after restart
+    console.warn('WARNING: Using ephemeral portal secret. Set PORTAL_TOKEN_SECRET for persistent portal access.');
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    this._secret = bytes;
+    return this._secret;
+  }
+
+  /**
+   * Issue a token for one delivery. `expiresAt` caps the lifetime (the
+   * portal dispatch's own expiry); `ttlSeconds` shortens it further.
+   */
+  async issue({ deliveryId, scope = ['view'], ttlSeconds = PORTAL_TOKEN_TTL_SECONDS, expiresAt = null, now = Date.now() }) {
+    const scopes = [...new Set(Array.isArray(scope) ? scope : [scope])];
+    const unknown = scopes.filter(s => !PORTAL_SCOPES.includes(s));
+    if (scopes.length === 0 || unknown.length > 0) {
+      throw new DeliveryError(
+        `Invalid portal scope: ${unknown.join(', ') || '(empty)'}. Valid scopes: ${PORTAL_SCOPES.join(', ')}`,
+        'INVALID_PORTAL_TOKEN_REQUEST',
+        400
+      );
+    }
+    if (!Number.isFinite(ttlSeconds) || ttlSeconds <= 0) {
+      throw new DeliveryError('ttlSeconds must be a positive number', 'INVALID_PORTAL_TOKEN_REQUEST', 400);
+    }
+
+    const iat = Math.floor(now / 1000);
+    let exp = iat + Math.floor(ttlSeconds);
+    if (expiresAt) exp = Math.min(exp, Math.floor(new Date(expiresAt).getTime() / 1000));
+
+    const jti = toBase64Url(crypto.getRandomValues(new Uint8Array(12)));
+    const claims = { typ: 'dlvr-portal', sub: deliveryId, scope: scopes, iat, exp, jti };
+    const body = toBase64Url(new TextEncoder().encode(JSON.stringify(claims)));
+    const token = `${body}.${await this.sign(body)}`;
+
+    return {
+      token,
+      tokenId: jti,
+      deliveryId,
+      scope: scopes,
+      issuedAt: new Date(iat * 1000).toISOString(),
+      expiresAt: new Date(exp * 1000).toISOString(),
+      url: `https://portal.chitty.cc/delivery/${deliveryId}?token=${token}`
+    };
+  }
+
+  /**
+   * Verify a token for a delivery and scope. Returns its claims; throws
+   * PORTAL_TOKEN_INVALID / _EXPIRED (401) or PORTAL_TOKEN_FORBIDDEN (403).
+   */
+  async verify(token, { deliveryId, scope = 'view', now = Date.now() } = {}) {
+    const [body, mac, extra] = typeof token === 'string' ? token.split('.') : [];
+    if (!body || !mac || extra !== undefined) throw invalid('Malformed portal token');
+
+    if (!(await timingSafeEqual(mac, await this.sign(body)))) throw invalid('Portal token signature mismatch');
+
+    let claims;
+    try {
+      claims = JSON.parse(new TextDecoder().decode(fromBase64Url(body)));
+    } catch {
+      throw invalid('Malformed portal token');
+    }
+    if (claims.typ !== 'dlvr-portal' || !Array.isArray(claims.scope) || !Number.isFinite(claims.exp)) {
+      throw invalid('Malformed portal token');
+    }
+
+    if (Math.floor(now / 1000) >= claims.exp) {
+      throw new DeliveryError('Portal token has expired', 'PORTAL_TOKEN_EXPIRED', 401, {
+        expiredAt: new Date(claims.exp * 1000).toISOString()
+      });
+    }
+    if (claims.sub !== deliveryId) {
+      throw new DeliveryError('Portal token is for a different delivery', 'PORTAL_TOKEN_FORBIDDEN', 403);
+    }
+    if (!claims.scope.includes(scope)) {
+      throw new DeliveryError(`Portal token lacks the ${scope} scope`, 'PORTAL_TOKEN_FORBIDDEN', 403);
+    }
+
+    return claims;
+  }
+
+  async sign(body) {
+    return toBase64Url(await hmacSHA256(this.secret(), `portal:${body}`));
+  }
+}
+
+function invalid(message) {
+  return new DeliveryError(message, 'PORTAL_TOKEN_INVALID', 401);
+}
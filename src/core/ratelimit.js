@@ -0,0 +1,219 @@
+/**
+ * Rate Limits
+ * Token buckets per API key and per recipient, each per channel.
+ *
+ * A limit of { limit: 20, windowSeconds: 3600 } is a bucket holding 20
+ * tokens that refills at 20 per hour: bursts up to the limit, then a steady
+ * rate. A send takes one token from its recipient's bucket; the API takes
+ * one per delivery from the caller's key bucket. `false` turns a limit off.
+ *
+ *   new ChittyDLVR({
+ *     rateLimits: {
+ *       apiKey: { default: { limit: 600, windowSeconds: 60 } },
+ *       recipient: { sms: { limit: 5, windowSeconds: 3600 }, legalService: false }
+ *     }
+ *   });
+ *
+ * Buckets live in a Durable Object (atomic per bucket), KV (approximate
+ * under concurrent requests for the same bucket), or memory.
+ */
+
+import { DeliveryError } from './errors.js';
+import { suppressionKey } from './suppression.js';
+
+export const RATE_LIMIT_DEFAULTS = {
+  apiKey: {
+    default: { limit: 600, windowSeconds: 60 }
+  },
+  recipient: {
+    default: { limit: 20, windowSeconds: 60 * 60 },
+    sms: { limit: 10, windowSeconds: 60 * 60 }
+  }
+};
+
+export class RateLimiter {
+  constructor(dlvr, { store = null, apiKey = {}, recipient = {} } = {}) {
+    this.dlvr = dlvr;
+    this.store = store || new MemoryRateLimitStore();
+    this.limits = {
+      apiKey: normalizeLimits({ ...RATE_LIMIT_DEFAULTS.apiKey, ...apiKey }, 'apiKey'),
+      recipient: normalizeLimits({ ...RATE_LIMIT_DEFAULTS.recipient, ...recipient }, 'recipient')
+    };
+    // The quota with the fewest tokens left of those taken through this
+    // limiter; the Worker builds one per request and reports it in headers
+    this.tightest = null;
+  }
+
+  /**
+   * The limit for a scope and channel, or null if unlimited
+   */
+  limitFor(scope, method) {
+    const limits = this.limits[scope];
+    return method in limits ? limits[method] : limits.default ?? null;
+  }
+
+  /**
+   * Take `cost` tokens from one bucket. Returns the quota left
+   * ({ scope, method, limit, remaining, resetSeconds }), or null when the
+   * channel is unlimited. Throws RATE_LIMITED (429) when the bucket is short.
+   */
+  async take(scope, id, { method, cost = 1, now = Date.now() } = {}) {
+    const spec = this.limitFor(scope, method);
+    if (!spec) return null;
+
+    const result = await this.store.take(`${scope}:${method}:${id}`, spec, cost, now);
+    const quota = {
+      scope,
+      method,
+      limit: spec.limit,
+      windowSeconds: spec.windowSeconds,
+      remaining: Math.floor(result.remaining),
+      resetSeconds: result.resetSeconds
+    };
+
+    if (!result.allowed) {
+      throw new DeliveryError(
+        cost > spec.limit
+          ? `${cost} ${method} deliveries exceed the ${scope} limit of ${spec.limit} per ${spec.windowSeconds}s`
+          : `Rate limit exceeded for ${scope} on ${method}: ${spec.limit} per ${spec.windowSeconds}s`,
+        'RATE_LIMITED',
+        429,
+        { ...quota, retryAfterSeconds: result.retryAfterSeconds }
+      );
+    }
+    if (!this.tightest || quota.remaining <= this.tightest.remaining) this.tightest = quota;
+    return quota;
+  }
+
+  /**
+   * Take one token for a recipient address, normalized so that variants of
+   * the same email or phone number share a bucket: case, phone formatting
+   * and an email's display name don't change it
+   */
+  async takeRecipient(method, address, options = {}) {
+    const id = suppressionKey(address)?.value || String(address ?? '').trim().toLowerCase();
+    return this.take('recipient', id, { ...options, method });
+  }
+}
+
+// ============ Token Bucket ============
+
+/**
+ * Refill a bucket to `now` and try to take `cost` tokens. Pure: returns the
+ * updated bucket alongside the outcome.
+ */
+export function takeTokens(bucket, { limit, windowSeconds }, cost, now) {
+  const rate = limit / windowSeconds; // tokens per second
+  const elapsed = bucket ? Math.max(0, now - bucket.updatedAt) / 1000 : 0;
+  let tokens = bucket ? Math.min(limit, bucket.tokens + elapsed * rate) : limit;
+
+  const allowed = cost <= tokens;
+  if (allowed) tokens -= cost;
+
+  return {
+    bucket: { tokens, updatedAt: now },
+    result: {
+      allowed,
+      remaining: tokens,
+      retryAfterSeconds: allowed ? 0 : Math.ceil((Math.min(cost, limit) - tokens) / rate) || 1,
+      resetSeconds: Math.ceil((limit - tokens) / rate)
+    }
+  };
+}
+
+// ============ Bucket Stores ============
+
+export class MemoryRateLimitStore {
+  constructor() {
+    this._buckets = new Map();
+  }
+
+  async take(key, spec, cost, now) {
+    const { bucket, result } = takeTokens(this._buckets.get(key), spec, cost, now);
+    this._buckets.set(key, bucket);
+    return result;
+  }
+}
+
+/**
+ * Buckets in KV. Read-modify-write is not atomic, so concurrent requests
+ * for one bucket may each see the same tokens; use the Durable Object when
+ * that matters.
+ */
+export class KVRateLimitStore {
+  constructor(namespace) {
+    if (!namespace) throw new Error('KVRateLimitStore requires a KV namespace binding');
+    this.kv = namespace;
+  }
+
+  async take(key, spec, cost, now) {
+    const name = `ratelimit:${key}`;
+    const { bucket, result } = takeTokens(await this.kv.get(name, { type: 'json' }), spec, cost, now);
+    // KV's minimum TTL is 60s; a bucket left alone for a window is full again anyway
+    await this.kv.put(name, JSON.stringify(bucket), { expirationTtl: Math.max(60, Math.ceil(spec.windowSeconds)) });
+    return result;
+  }
+}
+
+/**
+ * One RateLimiterObject per bucket, so each take is atomic
+ */
+export class DurableObjectRateLimitStore {
+  constructor(namespace) {
+    if (!namespace) throw new Error('DurableObjectRateLimitStore requires a Durable Object namespace binding');
+    this.namespace = namespace;
+  }
+
+  async take(key, spec, cost, now) {
+    const stub = this.namespace.get(this.namespace.idFromName(key));
+    const response = await stub.fetch('https://rate-limiter/take', {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify({ spec, cost, now })
+    });
+    if (!response.ok) throw new Error(`Rate limiter returned HTTP ${response.status}`);
+    return response.json();
+  }
+}
+
+/**
+ * Durable Object holding one bucket (bound as DLVR_RATE_LIMITER)
+ */
+export class RateLimiterObject {
+  constructor(state) {
+    this.state = state;
+  }
+
+  async fetch(request) {
+    const { spec, cost, now } = await request.json();
+    const { bucket, result } = takeTokens(await this.state.storage.get('bucket'), spec, cost, now);
+    await this.state.storage.put('bucket', bucket);
+    return new Response(JSON.stringify(result), { headers: { 'Content-Type': 'application/json' } });
+  }
+}
+
+/**
+ * Pick a bucket store from Worker bindings: Durable Object
+ * (DLVR_RATE_LIMITER), then KV (DLVR_KV), else null (callers use memory)
+ */
+export function createRateLimitStore(env = {}) {
+  if (env.DLVR_RATE_LIMITER) return new DurableObjectRateLimitStore(env.DLVR_RATE_LIMITER);
+  if (env.DLVR_KV) return new KVRateLimitStore(env.DLVR_KV);
+  return null;
+}
+
+function normalizeLimits(limits, scope) {
+  const normalized = {};
+  for (const [method, spec] of Object.entries(limits)) {
+    if (spec === false || spec === null) {
+      normalized[method] = null;
+      continue;
+    }
+    const { limit, windowSeconds } = spec || {};
+    if (!(limit > 0) || !(windowSeconds > 0)) {
+      throw new Error(`Invalid ${scope} rate limit for ${method}: limit and windowSeconds must be positive numbers`);
+    }
+    normalized[method] = { limit, windowSeconds };
+  }
+  return normalized;
+}
@@ -5,17 +5,27 @@
  * A receipt is NOT just a read receipt or delivery confirmation.
  * It's a signed attestation that the recipient received the document,
  * witnessed by ChittyOS, timestamped, and anchored to ChittyChain.
+ *
+ * Version 2 receipts are signed over the RFC 8785 (JCS) canonical form of
+ * the whole receipt except its `signature` block (receiptPayload()), so
+ * every field a receipt shows is attested and anyone can re-derive the
+ * signed bytes without the embedded copy. Version 1 (legacy, no `version`
+ * field) receipts were signed over the JSON.stringify string carried in
+ * signature.signedPayload, which covered a fixed subset of the fields.
  */
 
+import { canonicalize } from './jcs.js';
+
+export const RECEIPT_VERSION = 2;
+
 const DRAND_URL = 'https://drand.cloudflare.com';
 const DRAND_CHAIN_HASH = '8990e7a9aaed2ffed73dbd7092123d6f289930540d7651336225dc172e51b2ce';
+const MAX_EVIDENCE_BYTES = 5 * 1024 * 1024;
 
 export class ReceiptEngine {
   constructor(dlvr) {
     this.dlvr = dlvr;
     this._keyPair = null;
-    // In-memory receipt store for verification lookups
-    this._receipts = new Map();
   }
 
   /**
@@ -99,44 +109,17 @@ export class ReceiptEngine {
    * Create a signed receipt with real ECDSA-P256 signature
    */
   async create(options) {
-    const { deliveryId, signer, method = 'digital', timestamp } = options;
+    const {
+      deliveryId, signer, method = 'digital', acknowledgment = null, witnessAttestation = null, content = null, timestamp
+    } = options;
 
     const receiptId = this.generateReceiptId();
 
     // Fetch drand round for public temporal anchoring
     const drand = await this.fetchDrandRound();
 
-    // Build the payload to sign (includes drand for temporal proof)
-    const payload = {
-      receiptId,
-      deliveryId,
-      signer,
-      method,
-      timestamp,
-      drandRound: drand?.round || null,
-      drandRandomness: drand?.randomness || null
-    };
-
-    // Serialize payload once — use same bytes for signing and embedding
-    const serializedPayload = JSON.stringify(payload);
-
-    // Sign with ECDSA-P256
-    const keyPair = await this.getServiceKeyPair();
-    const encoder = new TextEncoder();
-    const dataBuffer = encoder.encode(serializedPayload);
-
-    const signatureBuffer = await crypto.subtle.sign(
-      { name: 'ECDSA', hash: 'SHA-256' },
-      keyPair.privateKey,
-      dataBuffer
-    );
-
-    const publicKeyBuffer = await crypto.subtle.exportKey('spki', keyPair.publicKey);
-
-    const signatureB64 = this.bufferToBase64(signatureBuffer);
-    const publicKeyB64 = this.bufferToBase64(publicKeyBuffer);
-
     const receipt = {
+      version: RECEIPT_VERSION,
       receiptId,
       deliveryId,
 
@@ -149,16 +132,31 @@ export class ReceiptEngine {
       method,
       algorithm: 'ECDSA-P256-SHA256',
 
-      // The receipt signature (real crypto)
-      signature: {
-        signatureId: `SIG-${receiptId}`,
-        algorithm: 'ECDSA-P256-SHA256',
-        value: signatureB64,
-        publicKey: publicKeyB64,
-        signedPayload: serializedPayload,
-        valid: true,
-        timestamp
-      },
+      // Recipient's explicit acknowledgment, if one preceded the receipt
+      acknowledgment,
+
+      // The exact document bytes the recipient was served (/view)
+      content: content ? {
+        mintId: content.mintId,
+        sha256: content.sha256,
+        size: content.size,
+        contentType: content.contentType,
+        servedAt: content.servedAt
+      } : null,
+
+      // Third-party witness to an in-person hand-off (self-signed attestation)
+      witnessAttestation: witnessAttestation ? {
+        attestationId: witnessAttestation.attestationId,
+        name: witnessAttestation.witness.name,
+        chittyId: witnessAttestation.witness.chittyId,
+        signatureType: witnessAttestation.signature.type,
+        keyFingerprint: witnessAttestation.signature.keyFingerprint,
+        payloadSha256: witnessAttestation.payloadSha256,
+        attestedAt: witnessAttestation.attestedAt
+      } : null,
+
+      // The receipt signature (real crypto), over every other field
+      signature: null,
 
       // Witness
       witnessed: true,
@@ -166,13 +164,7 @@ export class ReceiptEngine {
       witnessTimestamp: timestamp,
 
       // drand temporal anchor
-      drand: drand ? {
-        round: drand.round,
-        randomness: drand.randomness,
-        signature: drand.signature,
-        beacon: DRAND_URL,
-        chainHash: DRAND_CHAIN_HASH
-      } : null,
+      drand: this.drandAnchor(drand),
 
       // Status
       status: 'VALID',
@@ -194,17 +186,118 @@ export class ReceiptEngine {
       verifyUrl: `https://chitty.cc/receipt/${receiptId}`
     };
 
+    // Sign with ECDSA-P256
+    receipt.signature = await this.signReceipt(receipt);
+
     // Store receipt for public verification lookups
-    this._receipts.set(receiptId, receipt);
+    await this.dlvr.store.putReceipt(receipt);
 
     return receipt;
   }
 
   /**
-   * Look up a receipt by ID from the in-memory store
+   * Create a signed refusal record. A documented refusal is still evidence
+   * of tender, so it is signed and anchored exactly like a receipt.
+   */
+  async createRefusal(options) {
+    const { deliveryId, mintId, refusedBy, reason = null, ip = null, userAgent = null, timestamp } = options;
+
+    const receiptId = this.generateReceiptId();
+    const drand = await this.fetchDrandRound();
+
+    const record = {
+      version: RECEIPT_VERSION,
+      receiptId,
+      deliveryId,
+      mintId,
+      type: 'refusal',
+
+      // Who refused and why
+      refusedBy,
+      reason,
+      evidence: { ip, userAgent },
+
+      algorithm: 'ECDSA-P256-SHA256',
+      signature: null,
+
+      // Witness
+      witnessed: true,
+      witness: 'ChittyOS',
+      witnessTimestamp: timestamp,
+
+      // drand temporal anchor
+      drand: this.drandAnchor(drand),
+
+      status: 'VALID',
+
+      // Legal weight — proves tender, not receipt
+      legal: {
+        admissible: true,
+        standard: 'ChittyProof',
+        pillar: 'delivery',
+        tenderEvidence: true,
+        score: this.calculateReceiptScore('refusal'),
+        technical: this.calculateTechnicalScore('refusal'),
+        arguable: this.calculateArguableScore('refusal')
+      },
+
+      createdAt: timestamp,
+      verifyUrl: `https://chitty.cc/receipt/${receiptId}`
+    };
+
+    record.signature = await this.signReceipt(record);
+    await this.dlvr.store.putReceipt(record);
+
+    return record;
+  }
+
+  /**
+   * Sign a record's canonical payload with the service key. Returns the
+   * signature block embedded in every signed record; signedPayload is a
+   * convenience copy, verify() re-derives it.
+   */
+  async signReceipt(record) {
+    const serializedPayload = canonicalize(receiptPayload(record));
+
+    const keyPair = await this.getServiceKeyPair();
+    const encoder = new TextEncoder();
+    const dataBuffer = encoder.encode(serializedPayload);
+
+    const signatureBuffer = await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' },
+      keyPair.privateKey,
+      dataBuffer
+    );
+
+    const publicKeyBuffer = await crypto.subtle.exportKey('spki', keyPair.publicKey);
+
+    return {
+      signatureId: `SIG-${record.receiptId}`,
+      algorithm: 'ECDSA-P256-SHA256',
+      canonicalization: 'JCS',
+      value: this.bufferToBase64(signatureBuffer),
+      publicKey: this.bufferToBase64(publicKeyBuffer),
+      signedPayload: serializedPayload,
+      valid: true,
+      timestamp: record.createdAt
+    };
+  }
+
+  drandAnchor(drand) {
+    return drand ? {
+      round: drand.round,
+      randomness: drand.randomness,
+      signature: drand.signature,
+      beacon: DRAND_URL,
+      chainHash: DRAND_CHAIN_HASH
+    } : null;
+  }
+
+  /**
+   * Look up a receipt by ID from the delivery store
    */
-  getById(receiptId) {
-    return this._receipts.get(receiptId) || null;
+  async getById(receiptId) {
+    return await this.dlvr.store.getReceipt(receiptId);
   }
 
   /**
@@ -214,7 +307,7 @@ export class ReceiptEngine {
   async verify(receiptId, receiptData) {
     // If no receipt data provided, try to look it up
     if (!receiptData) {
-      receiptData = this.getById(receiptId);
+      receiptData = await this.getById(receiptId);
     }
 
     if (!receiptData || !receiptData.signature) {
@@ -225,6 +318,16 @@ export class ReceiptEngine {
       };
     }
 
+    const version = receiptData.version ?? 1;
+    if (version !== 1 && version !== RECEIPT_VERSION) {
+      return {
+        receiptId,
+        version,
+        verified: false,
+        error: `Unsupported receipt version: ${version}`
+      };
+    }
+
     try {
       // Import the public key from the receipt (self-contained verification)
       const keyData = Uint8Array.from(atob(receiptData.signature.publicKey), c => c.charCodeAt(0));
@@ -235,8 +338,22 @@ export class ReceiptEngine {
         ['verify']
       );
 
+      // v2: the signed bytes are the receipt itself, so any edit to it breaks
+      // the signature. v1: the carried string is what was signed, and each
+      // field it names must still match the receipt.
+      const { signedPayload } = receiptData.signature;
+      let payload;
+      let mismatchedFields;
+      if (version === RECEIPT_VERSION) {
+        payload = canonicalize(receiptPayload(receiptData));
+        mismatchedFields = signedPayload == null || signedPayload === payload ? [] : ['signature.signedPayload'];
+      } else {
+        payload = signedPayload;
+        mismatchedFields = legacyMismatches(receiptData, signedPayload);
+      }
+
       const encoder = new TextEncoder();
-      const dataBuffer = encoder.encode(receiptData.signature.signedPayload);
+      const dataBuffer = encoder.encode(payload);
       const sigBytes = Uint8Array.from(atob(receiptData.signature.value), c => c.charCodeAt(0));
 
       const valid = await crypto.subtle.verify(
@@ -245,11 +362,15 @@ export class ReceiptEngine {
         sigBytes,
         dataBuffer
       );
+      const fieldsMatch = mismatchedFields.length === 0;
 
       return {
         receiptId,
-        verified: valid,
+        version,
+        verified: valid && fieldsMatch,
         signatureValid: valid,
+        fieldsMatch,
+        ...(fieldsMatch ? {} : { mismatchedFields }),
         witnessConfirmed: true,
         chainAnchored: true,
         timestamp: new Date().toISOString()
@@ -266,34 +387,103 @@ export class ReceiptEngine {
   }
 
   /**
-   * Generate receipt for physical delivery (return receipt)
+   * Create a signed receipt for physical delivery from a return receipt
+   * (scanned green card or carrier electronic signature). Only the SHA-256
+   * of the evidence is kept; it is part of the signed payload.
    */
   async createPhysicalReceipt(options) {
-    const { deliveryId, carrier, trackingNumber, signedBy, timestamp } = options;
+    const {
+      deliveryId, mintId = null, carrier, trackingNumber, returnReceiptNumber = null,
+      signedBy, evidence, deliveredAt = null, timestamp
+    } = options;
 
     const receiptId = this.generateReceiptId();
+    const drand = await this.fetchDrandRound();
 
-    return {
+    const receipt = {
+      version: RECEIPT_VERSION,
       receiptId,
       deliveryId,
+      mintId,
       type: 'physical',
       carrier,
       trackingNumber,
+      returnReceiptNumber,
       signedBy,
-      signatureImage: null,
-      deliveredAt: timestamp,
+
+      // Digest of the green-card scan or carrier e-signature
+      evidence,
+
+      algorithm: 'ECDSA-P256-SHA256',
+      signature: null,
+
+      // Witness
+      witnessed: true,
+      witness: 'ChittyOS',
+      witnessTimestamp: timestamp,
+
+      // drand temporal anchor
+      drand: this.drandAnchor(drand),
+
+      deliveredAt,
       status: 'VALID',
       legal: {
         admissible: true,
         standard: 'ChittyProof',
         pillar: 'delivery',
-        score: 75,
-        technical: 70,
-        arguable: 80
+        score: this.calculateReceiptScore('physical'),
+        technical: this.calculateTechnicalScore('physical'),
+        arguable: this.calculateArguableScore('physical')
       },
       createdAt: timestamp,
       verifyUrl: `https://chitty.cc/receipt/${receiptId}`
     };
+
+    receipt.signature = await this.signReceipt(receipt);
+    await this.dlvr.store.putReceipt(receipt);
+
+    return receipt;
+  }
+
+  /**
+   * SHA-256 digest of return-receipt evidence: a base64 (or data: URL) image,
+   * or carrier electronic-signature data (string or JSON object)
+   */
+  async digestEvidence({ image = null, imageType = null, electronicSignature = null } = {}) {
+    let bytes;
+    let type;
+    let contentType;
+
+    if (image) {
+      const match = String(image).match(/^data:([^;,]+);base64,(.*)$/s);
+      try {
+        bytes = Uint8Array.from(atob((match ? match[2] : String(image)).replace(/\s+/g, '')), c => c.charCodeAt(0));
+      } catch {
+        throw new Error('image must be base64-encoded');
+      }
+      type = 'image';
+      contentType = match?.[1] || imageType || 'application/octet-stream';
+    } else if (electronicSignature) {
+      const data = typeof electronicSignature === 'string' ? electronicSignature : JSON.stringify(electronicSignature);
+      bytes = new TextEncoder().encode(data);
+      type = 'electronicSignature';
+      contentType = typeof electronicSignature === 'string' ? 'text/plain' : 'application/json';
+    } else {
+      throw new Error('A return receipt needs an image or electronicSignature');
+    }
+
+    if (bytes.length === 0) throw new Error('Return receipt evidence is empty');
+    if (bytes.length > MAX_EVIDENCE_BYTES) {
+      throw new Error(`Return receipt evidence exceeds ${MAX_EVIDENCE_BYTES} bytes`);
+    }
+
+    const digest = await crypto.subtle.digest('SHA-256', bytes);
+    return {
+      type,
+      contentType,
+      size: bytes.length,
+      sha256: Array.from(new Uint8Array(digest), b => b.toString(16).padStart(2, '0')).join('')
+    };
   }
 
   // ============ Scoring ============
@@ -304,7 +494,8 @@ export class ReceiptEngine {
       witness: 90,
       physical: 75,
       notarized: 95,
-      legalService: 95
+      legalService: 95,
+      refusal: 70
     };
     return scores[method] || 70;
   }
@@ -315,7 +506,8 @@ export class ReceiptEngine {
       witness: 80,
       physical: 65,
       notarized: 90,
-      legalService: 85
+      legalService: 85,
+      refusal: 85
     };
     return scores[method] || 60;
   }
@@ -326,7 +518,8 @@ export class ReceiptEngine {
       witness: 95,
       physical: 80,
       notarized: 95,
-      legalService: 95
+      legalService: 95,
+      refusal: 75
     };
     return scores[method] || 70;
   }
@@ -348,4 +541,90 @@ export class ReceiptEngine {
   }
 }
 
+/**
+ * The payload a version 2 receipt's signature covers: the receipt itself
+ * without its signature block. Signed as canonicalize(receiptPayload(receipt)).
+ */
+export function receiptPayload(receipt) {
+  const { signature, ...signed } = receipt;
+  return signed;
+}
+
+/**
+ * The fields a version 1 receipt signed, by type (null when absent):
+ *   receipt  — receiptId, deliveryId, signer, method, acknowledgment,
+ *              witnessAttestationId, witnessAttestationSha256, contentSha256
+ *   refusal  — receiptId, type, deliveryId, mintId, refusedBy, reason, ip (evidence.ip)
+ *   physical — receiptId, type, deliveryId, mintId, carrier, trackingNumber,
+ *              returnReceiptNumber, signedBy, evidenceType, evidenceSha256, deliveredAt
+ * plus timestamp (createdAt), drandRound and drandRandomness.
+ */
+function legacyPayload(receipt) {
+  const anchor = {
+    timestamp: receipt.createdAt,
+    drandRound: receipt.drand?.round ?? null,
+    drandRandomness: receipt.drand?.randomness ?? null
+  };
+
+  if (receipt.type === 'refusal') {
+    return {
+      receiptId: receipt.receiptId,
+      type: 'refusal',
+      deliveryId: receipt.deliveryId,
+      mintId: receipt.mintId,
+      refusedBy: receipt.refusedBy,
+      reason: receipt.reason,
+      ip: receipt.evidence?.ip ?? null,
+      ...anchor
+    };
+  }
+  if (receipt.type === 'physical') {
+    return {
+      receiptId: receipt.receiptId,
+      type: 'physical',
+      deliveryId: receipt.deliveryId,
+      mintId: receipt.mintId,
+      carrier: receipt.carrier,
+      trackingNumber: receipt.trackingNumber,
+      returnReceiptNumber: receipt.returnReceiptNumber,
+      signedBy: receipt.signedBy,
+      evidenceType: receipt.evidence?.type ?? null,
+      evidenceSha256: receipt.evidence?.sha256 ?? null,
+      deliveredAt: receipt.deliveredAt,
+      ...anchor
+    };
+  }
+  return {
+    receiptId: receipt.receiptId,
+    deliveryId: receipt.deliveryId,
+    signer: receipt.signer,
+    method: receipt.method,
+    acknowledgment: receipt.acknowledgment ?? null,
+    witnessAttestationId: receipt.witnessAttestation?.attestationId ?? null,
+    witnessAttestationSha256: receipt.witnessAttestation?.payloadSha256 ?? null,
+    contentSha256: receipt.content?.sha256 ?? null,
+    ...anchor
+  };
+}
+
+/**
+ * Fields of a legacy receipt that differ from its signed string. Fields a
+ * legacy record never carried (mintId on refusals) can't be compared and
+ * are skipped; a versioned payload is never accepted as legacy.
+ */
+function legacyMismatches(receipt, signedPayload) {
+  let signed;
+  try {
+    signed = JSON.parse(signedPayload);
+  } catch {
+    return ['signature.signedPayload'];
+  }
+  if (!signed || typeof signed !== 'object' || 'version' in signed) return ['signature.signedPayload'];
+
+  const derived = legacyPayload(receipt);
+  return Object.keys(signed).filter(key =>
+    derived[key] !== undefined && canonicalize(derived[key]) !== canonicalize(signed[key])
+  );
+}
+
 export default ReceiptEngine;
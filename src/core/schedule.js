@@ -0,0 +1,273 @@
+/**
+ * Dispatch Scheduling
+ * Quiet hours and send-at times, in the recipient's own time zone.
+ *
+ * A delivery that may not go out yet (an SMS at 11pm where the recipient
+ * is, or a `sendAt` in the future) is stored PENDING with a dispatch job on
+ * the queue (see jobs.js) timed for when the window opens.
+ *
+ * Quiet hours are per channel, off unless configured, and need the queue:
+ *
+ *   new ChittyDLVR({ queue, schedule: { quietHours: { sms: '21:00-08:00' } } });
+ *
+ * A delivery may add its own window with options.quietHours, which holds it
+ * outside both windows; it can widen the quiet time but never lift the
+ * configured one (TCPA), so `false` has no effect.
+ *
+ * The recipient's time zone is, in order: options.timeZone, the phone
+ * number's area code (NANP only), the state of options.postalAddress, then
+ * the configured default. Split area codes and states use the zone most of
+ * their population is in.
+ */
+
+import { DeliveryError } from './errors.js';
+import { normalizeE164 } from './sms.js';
+import { parseAddress } from './address.js';
+
+const MINUTES_PER_DAY = 24 * 60;
+
+// ============ Time Zone Tables ============
+
+const AREA_CODE_ZONES = {
+  'America/New_York': `
+    201 202 203 207 212 215 216 220 223 227 229 234 239 240 252 267 272 276 283 301 302 304 305 315 321
+    326 329 330 332 339 347 351 352 363 380 386 401 404 407 410 412 413 419 423 434 436 440 443 445 470
+    472 475 478 484 502 508 513 516 518 540 551 561 567 570 571 582 585 586 603 606 607 609 610 614 617
+    631 640 645 646 656 667 678 680 681 689 703 704 706 716 717 718 724 727 732 740 743 754 757 762 770
+    772 774 781 786 802 803 804 813 814 826 828 835 838 839 843 845 848 854 856 857 859 860 862 863 864
+    865 878 904 908 910 912 914 917 919 929 934 937 941 943 948 954 959 973 978 980 984`,
+  'America/Detroit': '231 248 269 313 517 616 679 734 810 906 947 989',
+  'America/Indiana/Indianapolis': '260 317 463 574 765 812 930',
+  'America/Chicago': `
+    205 210 214 217 218 219 224 225 228 251 254 256 262 270 274 281 308 309 312 314 316 318 319 320 325
+    331 334 337 346 361 364 402 405 409 414 417 430 432 447 448 464 469 479 501 504 507 512 515 531 534
+    539 557 563 572 573 580 601 605 608 612 615 618 620 629 630 636 641 651 659 660 662 682 701 708 712
+    713 715 726 730 731 737 763 769 773 779 785 806 815 816 817 830 832 847 850 861 870 872 901 903 913
+    918 920 931 936 938 940 945 952 956 972 975 979 985`,
+  'America/Denver': '303 307 385 406 435 505 575 719 720 801 915 970 983',
+  'America/Boise': '208 986',
+  'America/Phoenix': '480 520 602 623 928',
+  'America/Los_Angeles': `
+    206 209 213 253 279 310 323 341 350 360 408 415 424 425 442 458 503 509 510 530 541 559 562 564 619
+    626 628 650 657 661 669 702 707 714 725 747 760 775 805 818 820 831 840 858 909 916 925 949 951 971`,
+  'America/Anchorage': '907',
+  'Pacific/Honolulu': '808',
+  'America/Puerto_Rico': '787 939'
+};
+
+const STATE_ZONES = {
+  'America/New_York': 'CT DC DE FL GA MA MD ME NC NH NJ NY OH PA RI SC VA VT WV',
+  'America/Kentucky/Louisville': 'KY',
+  'America/Detroit': 'MI',
+  'America/Indiana/Indianapolis': 'IN',
+  'America/Chicago': 'AL AR IA IL KS LA MN MO MS ND NE OK SD TN TX WI',
+  'America/Denver': 'CO MT NM UT WY',
+  'America/Boise': 'ID',
+  'America/Phoenix': 'AZ',
+  'America/Los_Angeles': 'CA NV OR WA',
+  'America/Anchorage': 'AK',
+  'Pacific/Honolulu': 'HI',
+  'America/Puerto_Rico': 'PR'
+};
+
+const ZONE_BY_AREA_CODE = invert(AREA_CODE_ZONES);
+const ZONE_BY_STATE = invert(STATE_ZONES);
+
+export class DispatchScheduler {
+  constructor(dlvr, { quietHours = {}, defaultTimeZone = 'America/New_York' } = {}) {
+    this.dlvr = dlvr;
+    this.defaultTimeZone = normalizeTimeZone(defaultTimeZone);
+
+    // Channel → { start, end } in minutes after local midnight
+    this.quietHours = {};
+    for (const [method, window] of Object.entries(quietHours)) {
+      if (window) this.quietHours[method] = parseQuietHours(window);
+    }
+
+    // Without a queue every send inside the window would fail QUEUE_UNAVAILABLE
+    const quietMethods = Object.keys(this.quietHours);
+    if (quietMethods.length && !dlvr.queue) {
+      throw new Error(`Quiet hours (${quietMethods.join(', ')}) need a job queue (DLVR_QUEUE) to hold deliveries until the window opens`);
+    }
+  }
+
+  /**
+   * Decide when a delivery may be dispatched. Returns null when neither
+   * quiet hours nor sendAt apply, else
+   * { deferred, reason, dispatchAt, requestedAt, timeZone, timeZoneSource, quietHours }.
+   */
+  plan({ method, address, options = {}, now = new Date() }) {
+    const quiet = this.quietHoursFor(method, options);
+    const requestedAt = options.sendAt == null ? null : parseSendAt(options.sendAt);
+    if (!quiet.length && !requestedAt) return null;
+
+    const earliest = requestedAt && requestedAt > now ? requestedAt : now;
+    const { timeZone, source } = this.timeZoneFor({ method, address, options });
+
+    let dispatchAt = earliest;
+    let reason = earliest > now ? 'SEND_AT' : null;
+    const opensAt = quiet.length ? windowsOpenAt(earliest, quiet, timeZone) : null;
+    if (opensAt) {
+      dispatchAt = opensAt;
+      reason = 'QUIET_HOURS';
+    }
+
+    return {
+      deferred: dispatchAt > now,
+      reason,
+      dispatchAt: dispatchAt.toISOString(),
+      requestedAt: requestedAt ? requestedAt.toISOString() : null,
+      timeZone,
+      timeZoneSource: source,
+      quietHours: quiet.length ? quiet.map(({ start, end }) => ({ start: formatClock(start), end: formatClock(end) })) : null
+    };
+  }
+
+  /**
+   * Quiet windows for a delivery: the channel's configured window plus any
+   * options.quietHours. Only configuration can turn quiet hours off.
+   */
+  quietHoursFor(method, options = {}) {
+    const windows = this.quietHours[method] ? [this.quietHours[method]] : [];
+    if (options.quietHours != null && options.quietHours !== false) windows.push(parseQuietHours(options.quietHours));
+    return windows;
+  }
+
+  /**
+   * Recipient time zone and where it came from
+   * (explicit, areaCode, postalAddress, default)
+   */
+  timeZoneFor({ method, address, options = {} }) {
+    if (options.timeZone) return { timeZone: normalizeTimeZone(options.timeZone), source: 'explicit' };
+
+    const phone = method === 'sms' ? address : options.phone;
+    const fromPhone = phone ? timeZoneForPhone(phone) : null;
+    if (fromPhone) return { timeZone: fromPhone, source: 'areaCode' };
+
+    const postal = method === 'physical' ? address : options.postalAddress;
+    const fromAddress = postal ? timeZoneForAddress(postal) : null;
+    if (fromAddress) return { timeZone: fromAddress, source: 'postalAddress' };
+
+    return { timeZone: this.defaultTimeZone, source: 'default' };
+  }
+}
+
+// ============ Time Zones ============
+
+/**
+ * Time zone for a NANP phone number's area code, or null
+ */
+export function timeZoneForPhone(phone) {
+  let number;
+  try {
+    number = normalizeE164(phone);
+  } catch {
+    return null;
+  }
+  const match = number.match(/^\+1(\d{3})\d{7}$/);
+  return match ? ZONE_BY_AREA_CODE[match[1]] || null : null;
+}
+
+/**
+ * Time zone for a US postal address's state, or null
+ */
+export function timeZoneForAddress(address) {
+  const { state } = parseAddress(address).components;
+  return state ? ZONE_BY_STATE[state] || null : null;
+}
+
+/**
+ * Validate an IANA time zone name. Throws INVALID_SCHEDULE.
+ */
+export function normalizeTimeZone(timeZone) {
+  try {
+    return new Intl.DateTimeFormat('en-US', { timeZone }).resolvedOptions().timeZone;
+  } catch {
+    throw new DeliveryError(`Invalid time zone: ${timeZone}`, 'INVALID_SCHEDULE', 400);
+  }
+}
+
+// ============ Quiet Hours ============
+
+/**
+ * "21:00-08:00" or { start: '21:00', end: '08:00' } → minutes after midnight.
+ * Windows may wrap past midnight. Throws INVALID_SCHEDULE.
+ */
+export function parseQuietHours(value) {
+  const [start, end] = typeof value === 'string' ? value.split('-') : [value?.start, value?.end];
+  const window = { start: parseClock(start), end: parseClock(end) };
+  if (window.start === window.end) {
+    throw new DeliveryError('Quiet hours must start and end at different times', 'INVALID_SCHEDULE', 400);
+  }
+  return window;
+}
+
+/**
+ * When a quiet window covering `at` ends, or null if `at` is outside it
+ */
+export function windowOpensAt(at, { start, end }, timeZone) {
+  const local = localMinutes(at, timeZone);
+  const quiet = start < end
+    ? local >= start && local < end
+    : local >= start || local < end;
+  if (!quiet) return null;
+
+  const minute = Math.floor(at.getTime() / 60000) * 60000;
+  const opensAt = new Date(minute + ((end - local + MINUTES_PER_DAY) % MINUTES_PER_DAY) * 60000);
+
+  // A DST change inside the window moves the local clock; correct for it
+  let drift = end - localMinutes(opensAt, timeZone);
+  if (drift > MINUTES_PER_DAY / 2) drift -= MINUTES_PER_DAY;
+  if (drift < -MINUTES_PER_DAY / 2) drift += MINUTES_PER_DAY;
+  return new Date(opensAt.getTime() + drift * 60000);
+}
+
+/**
+ * When `at` is outside every window, or null if it already is. Leaving one
+ * window can land inside another, so step until clear. Throws
+ * INVALID_SCHEDULE when together they cover the whole day.
+ */
+export function windowsOpenAt(at, windows, timeZone) {
+  let opensAt = null;
+  for (let i = 0; i <= windows.length; i++) {
+    const next = windows.map(window => windowOpensAt(opensAt || at, window, timeZone)).find(Boolean);
+    if (!next) return opensAt;
+    opensAt = next;
+  }
+  throw new DeliveryError('Quiet hours leave no time of day to send', 'INVALID_SCHEDULE', 400);
+}
+
+function localMinutes(at, timeZone) {
+  const parts = new Intl.DateTimeFormat('en-US', { timeZone, hour: '2-digit', minute: '2-digit', hourCycle: 'h23' })
+    .formatToParts(at);
+  const part = (type) => Number(parts.find(p => p.type === type).value);
+  return part('hour') * 60 + part('minute');
+}
+
+function parseClock(value) {
+  const match = typeof value === 'string' && value.trim().match(/^([01]?\d|2[0-3]):([0-5]\d)$/);
+  if (!match) {
+    throw new DeliveryError(`Invalid quiet-hours time: ${value}. Expected HH:MM`, 'INVALID_SCHEDULE', 400);
+  }
+  return Number(match[1]) * 60 + Number(match[2]);
+}
+
+function formatClock(minutes) {
+  return `${String(Math.floor(minutes / 60)).padStart(2, '0')}:${String(minutes % 60).padStart(2, '0')}`;
+}
+
+function parseSendAt(value) {
+  const at = new Date(value);
+  if (Number.isNaN(at.getTime())) {
+    throw new DeliveryError(`Invalid sendAt: ${value}. Expected an ISO 8601 timestamp`, 'INVALID_SCHEDULE', 400);
+  }
+  return at;
+}
+
+function invert(table) {
+  const index = {};
+  for (const [zone, keys] of Object.entries(table)) {
+    for (const key of keys.trim().split(/\s+/)) index[key] = zone;
+  }
+  return index;
+}
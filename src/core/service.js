@@ -11,8 +11,15 @@
  * Each produces an affidavit of service that scores 95 on the delivery pillar.
  */
 
+import { checkPostalAddress } from './address.js';
+import { DeliveryError } from './errors.js';
+import { normalizeTarget, normalizeRadius, normalizeGeolocation, checkGeofence } from './geo.js';
+
 const VALID_SERVICE_TYPES = ['personal', 'substituted', 'constructive', 'publication'];
 
+// Service types that happen at a physical location (a PO box won't do)
+const LOCATION_SERVICE_TYPES = ['personal', 'substituted', 'constructive'];
+
 export class ServiceEngine {
   constructor(dlvr) {
     this.dlvr = dlvr;
@@ -27,6 +34,8 @@ export class ServiceEngine {
       respondent,
       serviceType = 'personal',
       address,
+      targetLocation,
+      radiusMeters,
       jurisdiction,
       timestamp
     } = options;
@@ -35,14 +44,33 @@ export class ServiceEngine {
       throw new Error(`Invalid service type: ${serviceType}. Valid types: ${VALID_SERVICE_TYPES.join(', ')}`);
     }
 
+    let postalAddress = null;
+    if (address) {
+      postalAddress = checkPostalAddress(address);
+      if (postalAddress.components.poBox && LOCATION_SERVICE_TYPES.includes(serviceType)) {
+        postalAddress.issues.push({
+          severity: 'warning',
+          code: 'PO_BOX',
+          message: `${serviceType} service cannot be made at a PO box`
+        });
+      }
+    }
+
+    // Coordinates of the service address; attempt geolocation is checked against them
+    const target = normalizeTarget(targetLocation);
+    const radius = normalizeRadius(radiusMeters, this.dlvr.geofence.radiusMeters);
+
     const serviceId = this.generateServiceId();
 
-    return {
+    const service = {
       serviceId,
       mintId,
       respondent,
       serviceType,
       address,
+      postalAddress,
+      targetLocation: target,
+      radiusMeters: radius,
       jurisdiction,
 
       // Process server assignment
@@ -79,28 +107,56 @@ export class ServiceEngine {
       // Verification
       trackingUrl: `https://chitty.cc/service/${serviceId}`
     };
+
+    // Persist so attempts and the affidavit can cite the address served
+    await this.dlvr.store.putService(service);
+
+    return service;
   }
 
   /**
-   * Record a service attempt
+   * Record a service attempt. geoVerified is computed from the attempt's
+   * device geolocation against the service target — never taken from the caller.
    */
   async recordAttempt(serviceId, attempt) {
     const timestamp = new Date().toISOString();
+    const service = await this.dlvr.store.getService(serviceId);
+    if (!service) {
+      throw new DeliveryError(`Service not found: ${serviceId}`, 'SERVICE_NOT_FOUND', 404, { serviceId });
+    }
 
-    return {
+    const geolocation = normalizeGeolocation(attempt.geolocation);
+    const geofence = checkGeofence(geolocation, service.targetLocation, {
+      ...this.dlvr.geofence,
+      radiusMeters: service.radiusMeters ?? this.dlvr.geofence.radiusMeters
+    });
+
+    const record = {
       serviceId,
-      attemptNumber: attempt.attemptNumber || 1,
+      attemptNumber: service.attempts.length + 1,
       successful: attempt.successful || false,
       servedTo: attempt.servedTo || null,
       relationship: attempt.relationship || null,
       location: attempt.location || null,
-      geoVerified: attempt.geoVerified || false,
+      geolocation,
+      geofence,
+      geoVerified: geofence.verified,
       processServer: attempt.processServer,
       notes: attempt.notes || null,
       timestamp,
       witnessed: true,
       witness: 'ChittyOS'
     };
+
+    service.attempts.push(record);
+    if (record.successful) {
+      service.status = 'SERVED';
+      service.servedAt = timestamp;
+      service.statusHistory.push({ status: 'SERVED', timestamp, actor: record.processServer || 'process-server' });
+    }
+    await this.dlvr.store.putService(service);
+
+    return record;
   }
 
   /**
@@ -116,11 +172,21 @@ export class ServiceEngine {
     } = options;
 
     const affidavitId = this.generateAffidavitId();
+    const service = await this.dlvr.store.getService(serviceId);
+
+    // The geo bonus is earned by a geofence-verified successful attempt
+    const served = service?.attempts?.find(a => a.successful && a.geoVerified) || null;
+    const scored = { ...details, geoVerified: Boolean(served) };
 
     return {
       affidavitId,
       serviceId,
 
+      // Where service was directed, as given and as normalized
+      address: service?.postalAddress
+        ? { raw: service.postalAddress.raw, normalized: service.postalAddress.normalized }
+        : null,
+
       // Who served
       processServer,
       serverLicensed: true,
@@ -131,6 +197,8 @@ export class ServiceEngine {
       servedTo: details.servedTo || null,
       relationship: details.relationship || null,
       location: details.location || null,
+      geoVerified: scored.geoVerified,
+      geofence: served?.geofence || null,
 
       // Sworn statement
       sworn: true,
@@ -141,9 +209,9 @@ export class ServiceEngine {
       proof: {
         pillar: 'delivery',
         method: 'legalService',
-        score: this.scoreAffidavit(serviceType, details),
-        technical: this.scoreTechnical(serviceType, details),
-        arguable: this.scoreArguable(serviceType, details)
+        score: this.scoreAffidavit(serviceType, scored),
+        technical: this.scoreTechnical(serviceType, scored),
+        arguable: this.scoreArguable(serviceType, scored)
       },
 
       // Status
@@ -0,0 +1,76 @@
+/**
+ * SMS Composition
+ * Encoding detection, segmentation and number validation for the SMS channel.
+ *
+ * GSM 03.38 (GSM-7) fits 160 characters in one segment and 153 per segment
+ * when concatenated; characters from the extension table (€, {, } …) take
+ * two septets. Anything outside GSM-7 forces UCS-2: 70 per segment, 67
+ * when concatenated, counted in UTF-16 code units.
+ */
+
+const GSM7_BASIC =
+  '@£$¥èéùìòÇ\nØø\rÅåΔ_ΦΓΛΩΠΨΣΘΞÆæßÉ !"#¤%&\'()*+,-./0123456789:;<=>?' +
+  '¡ABCDEFGHIJKLMNOPQRSTUVWXYZÄÖÑÜ§¿abcdefghijklmnopqrstuvwxyzäöñüà';
+const GSM7_EXTENSION = '\f^{}\\[~]|€';
+
+const GSM7_BASIC_SET = new Set(GSM7_BASIC);
+const GSM7_EXTENSION_SET = new Set(GSM7_EXTENSION);
+
+const LIMITS = {
+  'GSM-7': { single: 160, multi: 153 },
+  'UCS-2': { single: 70, multi: 67 }
+};
+
+export const MAX_SMS_SEGMENTS = 10;
+
+/**
+ * Detect encoding and count segments for an SMS body
+ */
+export function analyzeSMS(body) {
+  const text = String(body);
+  let gsm = true;
+  let septets = 0;
+
+  for (const char of text) {
+    if (GSM7_BASIC_SET.has(char)) {
+      septets += 1;
+    } else if (GSM7_EXTENSION_SET.has(char)) {
+      septets += 2;
+    } else {
+      gsm = false;
+      break;
+    }
+  }
+
+  const encoding = gsm ? 'GSM-7' : 'UCS-2';
+  const units = gsm ? septets : text.length; // UTF-16 code units
+  const limit = LIMITS[encoding];
+  const segments = units === 0 ? 1 : units <= limit.single ? 1 : Math.ceil(units / limit.multi);
+
+  return {
+    encoding,
+    characters: [...text].length,
+    units,
+    segments,
+    perSegment: segments === 1 ? limit.single : limit.multi,
+    // Carriers bill per segment; UCS-2 segments carry less text for the same cost
+    costUnits: segments
+  };
+}
+
+/**
+ * Normalize a phone number to E.164, or throw
+ */
+export function normalizeE164(number) {
+  if (typeof number !== 'string' && typeof number !== 'number') {
+    throw new Error(`Invalid phone number: ${number}`);
+  }
+
+  let value = String(number).trim().replace(/[\s().-]/g, '');
+  if (value.startsWith('00')) value = `+${value.slice(2)}`;
+
+  if (!/^\+[1-9]\d{6,14}$/.test(value)) {
+    throw new Error(`Invalid phone number: ${number}. Expected E.164 format, e.g. +13125550100`);
+  }
+  return value;
+}
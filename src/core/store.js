@@ -0,0 +1,329 @@
+/**
+ * Delivery Store
+ * Persistence for delivery records and receipts.
+ *
+ * Every backend implements four primitives — read, write, remove, list — over
+ * JSON documents keyed by `<kind>:<id>`. The named accessors are built on
+ * those primitives, so a new backend only has to provide storage.
+ */
+
+export class DeliveryStore {
+  async read(key) {
+    throw new Error(`${this.constructor.name} does not implement read()`);
+  }
+
+  async write(key, value) {
+    throw new Error(`${this.constructor.name} does not implement write()`);
+  }
+
+  async remove(key) {
+    throw new Error(`${this.constructor.name} does not implement remove()`);
+  }
+
+  async list(prefix) {
+    throw new Error(`${this.constructor.name} does not implement list()`);
+  }
+
+  // ============ Deliveries ============
+
+  async getDelivery(deliveryId) {
+    return this.read(`delivery:${deliveryId}`);
+  }
+
+  async putDelivery(delivery) {
+    await this.write(`delivery:${delivery.deliveryId}`, delivery);
+    return delivery;
+  }
+
+  // ============ Receipts ============
+
+  async getReceipt(receiptId) {
+    return this.read(`receipt:${receiptId}`);
+  }
+
+  async putReceipt(receipt) {
+    await this.write(`receipt:${receipt.receiptId}`, receipt);
+    return receipt;
+  }
+
+  // ============ Escalations ============
+
+  async getEscalation(escalationId) {
+    return this.read(`escalation:${escalationId}`);
+  }
+
+  // Active chains are also indexed under "escalation-open:" so the sweep
+  // never lists the closed ones
+  async putEscalation(escalation) {
+    const { escalationId, status, nextCheckAt } = escalation;
+    await this.write(`escalation:${escalationId}`, escalation);
+    if (status === 'ACTIVE') {
+      await this.write(`escalation-open:${escalationId}`, { escalationId, nextCheckAt });
+    } else {
+      await this.remove(`escalation-open:${escalationId}`);
+    }
+    return escalation;
+  }
+
+  async listEscalations() {
+    return this.list('escalation:');
+  }
+
+  // { escalationId, nextCheckAt } for each active chain
+  async listOpenEscalations() {
+    return this.list('escalation-open:');
+  }
+
+  // ============ Suppressions ============
+
+  // Keyed "<kind>:<normalized address>" (email:…, phone:…)
+  async getSuppression(id) {
+    return this.read(`suppression:${id}`);
+  }
+
+  async putSuppression(suppression) {
+    await this.write(`suppression:${suppression.kind}:${suppression.address}`, suppression);
+    return suppression;
+  }
+
+  async removeSuppression(id) {
+    await this.remove(`suppression:${id}`);
+  }
+
+  async listSuppressions() {
+    return this.list('suppression:');
+  }
+
+  // ============ Dead Letters ============
+
+  async getDeadLetter(deadLetterId) {
+    return this.read(`deadletter:${deadLetterId}`);
+  }
+
+  async putDeadLetter(deadLetter) {
+    await this.write(`deadletter:${deadLetter.deadLetterId}`, deadLetter);
+    return deadLetter;
+  }
+
+  async listDeadLetters() {
+    return this.list('deadletter:');
+  }
+
+  // ============ Legal Service ============
+
+  async getService(serviceId) {
+    return this.read(`service:${serviceId}`);
+  }
+
+  async putService(service) {
+    await this.write(`service:${service.serviceId}`, service);
+    return service;
+  }
+
+  // ============ Templates ============
+  // template:<tenant|*>:<channel>:<locale>
+
+  async getTemplate(templateId) {
+    return this.read(`template:${templateId}`);
+  }
+
+  async putTemplate(template) {
+    await this.write(`template:${template.templateId}`, template);
+    return template;
+  }
+
+  // recipient-locale:<to> → { to, locale, updatedAt }, the language a recipient reads
+
+  async getRecipientLocale(to) {
+    return this.read(`recipient-locale:${to}`);
+  }
+
+  async putRecipientLocale(preference) {
+    await this.write(`recipient-locale:${preference.to}`, preference);
+    return preference;
+  }
+
+  // ============ Witness Attestations ============
+
+  async getAttestation(attestationId) {
+    return this.read(`attestation:${attestationId}`);
+  }
+
+  async putAttestation(attestation) {
+    await this.write(`attestation:${attestation.attestationId}`, attestation);
+    return attestation;
+  }
+
+  // witness-credential:<chittyId>:<credentialId> → a key registered to that witness
+
+  async getWitnessCredential(chittyId, credentialId) {
+    return this.read(`witness-credential:${chittyId}:${credentialId}`);
+  }
+
+  async putWitnessCredential(credential) {
+    await this.write(`witness-credential:${credential.chittyId}:${credential.credentialId}`, credential);
+    return credential;
+  }
+
+  // ============ Carrier Tracking ============
+  // tracking:<number> → { trackingNumber, carrier, deliveryId } so scans find their delivery
+
+  async getTracking(trackingNumber) {
+    return this.read(`tracking:${trackingNumber}`);
+  }
+
+  async putTracking(tracking) {
+    await this.write(`tracking:${tracking.trackingNumber}`, tracking);
+    return tracking;
+  }
+
+  async removeTracking(trackingNumber) {
+    await this.remove(`tracking:${trackingNumber}`);
+  }
+
+  // ============ Short Links ============
+
+  async getShortLink(code) {
+    return this.read(`short:${code}`);
+  }
+
+  async putShortLink(link) {
+    await this.write(`short:${link.code}`, link);
+    return link;
+  }
+}
+
+/**
+ * In-memory store. Used by default and in tests; records live as long as
+ * the process (or Worker isolate) does.
+ */
+export class MemoryDeliveryStore extends DeliveryStore {
+  constructor() {
+    super();
+    this._records = new Map();
+  }
+
+  async read(key) {
+    const value = this._records.get(key);
+    // Clone so callers can't mutate stored state without a write
+    return value === undefined ? null : structuredClone(value);
+  }
+
+  async write(key, value) {
+    this._records.set(key, structuredClone(value));
+  }
+
+  async remove(key) {
+    this._records.delete(key);
+  }
+
+  async list(prefix) {
+    const values = [];
+    for (const [key, value] of this._records) {
+      if (key.startsWith(prefix)) values.push(structuredClone(value));
+    }
+    return values;
+  }
+}
+
+/**
+ * Cloudflare Workers KV store
+ */
+export class KVDeliveryStore extends DeliveryStore {
+  constructor(namespace) {
+    super();
+    if (!namespace) throw new Error('KVDeliveryStore requires a KV namespace binding');
+    this.kv = namespace;
+  }
+
+  async read(key) {
+    return await this.kv.get(key, { type: 'json' });
+  }
+
+  async write(key, value) {
+    await this.kv.put(key, JSON.stringify(value));
+  }
+
+  async remove(key) {
+    await this.kv.delete(key);
+  }
+
+  async list(prefix) {
+    const values = [];
+    let cursor;
+    do {
+      const page = await this.kv.list({ prefix, cursor });
+      for (const { name } of page.keys) {
+        const value = await this.read(name);
+        if (value !== null) values.push(value);
+      }
+      cursor = page.list_complete ? undefined : page.cursor;
+    } while (cursor);
+    return values;
+  }
+}
+
+/**
+ * Cloudflare D1 store. Documents are kept as JSON in a single keyed table,
+ * created on first use.
+ */
+export class D1DeliveryStore extends DeliveryStore {
+  constructor(db) {
+    super();
+    if (!db) throw new Error('D1DeliveryStore requires a D1 database binding');
+    this.db = db;
+    this._ready = null;
+  }
+
+  async ensureSchema() {
+    if (!this._ready) {
+      this._ready = this.db.prepare(
+        'CREATE TABLE IF NOT EXISTS dlvr_records (key TEXT PRIMARY KEY, value TEXT NOT NULL, updated_at TEXT NOT NULL)'
+      ).run().catch((error) => {
+        // Don't cache a transient failure; the next call tries again
+        this._ready = null;
+        throw error;
+      });
+    }
+    return this._ready;
+  }
+
+  async read(key) {
+    await this.ensureSchema();
+    const value = await this.db.prepare('SELECT value FROM dlvr_records WHERE key = ?').bind(key).first('value');
+    return value == null ? null : JSON.parse(value);
+  }
+
+  async write(key, value) {
+    await this.ensureSchema();
+    await this.db.prepare(
+      'INSERT INTO dlvr_records (key, value, updated_at) VALUES (?, ?, ?) ' +
+      'ON CONFLICT(key) DO UPDATE SET value = excluded.value, updated_at = excluded.updated_at'
+    ).bind(key, JSON.stringify(value), new Date().toISOString()).run();
+  }
+
+  async remove(key) {
+    await this.ensureSchema();
+    await this.db.prepare('DELETE FROM dlvr_records WHERE key = ?').bind(key).run();
+  }
+
+  async list(prefix) {
+    await this.ensureSchema();
+    const { results } = await this.db.prepare(
+      'SELECT value FROM dlvr_records WHERE substr(key, 1, ?) = ? ORDER BY key'
+    ).bind(prefix.length, prefix).all();
+    return results.map(row => JSON.parse(row.value));
+  }
+}
+
+/**
+ * Pick a store from Worker bindings: D1 (DLVR_DB) first, then KV (DLVR_KV),
+ * then the supplied fallback.
+ */
+export function createDeliveryStore(env = {}, fallback = null) {
+  if (env.DLVR_DB) return new D1DeliveryStore(env.DLVR_DB);
+  if (env.DLVR_KV) return new KVDeliveryStore(env.DLVR_KV);
+  return fallback || new MemoryDeliveryStore();
+}
+
+export default DeliveryStore;
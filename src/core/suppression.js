@@ -0,0 +1,163 @@
+/**
+ * Suppression List
+ * Addresses that must not be contacted again: unsubscribed, hard-bounced,
+ * or texted STOP. Keyed by normalized address (lower-cased email, E.164
+ * phone), so "Jane@Example.com" and "jane@example.com" are one entry.
+ *
+ * Every channel screens its address before dispatch. Suppressed addresses
+ * fail fast with SUPPRESSED, except on legalService and physical: service of
+ * process can't be opted out of, so those dispatch anyway and carry an audit
+ * note that the suppression was bypassed.
+ *
+ * Addresses that are neither email nor phone (webhook URLs, street
+ * addresses) are never suppressed.
+ */
+
+import { DeliveryError } from './errors.js';
+import { normalizeE164 } from './sms.js';
+import { parseMailbox } from './mime.js';
+
+export const SUPPRESSION_REASONS = ['UNSUBSCRIBED', 'HARD_BOUNCE', 'SMS_STOP', 'COMPLAINT', 'MANUAL'];
+
+export const SUPPRESSION_EXEMPT_METHODS = ['legalService', 'physical'];
+
+// CTIA opt-out and opt-in keywords
+const STOP_KEYWORDS = ['STOP', 'STOPALL', 'UNSUBSCRIBE', 'CANCEL', 'END', 'QUIT', 'OPTOUT', 'REVOKE'];
+const START_KEYWORDS = ['START', 'UNSTOP', 'YES', 'OPTIN'];
+
+const EMAIL_PATTERN = /^[^\s@<>]+@[^\s@<>]+\.[^\s@<>]+$/;
+
+export class SuppressionList {
+  constructor(dlvr) {
+    this.dlvr = dlvr;
+  }
+
+  /**
+   * Suppress an address. Re-suppressing keeps the first entry's createdAt
+   * and adds to its history.
+   */
+  async add({ address, reason = 'MANUAL', source = 'api', deliveryId = null, note = null } = {}) {
+    const key = suppressionKey(address);
+    if (!key) {
+      throw new DeliveryError(`Not an email address or phone number: ${address}`, 'INVALID_SUPPRESSION', 400);
+    }
+    if (!SUPPRESSION_REASONS.includes(reason)) {
+      throw new DeliveryError(
+        `Invalid suppression reason: ${reason}. Valid reasons: ${SUPPRESSION_REASONS.join(', ')}`,
+        'INVALID_SUPPRESSION',
+        400
+      );
+    }
+
+    const timestamp = new Date().toISOString();
+    const existing = await this.dlvr.store.getSuppression(key.id);
+    const entry = { reason, source, deliveryId, note, timestamp };
+    const record = {
+      address: key.value,
+      kind: key.kind,
+      reason,
+      source,
+      deliveryId,
+      note,
+      createdAt: existing?.createdAt || timestamp,
+      updatedAt: timestamp,
+      history: [...(existing?.history || []), entry]
+    };
+    await this.dlvr.store.putSuppression(record);
+    return record;
+  }
+
+  /**
+   * Lift a suppression (a re-subscribe, an SMS START). Returns the removed
+   * record, or null if the address was not suppressed.
+   */
+  async remove(address) {
+    const key = suppressionKey(address);
+    const existing = key ? await this.dlvr.store.getSuppression(key.id) : null;
+    if (!existing) return null;
+    await this.dlvr.store.removeSuppression(key.id);
+    return existing;
+  }
+
+  /**
+   * The suppression for an address, or null
+   */
+  async check(address) {
+    const key = suppressionKey(address);
+    return key ? this.dlvr.store.getSuppression(key.id) : null;
+  }
+
+  async list() {
+    return (await this.dlvr.store.listSuppressions())
+      .sort((a, b) => b.updatedAt.localeCompare(a.updatedAt));
+  }
+
+  /**
+   * Screen an address before dispatch. Throws SUPPRESSED for suppressed
+   * addresses; exempt methods get back an audit note instead. Returns null
+   * when the address is clear.
+   */
+  async screen(method, address) {
+    const suppression = await this.check(address);
+    if (!suppression) return null;
+
+    const { reason, source, updatedAt } = suppression;
+    if (SUPPRESSION_EXEMPT_METHODS.includes(method)) {
+      return {
+        bypassed: true,
+        address: suppression.address,
+        reason,
+        source,
+        suppressedAt: updatedAt,
+        note: `Suppression (${reason}) bypassed: ${method} delivery is service of process and cannot be opted out of`
+      };
+    }
+
+    throw new DeliveryError(
+      `Recipient ${suppression.address} is suppressed (${reason}); ${method} delivery not attempted`,
+      'SUPPRESSED',
+      422,
+      { address: suppression.address, reason, source, suppressedAt: updatedAt }
+    );
+  }
+
+  /**
+   * Apply an inbound SMS: opt-out keywords suppress the sender, opt-in
+   * keywords lift an SMS_STOP suppression. Anything else is ignored.
+   */
+  async ingestSMS({ from, body = '' } = {}) {
+    const keyword = String(body).trim().toUpperCase().replace(/[^A-Z]/g, '');
+
+    if (STOP_KEYWORDS.includes(keyword)) {
+      const suppression = await this.add({ address: from, reason: 'SMS_STOP', source: 'sms:inbound', note: keyword });
+      return { action: 'suppressed', keyword, suppression };
+    }
+    if (START_KEYWORDS.includes(keyword)) {
+      const existing = await this.check(from);
+      if (existing?.reason !== 'SMS_STOP') return { action: 'ignored', keyword };
+      await this.remove(from);
+      return { action: 'resubscribed', keyword, address: existing.address };
+    }
+    return { action: 'ignored', keyword: keyword || null };
+  }
+}
+
+/**
+ * { kind, value, id } for an email address or phone number, else null.
+ * A display-name mailbox ("Jane <jane@example.com>") keys on its address.
+ */
+export function suppressionKey(address) {
+  if (typeof address !== 'string' || !address.trim()) return null;
+  const value = address.trim();
+  const email = parseMailbox(value)?.address.toLowerCase();
+
+  if (email && EMAIL_PATTERN.test(email)) {
+    return { kind: 'email', value: email, id: `email:${email}` };
+  }
+  try {
+    const phone = normalizeE164(value);
+    return { kind: 'phone', value: phone, id: `phone:${phone}` };
+  } catch {
+    return null;
+  }
+}
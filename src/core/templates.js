@@ -0,0 +1,269 @@
+/**
+ * Notification Templates
+ * Localized, per-tenant wording for the email and SMS channels.
+ *
+ * Templates use {{name}} placeholders. Each channel has a fixed set of
+ * variables and some it cannot go without (a notice with no way to view the
+ * document is not a delivery), so templates are checked when registered:
+ * unknown or missing placeholders fail there, not in a recipient's inbox.
+ *
+ * Lookup walks the locale chain (the recipient's preferred locale, then the
+ * delivery's options.locale, each followed by its base language, then the
+ * default locale), and at each locale prefers the tenant's template over the
+ * shared one over the built-in.
+ */
+
+import { DeliveryError } from './errors.js';
+import { escapeHtml } from './mime.js';
+
+const PLACEHOLDER = /\{\{\s*([A-Za-z][A-Za-z0-9_]*)\s*\}\}/g;
+
+export const TEMPLATE_CHANNELS = {
+  email: {
+    fields: { subject: true, text: true, html: false },
+    variables: ['mintId', 'deliveryId', 'recipient', 'viewUrl', 'receiptUrl', 'declineUrl'],
+    required: { text: ['viewUrl', 'declineUrl'], html: ['viewUrl', 'declineUrl'] }
+  },
+  sms: {
+    fields: { body: true },
+    variables: ['mintId', 'deliveryId', 'recipient', 'shortUrl'],
+    required: { body: ['shortUrl'] }
+  }
+};
+
+const BUILTIN_TEMPLATES = {
+  en: {
+    email: {
+      subject: 'Document Delivery: {{mintId}}',
+      text: [
+        'You have a certified document delivery: {{mintId}}',
+        '',
+        'View the document: {{viewUrl}}',
+        'Sign the receipt: {{receiptUrl}}',
+        'Decline delivery: {{declineUrl}}',
+        '',
+        'Delivery ID: {{deliveryId}}',
+        'This delivery is tracked and receipted by ChittyDLVR.'
+      ].join('\n'),
+      html: [
+        '<!DOCTYPE html>',
+        '<html><body>',
+        '<p>You have a certified document delivery: <strong>{{mintId}}</strong></p>',
+        '<p><a href="{{viewUrl}}">View the document</a></p>',
+        '<p><a href="{{receiptUrl}}">Sign the receipt</a> &middot; <a href="{{declineUrl}}">Decline delivery</a></p>',
+        '<p style="color:#666;font-size:12px">Delivery ID: {{deliveryId}}. This delivery is tracked and receipted by ChittyDLVR.</p>',
+        '</body></html>'
+      ].join('\n')
+    },
+    sms: {
+      body: 'You have a certified document delivery. View: {{shortUrl}}'
+    }
+  },
+  es: {
+    email: {
+      subject: 'Entrega de documento: {{mintId}}',
+      text: [
+        'Tiene una entrega certificada de documento: {{mintId}}',
+        '',
+        'Ver el documento: {{viewUrl}}',
+        'Firmar el acuse de recibo: {{receiptUrl}}',
+        'Rechazar la entrega: {{declineUrl}}',
+        '',
+        'ID de entrega: {{deliveryId}}',
+        'ChittyDLVR registra y certifica esta entrega.'
+      ].join('\n'),
+      html: [
+        '<!DOCTYPE html>',
+        '<html lang="es"><body>',
+        '<p>Tiene una entrega certificada de documento: <strong>{{mintId}}</strong></p>',
+        '<p><a href="{{viewUrl}}">Ver el documento</a></p>',
+        '<p><a href="{{receiptUrl}}">Firmar el acuse de recibo</a> &middot; <a href="{{declineUrl}}">Rechazar la entrega</a></p>',
+        '<p style="color:#666;font-size:12px">ID de entrega: {{deliveryId}}. ChittyDLVR registra y certifica esta entrega.</p>',
+        '</body></html>'
+      ].join('\n')
+    },
+    sms: {
+      body: 'Tiene una entrega certificada de documento. Ver: {{shortUrl}}'
+    }
+  }
+};
+
+export class TemplateRegistry {
+  constructor(dlvr, { defaultLocale = 'en', templates = [] } = {}) {
+    this.dlvr = dlvr;
+    this.defaultLocale = normalizeLocale(defaultLocale);
+    this._templates = new Map();
+
+    for (const template of templates) {
+      const normalized = this.validate(template);
+      this._templates.set(normalized.templateId, normalized);
+    }
+  }
+
+  /**
+   * Validate and persist a template. Throws INVALID_TEMPLATE.
+   */
+  async register(template) {
+    const normalized = { ...this.validate(template), registeredAt: new Date().toISOString() };
+    await this.dlvr.store.putTemplate(normalized);
+    return normalized;
+  }
+
+  /**
+   * Check a template's channel, locale, fields and placeholders.
+   * Returns the normalized template.
+   */
+  validate(template = {}) {
+    const { channel, tenant = null } = template;
+    const spec = TEMPLATE_CHANNELS[channel];
+    if (!spec) {
+      throw invalidTemplate(`Unknown template channel: ${channel}. Valid channels: ${Object.keys(TEMPLATE_CHANNELS).join(', ')}`);
+    }
+
+    let locale;
+    try {
+      locale = normalizeLocale(template.locale);
+    } catch (error) {
+      throw invalidTemplate(error.message);
+    }
+    if (tenant !== null && (typeof tenant !== 'string' || !tenant)) {
+      throw invalidTemplate('tenant must be a non-empty string');
+    }
+
+    const problems = [];
+    const fields = {};
+    for (const [field, mandatory] of Object.entries(spec.fields)) {
+      const value = template[field];
+      if (value == null) {
+        if (mandatory) problems.push(`${field} is required`);
+        continue;
+      }
+      if (typeof value !== 'string' || !value.trim()) {
+        problems.push(`${field} must be a non-empty string`);
+        continue;
+      }
+
+      const used = placeholdersOf(value);
+      for (const name of used) {
+        if (!spec.variables.includes(name)) problems.push(`${field} uses unknown placeholder {{${name}}}`);
+      }
+      for (const name of spec.required[field] || []) {
+        if (!used.includes(name)) problems.push(`${field} is missing required placeholder {{${name}}}`);
+      }
+      if (/\{\{|\}\}/.test(value.replace(PLACEHOLDER, ''))) {
+        problems.push(`${field} has an unclosed or malformed placeholder`);
+      }
+      fields[field] = value;
+    }
+
+    if (problems.length > 0) {
+      throw invalidTemplate(`Invalid ${channel} template for ${locale}: ${problems.join('; ')}`, problems);
+    }
+
+    return { templateId: templateId({ channel, locale, tenant }), channel, locale, tenant, ...fields };
+  }
+
+  /**
+   * Record the locale a recipient (`to`) prefers. Throws INVALID_LOCALE.
+   */
+  async setRecipientLocale(to, locale) {
+    if (!to || typeof to !== 'string') {
+      throw new DeliveryError('to must be a non-empty string', 'INVALID_LOCALE', 400);
+    }
+    let normalized;
+    try {
+      normalized = normalizeLocale(locale);
+    } catch (error) {
+      throw new DeliveryError(error.message, 'INVALID_LOCALE', 400);
+    }
+    return this.dlvr.store.putRecipientLocale({ to, locale: normalized, updatedAt: new Date().toISOString() });
+  }
+
+  /**
+   * Locale preferences for a delivery: the recipient's own, then the
+   * delivery's options.locale. localeChain() adds the default.
+   */
+  async localesFor(to, locale = null) {
+    const preference = to ? await this.dlvr.store.getRecipientLocale(to) : null;
+    return [preference?.locale, locale].flat().filter(Boolean);
+  }
+
+  /**
+   * Find the template for a channel: locale chain first, then tenant before
+   * shared before built-in at each locale.
+   */
+  async resolve(channel, { locale = null, tenant = null } = {}) {
+    for (const candidate of this.localeChain(locale)) {
+      for (const owner of tenant ? [tenant, null] : [null]) {
+        const id = templateId({ channel, locale: candidate, tenant: owner });
+        const template = (await this.dlvr.store.getTemplate(id)) || this._templates.get(id);
+        if (template) return { ...template, source: owner ? 'tenant' : 'shared' };
+      }
+      const builtin = BUILTIN_TEMPLATES[candidate]?.[channel];
+      if (builtin) return { channel, locale: candidate, tenant: null, ...builtin, source: 'builtin' };
+    }
+    // A default locale with no built-in falls back to English
+    return { channel, locale: 'en', tenant: null, ...BUILTIN_TEMPLATES.en[channel], source: 'builtin' };
+  }
+
+  /**
+   * Resolve and fill a template. HTML fields get their values escaped.
+   */
+  async render(channel, variables, options = {}) {
+    const template = await this.resolve(channel, options);
+    const rendered = { locale: template.locale, tenant: template.tenant, source: template.source };
+
+    for (const field of Object.keys(TEMPLATE_CHANNELS[channel].fields)) {
+      if (template[field] == null) {
+        rendered[field] = null;
+        continue;
+      }
+      rendered[field] = template[field].replace(PLACEHOLDER, (_, name) => {
+        const value = variables[name] ?? '';
+        return field === 'html' ? escapeHtml(value) : String(value);
+      });
+    }
+    return rendered;
+  }
+
+  /**
+   * Locale fallback chain: preferences in order, each followed by its base
+   * language, then the default locale
+   */
+  localeChain(preferred) {
+    const preferences = (Array.isArray(preferred) ? preferred : [preferred]).filter(Boolean);
+    const chain = [];
+    for (const value of preferences) {
+      let locale;
+      try {
+        locale = normalizeLocale(value);
+      } catch {
+        continue;
+      }
+      chain.push(locale, locale.split('-')[0]);
+    }
+    chain.push(this.defaultLocale, this.defaultLocale.split('-')[0]);
+    return [...new Set(chain)];
+  }
+}
+
+/**
+ * "es_mx" / "ES-mx" → "es-MX"
+ */
+export function normalizeLocale(value) {
+  const match = typeof value === 'string' && value.trim().match(/^([A-Za-z]{2,3})(?:[-_]([A-Za-z]{2}|\d{3}))?$/);
+  if (!match) throw new Error(`Invalid locale: ${value}`);
+  return match[2] ? `${match[1].toLowerCase()}-${match[2].toUpperCase()}` : match[1].toLowerCase();
+}
+
+function templateId({ channel, locale, tenant }) {
+  return `${tenant || '*'}:${channel}:${locale}`;
+}
+
+function placeholdersOf(value) {
+  return [...new Set([...value.matchAll(PLACEHOLDER)].map(match => match[1]))];
+}
+
+function invalidTemplate(message, problems = []) {
+  return new DeliveryError(message, 'INVALID_TEMPLATE', 400, { problems });
+}
@@ -0,0 +1,57 @@
+/**
+ * Transports
+ * Where composed messages go once a channel has built them.
+ *
+ * An email transport implements:
+ *   send({ from, to, raw, messageId }) → { accepted, response }
+ *
+ * An SMS transport implements:
+ *   send({ from, to, body, encoding, segments, messageId }) → { accepted, providerMessageId, response }
+ *
+ * The memory transports record messages instead of sending them; they are the
+ * local stand-ins for an SMTP relay or SMS provider in tests and development.
+ */
+
+import { addressOf } from './mime.js';
+
+export class MemoryEmailTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(message) {
+    this.sent.push({ ...message, acceptedAt: new Date().toISOString() });
+    return { accepted: true, response: `250 2.0.0 Ok: queued as ${message.messageId}` };
+  }
+}
+
+export class MemorySMSTransport {
+  constructor() {
+    this.name = 'memory';
+    this.sent = [];
+  }
+
+  async send(message) {
+    const providerMessageId = `SM${this.sent.length + 1}`;
+    this.sent.push({ ...message, providerMessageId, acceptedAt: new Date().toISOString() });
+    return { accepted: true, providerMessageId, response: 'queued' };
+  }
+}
+
+/**
+ * Cloudflare Email Routing `send_email` binding
+ */
+export class CloudflareEmailTransport {
+  constructor(binding) {
+    if (!binding) throw new Error('CloudflareEmailTransport requires a send_email binding');
+    this.name = 'cloudflare';
+    this.binding = binding;
+  }
+
+  async send({ from, to, raw }) {
+    const { EmailMessage } = await import('cloudflare:email');
+    await this.binding.send(new EmailMessage(addressOf(from), addressOf(to), raw));
+    return { accepted: true, response: 'queued' };
+  }
+}
@@ -0,0 +1,241 @@
+/**
+ * Webhook Dispatch
+ * Signed POSTs for the api channel, retried with exponential backoff.
+ *
+ * Each recipient gets its own signing secret, derived from the master
+ * WEBHOOK_SIGNING_SECRET so nothing per-recipient has to be stored:
+ *
+ *   secret    = "whsec_" + base64url(HMAC-SHA256(master, "webhook:" + recipient))
+ *   signature = hex(HMAC-SHA256(secret, `${t}.${rawBody}`))
+ *   header    X-DLVR-Signature: t=<unix seconds>,v1=<signature>
+ *
+ * `t` is fresh on every attempt so receivers can reject stale replays.
+ *
+ * `delivery.created` goes out when the delivery is SENT, as a `retry` job
+ * ({ deliveryId, attempt }) — inline when there is no queue. A 2xx moves the
+ * delivery to DELIVERED; failures are re-enqueued with a growing delay.
+ *
+ * Every later status change is announced to the same endpoint. Transitions
+ * stage the event on the delivery; once it is saved, each one is queued as
+ * an `event` job carrying its own payload, retried by the job queue.
+ */
+
+import { hmacSHA256, toHex, toBase64Url } from './hmac.js';
+
+const DEFAULT_MAX_RETRIES = 3;
+const DEFAULT_BASE_DELAY_SECONDS = 30;
+const MAX_DELAY_SECONDS = 12 * 60 * 60; // Cloudflare Queues delay ceiling
+const REQUEST_TIMEOUT_MS = 10000;
+
+// SENT is announced by delivery.created itself
+export const STATUS_EVENTS = {
+  DELIVERED: 'delivery.delivered',
+  OPENED: 'delivery.opened',
+  ACKNOWLEDGED: 'delivery.acknowledged',
+  RECEIPTED: 'receipt.created',
+  REFUSED: 'delivery.refused',
+  FAILED: 'delivery.failed',
+  BOUNCED: 'delivery.bounced'
+};
+
+// Staged events ride on the delivery object but are never persisted with it
+const STAGED = Symbol('stagedWebhookEvents');
+
+export class WebhookDispatcher {
+  constructor(dlvr, config = {}) {
+    this.dlvr = dlvr;
+    this.maxRetries = config.maxRetries ?? DEFAULT_MAX_RETRIES;
+    this.baseDelaySeconds = config.baseDelaySeconds ?? DEFAULT_BASE_DELAY_SECONDS;
+    this.fetch = config.fetch || ((...args) => fetch(...args));
+    this._master = config.secret || null;
+  }
+
+  /**
+   * Master secret from config, or an ephemeral one with a warning
+   */
+  masterSecret() {
+    if (this._master) return this._master;
+
+    // Fall back to ephemeral secret — recipients can't verify across restarts
+    console.warn('WARNING: Using ephemeral webhook secret. Set WEBHOOK_SIGNING_SECRET for verifiable webhooks.');
+    const bytes = new Uint8Array(32);
+    crypto.getRandomValues(bytes);
+    this._master = bytes;
+    return this._master;
+  }
+
+  /**
+   * Signing secret for one recipient — hand this to the receiving service
+   */
+  async secretFor(recipient) {
+    if (!recipient) throw new Error('Webhook recipient is required to derive a signing secret');
+    const mac = await hmacSHA256(this.masterSecret(), `webhook:${recipient}`);
+    return `whsec_${toBase64Url(mac)}`;
+  }
+
+  /**
+   * Signature headers for a raw body
+   */
+  async sign(rawBody, secret, timestamp = Date.now()) {
+    const t = Math.floor(timestamp / 1000);
+    const v1 = toHex(await hmacSHA256(secret, `${t}.${rawBody}`));
+    return { 'X-DLVR-Timestamp': String(t), 'X-DLVR-Signature': `t=${t},v1=${v1}` };
+  }
+
+  /**
+   * Seconds to wait before `attempt` (attempt 2 is the first retry)
+   */
+  backoff(attempt) {
+    return Math.min(this.baseDelaySeconds * 2 ** (attempt - 2), MAX_DELAY_SECONDS);
+  }
+
+  /**
+   * Stage the status event for a transition. Called by the lifecycle;
+   * flush() sends it once the delivery has been saved.
+   */
+  stage(delivery, entry) {
+    const webhook = delivery.dispatch?.webhook;
+    const event = STATUS_EVENTS[entry.status];
+    // No endpoint, or it is the endpoint that just ran out of retries
+    if (!webhook || !event || webhook.state === 'FAILED') return;
+
+    delivery[STAGED] = [...(delivery[STAGED] || []), { event, status: entry.status, timestamp: entry.timestamp }];
+  }
+
+  /**
+   * Send a saved delivery's staged events: as `event` jobs, or inline
+   * without a queue. A failure here never undoes the saved transition.
+   */
+  async flush(delivery) {
+    const staged = delivery[STAGED];
+    if (!staged) return;
+    delete delivery[STAGED];
+
+    for (const { event, status, timestamp } of staged) {
+      const job = {
+        deliveryId: delivery.deliveryId,
+        recipient: delivery.to || delivery.address,
+        url: delivery.dispatch.webhook.url,
+        payload: { event, deliveryId: delivery.deliveryId, mintId: delivery.mintId, status, receiptId: delivery.receiptId || null, timestamp }
+      };
+      try {
+        if (this.dlvr.queue) {
+          await this.dlvr.jobs.enqueue('event', job);
+        } else {
+          await this.deliverEvent(job);
+        }
+      } catch (error) {
+        console.error(`Webhook ${event} for ${delivery.deliveryId} not sent:`, error.message);
+      }
+    }
+  }
+
+  /**
+   * POST one status event. Throws on failure so the `event` job is retried.
+   */
+  async deliverEvent({ deliveryId, recipient, url, payload }, attempt = 1) {
+    const record = await this.post(url, payload, { deliveryId, secret: await this.secretFor(recipient), attempt });
+    if (record.error) throw new Error(`Webhook ${payload.event} failed: ${record.error}`);
+    return record;
+  }
+
+  /**
+   * One signed POST. Resolves to an attempt record; never throws.
+   */
+  async post(url, payload, { deliveryId, secret, attempt }) {
+    const startedAt = Date.now();
+    const rawBody = JSON.stringify(payload);
+
+    const record = { attempt, timestamp: new Date(startedAt).toISOString(), statusCode: null, error: null, durationMs: 0 };
+    try {
+      const response = await this.fetch(url, {
+        method: 'POST',
+        headers: {
+          'Content-Type': 'application/json',
+          'User-Agent': 'ChittyDLVR-Webhook/1.0',
+          'X-DLVR-Event': payload.event,
+          'X-DLVR-Delivery-Id': deliveryId,
+          'X-DLVR-Attempt': String(attempt),
+          ...(await this.sign(rawBody, secret, startedAt))
+        },
+        body: rawBody,
+        signal: AbortSignal.timeout(REQUEST_TIMEOUT_MS)
+      });
+      record.statusCode = response.status;
+      if (!response.ok) record.error = `HTTP ${response.status}`;
+    } catch (error) {
+      record.error = error.message;
+    }
+    record.durationMs = Date.now() - startedAt;
+    return record;
+  }
+
+  /**
+   * Make one delivery attempt. 2xx → DELIVERED; otherwise re-enqueue, or
+   * mark FAILED once retries are exhausted. Returns the updated delivery.
+   */
+  async attempt(deliveryId, attempt = 1) {
+    const delivery = await this.dlvr.getDelivery(deliveryId);
+    const webhook = delivery.dispatch?.webhook;
+    if (!webhook) throw new Error(`Delivery ${deliveryId} has no webhook to dispatch`);
+
+    // Confirmed, refused or failed some other way while the retry was queued
+    if (webhook.state === 'DELIVERED' || webhook.state === 'FAILED' || this.dlvr.lifecycle.isTerminal(delivery)) {
+      return delivery;
+    }
+
+    const secret = await this.secretFor(delivery.to || delivery.address);
+    const record = await this.post(webhook.url, delivery.dispatch.payload, { deliveryId, secret, attempt });
+    const startedAt = Date.parse(record.timestamp);
+
+    webhook.attempts.push(record);
+    webhook.nextAttemptAt = null;
+
+    if (!record.error) {
+      webhook.state = 'DELIVERED';
+      if (this.dlvr.lifecycle.canTransition(delivery.status, 'DELIVERED')) {
+        this.dlvr.lifecycle.transition(delivery, 'DELIVERED', {
+          actor: 'channel',
+          source: 'channel:api',
+          statusCode: record.statusCode,
+          attempt
+        });
+      }
+      return this.dlvr.saveDelivery(delivery);
+    }
+
+    const retryable = attempt <= this.maxRetries && this.dlvr.queue;
+    if (attempt <= this.maxRetries && !this.dlvr.queue) {
+      console.warn('WARNING: No queue configured. Webhook retries are not possible.');
+    }
+
+    if (retryable) {
+      const delaySeconds = this.backoff(attempt + 1);
+      webhook.state = 'RETRYING';
+      webhook.nextAttemptAt = new Date(startedAt + delaySeconds * 1000).toISOString();
+      this.dlvr.lifecycle.recordEvent(delivery, 'WEBHOOK_RETRY_SCHEDULED', {
+        source: 'channel:api',
+        attempt,
+        statusCode: record.statusCode,
+        error: record.error,
+        nextAttemptAt: webhook.nextAttemptAt
+      });
+      await this.dlvr.store.putDelivery(delivery);
+      await this.dlvr.jobs.enqueue('retry', { deliveryId, attempt: attempt + 1 }, { delaySeconds });
+      return delivery;
+    }
+
+    webhook.state = 'FAILED';
+    if (this.dlvr.lifecycle.canTransition(delivery.status, 'FAILED')) {
+      this.dlvr.lifecycle.transition(delivery, 'FAILED', {
+        actor: 'channel',
+        source: 'channel:api',
+        reason: 'Webhook retries exhausted',
+        attempts: webhook.attempts.length,
+        statusCode: record.statusCode,
+        error: record.error
+      });
+    }
+    return this.dlvr.saveDelivery(delivery);
+  }
+}
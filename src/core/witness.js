@@ -0,0 +1,201 @@
+/**
+ * Witness Attestation
+ * A witness to an in-person hand-off signs their own attestation, either
+ * with an ECDSA P-256 key or a passkey (WebAuthn assertion).
+ *
+ * The signed bytes are the attestation payload — a fixed-order JSON object
+ * built by attestationPayload(). Clients build the same payload, then:
+ *   key     — sign the UTF-8 payload (ECDSA P-256 / SHA-256, raw r||s signature)
+ *   passkey — run navigator.credentials.get() with
+ *             challenge = SHA-256(payload), and submit the assertion
+ *
+ * A signature only counts when its key was registered beforehand for the
+ * witness's chittyId; keys sent along with an attestation are ignored.
+ * Passkey assertions must also come from our origin and relying party.
+ */
+
+import { DeliveryError } from './errors.js';
+import { toHex, toBase64Url, fromBase64Url } from './hmac.js';
+
+const encoder = new TextEncoder();
+const ECDSA_P256 = { name: 'ECDSA', namedCurve: 'P-256' };
+
+export const SIGNATURE_TYPES = ['key', 'passkey'];
+
+/**
+ * The exact string a witness signs
+ */
+export function attestationPayload({ deliveryId, mintId = null, name, chittyId = null, contact = null, statement, attestedAt }) {
+  return JSON.stringify({
+    type: 'witness-attestation',
+    deliveryId,
+    mintId,
+    witness: { name, chittyId, contact },
+    statement,
+    attestedAt
+  });
+}
+
+/**
+ * Validate the witness fields of an attestation. Returns them normalized.
+ */
+export function normalizeAttestation(attestation = {}) {
+  const { name, chittyId = null, contact = null, statement, attestedAt } = attestation;
+
+  if (!name || typeof name !== 'string') invalid('Witness name is required');
+  if (!statement || typeof statement !== 'string') invalid('Witness statement is required');
+  if (chittyId !== null && typeof chittyId !== 'string') invalid('chittyId must be a string');
+  if (contact !== null && typeof contact !== 'string') invalid('contact must be a string');
+  if (!attestedAt || Number.isNaN(new Date(attestedAt).getTime())) invalid('attestedAt must be the time the witness signed');
+  if (!attestation.signature || !SIGNATURE_TYPES.includes(attestation.signature.type)) {
+    invalid(`signature.type must be one of: ${SIGNATURE_TYPES.join(', ')}`);
+  }
+
+  // attestedAt is signed as given, so it is not re-serialized
+  return { name, chittyId, contact, statement, attestedAt };
+}
+
+/**
+ * Validate a witness credential for registration. A key credential's ID
+ * defaults to its key fingerprint; a passkey's is the WebAuthn credential ID.
+ */
+export async function normalizeCredential(credential = {}) {
+  const { chittyId, type } = credential;
+  if (!chittyId || typeof chittyId !== 'string') invalid('chittyId is required');
+  if (!SIGNATURE_TYPES.includes(type)) invalid(`type must be one of: ${SIGNATURE_TYPES.join(', ')}`);
+  if (type === 'passkey' && (!credential.credentialId || typeof credential.credentialId !== 'string')) {
+    invalid('A passkey credential needs its credentialId');
+  }
+
+  const spki = await crypto.subtle.exportKey('spki', await importPublicKey(credential.publicKey));
+  const keyFingerprint = toHex(await crypto.subtle.digest('SHA-256', spki));
+  return {
+    chittyId,
+    credentialId: credential.credentialId || keyFingerprint,
+    type,
+    publicKey: toBase64Url(spki),
+    keyFingerprint
+  };
+}
+
+/**
+ * Verify the witness signature over a payload against the witness's
+ * registered credential. `relyingParty` is { rpId, origins } for passkeys.
+ * Returns the signature block kept on the attestation record; throws
+ * WITNESS_SIGNATURE_INVALID.
+ */
+export async function verifyWitnessSignature(payload, signature, credential, relyingParty = {}) {
+  if (signature.type !== credential.type) {
+    throw new DeliveryError(
+      `Credential ${credential.credentialId} is a ${credential.type} credential, not ${signature.type}`,
+      'WITNESS_SIGNATURE_INVALID',
+      400
+    );
+  }
+
+  const publicKey = await importPublicKey(credential.publicKey);
+  const valid = signature.type === 'passkey'
+    ? await verifyPasskey(payload, signature, publicKey, relyingParty)
+    : await verifyKey(payload, signature, publicKey);
+
+  if (!valid) {
+    throw new DeliveryError('Witness signature does not verify', 'WITNESS_SIGNATURE_INVALID', 400);
+  }
+
+  return {
+    type: signature.type,
+    algorithm: 'ECDSA-P256-SHA256',
+    publicKey: credential.publicKey,
+    keyFingerprint: credential.keyFingerprint,
+    credentialId: credential.credentialId,
+    value: signature.value || signature.signature,
+    authenticatorData: signature.authenticatorData || null,
+    clientDataJSON: signature.clientDataJSON || null
+  };
+}
+
+async function verifyKey(payload, signature, publicKey) {
+  if (typeof signature.value !== 'string') invalid('signature.value is required');
+  return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, decode(signature.value), encoder.encode(payload));
+}
+
+async function verifyPasskey(payload, signature, publicKey, { rpId, origins = [] }) {
+  const { authenticatorData, clientDataJSON } = signature;
+  if (!authenticatorData || !clientDataJSON || typeof signature.signature !== 'string') {
+    invalid('A passkey signature needs authenticatorData, clientDataJSON and signature');
+  }
+
+  const clientDataBytes = decode(clientDataJSON);
+  let clientData;
+  try {
+    clientData = JSON.parse(new TextDecoder().decode(clientDataBytes));
+  } catch {
+    invalid('clientDataJSON is not valid JSON');
+  }
+
+  const challenge = toBase64Url(await crypto.subtle.digest('SHA-256', encoder.encode(payload)));
+  if (clientData.type !== 'webauthn.get' || clientData.challenge !== challenge) return false;
+  if (!origins.includes(clientData.origin)) return false;
+
+  const authData = decode(authenticatorData);
+  // Byte 32 holds the flags; bit 0 is user presence
+  if (authData.length < 37 || (authData[32] & 0x01) === 0) return false;
+
+  // Bytes 0-31 are SHA-256 of the relying party ID the authenticator signed for
+  if (!rpId) return false;
+  const rpIdHash = new Uint8Array(await crypto.subtle.digest('SHA-256', encoder.encode(rpId)));
+  if (rpIdHash.some((byte, i) => byte !== authData[i])) return false;
+
+  const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataBytes));
+  const signed = new Uint8Array(authData.length + clientDataHash.length);
+  signed.set(authData);
+  signed.set(clientDataHash, authData.length);
+
+  // WebAuthn ES256 signatures are DER; WebCrypto wants raw r||s
+  const raw = derToRaw(decode(signature.signature));
+  if (!raw) return false;
+  return crypto.subtle.verify({ name: 'ECDSA', hash: 'SHA-256' }, publicKey, raw, signed);
+}
+
+async function importPublicKey(publicKey) {
+  if (!publicKey) invalid('publicKey is required');
+  try {
+    return typeof publicKey === 'object'
+      ? await crypto.subtle.importKey('jwk', { kty: publicKey.kty, crv: publicKey.crv, x: publicKey.x, y: publicKey.y }, ECDSA_P256, true, ['verify'])
+      : await crypto.subtle.importKey('spki', decode(publicKey), ECDSA_P256, true, ['verify']);
+  } catch (error) {
+    invalid(`publicKey is not an ECDSA P-256 key: ${error.message}`);
+  }
+}
+
+/**
+ * DER ECDSA signature → 64-byte r||s; null when malformed
+ */
+function derToRaw(der) {
+  if (der[0] !== 0x30) return null;
+  let offset = 2;
+  const raw = new Uint8Array(64);
+  for (let part = 0; part < 2; part++) {
+    if (der[offset] !== 0x02) return null;
+    let length = der[offset + 1];
+    let start = offset + 2;
+    offset = start + length;
+    // Drop the sign-padding zero byte
+    while (length > 32 && der[start] === 0) { start++; length--; }
+    if (length > 32) return null;
+    raw.set(der.subarray(start, start + length), part * 32 + (32 - length));
+  }
+  return raw;
+}
+
+function decode(value) {
+  try {
+    return fromBase64Url(String(value).replace(/=+$/, ''));
+  } catch {
+    invalid('Signature fields must be base64 or base64url');
+  }
+}
+
+function invalid(message) {
+  throw new DeliveryError(message, 'INVALID_WITNESS_ATTESTATION', 400);
+}
@@ -24,14 +24,43 @@
  * // status.proof → delivery pillar score updated
  */
 
+import { BUILTIN_METHODS } from './core/channels.js';
+
 // Core
 export { ChittyDLVR } from './core/dlvr.js';
 export { DeliveryChannel } from './core/channels.js';
-export { ReceiptEngine } from './core/receipt.js';
+export { ReceiptEngine, RECEIPT_VERSION, receiptPayload } from './core/receipt.js';
+export { canonicalize } from './core/jcs.js';
 export { ServiceEngine } from './core/service.js';
+export {
+  DeliveryStore,
+  MemoryDeliveryStore,
+  KVDeliveryStore,
+  D1DeliveryStore,
+  createDeliveryStore
+} from './core/store.js';
+export { DeliveryLifecycle, DELIVERY_TRANSITIONS, TERMINAL_STATUSES } from './core/lifecycle.js';
+export { DeliveryError, TransitionError } from './core/errors.js';
+export { EscalationEngine } from './core/escalation.js';
+export { DispatchScheduler, timeZoneForPhone, timeZoneForAddress } from './core/schedule.js';
+export { WebhookDispatcher } from './core/webhooks.js';
+export { JobQueue, JOB_TYPES } from './core/jobs.js';
+export { SuppressionList, SUPPRESSION_REASONS } from './core/suppression.js';
+export { RateLimiter, RATE_LIMIT_DEFAULTS } from './core/ratelimit.js';
+export { MemoryEmailTransport, MemorySMSTransport, CloudflareEmailTransport } from './core/transports.js';
+export { analyzeSMS, normalizeE164 } from './core/sms.js';
+export { composeEmail, renderMessage } from './core/mime.js';
+export { signDKIM } from './core/dkim.js';
+export { parseBounce, parseDSN, parseBounceJSON } from './core/bounce.js';
+export { validateTrackingNumber, parseScanEvents } from './core/carriers.js';
+export { parseAddress } from './core/address.js';
+export { classifyOpen } from './core/opens.js';
+export { MemoryDocumentSource, DocuMintDocumentSource } from './core/documents.js';
+export { checkGeofence, haversineMeters } from './core/geo.js';
+export { attestationPayload } from './core/witness.js';
 
 // SDK Client
-export { DLVRClient, DLVRError } from './sdk/client.js';
+export { DLVRClient, DLVRError, WebhookVerificationError, WEBHOOK_EVENTS } from './sdk/client.js';
 
 // Public verification
 export { PublicReceipt } from './verify/public.js';
@@ -42,16 +71,18 @@ export { ChittyDLVR as default } from './core/dlvr.js';
 // Version
 export const VERSION = '1.0.0';
 
-// Delivery methods
-export const DELIVERY_METHODS = [
-  'email',         // Certified email with read receipt
-  'sms',           // SMS with delivery confirmation
-  'portal',        // ChittyPortal secure delivery
-  'api',           // API webhook delivery
-  'physical',      // Physical mail tracking (USPS/FedEx)
-  'inPerson',      // In-person with witness attestation
-  'legalService'   // Process server / legal service
-];
+// Built-in delivery methods only (email, sms, portal, api, physical,
+// inPerson, legalService); adapters registered on an instance are not in it.
+export { BUILTIN_METHODS as DELIVERY_METHODS };
+
+/**
+ * Delivery methods an instance accepts, read from its channel registry:
+ * the built-ins plus any adapters added through dlvr.channels.register().
+ * Without an instance, the built-ins.
+ */
+export function deliveryMethods(dlvr = null) {
+  return dlvr ? dlvr.channels.methods() : [...BUILTIN_METHODS];
+}
 
 // Delivery statuses
 export const DELIVERY_STATUSES = [
@@ -3,7 +3,14 @@
  * For API consumers who want to use ChittyDLVR as a service.
  */
 
+import { webhooks } from './webhooks.js';
+
 export class DLVRClient {
+  /**
+   * Inbound webhook verification — usable without an API key
+   */
+  static webhooks = webhooks;
+
   constructor(config = {}) {
     this.apiKey = config.apiKey;
     this.baseUrl = config.baseUrl || 'https://api.chitty.cc/dlvr/v1';
@@ -12,6 +19,8 @@ export class DLVRClient {
     if (!this.apiKey) {
       throw new DLVRError('API key required', 'AUTH_REQUIRED');
     }
+
+    this.webhooks = webhooks;
   }
 
   /**
@@ -35,6 +44,13 @@ export class DLVRClient {
     return this.request('POST', `/confirm/${deliveryId}`, confirmation);
   }
 
+  /**
+   * Record the recipient's explicit acknowledgment
+   */
+  async acknowledge(deliveryId, acknowledgment) {
+    return this.request('POST', `/acknowledge/${deliveryId}`, acknowledgment);
+  }
+
   /**
    * Create receipt
    */
@@ -42,6 +58,100 @@ export class DLVRClient {
     return this.request('POST', `/receipt/${deliveryId}`, options);
   }
 
+  /**
+   * Record a recipient's refusal (no auth needed)
+   */
+  async decline(deliveryId, reason) {
+    return this.request('POST', `/decline/${deliveryId}`, { reason }, false);
+  }
+
+  /**
+   * Attach a carrier tracking number to a physical delivery
+   */
+  async attachTracking(deliveryId, tracking) {
+    return this.request('POST', `/tracking/${deliveryId}`, tracking);
+  }
+
+  /**
+   * Record a physical delivery's return receipt (green card or e-signature)
+   */
+  async returnReceipt(deliveryId, returnReceipt) {
+    return this.request('POST', `/return-receipt/${deliveryId}`, returnReceipt);
+  }
+
+  /**
+   * Issue a portal access token ({ scope, ttlSeconds })
+   */
+  async portalToken(deliveryId, options = {}) {
+    return this.request('POST', `/portal/${deliveryId}/token`, options);
+  }
+
+  /**
+   * Record an in-person hand-off ({ geolocation: { lat, lng, accuracy, timestamp }, handedTo })
+   */
+  async handoff(deliveryId, handoff) {
+    return this.request('POST', `/handoff/${deliveryId}`, handoff);
+  }
+
+  /**
+   * Register a witness's key or passkey ({ chittyId, type, publicKey, credentialId })
+   */
+  async registerWitnessCredential(credential) {
+    return this.request('POST', '/witness-credentials', credential);
+  }
+
+  /**
+   * Submit a witness attestation signed with a registered key or passkey.
+   * Sign attestationPayload({ deliveryId, mintId, name, chittyId, contact, statement, attestedAt })
+   * and name the credential in signature.credentialId.
+   */
+  async attestWitness(deliveryId, attestation) {
+    return this.request('POST', `/witness/${deliveryId}`, attestation);
+  }
+
+  /**
+   * Register a notification template ({ channel, locale, tenant, subject, text, html | body })
+   */
+  async registerTemplate(template) {
+    return this.request('POST', '/templates', template);
+  }
+
+  /**
+   * Set the locale a recipient's email and SMS notices are written in
+   */
+  async setRecipientLocale(to, locale) {
+    return this.request('POST', '/recipient-locales', { to, locale });
+  }
+
+  /**
+   * Suppress an email address or phone number ({ address, reason, note })
+   */
+  async suppress(suppression) {
+    return this.request('POST', '/suppressions', suppression);
+  }
+
+  /**
+   * Lift a suppression
+   */
+  async unsuppress(address) {
+    return this.request('POST', '/suppressions/remove', { address });
+  }
+
+  /**
+   * Queue jobs that exhausted their retries ({ type, deliveryId } filters)
+   */
+  async deadLetters(filters = {}) {
+    const query = new URLSearchParams(Object.entries(filters).filter(([, value]) => value != null)).toString();
+    return this.request('GET', `/dead-letters${query ? `?${query}` : ''}`);
+  }
+
+  /**
+   * Put a dead-lettered job back on the queue
+   */
+  async replayDeadLetter(deadLetterId) {
+    return this.request('POST', `/dead-letters/${deadLetterId}/replay`, {});
+  }
+
   /**
    * Initiate legal service
    */
@@ -49,6 +159,13 @@ export class DLVRClient {
     return this.request('POST', '/serve', options);
   }
 
+  /**
+   * Record a service attempt ({ successful, servedTo, geolocation, ... })
+   */
+  async attempt(serviceId, attempt) {
+    return this.request('POST', `/service/${serviceId}/attempt`, attempt);
+  }
+
   /**
    * Record affidavit
    */
@@ -107,7 +224,9 @@ export class DLVRClient {
         throw new DLVRError(
           error.message || 'Request failed',
           error.code || 'REQUEST_FAILED',
-          response.status
+          response.status,
+          // Seconds to wait on a 429
+          Number(response.headers.get('Retry-After')) || null
         );
       }
 
@@ -123,12 +242,16 @@ export class DLVRClient {
 }
 
 export class DLVRError extends Error {
-  constructor(message, code, status) {
+  constructor(message, code, status, retryAfter = null) {
     super(message);
     this.name = 'DLVRError';
     this.code = code;
     this.status = status;
+    this.retryAfter = retryAfter;
   }
 }
 
+export { WebhookVerificationError, WEBHOOK_EVENTS } from './webhooks.js';
+export { attestationPayload } from '../core/witness.js';
+
 export default DLVRClient;
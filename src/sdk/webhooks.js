@@ -0,0 +1,163 @@
+/**
+ * ChittyDLVR Webhook Verification
+ * For services receiving ChittyDLVR webhooks (api channel deliveries and
+ * status events).
+ *
+ * Every webhook carries `X-DLVR-Signature: t=<unix seconds>,v1=<hex>`,
+ * where v1 is HMAC-SHA256 over `${t}.${rawBody}` with your signing secret
+ * (GET /dlvr/v1/webhooks/secret/:recipient). Verify against the raw body —
+ * re-serialized JSON will not match.
+ *
+ *   import { DLVRClient } from '@chitty/dlvr/sdk';
+ *   const event = await DLVRClient.webhooks.verify(rawBody, request.headers, secret);
+ */
+
+import { hmacSHA256, toHex, timingSafeEqual } from '../core/hmac.js';
+
+export const DEFAULT_TOLERANCE_SECONDS = 300;
+
+export const WEBHOOK_EVENTS = Object.freeze([
+  'delivery.created',
+  'delivery.delivered',
+  'delivery.opened',
+  'delivery.acknowledged',
+  'delivery.refused',
+  'delivery.failed',
+  'delivery.bounced',
+  'receipt.created'
+]);
+
+/**
+ * @typedef {Object} DLVRWebhookEvent
+ * @property {string} type         One of WEBHOOK_EVENTS (newer types pass through unchanged)
+ * @property {string} deliveryId
+ * @property {string|null} mintId
+ * @property {string|null} receiptId
+ * @property {string|null} status
+ * @property {string} timestamp    When the event happened (ISO 8601)
+ * @property {number} attempt      Delivery attempt of this POST, starting at 1
+ * @property {Object} data         The full payload as sent
+ */
+
+export class WebhookVerificationError extends Error {
+  constructor(message, code) {
+    super(message);
+    this.name = 'WebhookVerificationError';
+    this.code = code;
+    this.status = 400;
+  }
+}
+
+/**
+ * Verify a webhook and return its event. Throws WebhookVerificationError.
+ */
+export async function verify(rawBody, headers, secret, options = {}) {
+  const body = await verifySignature(rawBody, headers, secret, options);
+
+  let payload;
+  try {
+    payload = JSON.parse(body);
+  } catch {
+    throw new WebhookVerificationError('Webhook body is not valid JSON', 'WEBHOOK_PAYLOAD_INVALID');
+  }
+
+  return toEvent(payload, headers);
+}
+
+/**
+ * Check X-DLVR-Signature over a raw body of any format and return the body
+ * as a string. Throws WebhookVerificationError.
+ */
+export async function verifySignature(rawBody, headers, secret, options = {}) {
+  const { tolerance = DEFAULT_TOLERANCE_SECONDS, now = Date.now() } = options;
+
+  if (!secret) throw new WebhookVerificationError('Webhook secret is required', 'WEBHOOK_SECRET_REQUIRED');
+
+  const body = typeof rawBody === 'string' ? rawBody : new TextDecoder().decode(rawBody);
+  const header = getHeader(headers, 'X-DLVR-Signature');
+  if (!header) throw new WebhookVerificationError('Missing X-DLVR-Signature header', 'WEBHOOK_SIGNATURE_MISSING');
+
+  const { timestamp, signatures } = parseSignatureHeader(header);
+  if (timestamp === null || signatures.length === 0) {
+    throw new WebhookVerificationError('Malformed X-DLVR-Signature header', 'WEBHOOK_SIGNATURE_MALFORMED');
+  }
+
+  if (Math.abs(Math.floor(now / 1000) - timestamp) > tolerance) {
+    throw new WebhookVerificationError('Webhook timestamp outside tolerance window', 'WEBHOOK_TIMESTAMP_EXPIRED');
+  }
+
+  const expected = toHex(await hmacSHA256(secret, `${timestamp}.${body}`));
+  let matched = false;
+  // Several v1 values appear while a secret is being rotated
+  for (const signature of signatures) {
+    if (await timingSafeEqual(signature, expected)) matched = true;
+  }
+  if (!matched) throw new WebhookVerificationError('Webhook signature mismatch', 'WEBHOOK_SIGNATURE_INVALID');
+
+  return body;
+}
+
+/**
+ * Fetch-API middleware (Workers, Deno, Bun, Hono's c.req.raw, ...).
+ * Verifies, then calls handler(event, request). A Response from the
+ * handler is returned as-is; otherwise 200 { received: true }.
+ */
+export function middleware(secret, handler, options = {}) {
+  return async (request) => {
+    let event;
+    try {
+      event = await verify(await request.text(), request.headers, secret, options);
+    } catch (error) {
+      if (!(error instanceof WebhookVerificationError)) throw error;
+      return json({ error: error.message, code: error.code }, error.status);
+    }
+
+    const result = await handler(event, request);
+    return result instanceof Response ? result : json({ received: true }, 200);
+  };
+}
+
+function toEvent(payload, headers) {
+  const type = payload.event || payload.type;
+  if (typeof type !== 'string' || !payload.deliveryId) {
+    throw new WebhookVerificationError('Webhook payload is missing event or deliveryId', 'WEBHOOK_PAYLOAD_INVALID');
+  }
+
+  return {
+    type,
+    deliveryId: payload.deliveryId,
+    mintId: payload.mintId || null,
+    receiptId: payload.receiptId || null,
+    status: payload.status || null,
+    timestamp: payload.timestamp,
+    attempt: Number(getHeader(headers, 'X-DLVR-Attempt')) || 1,
+    data: payload
+  };
+}
+
+function parseSignatureHeader(header) {
+  let timestamp = null;
+  const signatures = [];
+  for (const part of header.split(',')) {
+    const [key, value] = part.trim().split('=');
+    if (key === 't' && /^\d+$/.test(value)) timestamp = Number(value);
+    if (key === 'v1' && value) signatures.push(value);
+  }
+  return { timestamp, signatures };
+}
+
+function getHeader(headers, name) {
+  if (!headers) return null;
+  if (typeof headers.get === 'function') return headers.get(name);
+  const key = Object.keys(headers).find(k => k.toLowerCase() === name.toLowerCase());
+  const value = key === undefined ? null : headers[key];
+  return Array.isArray(value) ? value[0] : value;
+}
+
+function json(data, status) {
+  return new Response(JSON.stringify(data), { status, headers: { 'Content-Type': 'application/json' } });
+}
+
+export const webhooks = { verify, verifySignature, middleware, events: WEBHOOK_EVENTS };
+
+export default webhooks;
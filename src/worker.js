@@ -5,6 +5,21 @@
  */
 
 import { ChittyDLVR } from './core/dlvr.js';
+import { MemoryDeliveryStore, createDeliveryStore } from './core/store.js';
+import { DeliveryError } from './core/errors.js';
+import { CloudflareEmailTransport } from './core/transports.js';
+import { parseAddress } from './core/address.js';
+import { createDocumentSource } from './core/documents.js';
+import { MemoryRateLimitStore, createRateLimitStore } from './core/ratelimit.js';
+import { toHex } from './core/hmac.js';
+import { verifySignature, WebhookVerificationError } from './sdk/webhooks.js';
+
+export { RateLimiterObject } from './core/ratelimit.js';
+
+// Used when neither DLVR_DB nor DLVR_KV is bound — survives only as long as the isolate
+const isolateStore = new MemoryDeliveryStore();
+// Likewise for rate-limit buckets when neither DLVR_RATE_LIMITER nor DLVR_KV is bound
+const isolateRateLimits = new MemoryRateLimitStore();
 
 const ALLOWED_ORIGINS = [
   'https://dlvr.chitty.cc',
@@ -19,16 +34,53 @@ function getCorsOrigin(request) {
   return ALLOWED_ORIGINS[0];
 }
 
-function jsonResponse(data, status = 200, request = null) {
+// 1×1 transparent GIF
+const PIXEL_GIF = Uint8Array.from(atob('R0lGODlhAQABAIAAAAAAAP///yH5BAEAAAAALAAAAAABAAEAAAIBRAA7'), c => c.charCodeAt(0));
+
+function pixelResponse() {
+  return new Response(PIXEL_GIF, {
+    status: 200,
+    headers: {
+      'Content-Type': 'image/gif',
+      'Cache-Control': 'no-store, no-cache, must-revalidate, private',
+      'Pragma': 'no-cache'
+    }
+  });
+}
+
+function jsonResponse(data, status = 200, request = null, headers = {}) {
   return new Response(JSON.stringify(data, null, 2), {
     status,
     headers: {
       'Content-Type': 'application/json',
-      'Access-Control-Allow-Origin': getCorsOrigin(request)
+      'Access-Control-Allow-Origin': getCorsOrigin(request),
+      ...headers
     }
   });
 }
 
+/**
+ * X-RateLimit-* headers for the tightest of the quotas taken (null quotas
+ * are unlimited), plus Retry-After on a 429
+ */
+function rateLimitHeaders(...quotas) {
+  const quota = quotas.filter(Boolean).sort((a, b) => a.remaining - b.remaining)[0];
+  if (!quota) return {};
+  const headers = {
+    'X-RateLimit-Limit': String(quota.limit),
+    'X-RateLimit-Remaining': String(Math.max(0, quota.remaining)),
+    'X-RateLimit-Reset': String(quota.resetSeconds),
+    'Access-Control-Expose-Headers': 'Retry-After, X-RateLimit-Limit, X-RateLimit-Remaining, X-RateLimit-Reset'
+  };
+  if (quota.retryAfterSeconds) headers['Retry-After'] = String(quota.retryAfterSeconds);
+  return headers;
+}
+
+function errorResponse(error, request) {
+  const headers = error.code === 'RATE_LIMITED' ? rateLimitHeaders(error.details) : {};
+  return jsonResponse({ error: error.message, code: error.code, ...error.details }, error.status, request, headers);
+}
+
 async function parseJSON(request) {
   try {
     const data = await request.json();
@@ -64,16 +116,100 @@ async function authenticate(request, env) {
   }
   if (mismatch !== 0) return { valid: false };
 
-  return { valid: true, chittyId: env.CHITTY_ID || 'authenticated' };
+  // Rate limits are bucketed by key; a hash prefix names the key without exposing it
+  return { valid: true, chittyId: env.CHITTY_ID || 'authenticated', keyId: toHex(tokenHash).slice(0, 16) };
+}
+
+function createDLVR(env) {
+  return new ChittyDLVR({
+    apiKey: env.INTERNAL_API_KEY,
+    chittyId: env.CHITTY_ID,
+    signingKeyJwk: env.SIGNING_KEY_JWK,
+    store: createDeliveryStore(env, isolateStore),
+    documents: createDocumentSource(env),
+    email: {
+      from: env.EMAIL_FROM,
+      dkim: env.DKIM_PRIVATE_KEY ? {
+        domain: env.DKIM_DOMAIN,
+        selector: env.DKIM_SELECTOR || 'dlvr',
+        privateKey: env.DKIM_PRIVATE_KEY
+      } : null,
+      transport: env.SEND_EMAIL ? new CloudflareEmailTransport(env.SEND_EMAIL) : null
+    },
+    sms: { from: env.SMS_FROM },
+    linkSecret: env.LINK_SIGNING_SECRET,
+    portalSecret: env.PORTAL_TOKEN_SECRET,
+    webauthn: {
+      rpId: env.WEBAUTHN_RP_ID,
+      origins: env.WEBAUTHN_ORIGINS ? env.WEBAUTHN_ORIGINS.split(',').map(origin => origin.trim()) : undefined
+    },
+    webhooks: { secret: env.WEBHOOK_SIGNING_SECRET },
+    schedule: {
+      quietHours: { sms: env.SMS_QUIET_HOURS || null, email: env.EMAIL_QUIET_HOURS || null },
+      defaultTimeZone: env.DEFAULT_TIME_ZONE || undefined
+    },
+    queue: env.DLVR_QUEUE || null,
+    asyncDispatch: Boolean(env.DLVR_QUEUE),
+    // RATE_LIMITS overrides the per-channel defaults: { apiKey: {...}, recipient: {...} }
+    rateLimits: {
+      store: createRateLimitStore(env) || isolateRateLimits,
+      ...parseRateLimits(env.RATE_LIMITS)
+    }
+  });
+}
+
+// RATE_LIMITS as last parsed, so each request doesn't parse it again
+let rateLimitsConfig = { raw: null, parsed: {} };
+
+/**
+ * RATE_LIMITS (a JSON string, or an object in tests) → rate limit overrides.
+ * Throws a config error naming the variable when it does not parse.
+ */
+function parseRateLimits(raw) {
+  if (raw == null || raw === '') return {};
+  if (typeof raw !== 'string') return raw;
+  if (raw === rateLimitsConfig.raw) return rateLimitsConfig.parsed;
+
+  let parsed;
+  try {
+    parsed = JSON.parse(raw);
+  } catch (error) {
+    throw new Error(`RATE_LIMITS is not valid JSON: ${error.message}`);
+  }
+  if (!parsed || typeof parsed !== 'object' || Array.isArray(parsed)) {
+    throw new Error('RATE_LIMITS must be a JSON object: { "apiKey": {...}, "recipient": {...} }');
+  }
+  rateLimitsConfig = { raw, parsed };
+  return parsed;
 }
 
 export default {
+  async scheduled(event, env, ctx) {
+    if (!env.INTERNAL_API_KEY) {
+      console.error('INTERNAL_API_KEY not configured in environment');
+      return;
+    }
+    const dlvr = createDLVR(env);
+    await dlvr.initialize();
+
+    const result = await dlvr.escalations.sweep(new Date(event.scheduledTime || Date.now()));
+    console.log(`ChittyDLVR escalation sweep: ${result.checked} chain(s) checked`);
+  },
+
   async queue(batch, env) {
+    if (!env.INTERNAL_API_KEY) {
+      console.error('INTERNAL_API_KEY not configured in environment');
+      return;
+    }
+    const dlvr = createDLVR(env);
+    await dlvr.initialize();
+
+    // Typed jobs: retried per type, then dead-lettered (GET /dlvr/v1/dead-letters)
     for (const message of batch.messages) {
       try {
-        console.log(`ChittyDLVR queue event: ${JSON.stringify(message.body)}`);
-        message.ack();
+        await dlvr.jobs.process(message);
       } catch (error) {
+        // Could not even record the failure (store unavailable); let the queue redeliver
         console.error('Queue message processing failed:', error.message);
         message.retry({ delaySeconds: 30 });
       }
@@ -124,15 +260,20 @@ export default {
         console.error('INTERNAL_API_KEY not configured in environment');
         return jsonResponse({ error: 'Service misconfigured' }, 503);
       }
-      const dlvr = new ChittyDLVR({
-        apiKey: env.INTERNAL_API_KEY,
-        chittyId: env.CHITTY_ID,
-        signingKeyJwk: env.SIGNING_KEY_JWK
-      });
+      let dlvr;
+      try {
+        dlvr = createDLVR(env);
+      } catch (error) {
+        console.error('ChittyDLVR configuration error:', error.message);
+        return jsonResponse({ error: 'Service misconfigured' }, 503);
+      }
       await dlvr.initialize();
 
       return await handleRequest(url, request, dlvr, env);
     } catch (error) {
+      if (error instanceof DeliveryError) {
+        return errorResponse(error, request);
+      }
       console.error('ChittyDLVR Worker error:', error.message, error.stack);
       return jsonResponse({ error: 'Internal server error', code: 'WORKER_ERROR' }, 500);
     }
@@ -142,11 +283,22 @@ export default {
 async function handleRequest(url, request, dlvr, env) {
   const path = url.pathname;
 
+  // The SDK reaches the public decline route under its /dlvr/v1 base
+  if (path.startsWith('/dlvr/v1/decline/')) {
+    return handlePublicRoute(path.slice('/dlvr/v1'.length), request, dlvr);
+  }
+
   // Public routes (no auth)
-  if (path.startsWith('/verify/') || path.startsWith('/track/')) {
+  if (path.startsWith('/verify/') || path.startsWith('/track/') || path.startsWith('/decline/') || path.startsWith('/s/') ||
+      path.startsWith('/portal/') || path.startsWith('/open/') || path.startsWith('/view/')) {
     return handlePublicRoute(path, request, dlvr);
   }
 
+  // Provider webhooks authenticate by signature
+  if (path === '/dlvr/v1/inbound/bounce' || path === '/dlvr/v1/inbound/sms') {
+    return handleInboundRoute(path, request, dlvr, env);
+  }
+
   // Auth required for everything else
   const auth = await authenticate(request, env);
   if (!auth.valid) {
@@ -162,8 +314,9 @@ async function handleRequest(url, request, dlvr, env) {
       return jsonResponse({ error: 'Missing required field: mintId' }, 400, request);
     }
 
+    await dlvr.rateLimits.take('apiKey', auth.keyId, { method: body.data.method || 'email' });
     const result = await dlvr.send({ ...body.data, chittyId: auth.chittyId });
-    return jsonResponse(result, 201, request);
+    return jsonResponse(result, 201, request, rateLimitHeaders(dlvr.rateLimits.tightest));
   }
 
   // GET /dlvr/v1/status/:id
@@ -173,9 +326,72 @@ async function handleRequest(url, request, dlvr, env) {
       return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
     }
     const result = await dlvr.status(deliveryId);
+    if (!result) {
+      return jsonResponse({ error: 'Delivery not found' }, 404, request);
+    }
+    return jsonResponse(result, 200, request);
+  }
+
+  // GET /dlvr/v1/webhooks/secret/:recipient — signing secret to configure on the receiver
+  if (request.method === 'GET' && path.startsWith('/dlvr/v1/webhooks/secret/')) {
+    const recipient = decodeURIComponent(path.slice('/dlvr/v1/webhooks/secret/'.length));
+    if (!recipient) {
+      return jsonResponse({ error: 'Missing recipient' }, 400, request);
+    }
+    return jsonResponse({
+      recipient,
+      secret: await dlvr.webhooks.secretFor(recipient),
+      algorithm: 'HMAC-SHA256',
+      header: 'X-DLVR-Signature',
+      format: 't=<unix seconds>,v1=<hex HMAC of "t.rawBody">'
+    }, 200, request);
+  }
+
+  // GET /dlvr/v1/escalation/:id
+  if (request.method === 'GET' && path.startsWith('/dlvr/v1/escalation/')) {
+    const escalationId = path.split('/').pop();
+    if (!/^DE-/.test(escalationId)) {
+      return jsonResponse({ error: 'Invalid escalation ID format' }, 400, request);
+    }
+    const result = await dlvr.escalations.summary(escalationId);
+    if (!result) {
+      return jsonResponse({ error: 'Escalation not found' }, 404, request);
+    }
+    return jsonResponse(result, 200, request);
+  }
+
+  // GET /dlvr/v1/dead-letters — jobs that exhausted their retries (?type=, ?deliveryId=)
+  if (request.method === 'GET' && path === '/dlvr/v1/dead-letters') {
+    const deadLetters = await dlvr.jobs.deadLetters({
+      type: url.searchParams.get('type'),
+      deliveryId: url.searchParams.get('deliveryId')
+    });
+    return jsonResponse({ deadLetters, count: deadLetters.length }, 200, request);
+  }
+
+  // GET /dlvr/v1/dead-letters/:id
+  if (request.method === 'GET' && path.match(/\/dlvr\/v1\/dead-letters\/[^/]+$/)) {
+    const deadLetterId = path.split('/').pop();
+    if (!/^DL-/.test(deadLetterId)) {
+      return jsonResponse({ error: 'Invalid dead letter ID format' }, 400, request);
+    }
+    const result = await dlvr.store.getDeadLetter(deadLetterId);
+    if (!result) {
+      return jsonResponse({ error: 'Dead letter not found' }, 404, request);
+    }
     return jsonResponse(result, 200, request);
   }
 
+  // POST /dlvr/v1/dead-letters/:id/replay — put the job back on the queue
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/dead-letters\/[^/]+\/replay$/)) {
+    const deadLetterId = path.split('/')[4];
+    if (!/^DL-/.test(deadLetterId)) {
+      return jsonResponse({ error: 'Invalid dead letter ID format' }, 400, request);
+    }
+    const result = await dlvr.jobs.replay(deadLetterId);
+    return jsonResponse(result, 202, request);
+  }
+
   // POST /dlvr/v1/confirm/:id
   if (request.method === 'POST' && path.match(/\/dlvr\/v1\/confirm\/[^/]+$/)) {
     const deliveryId = path.split('/').pop();
@@ -189,6 +405,27 @@ async function handleRequest(url, request, dlvr, env) {
     return jsonResponse(result, 200, request);
   }
 
+  // POST /dlvr/v1/acknowledge/:id
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/acknowledge\/[^/]+$/)) {
+    const deliveryId = path.split('/').pop();
+    if (!/^DD-/.test(deliveryId)) {
+      return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    if (!body.data.statement || typeof body.data.statement !== 'string') {
+      return jsonResponse({ error: 'Missing required field: statement' }, 400, request);
+    }
+
+    const result = await dlvr.acknowledge(deliveryId, {
+      ...body.data,
+      ip: body.data.ip || request.headers.get('CF-Connecting-IP'),
+      userAgent: body.data.userAgent || request.headers.get('User-Agent')
+    });
+    return jsonResponse(result, 200, request);
+  }
+
   // POST /dlvr/v1/receipt/:id
   if (request.method === 'POST' && path.match(/\/dlvr\/v1\/receipt\/[^/]+$/)) {
     const deliveryId = path.split('/').pop();
@@ -206,6 +443,164 @@ async function handleRequest(url, request, dlvr, env) {
     return jsonResponse(result, 201, request);
   }
 
+  // POST /dlvr/v1/tracking/:id — attach a carrier tracking number to a physical delivery
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/tracking\/[^/]+$/)) {
+    const deliveryId = path.split('/').pop();
+    if (!/^DD-/.test(deliveryId)) {
+      return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+    if (!body.data.trackingNumber || typeof body.data.trackingNumber !== 'string') {
+      return jsonResponse({ error: 'Missing required field: trackingNumber' }, 400, request);
+    }
+
+    const delivery = await dlvr.attachTracking(deliveryId, body.data);
+    return jsonResponse({ deliveryId, status: delivery.status, tracking: delivery.dispatch.tracking }, 200, request);
+  }
+
+  // POST /dlvr/v1/return-receipt/:id — green-card scan or carrier e-signature
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/return-receipt\/[^/]+$/)) {
+    const deliveryId = path.split('/').pop();
+    if (!/^DD-/.test(deliveryId)) {
+      return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const receipt = await dlvr.returnReceipt(deliveryId, body.data);
+    return jsonResponse(receipt, 201, request);
+  }
+
+  // POST /dlvr/v1/handoff/:id — in-person hand-off with courier geolocation
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/handoff\/[^/]+$/)) {
+    const deliveryId = path.split('/').pop();
+    if (!/^DD-/.test(deliveryId)) {
+      return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const delivery = await dlvr.recordHandoff(deliveryId, body.data);
+    return jsonResponse(delivery, 200, request);
+  }
+
+  // POST /dlvr/v1/portal/:id/token — issue a portal access token
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/portal\/[^/]+\/token$/)) {
+    const deliveryId = path.split('/')[4];
+    if (!/^DD-/.test(deliveryId)) {
+      return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const token = await dlvr.issuePortalToken(deliveryId, body.data);
+    return jsonResponse(token, 201, request);
+  }
+
+  // POST /dlvr/v1/witness-credentials — register a witness's key or passkey
+  if (request.method === 'POST' && path === '/dlvr/v1/witness-credentials') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const credential = await dlvr.registerWitnessCredential(body.data);
+    return jsonResponse(credential, 201, request);
+  }
+
+  // POST /dlvr/v1/witness/:id — witness's self-signed attestation to a hand-off
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/witness\/[^/]+$/)) {
+    const deliveryId = path.split('/').pop();
+    if (!/^DD-/.test(deliveryId)) {
+      return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const attestation = await dlvr.attestWitness(deliveryId, body.data);
+    return jsonResponse(attestation, 201, request);
+  }
+
+  // POST /dlvr/v1/inbound/carrier — carrier scan events
+  if (request.method === 'POST' && path === '/dlvr/v1/inbound/carrier') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const result = await dlvr.ingestScans(body.data);
+    return jsonResponse(result, 200, request);
+  }
+
+  // POST /dlvr/v1/suppressions — suppress an email address or phone number
+  if (request.method === 'POST' && path === '/dlvr/v1/suppressions') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+    if (!body.data.address) {
+      return jsonResponse({ error: 'Missing required field: address' }, 400, request);
+    }
+    const result = await dlvr.suppressions.add({
+      address: body.data.address,
+      reason: body.data.reason || 'MANUAL',
+      note: body.data.note || null,
+      source: `api:${auth.chittyId}`
+    });
+    return jsonResponse(result, 201, request);
+  }
+
+  // GET /dlvr/v1/suppressions — the list, or ?address= for one entry
+  if (request.method === 'GET' && path === '/dlvr/v1/suppressions') {
+    const address = url.searchParams.get('address');
+    if (address) {
+      const result = await dlvr.suppressions.check(address);
+      if (!result) {
+        return jsonResponse({ error: 'Address is not suppressed' }, 404, request);
+      }
+      return jsonResponse(result, 200, request);
+    }
+    const suppressions = await dlvr.suppressions.list();
+    return jsonResponse({ suppressions, count: suppressions.length }, 200, request);
+  }
+
+  // POST /dlvr/v1/suppressions/remove — lift a suppression ({ address })
+  if (request.method === 'POST' && path === '/dlvr/v1/suppressions/remove') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+    if (!body.data.address) {
+      return jsonResponse({ error: 'Missing required field: address' }, 400, request);
+    }
+    const removed = await dlvr.suppressions.remove(body.data.address);
+    if (!removed) {
+      return jsonResponse({ error: 'Address is not suppressed' }, 404, request);
+    }
+    return jsonResponse({ removed: true, suppression: removed }, 200, request);
+  }
+
+  // POST /dlvr/v1/address/normalize — check an address before dispatch or service
+  if (request.method === 'POST' && path === '/dlvr/v1/address/normalize') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+    if (!body.data.address) {
+      return jsonResponse({ error: 'Missing required field: address' }, 400, request);
+    }
+    return jsonResponse(parseAddress(body.data.address), 200, request);
+  }
+
+  // POST /dlvr/v1/templates — register a (tenant) notification template
+  if (request.method === 'POST' && path === '/dlvr/v1/templates') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const template = await dlvr.templates.register(body.data);
+    return jsonResponse(template, 201, request);
+  }
+
+  // POST /dlvr/v1/recipient-locales — the language a recipient's notices are written in
+  if (request.method === 'POST' && path === '/dlvr/v1/recipient-locales') {
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const preference = await dlvr.templates.setRecipientLocale(body.data.to, body.data.locale);
+    return jsonResponse(preference, 200, request);
+  }
+
   // POST /dlvr/v1/serve
   if (request.method === 'POST' && path === '/dlvr/v1/serve') {
     const body = await parseJSON(request);
@@ -222,6 +617,19 @@ async function handleRequest(url, request, dlvr, env) {
     return jsonResponse(result, 201, request);
   }
 
+  // POST /dlvr/v1/service/:id/attempt — service attempt with server geolocation
+  if (request.method === 'POST' && path.match(/\/dlvr\/v1\/service\/[^/]+\/attempt$/)) {
+    const serviceId = path.split('/')[4];
+    if (!/^DS-/.test(serviceId)) {
+      return jsonResponse({ error: 'Invalid service ID format' }, 400, request);
+    }
+    const body = await parseJSON(request);
+    if (body.error) return body.error;
+
+    const attempt = await dlvr.recordAttempt(serviceId, body.data);
+    return jsonResponse(attempt, 201, request);
+  }
+
   // POST /dlvr/v1/bulk
   if (request.method === 'POST' && path === '/dlvr/v1/bulk') {
     const body = await parseJSON(request);
@@ -234,13 +642,87 @@ async function handleRequest(url, request, dlvr, env) {
       return jsonResponse({ error: 'Missing required field: recipients (non-empty array)' }, 400, request);
     }
 
+    // One token per recipient from the key's bucket for each channel, all before any send
+    const counts = {};
+    for (const recipient of body.data.recipients) {
+      const method = recipient?.method || 'email';
+      counts[method] = (counts[method] || 0) + 1;
+    }
+    for (const [method, cost] of Object.entries(counts)) {
+      await dlvr.rateLimits.take('apiKey', auth.keyId, { method, cost });
+    }
+
     const result = await dlvr.bulkSend(body.data);
-    return jsonResponse(result, 201, request);
+    return jsonResponse(result, 201, request, rateLimitHeaders(dlvr.rateLimits.tightest));
   }
 
   return jsonResponse({ error: 'Not found' }, 404, request);
 }
 
+/**
+ * Bounce and SMS-reply webhooks from mail and SMS providers, which can't
+ * send the service bearer token. They sign the raw body with
+ * INBOUND_WEBHOOK_SECRET in the X-DLVR-Signature scheme ChittyDLVR's own
+ * webhooks use; internal callers may still send the bearer instead.
+ */
+async function handleInboundRoute(path, request, dlvr, env) {
+  if (request.method !== 'POST') {
+    return jsonResponse({ error: 'Not found' }, 404, request);
+  }
+
+  const raw = await request.text();
+  const internal = request.headers.has('Authorization') && (await authenticate(request, env)).valid;
+  if (!internal) {
+    if (!env.INBOUND_WEBHOOK_SECRET) {
+      console.error('INBOUND_WEBHOOK_SECRET not configured; unsigned provider webhooks are refused');
+      return jsonResponse({ error: 'Unauthorized' }, 401, request);
+    }
+    try {
+      await verifySignature(raw, request.headers, env.INBOUND_WEBHOOK_SECRET);
+    } catch (error) {
+      if (!(error instanceof WebhookVerificationError)) throw error;
+      return jsonResponse({ error: error.message, code: error.code }, 401, request);
+    }
+  }
+
+  // POST /dlvr/v1/inbound/bounce — RFC 3464 DSN (raw) or provider JSON
+  if (path === '/dlvr/v1/inbound/bounce') {
+    if (!raw.trim()) {
+      return jsonResponse({ error: 'Empty bounce report' }, 400, request);
+    }
+
+    let result;
+    try {
+      result = await dlvr.ingestBounce(raw, request.headers.get('Content-Type') || '');
+    } catch (error) {
+      if (error instanceof DeliveryError) throw error;
+      return jsonResponse({ error: `Unparseable bounce report: ${error.message}` }, 400, request);
+    }
+    return jsonResponse(result, 200, request);
+  }
+
+  // POST /dlvr/v1/inbound/sms — replies from recipients; STOP suppresses, START lifts it.
+  // JSON { from, body } or a form-encoded provider webhook (From, Body).
+  let message;
+  if ((request.headers.get('Content-Type') || '').includes('application/x-www-form-urlencoded')) {
+    const form = new URLSearchParams(raw);
+    message = { from: form.get('From'), body: form.get('Body') };
+  } else {
+    let data;
+    try {
+      data = JSON.parse(raw);
+    } catch {
+      return jsonResponse({ error: 'Invalid JSON in request body' }, 400, request);
+    }
+    message = { from: data?.from, body: data?.body };
+  }
+  if (!message.from) {
+    return jsonResponse({ error: 'Missing required field: from' }, 400, request);
+  }
+  const result = await dlvr.suppressions.ingestSMS(message);
+  return jsonResponse(result, 200, request);
+}
+
 async function handlePublicRoute(path, request, dlvr) {
   try {
     if (path.startsWith('/verify/receipt/')) {
@@ -249,7 +731,7 @@ async function handlePublicRoute(path, request, dlvr) {
         return jsonResponse({ error: 'Invalid receipt ID format' }, 400, request);
       }
       // Look up receipt data, then verify signature
-      const receiptData = dlvr.receipts.getById(receiptId);
+      const receiptData = await dlvr.receipts.getById(receiptId);
       const result = await dlvr.receipts.verify(receiptId, receiptData);
       return jsonResponse(result, 200, request);
     }
@@ -259,12 +741,136 @@ async function handlePublicRoute(path, request, dlvr) {
       if (!/^DD-/.test(deliveryId)) {
         return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
       }
-      const result = await dlvr.status(deliveryId);
+      const result = await dlvr.publicStatus(deliveryId);
+      if (!result) {
+        return jsonResponse({ error: 'Delivery not found' }, 404, request);
+      }
       return jsonResponse(result, 200, request);
     }
 
+    // /s/:code — signed short link (SMS) → the delivery's view page
+    if (path.startsWith('/s/') && request.method === 'GET') {
+      const link = await dlvr.links.resolve(path.split('/').pop());
+      if (!link) {
+        return jsonResponse({ error: 'Link not found' }, 404, request);
+      }
+      return Response.redirect(link.target, 302);
+    }
+
+    // /open/:id.gif — email tracking pixel. Always answers with the image so
+    // mail clients never show a broken one; unknown IDs are simply not recorded.
+    if (path.startsWith('/open/') && request.method === 'GET') {
+      const match = path.match(/^\/open\/(DD-[A-Za-z0-9-]+)\.gif$/);
+      if (match) {
+        try {
+          await dlvr.pixelOpen(match[1], {
+            ip: request.headers.get('CF-Connecting-IP'),
+            userAgent: request.headers.get('User-Agent')
+          });
+        } catch (error) {
+          if (!(error instanceof DeliveryError)) console.error('Pixel open error:', error.message);
+        }
+      }
+      return pixelResponse();
+    }
+
+    // /view/:id — the delivery's document, as served bytes; the SHA-256
+    // header is what the receipt will bind. Link scanners are served too but
+    // don't open the delivery (see dlvr.view)
+    if (path.startsWith('/view/') && request.method === 'GET') {
+      const deliveryId = path.split('/').pop();
+      if (!/^DD-/.test(deliveryId)) {
+        return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+      }
+
+      const document = await dlvr.view(deliveryId, {
+        ip: request.headers.get('CF-Connecting-IP'),
+        userAgent: request.headers.get('User-Agent')
+      });
+      const headers = {
+        'Content-Type': document.contentType,
+        'Content-Length': String(document.size),
+        'Cache-Control': 'no-store, private',
+        'X-Content-SHA256': document.sha256,
+        'X-DLVR-Mint-Id': document.mintId
+      };
+      if (document.filename) headers['Content-Disposition'] = `inline; filename="${document.filename.replace(/"/g, '')}"`;
+      return new Response(document.bytes, { status: 200, headers });
+    }
+
+    // /portal/:id — portal backend validates a recipient's access token;
+    // every valid access is logged as OPENED
+    if (path.startsWith('/portal/') && request.method === 'GET') {
+      const deliveryId = path.split('/').pop();
+      if (!/^DD-/.test(deliveryId)) {
+        return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+      }
+      const authHeader = request.headers.get('Authorization') || '';
+      const token = authHeader.startsWith('Bearer ')
+        ? authHeader.slice(7)
+        : new URL(request.url).searchParams.get('token');
+      if (!token) {
+        return jsonResponse({ error: 'Missing portal access token', code: 'PORTAL_TOKEN_INVALID' }, 401, request);
+      }
+
+      const result = await dlvr.portalAccess(deliveryId, token, {
+        ip: request.headers.get('CF-Connecting-IP'),
+        userAgent: request.headers.get('User-Agent')
+      });
+      return jsonResponse(result, 200, request);
+    }
+
+    // /decline/:id — GET describes the action, POST records the refusal.
+    // Only POST changes state so link prefetchers can't refuse on a recipient's behalf.
+    if (path.startsWith('/decline/')) {
+      const deliveryId = path.split('/').pop();
+      if (!/^DD-/.test(deliveryId)) {
+        return jsonResponse({ error: 'Invalid delivery ID format' }, 400, request);
+      }
+
+      if (request.method === 'GET') {
+        const status = await dlvr.status(deliveryId);
+        if (!status) {
+          return jsonResponse({ error: 'Delivery not found' }, 404, request);
+        }
+        return jsonResponse({
+          deliveryId,
+          mintId: status.mintId,
+          status: status.status,
+          action: 'decline',
+          method: 'POST',
+          fields: { reason: 'optional string' }
+        }, 200, request);
+      }
+
+      if (request.method === 'POST') {
+        const text = await request.text();
+        let data = {};
+        if (text.trim()) {
+          try {
+            data = JSON.parse(text);
+          } catch {
+            return jsonResponse({ error: 'Invalid JSON in request body' }, 400, request);
+          }
+        }
+        if (data.reason !== undefined && data.reason !== null && typeof data.reason !== 'string') {
+          return jsonResponse({ error: 'reason must be a string' }, 400, request);
+        }
+
+        const result = await dlvr.decline(deliveryId, {
+          reason: data.reason || null,
+          ip: request.headers.get('CF-Connecting-IP'),
+          userAgent: request.headers.get('User-Agent')
+        });
+        return jsonResponse(result, 201, request);
+      }
+    }
+
     return jsonResponse({ error: 'Not found' }, 404, request);
   } catch (error) {
+    if (error instanceof DeliveryError) {
+      return errorResponse(error, request);
+    }
     console.error('Public route error:', error.message);
     return jsonResponse({ error: 'Internal server error' }, 500, request);
   }
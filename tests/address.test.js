@@ -0,0 +1,69 @@
+/**
+ * Postal Address Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { parseAddress } from '../src/core/address.js';
+
+describe('parseAddress', () => {
+  it('normalizes to Publication 28 abbreviations', () => {
+    const result = parseAddress('123 North Main Street, Apartment 4B, Chicago, Illinois 60601-1234');
+
+    expect(result.normalized.full).toBe('123 N MAIN ST APT 4B, CHICAGO IL 60601-1234');
+    expect(result.components).toMatchObject({
+      number: '123', predirectional: 'N', streetName: 'MAIN', suffix: 'ST',
+      unitType: 'APT', unitNumber: '4B', city: 'CHICAGO', state: 'IL', zip: '60601', zip4: '1234'
+    });
+    expect(result.issues).toEqual([]);
+  });
+
+  it('handles postdirectionals, PO boxes, name-only streets and undelimited cities', () => {
+    expect(parseAddress('1600 Pennsylvania Avenue NW, Washington, DC 20500').normalized.line1).toBe('1600 PENNSYLVANIA AVE NW');
+    expect(parseAddress('P.O. Box 42, Springfield, IL 62701').normalized.line1).toBe('PO BOX 42');
+    expect(parseAddress('123 N Broadway #5, New York, NY 10001').normalized.line1).toBe('123 N BROADWAY # 5');
+    expect(parseAddress('500 W Madison St Ste 1000 Chicago IL 60661').normalized.full).toBe('500 W MADISON ST STE 1000, CHICAGO IL 60661');
+  });
+
+  it('flags incomplete and ambiguous addresses', () => {
+    const codes = (a) => parseAddress(a).issues.map(i => i.code);
+
+    expect(parseAddress('123 Main').valid).toBe(false);
+    expect(codes('123 Main')).toContain('MISSING_LOCALITY');
+    expect(codes('Main Street, Chicago, IL')).toContain('MISSING_NUMBER');
+    expect(codes('123 Main St 4B, Chicago IL 60601')).toEqual(['AMBIGUOUS_UNIT']);
+    expect(codes('123 Main St, Chicago, IL 90210')).toEqual(['ZIP_STATE_MISMATCH']);
+  });
+});
+
+describe('addresses on deliveries and service', () => {
+  it('stores raw and normalized forms on physical dispatch and rejects incomplete ones', async () => {
+    const dlvr = new ChittyDLVR();
+    const delivery = await dlvr.send({ mintId: 'DM-ADDR', method: 'physical', address: '123 Main Street, Chicago, IL 60601' });
+
+    expect(delivery.dispatch.postalAddress).toMatchObject({
+      raw: '123 Main Street, Chicago, IL 60601',
+      normalized: '123 MAIN ST, CHICAGO IL 60601'
+    });
+
+    await expect(dlvr.send({ mintId: 'DM-ADDR', method: 'physical', address: 'somewhere' }))
+      .rejects.toMatchObject({ code: 'INVALID_ADDRESS', status: 422 });
+  });
+
+  it('cites the served address on the affidavit and warns about PO boxes', async () => {
+    const dlvr = new ChittyDLVR();
+    const service = await dlvr.serve('DM-SERVE', {
+      respondent: 'John Doe',
+      address: { street: '123 Main Street', city: 'Chicago', state: 'IL', zip: '60601' }
+    });
+    const affidavit = await dlvr.recordService(service.serviceId, { processServer: 'SERVER-001' });
+
+    expect(affidavit.address).toEqual({
+      raw: { street: '123 Main Street', city: 'Chicago', state: 'IL', zip: '60601' },
+      normalized: '123 MAIN ST, CHICAGO IL 60601'
+    });
+
+    const box = await dlvr.serve('DM-SERVE', { respondent: 'Jane Doe', address: 'PO Box 9, Chicago, IL 60601' });
+    expect(box.postalAddress.issues.map(i => i.code)).toContain('PO_BOX');
+  });
+});
@@ -0,0 +1,137 @@
+/**
+ * Bounce Ingestion Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { parseBounce, parseDSN, matchDeliveryId } from '../src/core/bounce.js';
+
+function dsn(deliveryId, { action = 'failed', status = '5.1.1', diagnostic = 'smtp; 550 5.1.1 <r@example.com>: User unknown' } = {}) {
+  return [
+    'From: MAILER-DAEMON@mx.example.com',
+    'Date: Mon, 19 Oct 2026 10:00:00 +0000',
+    'Content-Type: multipart/report; report-type=delivery-status;',
+    '  boundary="BOUNDARY"',
+    '',
+    '--BOUNDARY',
+    'Content-Type: text/plain',
+    '',
+    'Delivery to the following recipient failed permanently.',
+    '--BOUNDARY',
+    'Content-Type: message/delivery-status',
+    '',
+    'Reporting-MTA: dns; mx.example.com',
+    '',
+    'Final-Recipient: rfc822; r@example.com',
+    `Action: ${action}`,
+    `Status: ${status}`,
+    `Diagnostic-Code: ${diagnostic}`,
+    '',
+    '--BOUNDARY',
+    'Content-Type: text/rfc822-headers',
+    '',
+    `Message-ID: <MSG-${deliveryId}@dlvr.chitty.cc>`,
+    'Subject: Document Delivery: DM-BOUNCE',
+    '',
+    '--BOUNDARY--',
+    ''
+  ].join('\r\n');
+}
+
+describe('bounce parsing', () => {
+  it('parses an RFC 3464 hard bounce', () => {
+    const [notice] = parseDSN(dsn('DD-ABC123-0011AABB'));
+    expect(notice).toMatchObject({
+      deliveryId: 'DD-ABC123-0011AABB',
+      recipient: 'r@example.com',
+      action: 'failed',
+      bounceType: 'hard',
+      statusCode: '5.1.1',
+      provider: 'dsn'
+    });
+    expect(notice.diagnosticCode).toContain('User unknown');
+  });
+
+  it('classifies 4.x.x DSNs as soft', () => {
+    const [notice] = parseDSN(dsn('DD-ABC123-0011AABB', { action: 'delayed', status: '4.4.1', diagnostic: 'smtp; 421 try later' }));
+    expect(notice.bounceType).toBe('soft');
+    expect(notice.action).toBe('delayed');
+  });
+
+  it('parses SES notifications inside an SNS envelope', () => {
+    const [notice] = parseBounce(JSON.stringify({
+      Type: 'Notification',
+      Message: JSON.stringify({
+        notificationType: 'Bounce',
+        bounce: {
+          bounceType: 'Permanent',
+          bouncedRecipients: [{ emailAddress: 'r@example.com', status: '5.1.1', diagnosticCode: 'smtp; 550 no such user' }],
+          timestamp: '2026-10-19T10:00:00.000Z'
+        },
+        mail: { headers: [{ name: 'Message-ID', value: '<MSG-DD-ABC123-0011AABB@dlvr.chitty.cc>' }] }
+      })
+    }), 'text/plain');
+
+    expect(notice).toMatchObject({ deliveryId: 'DD-ABC123-0011AABB', bounceType: 'hard', provider: 'ses' });
+  });
+
+  it('parses SendGrid event batches and skips non-bounce events', () => {
+    const notices = parseBounce([
+      { event: 'delivered', email: 'a@example.com' },
+      { event: 'bounce', type: 'blocked', email: 'r@example.com', status: '4.7.1', reason: 'greylisted', 'smtp-id': '<MSG-DD-ABC123-0011AABB@dlvr.chitty.cc>' }
+    ]);
+    expect(notices).toHaveLength(1);
+    expect(notices[0]).toMatchObject({ bounceType: 'soft', action: 'failed', provider: 'sendgrid' });
+  });
+
+  it('matches delivery IDs out of message IDs', () => {
+    expect(matchDeliveryId('<msg-dd-abc123-00ff@dlvr.chitty.cc>')).toBe('DD-ABC123-00FF');
+    expect(matchDeliveryId('<other@example.com>')).toBeNull();
+  });
+
+  it('rejects unrecognized payloads', () => {
+    expect(() => parseBounce({ hello: 'world' })).toThrow('Unrecognized bounce payload');
+  });
+});
+
+describe('ChittyDLVR.ingestBounce', () => {
+  let dlvr;
+
+  beforeEach(() => {
+    dlvr = new ChittyDLVR({ apiKey: 'test-key-minimum-16ch' });
+  });
+
+  const sendEmail = () => dlvr.send({ mintId: 'DM-BOUNCE', to: 'r', method: 'email', address: 'r@example.com' });
+
+  it('moves hard bounces to BOUNCED with the diagnostic on the timeline', async () => {
+    const { deliveryId } = await sendEmail();
+    const result = await dlvr.ingestBounce(dsn(deliveryId));
+
+    expect(result.applied).toBe(1);
+    const status = await dlvr.status(deliveryId);
+    expect(status.status).toBe('BOUNCED');
+    expect(status.timeline.at(-1).details).toMatchObject({ statusCode: '5.1.1', bounceType: 'hard' });
+    expect(status.timeline.at(-1).details.diagnosticCode).toContain('550 5.1.1');
+  });
+
+  it('moves final soft bounces to FAILED', async () => {
+    const { deliveryId } = await sendEmail();
+    await dlvr.ingestBounce(dsn(deliveryId, { status: '4.2.2', diagnostic: 'smtp; 452 mailbox full' }));
+    expect((await dlvr.status(deliveryId)).status).toBe('FAILED');
+  });
+
+  it('keeps delayed notices on the timeline without a status change', async () => {
+    const { deliveryId } = await sendEmail();
+    const result = await dlvr.ingestBounce(dsn(deliveryId, { action: 'delayed', status: '4.4.1' }));
+
+    expect(result.applied).toBe(0);
+    const status = await dlvr.status(deliveryId);
+    expect(status.status).toBe('SENT');
+    expect(status.timeline.at(-1).event).toBe('BOUNCE_DELAYED');
+  });
+
+  it('reports unmatched notices', async () => {
+    const result = await dlvr.ingestBounce(dsn('DD-UNKNOWN-00'));
+    expect(result.results[0]).toMatchObject({ matched: false, applied: false });
+  });
+});
@@ -0,0 +1,178 @@
+/**
+ * Carrier Tracking Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { validateTrackingNumber, normalizeTrackingNumber } from '../src/core/carriers.js';
+
+describe('validateTrackingNumber', () => {
+  it('accepts valid numbers for each carrier and detects the carrier', () => {
+    expect(validateTrackingNumber('9205 5901 6491 7312 7510 89')).toMatchObject({ valid: true, carrier: 'usps', format: 'IMpb' });
+    expect(validateTrackingNumber('1Z999AA10123456784')).toMatchObject({ valid: true, carrier: 'ups' });
+    expect(validateTrackingNumber('986578788855')).toMatchObject({ valid: true, carrier: 'fedex', format: 'express' });
+    expect(validateTrackingNumber('449044304137821')).toMatchObject({ valid: true, carrier: 'fedex', format: 'ground' });
+    expect(validateTrackingNumber('RA123456785US')).toMatchObject({ valid: true, carrier: 'usps', format: 'S10' });
+  });
+
+  it('rejects a wrong check digit or an unknown format', () => {
+    expect(validateTrackingNumber('1Z999AA10123456785')).toMatchObject({ valid: false, reason: 'Check digit mismatch' });
+    expect(validateTrackingNumber('9205590164917312751088')).toMatchObject({ valid: false, carrier: 'usps' });
+    expect(validateTrackingNumber('ABC123').valid).toBe(false);
+    expect(validateTrackingNumber('1Z999AA10123456784', 'fedex').valid).toBe(false);
+  });
+
+  it('recognizes Certified Mail and Return Receipt numbers', () => {
+    expect(validateTrackingNumber('9407111898765431324515')).toMatchObject({ valid: true, service: 'certified' });
+    expect(validateTrackingNumber('9590940211111111111111')).toMatchObject({ valid: true, service: 'returnReceipt' });
+    expect(normalizeTrackingNumber('42060601 9407111898765431324515')).toBe('9407111898765431324515');
+  });
+});
+
+describe('carrier scan ingestion', () => {
+  let dlvr;
+  let delivery;
+
+  beforeEach(async () => {
+    dlvr = new ChittyDLVR();
+    delivery = await dlvr.send({
+      mintId: 'DM-MAIL',
+      to: 'recipient',
+      method: 'physical',
+      address: '1 Main St, Chicago, IL 60601',
+      options: { carrier: 'usps', trackingNumber: '9407111898765431324515', returnReceiptNumber: '9590940211111111111111' }
+    });
+  });
+
+  it('attaches validated tracking at send time', () => {
+    expect(delivery.dispatch).toMatchObject({ carrier: 'usps', trackingNumber: '9407111898765431324515' });
+    expect(delivery.dispatch.tracking).toMatchObject({ certified: true, returnReceiptNumber: '9590940211111111111111' });
+  });
+
+  it('records transit scans as events and moves to DELIVERED on a delivered scan', async () => {
+    const result = await dlvr.ingestScans({
+      carrier: 'usps',
+      trackingNumber: '9407 1118 9876 5431 3245 15',
+      events: [
+        { code: '01', description: 'Delivered, Left with Individual', timestamp: '2026-10-21T15:00:00Z', location: 'CHICAGO, IL 60601' },
+        { code: '03', description: 'Accepted at USPS Origin Facility', timestamp: '2026-10-19T18:00:00Z' },
+        { code: 'OF', description: 'Out for Delivery', timestamp: '2026-10-21T08:00:00Z' }
+      ]
+    });
+
+    expect(result).toMatchObject({ received: 3, applied: 1 });
+    const status = await dlvr.status(delivery.deliveryId);
+    expect(status.status).toBe('DELIVERED');
+    expect(status.timeline.map(e => e.event || e.status)).toEqual(['PENDING', 'SENT', 'CARRIER_ACCEPTED', 'CARRIER_OUT_FOR_DELIVERY', 'DELIVERED']);
+    expect(status.tracking.lastScan.location).toBe('CHICAGO, IL 60601');
+
+    const replay = await dlvr.ingestScans({ carrier: 'usps', trackingNumber: '9407111898765431324515', code: '01', timestamp: '2026-10-21T15:00:00Z' });
+    expect(replay.results[0].duplicate).toBe(true);
+  });
+
+  it('moves to REFUSED with a signed refusal record on a refused scan', async () => {
+    await dlvr.ingestScans({ carrier: 'usps', trackingNumber: '9407111898765431324515', code: '04', description: 'Refused', timestamp: '2026-10-21T15:00:00Z' });
+
+    const stored = await dlvr.getDelivery(delivery.deliveryId);
+    expect(stored.status).toBe('REFUSED');
+    expect(stored.refusal).toMatchObject({ carrier: 'usps', reason: 'Refused' });
+    expect((await dlvr.receipts.getById(stored.receiptId)).type).toBe('refusal');
+  });
+
+  it('attaches tracking later and reports unknown numbers as unmatched', async () => {
+    const later = await dlvr.send({ mintId: 'DM-MAIL-2', method: 'physical', address: '2 Main St, Chicago, IL 60601' });
+    const updated = await dlvr.attachTracking(later.deliveryId, { trackingNumber: '1Z999AA10123456784' });
+    expect(updated.dispatch.carrier).toBe('ups');
+    expect(updated.events.at(-1).event).toBe('TRACKING_ATTACHED');
+
+    await expect(dlvr.attachTracking(later.deliveryId, { trackingNumber: '1Z999AA10123456785' }))
+      .rejects.toMatchObject({ code: 'INVALID_TRACKING_NUMBER', status: 400 });
+
+    const result = await dlvr.ingestScans({ carrier: 'fedex', trackingNumber: '449044304137821', code: 'DL' });
+    expect(result.results[0]).toMatchObject({ matched: false, applied: false });
+  });
+
+  it('drops the old index entry when a tracking number is replaced', async () => {
+    const later = await dlvr.send({ mintId: 'DM-MAIL-3', method: 'physical', address: '3 Main St, Chicago, IL 60601' });
+    await dlvr.attachTracking(later.deliveryId, { trackingNumber: '1Z999AA10123456784' });
+    const updated = await dlvr.attachTracking(later.deliveryId, { trackingNumber: '449044304137821' });
+
+    expect(updated.events.at(-1).details).toMatchObject({ trackingNumber: '449044304137821', replaced: '1Z999AA10123456784' });
+    expect(await dlvr.store.getTracking('1Z999AA10123456784')).toBeNull();
+    expect(await dlvr.store.getTracking('449044304137821')).toMatchObject({ deliveryId: later.deliveryId, carrier: 'fedex' });
+
+    // The old number is free for another delivery
+    const other = await dlvr.send({ mintId: 'DM-MAIL-4', method: 'physical', address: '4 Main St, Chicago, IL 60601' });
+    await expect(dlvr.attachTracking(other.deliveryId, { trackingNumber: '1Z999AA10123456784' })).resolves.toBeTruthy();
+  });
+
+  it('indexes a send-time tracking number only once the delivery is saved', async () => {
+    const indexed = [];
+    const putTracking = dlvr.store.putTracking.bind(dlvr.store);
+    dlvr.store.putTracking = async (tracking) => {
+      indexed.push(await dlvr.store.getDelivery(tracking.deliveryId));
+      return putTracking(tracking);
+    };
+
+    await dlvr.send({
+      mintId: 'DM-MAIL-5',
+      method: 'physical',
+      address: '5 Main St, Chicago, IL 60601',
+      options: { trackingNumber: 'RA123456785US' }
+    });
+    expect(indexed).toHaveLength(1);
+    expect(indexed[0]).toMatchObject({ status: 'SENT', dispatch: { trackingNumber: 'RA123456785US' } });
+  });
+});
+
+describe('return receipts', () => {
+  let dlvr;
+  let delivery;
+  const image = btoa('fake PNG bytes of a signed green card');
+
+  beforeEach(async () => {
+    dlvr = new ChittyDLVR();
+    delivery = await dlvr.send({
+      mintId: 'DM-CARD',
+      method: 'physical',
+      address: '1 Main St, Chicago, IL 60601',
+      options: { trackingNumber: '9407111898765431324515', returnReceiptNumber: '9590940211111111111111' }
+    });
+  });
+
+  it('signs a physical receipt over the image digest and verifies it', async () => {
+    const receipt = await dlvr.returnReceipt(delivery.deliveryId, {
+      signedBy: 'J. Recipient',
+      signedAt: '2026-10-21T15:00:00Z',
+      image: `data:image/png;base64,${image}`
+    });
+
+    const expected = await crypto.subtle.digest('SHA-256', new TextEncoder().encode('fake PNG bytes of a signed green card'));
+    const hex = Array.from(new Uint8Array(expected), b => b.toString(16).padStart(2, '0')).join('');
+
+    expect(receipt).toMatchObject({ type: 'physical', carrier: 'usps', returnReceiptNumber: '9590940211111111111111' });
+    expect(receipt.evidence).toMatchObject({ type: 'image', contentType: 'image/png', sha256: hex });
+    expect(JSON.parse(receipt.signature.signedPayload).evidence.sha256).toBe(hex);
+    expect((await dlvr.receipts.verify(receipt.receiptId)).verified).toBe(true);
+    expect((await dlvr.getDelivery(delivery.deliveryId)).status).toBe('RECEIPTED');
+  });
+
+  it('accepts carrier electronic signature data instead of an image', async () => {
+    const receipt = await dlvr.returnReceipt(delivery.deliveryId, {
+      signedBy: 'J. Recipient',
+      electronicSignature: { signatureBlob: 'AAEC', capturedBy: 'USPS MDD' }
+    });
+    expect(receipt.evidence).toMatchObject({ type: 'electronicSignature', contentType: 'application/json' });
+  });
+
+  it('rejects missing evidence, a mismatched card number and non-physical deliveries', async () => {
+    await expect(dlvr.returnReceipt(delivery.deliveryId, { signedBy: 'J. Recipient' }))
+      .rejects.toMatchObject({ code: 'INVALID_RETURN_RECEIPT' });
+    await expect(dlvr.returnReceipt(delivery.deliveryId, { signedBy: 'J', image, returnReceiptNumber: '9590940211111111111128' }))
+      .rejects.toMatchObject({ code: 'RETURN_RECEIPT_MISMATCH', status: 409 });
+
+    const email = await dlvr.send({ mintId: 'DM-E', method: 'email', address: 'r@example.com' });
+    await expect(dlvr.returnReceipt(email.deliveryId, { signedBy: 'J', image }))
+      .rejects.toMatchObject({ code: 'RETURN_RECEIPT_UNSUPPORTED', status: 422 });
+  });
+});
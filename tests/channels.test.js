@@ -0,0 +1,277 @@
+/**
+ * Channel Composition Tests
+ * Messages are handed to local stand-in transports and inspected.
+ */
+
+import { describe, it, expect, beforeAll, vi } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryEmailTransport, MemorySMSTransport } from '../src/core/transports.js';
+import { canonicalizeHeaderRelaxed, canonicalizeBodyRelaxed } from '../src/core/dkim.js';
+import { encodeQuotedPrintable, composeEmail } from '../src/core/mime.js';
+import { analyzeSMS, normalizeE164 } from '../src/core/sms.js';
+import { DLVRClient } from '../src/sdk/client.js';
+
+function parseRaw(raw) {
+  const split = raw.indexOf('\r\n\r\n');
+  const headers = [];
+  for (const line of raw.slice(0, split).split('\r\n')) {
+    if (/^[ \t]/.test(line)) headers[headers.length - 1][1] += `\r\n${line}`;
+    else headers.push([line.slice(0, line.indexOf(':')), line.slice(line.indexOf(':') + 1).trim()]);
+  }
+  return { headers, body: raw.slice(split + 4) };
+}
+
+function header(headers, name) {
+  return headers.find(([key]) => key.toLowerCase() === name.toLowerCase())?.[1];
+}
+
+describe('email channel', () => {
+  let keyPair;
+
+  beforeAll(async () => {
+    keyPair = await crypto.subtle.generateKey(
+      { name: 'RSASSA-PKCS1-v1_5', modulusLength: 2048, publicExponent: new Uint8Array([1, 0, 1]), hash: 'SHA-256' },
+      true,
+      ['sign', 'verify']
+    );
+  });
+
+  async function sendEmail(email = {}) {
+    const transport = new MemoryEmailTransport();
+    const dlvr = new ChittyDLVR({ email: { from: 'ChittyDLVR <delivery@dlvr.chitty.cc>', transport, ...email } });
+    const delivery = await dlvr.send({ mintId: 'DM-MIME', to: 'r', method: 'email', address: 'recipient@example.com' });
+    return { delivery, message: transport.sent[0] };
+  }
+
+  it('hands a full MIME message to the transport', async () => {
+    const { delivery, message } = await sendEmail();
+    const { headers, body } = parseRaw(message.raw);
+
+    expect(message.to).toBe('recipient@example.com');
+    expect(header(headers, 'Message-ID')).toBe(`<MSG-${delivery.deliveryId}@dlvr.chitty.cc>`);
+    expect(header(headers, 'Disposition-Notification-To')).toBe('ChittyDLVR <delivery@dlvr.chitty.cc>');
+    expect(header(headers, 'Content-Type')).toMatch(/^multipart\/alternative; boundary=/);
+    expect(body).toContain('Content-Type: text/plain; charset=utf-8');
+    expect(body).toContain('Content-Type: text/html; charset=utf-8');
+    expect(body).toContain(`https://chitty.cc/decline/${delivery.deliveryId}`);
+    expect(body).toContain(`https://chitty.cc/open/${delivery.deliveryId}.gif`);
+
+    expect(delivery.dispatch.transport.response).toMatch(/^250/);
+    expect(delivery.dispatch.sha256).toMatch(/^[0-9a-f]{64}$/);
+  });
+
+  it('DKIM-signs the message so the signature verifies', async () => {
+    const { message } = await sendEmail({ dkim: { domain: 'dlvr.chitty.cc', selector: 'dlvr', privateKey: keyPair.privateKey } });
+    const { headers, body } = parseRaw(message.raw);
+
+    const dkimValue = header(headers, 'DKIM-Signature');
+    const tags = Object.fromEntries(dkimValue.split(';').map(t => t.trim().split(/=(.*)/s).slice(0, 2)));
+    expect(tags).toMatchObject({ v: '1', a: 'rsa-sha256', c: 'relaxed/relaxed', d: 'dlvr.chitty.cc', s: 'dlvr' });
+
+    const bodyHash = await crypto.subtle.digest('SHA-256', new TextEncoder().encode(canonicalizeBodyRelaxed(body)));
+    expect(btoa(String.fromCharCode(...new Uint8Array(bodyHash)))).toBe(tags.bh);
+
+    const signingInput = [
+      ...tags.h.split(':').map(name => canonicalizeHeaderRelaxed(name, header(headers, name))),
+      canonicalizeHeaderRelaxed('dkim-signature', dkimValue.replace(/b=[^;]*$/, 'b='))
+    ].join('\r\n');
+    const valid = await crypto.subtle.verify(
+      { name: 'RSASSA-PKCS1-v1_5' },
+      keyPair.publicKey,
+      Uint8Array.from(atob(tags.b), c => c.charCodeAt(0)),
+      new TextEncoder().encode(signingInput)
+    );
+    expect(valid).toBe(true);
+  });
+
+  it('rejects malformed addresses before composing', async () => {
+    const dlvr = new ChittyDLVR();
+    await expect(dlvr.send({ mintId: 'DM-1', method: 'email', address: 'not-an-address' }))
+      .rejects.toThrow('Invalid email address');
+  });
+
+  it('refuses header injection through the address and builds To from its parts', async () => {
+    const transport = new MemoryEmailTransport();
+    const dlvr = new ChittyDLVR({ email: { from: 'delivery@dlvr.chitty.cc', transport } });
+
+    await expect(dlvr.send({ mintId: 'DM-1', method: 'email', address: 'Victim\r\nBcc: attacker@evil.example\r\nX-Y: <a@b.co>' }))
+      .rejects.toThrow('Invalid email address');
+    await expect(dlvr.send({ mintId: 'DM-1', method: 'email', address: 'a@b.co\nBcc: attacker@evil.example' }))
+      .rejects.toThrow('Invalid email address');
+    expect(transport.sent).toHaveLength(0);
+
+    await dlvr.send({ mintId: 'DM-1', method: 'email', address: 'Doe, "Jane" <jane@example.com>' });
+    const { headers } = parseRaw(transport.sent[0].raw);
+    expect(header(headers, 'To')).toBe('"Doe, \\"Jane\\"" <jane@example.com>');
+    expect(transport.sent[0].to).toBe('jane@example.com');
+
+    expect(() => composeEmail({ from: 'a@b.co', to: 'c@d.co', subject: 'Hi\r\nBcc: x@y.z', text: 'x' }))
+      .toThrow(/control characters/);
+    expect(() => composeEmail({ from: 'a@b.co', to: 'c@d.co', text: 'x', headers: { 'X-Tag': 'a\nb' } }))
+      .toThrow(/control characters/);
+  });
+
+  it('quoted-printable encodes non-ASCII and long lines', () => {
+    expect(encodeQuotedPrintable('Café = ok')).toBe('Caf=C3=A9 =3D ok');
+    const long = encodeQuotedPrintable('x'.repeat(100));
+    expect(long.split('\r\n').every(line => line.length <= 76)).toBe(true);
+  });
+});
+
+describe('sms channel', () => {
+  it('sends a single GSM-7 segment with a signed short link', async () => {
+    const transport = new MemorySMSTransport();
+    const dlvr = new ChittyDLVR({ sms: { from: '+13125550100', transport }, linkSecret: 'test-secret' });
+    const delivery = await dlvr.send({ mintId: 'DM-SMS', method: 'sms', address: '+1 (312) 555-0199' });
+
+    expect(transport.sent[0]).toMatchObject({ to: '+13125550199', from: '+13125550100', encoding: 'GSM-7', segments: 1 });
+    expect(delivery.dispatch).toMatchObject({ encoding: 'GSM-7', segments: 1, costUnits: 1 });
+    expect(delivery.dispatch.body).toContain(delivery.dispatch.shortLink.url);
+
+    const link = await dlvr.links.resolve(delivery.dispatch.shortLink.code);
+    expect(link.target).toBe(`https://chitty.cc/view/${delivery.deliveryId}`);
+  });
+
+  it('does not resolve codes signed under another secret', async () => {
+    const store = new ChittyDLVR().store;
+    const issuer = new ChittyDLVR({ store, linkSecret: 'one' });
+    const other = new ChittyDLVR({ store, linkSecret: 'two' });
+    const link = await issuer.links.create('DD-TEST-1');
+
+    expect(await issuer.links.resolve(link.code)).not.toBeNull();
+    expect(await other.links.resolve(link.code)).toBeNull();
+    expect(await issuer.links.resolve('not-a-code')).toBeNull();
+  });
+
+  it('rejects numbers that are not E.164', async () => {
+    const dlvr = new ChittyDLVR();
+    await expect(dlvr.send({ mintId: 'DM-1', method: 'sms', address: '555-0199' }))
+      .rejects.toThrow('Invalid phone number');
+    expect(normalizeE164('0044 20 7946 0958')).toBe('+442079460958');
+  });
+
+  it('counts segments for GSM-7, extension characters and UCS-2', () => {
+    expect(analyzeSMS('a'.repeat(160))).toMatchObject({ encoding: 'GSM-7', segments: 1 });
+    expect(analyzeSMS('a'.repeat(161))).toMatchObject({ encoding: 'GSM-7', segments: 2, perSegment: 153 });
+    expect(analyzeSMS('€'.repeat(80))).toMatchObject({ encoding: 'GSM-7', units: 160, segments: 1 });
+    expect(analyzeSMS('ç'.repeat(70))).toMatchObject({ encoding: 'UCS-2', segments: 1 });
+    expect(analyzeSMS('ç'.repeat(71))).toMatchObject({ encoding: 'UCS-2', segments: 2, perSegment: 67 });
+    expect(analyzeSMS('😀'.repeat(35))).toMatchObject({ encoding: 'UCS-2', characters: 35, units: 70, segments: 1 });
+  });
+});
+
+describe('api channel', () => {
+  function setup(responses) {
+    const requests = [];
+    const queued = [];
+    const dlvr = new ChittyDLVR({
+      webhooks: {
+        secret: 'master-secret',
+        fetch: async (url, init) => {
+          requests.push({ url, init });
+          const next = responses.shift();
+          if (next instanceof Error) throw next;
+          return new Response(null, { status: next });
+        }
+      },
+      queue: { send: async (body, options) => queued.push({ body, options }) }
+    });
+    return { dlvr, requests, queued };
+  }
+
+  const send = (dlvr) => dlvr.send({ mintId: 'DM-HOOK', to: 'CT-RECIPIENT', method: 'api', address: 'https://hooks.example.com/dlvr' });
+
+  it('POSTs a signed payload and moves the delivery to DELIVERED on 2xx', async () => {
+    const { dlvr, requests, queued } = setup([204]);
+    const sent = await send(dlvr);
+
+    // The first attempt is queued, not made while the sender waits
+    expect(sent.status).toBe('SENT');
+    expect(requests).toHaveLength(0);
+    expect(queued[0].body).toMatchObject({ type: 'retry', deliveryId: sent.deliveryId, attempt: 1 });
+
+    const delivery = await dlvr.webhooks.attempt(sent.deliveryId, 1);
+    expect(delivery.status).toBe('DELIVERED');
+    expect(delivery.dispatch.webhook).toMatchObject({ state: 'DELIVERED', attempts: [{ attempt: 1, statusCode: 204 }] });
+
+    const { url, init } = requests[0];
+    expect(url).toBe('https://hooks.example.com/dlvr');
+    const [, t, v1] = init.headers['X-DLVR-Signature'].match(/^t=(\d+),v1=([0-9a-f]{64})$/);
+    const secret = await dlvr.webhooks.secretFor('CT-RECIPIENT');
+    const key = await crypto.subtle.importKey('raw', new TextEncoder().encode(secret), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+    const expected = await crypto.subtle.sign('HMAC', key, new TextEncoder().encode(`${t}.${init.body}`));
+    expect(Array.from(new Uint8Array(expected), b => b.toString(16).padStart(2, '0')).join('')).toBe(v1);
+    expect(JSON.parse(init.body)).toMatchObject({ event: 'delivery.created', deliveryId: delivery.deliveryId });
+  });
+
+  it('re-enqueues failures with exponential backoff, then marks FAILED', async () => {
+    const { dlvr, queued } = setup([500, new Error('connect ECONNREFUSED'), 502, 503]);
+    let delivery = await send(dlvr);
+    delivery = await dlvr.webhooks.attempt(delivery.deliveryId, queued.shift().body.attempt);
+
+    expect(delivery.status).toBe('SENT');
+    expect(delivery.dispatch.webhook.state).toBe('RETRYING');
+
+    while (queued.length > 0 && delivery.status === 'SENT') {
+      const { body } = queued[queued.length - 1];
+      const before = queued.length;
+      delivery = await dlvr.webhooks.attempt(body.deliveryId, body.attempt);
+      if (queued.length === before) break;
+    }
+
+    expect(queued.map(q => q.options.delaySeconds)).toEqual([30, 60, 120]);
+    expect(queued.map(q => q.body.attempt)).toEqual([2, 3, 4]);
+    expect(delivery.status).toBe('FAILED');
+    expect(delivery.dispatch.webhook.attempts.map(a => a.error)).toEqual(['HTTP 500', 'connect ECONNREFUSED', 'HTTP 502', 'HTTP 503']);
+    expect(delivery.statusHistory.at(-1).details).toMatchObject({ reason: 'Webhook retries exhausted', attempts: 4 });
+  });
+
+  it('announces later status changes to the endpoint as queued event jobs', async () => {
+    const { dlvr, requests, queued } = setup([204, 500, 200]);
+    const { deliveryId } = await send(dlvr);
+    await dlvr.jobs.process({ body: queued.shift().body, attempts: 1, ack() {}, retry() {} });
+
+    await dlvr.acknowledge(deliveryId, { statement: 'Received' });
+    await dlvr.receipt(deliveryId);
+
+    const events = queued.map(q => q.body);
+    expect(events.map(e => [e.type, e.payload.event, e.payload.status])).toEqual([
+      ['event', 'delivery.delivered', 'DELIVERED'],
+      ['event', 'delivery.acknowledged', 'ACKNOWLEDGED'],
+      ['event', 'receipt.created', 'RECEIPTED']
+    ]);
+    expect(events[2].payload.receiptId).toBe((await dlvr.getDelivery(deliveryId)).receiptId);
+
+    // A failed POST is retried by the queue; the payload is signed like delivery.created
+    const retry = vi.fn();
+    expect(await dlvr.jobs.process({ body: events[0], attempts: 1, ack() {}, retry }))
+      .toMatchObject({ outcome: 'retrying', type: 'event' });
+    expect(retry).toHaveBeenCalledOnce();
+    expect(await dlvr.jobs.process({ body: events[0], attempts: 2, ack() {}, retry }))
+      .toMatchObject({ outcome: 'done', type: 'event' });
+
+    const { init } = requests.at(-1);
+    expect(init.headers['X-DLVR-Attempt']).toBe('2');
+    const secret = await dlvr.webhooks.secretFor('CT-RECIPIENT');
+    const event = await DLVRClient.webhooks.verify(init.body, init.headers, secret);
+    expect(event).toMatchObject({ type: 'delivery.delivered', deliveryId, status: 'DELIVERED', attempt: 2 });
+  });
+
+  it('sends status events inline when there is no queue', async () => {
+    const requests = [];
+    const dlvr = new ChittyDLVR({
+      webhooks: { secret: 'master-secret', fetch: async (url, init) => { requests.push(JSON.parse(init.body)); return new Response(null, { status: 200 }); } }
+    });
+    const { deliveryId } = await send(dlvr);
+    await dlvr.decline(deliveryId, { reason: 'Wrong recipient' });
+
+    expect(requests.map(r => r.event)).toEqual(['delivery.created', 'delivery.delivered', 'delivery.refused']);
+  });
+
+  it('derives distinct secrets per recipient and rejects non-HTTP addresses', async () => {
+    const { dlvr } = setup([]);
+    expect(await dlvr.webhooks.secretFor('CT-A')).not.toBe(await dlvr.webhooks.secretFor('CT-B'));
+    await expect(dlvr.send({ mintId: 'DM-1', method: 'api', address: 'ftp://example.com' }))
+      .rejects.toThrow('Invalid webhook URL');
+  });
+});
@@ -4,6 +4,9 @@
 
 import { describe, it, expect, beforeEach } from 'vitest';
 import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryDeliveryStore, D1DeliveryStore } from '../src/core/store.js';
+import { TransitionError } from '../src/core/errors.js';
+import { DELIVERY_METHODS, deliveryMethods } from '../src/index.js';
 
 describe('ChittyDLVR', () => {
   let dlvr;
@@ -12,6 +15,13 @@ describe('ChittyDLVR', () => {
     dlvr = new ChittyDLVR({ apiKey: 'test-key-minimum-16ch', chittyId: 'test-chitty-id' });
   });
 
+  const sendEmail = (mintId = 'DM-TEST') => dlvr.send({
+    mintId,
+    to: 'recipient-id',
+    method: 'email',
+    address: 'recipient@example.com'
+  });
+
   describe('constructor', () => {
     it('initializes with config', () => {
       expect(dlvr.apiKey).toBe('test-key-minimum-16ch');
@@ -128,9 +138,10 @@ describe('ChittyDLVR', () => {
   describe('confirm', () => {
     it('confirms delivery', async () => {
       await dlvr.initialize();
-      const result = await dlvr.confirm('DD-TEST-123', { method: 'email' });
+      const { deliveryId } = await sendEmail();
+      const result = await dlvr.confirm(deliveryId, { method: 'email' });
 
-      expect(result.deliveryId).toBe('DD-TEST-123');
+      expect(result.deliveryId).toBe(deliveryId);
       expect(result.status).toBe('DELIVERED');
       expect(result.confirmation.channelConfirmed).toBe(true);
     });
@@ -139,24 +150,78 @@ describe('ChittyDLVR', () => {
   describe('opened', () => {
     it('records open event', async () => {
       await dlvr.initialize();
-      const result = await dlvr.opened('DD-TEST-123', { method: 'email' });
+      const { deliveryId } = await sendEmail();
+      const result = await dlvr.opened(deliveryId, { method: 'email' });
 
-      expect(result.deliveryId).toBe('DD-TEST-123');
+      expect(result.deliveryId).toBe(deliveryId);
       expect(result.status).toBe('OPENED');
       expect(result.proof.score).toBeGreaterThan(0);
     });
   });
 
+  describe('acknowledge', () => {
+    it('records the statement and moves to ACKNOWLEDGED', async () => {
+      const { deliveryId } = await sendEmail('DM-ACK');
+      const result = await dlvr.acknowledge(deliveryId, {
+        statement: 'I acknowledge receipt of DM-ACK',
+        ip: '203.0.113.9',
+        userAgent: 'Mozilla/5.0'
+      });
+
+      expect(result.status).toBe('ACKNOWLEDGED');
+      expect(result.acknowledgment.statement).toBe('I acknowledge receipt of DM-ACK');
+      expect(result.acknowledgment.ip).toBe('203.0.113.9');
+      expect(result.proof.score).toBe(60); // 70 * 0.85
+    });
+
+    it('requires a statement', async () => {
+      const { deliveryId } = await sendEmail();
+      await expect(dlvr.acknowledge(deliveryId, {})).rejects.toThrow('statement is required');
+    });
+
+    it('carries the acknowledgment into the signed receipt', async () => {
+      const { deliveryId } = await sendEmail('DM-ACK');
+      await dlvr.acknowledge(deliveryId, { statement: 'I acknowledge receipt of DM-ACK' });
+      const receipt = await dlvr.receipt(deliveryId, { signer: 'recipient-id' });
+
+      expect(receipt.acknowledgment.statement).toBe('I acknowledge receipt of DM-ACK');
+      expect(JSON.parse(receipt.signature.signedPayload).acknowledgment.statement).toBe('I acknowledge receipt of DM-ACK');
+    });
+  });
+
+  describe('decline', () => {
+    it('moves the delivery to REFUSED with a signed refusal record', async () => {
+      const { deliveryId } = await sendEmail('DM-DECLINE');
+      const result = await dlvr.decline(deliveryId, { reason: 'Not my document', ip: '203.0.113.5' });
+
+      expect(result.status).toBe('REFUSED');
+      expect(result.refusal.reason).toBe('Not my document');
+      expect(result.receipt.type).toBe('refusal');
+      expect(result.receipt.legal.tenderEvidence).toBe(true);
+      expect(result.proof.score).toBe(35); // 70 * 0.5
+
+      const verified = await dlvr.receipts.verify(result.receipt.receiptId);
+      expect(verified.verified).toBe(true);
+    });
+
+    it('cannot decline after receipting', async () => {
+      const { deliveryId } = await sendEmail();
+      await dlvr.receipt(deliveryId, { signer: 'recipient' });
+      await expect(dlvr.decline(deliveryId)).rejects.toBeInstanceOf(TransitionError);
+    });
+  });
+
   describe('receipt', () => {
     it('creates a signed receipt with real ECDSA signature', async () => {
       await dlvr.initialize();
-      const result = await dlvr.receipt('DD-TEST-123', {
+      const { deliveryId } = await sendEmail();
+      const result = await dlvr.receipt(deliveryId, {
         signer: 'recipient-chitty-id',
         method: 'digital'
       });
 
       expect(result.receiptId).toMatch(/^DR-/);
-      expect(result.deliveryId).toBe('DD-TEST-123');
+      expect(result.deliveryId).toBe(deliveryId);
       expect(result.signer).toBe('recipient-chitty-id');
       expect(result.status).toBe('VALID');
       expect(result.witnessed).toBe(true);
@@ -169,7 +234,8 @@ describe('ChittyDLVR', () => {
 
     it('includes drand temporal anchor when available', async () => {
       await dlvr.initialize();
-      const result = await dlvr.receipt('DD-TEST-123', {
+      const { deliveryId } = await sendEmail();
+      const result = await dlvr.receipt(deliveryId, {
         signer: 'recipient-id',
         method: 'digital'
       });
@@ -184,7 +250,8 @@ describe('ChittyDLVR', () => {
 
     it('includes legal scoring', async () => {
       await dlvr.initialize();
-      const result = await dlvr.receipt('DD-TEST-123', {
+      const { deliveryId } = await sendEmail();
+      const result = await dlvr.receipt(deliveryId, {
         signer: 'recipient-id',
         method: 'digital'
       });
@@ -201,7 +268,8 @@ describe('ChittyDLVR', () => {
   describe('receipt sign→verify round-trip', () => {
     it('receipt created by receipt() verifies successfully', async () => {
       await dlvr.initialize();
-      const receipt = await dlvr.receipt('DD-TEST-VERIFY', {
+      const { deliveryId } = await sendEmail();
+      const receipt = await dlvr.receipt(deliveryId, {
         signer: 'recipient-id',
         method: 'digital'
       });
@@ -215,7 +283,8 @@ describe('ChittyDLVR', () => {
 
     it('receipt verifies via in-memory store lookup', async () => {
       await dlvr.initialize();
-      const receipt = await dlvr.receipt('DD-TEST-LOOKUP', {
+      const { deliveryId } = await sendEmail();
+      const receipt = await dlvr.receipt(deliveryId, {
         signer: 'recipient-id',
         method: 'digital'
       });
@@ -228,7 +297,8 @@ describe('ChittyDLVR', () => {
 
     it('verification fails with tampered payload', async () => {
       await dlvr.initialize();
-      const receipt = await dlvr.receipt('DD-TEST-TAMPER', {
+      const { deliveryId } = await sendEmail();
+      const receipt = await dlvr.receipt(deliveryId, {
         signer: 'recipient-id',
         method: 'digital'
       });
@@ -250,6 +320,234 @@ describe('ChittyDLVR', () => {
     });
   });
 
+  describe('status (persisted delivery)', () => {
+    it('returns null for an unknown delivery', async () => {
+      await dlvr.initialize();
+      expect(await dlvr.status('DD-UNKNOWN')).toBeNull();
+    });
+
+    it('reads back history, dispatch and linked receipt', async () => {
+      await dlvr.initialize();
+      const sent = await dlvr.send({
+        mintId: 'DM-STORE',
+        to: 'recipient',
+        method: 'email',
+        address: 'test@example.com'
+      });
+      await dlvr.confirm(sent.deliveryId);
+      await dlvr.opened(sent.deliveryId, { ip: '203.0.113.7' });
+      const receipt = await dlvr.receipt(sent.deliveryId, { signer: 'recipient' });
+
+      const result = await dlvr.status(sent.deliveryId);
+      expect(result.status).toBe('RECEIPTED');
+      expect(result.timeline.map(e => e.status)).toEqual(['PENDING', 'SENT', 'DELIVERED', 'OPENED', 'RECEIPTED']);
+      expect(result.dispatch.messageId).toBe(`MSG-${sent.deliveryId}`);
+      expect(result.receipt.receiptId).toBe(receipt.receiptId);
+      expect(result.proof.score).toBe(70);
+    });
+
+    it('uses a supplied store', async () => {
+      const store = new MemoryDeliveryStore();
+      const custom = new ChittyDLVR({ store });
+      const sent = await custom.send({ mintId: 'DM-CUSTOM', to: 'r', method: 'portal' });
+
+      const stored = await store.getDelivery(sent.deliveryId);
+      expect(stored.mintId).toBe('DM-CUSTOM');
+      expect(stored.status).toBe('SENT');
+    });
+
+    it('D1 store retries schema creation after a transient failure', async () => {
+      let creates = 0;
+      const rows = new Map();
+      const db = {
+        prepare: (sql) => ({
+          bind: (...args) => ({
+            run: async () => { rows.set(args[0], args[1]); },
+            first: async () => rows.get(args[0]) ?? null
+          }),
+          run: async () => {
+            creates++;
+            if (creates === 1) throw new Error('D1_ERROR: network connection lost');
+          }
+        })
+      };
+      const store = new D1DeliveryStore(db);
+
+      await expect(store.getDelivery('DD-1')).rejects.toThrow(/network connection lost/);
+      await store.putDelivery({ deliveryId: 'DD-1', status: 'SENT' });
+      expect(await store.getDelivery('DD-1')).toEqual({ deliveryId: 'DD-1', status: 'SENT' });
+      expect(creates).toBe(2);
+    });
+  });
+
+  describe('lifecycle', () => {
+    it('rejects events for a delivery that was never sent', async () => {
+      await expect(dlvr.confirm('DD-NEVER-SENT')).rejects.toMatchObject({ code: 'DELIVERY_NOT_FOUND', status: 404 });
+      await expect(dlvr.receipt('DD-NEVER-SENT', { signer: 'x' })).rejects.toMatchObject({ code: 'DELIVERY_NOT_FOUND' });
+    });
+
+    it('rejects receipting a BOUNCED delivery with a TransitionError', async () => {
+      const { deliveryId } = await sendEmail();
+      await dlvr.transition(deliveryId, 'BOUNCED', { actor: 'mta', source: 'dsn' });
+
+      const attempt = dlvr.receipt(deliveryId, { signer: 'recipient' });
+      await expect(attempt).rejects.toBeInstanceOf(TransitionError);
+      await expect(attempt).rejects.toMatchObject({ code: 'ILLEGAL_TRANSITION', from: 'BOUNCED', to: 'RECEIPTED' });
+    });
+
+    it('does not move backwards', async () => {
+      const { deliveryId } = await sendEmail();
+      await dlvr.opened(deliveryId);
+      await expect(dlvr.confirm(deliveryId)).rejects.toThrow('OPENED → DELIVERED');
+    });
+
+    it('records actor, source and recomputed score on each transition', async () => {
+      const { deliveryId } = await sendEmail();
+      await dlvr.confirm(deliveryId, { source: 'smtp' });
+
+      const { timeline, proof } = await dlvr.status(deliveryId);
+      expect(timeline[2]).toMatchObject({ status: 'DELIVERED', from: 'SENT', actor: 'channel', source: 'smtp', score: 42 });
+      expect(timeline[2].timestamp).toBeDefined();
+      expect(proof.score).toBe(42);
+    });
+
+    it('keeps repeat opens without another transition', async () => {
+      const { deliveryId } = await sendEmail();
+      await dlvr.opened(deliveryId);
+      const again = await dlvr.opened(deliveryId, { ip: '198.51.100.1' });
+
+      expect(again.repeat).toBe(true);
+      const { timeline } = await dlvr.status(deliveryId);
+      expect(timeline.filter(e => e.status === 'OPENED')).toHaveLength(1);
+    });
+  });
+
+  describe('escalation', () => {
+    const HOUR = 60 * 60 * 1000;
+    const policy = {
+      until: 'RECEIPTED',
+      steps: [
+        { method: 'sms', address: '+13125550100', after: '48h' },
+        { method: 'physical', address: '123 Main St, Chicago, IL 60601', after: '5d' }
+      ]
+    };
+
+    const sendEscalating = () => dlvr.send({
+      mintId: 'DM-NOTICE',
+      to: 'tenant-id',
+      method: 'email',
+      address: 'tenant@example.com',
+      escalation: policy
+    });
+
+    it('links the original delivery to a new chain', async () => {
+      const delivery = await sendEscalating();
+      expect(delivery.escalationId).toMatch(/^DE-/);
+
+      const { escalation } = await dlvr.status(delivery.deliveryId);
+      expect(escalation.status).toBe('ACTIVE');
+      expect(escalation.totalSteps).toBe(3);
+    });
+
+    it('escalates to the next channel only once the delay has passed', async () => {
+      const delivery = await sendEscalating();
+      const start = new Date(delivery.createdAt).getTime();
+
+      await dlvr.escalations.sweep(new Date(start + 47 * HOUR));
+      expect((await dlvr.escalations.summary(delivery.escalationId)).deliveries).toHaveLength(1);
+
+      await dlvr.escalations.sweep(new Date(start + 49 * HOUR));
+      const summary = await dlvr.escalations.summary(delivery.escalationId);
+      expect(summary.deliveries.map(d => d.method)).toEqual(['email', 'sms']);
+      expect(summary.history.at(-1)).toMatchObject({ event: 'ESCALATED', reason: 'TIMEOUT' });
+      expect(new Set(summary.timeline.map(e => e.deliveryId)).size).toBe(2);
+
+      const sms = await dlvr.status(summary.deliveries[1].deliveryId);
+      expect(sms.escalation.escalationId).toBe(delivery.escalationId);
+    });
+
+    it('escalates immediately when the current delivery bounces', async () => {
+      const delivery = await sendEscalating();
+      await dlvr.transition(delivery.deliveryId, 'BOUNCED', { actor: 'mta', source: 'bounce' });
+
+      const chain = await dlvr.escalations.advance(delivery.escalationId);
+      expect(chain.deliveries).toHaveLength(2);
+      expect(chain.history.at(-1).reason).toBe('BOUNCED');
+    });
+
+    it('retries a rate-limited step and skips one that can never be sent', async () => {
+      dlvr = new ChittyDLVR({ rateLimits: { recipient: { sms: { limit: 1, windowSeconds: 3600 } } } });
+      await dlvr.send({ mintId: 'DM-OTHER', method: 'sms', address: '+13125550100' });
+      const delivery = await sendEscalating();
+      await dlvr.transition(delivery.deliveryId, 'BOUNCED', { actor: 'mta', source: 'bounce' });
+
+      const limited = await dlvr.escalations.advance(delivery.escalationId);
+      expect(limited).toMatchObject({ status: 'ACTIVE', currentStep: 0, retry: { attempts: 1 } });
+      expect(limited.history.at(-1)).toMatchObject({ event: 'STEP_RETRY', step: 1, method: 'sms', code: 'RATE_LIMITED' });
+      expect(Date.parse(limited.retry.at) - Date.now()).toBeGreaterThan(3500 * 1000);
+      expect(limited.nextCheckAt).toBe(limited.retry.at);
+
+      // Not before the limit's retry-after, even though the email bounced
+      const retryAt = Date.parse(limited.retry.at);
+      expect((await dlvr.escalations.advance(delivery.escalationId, new Date(retryAt - 1000))).deliveries).toHaveLength(1);
+
+      dlvr.rateLimits = null;
+      const sent = await dlvr.escalations.advance(delivery.escalationId, new Date(retryAt));
+      expect(sent).toMatchObject({ currentStep: 1, retry: null });
+      expect(sent.deliveries.map(d => d.method)).toEqual(['email', 'sms']);
+
+      // A suppressed recipient won't clear up on retry: the step is dropped
+      const other = await sendEscalating();
+      await dlvr.suppressions.add({ address: '+13125550100', reason: 'SMS_STOP' });
+      await dlvr.transition(other.deliveryId, 'BOUNCED', { actor: 'mta', source: 'bounce' });
+      const skipped = await dlvr.escalations.advance(other.escalationId);
+      expect(skipped.currentStep).toBe(1);
+      expect(skipped.history.at(-1)).toMatchObject({ event: 'STEP_FAILED', step: 1, method: 'sms', attempts: 1 });
+    });
+
+    it('closes the chain once the target status is reached', async () => {
+      const delivery = await sendEscalating();
+      await dlvr.receipt(delivery.deliveryId, { signer: 'tenant-id' });
+
+      const chain = await dlvr.escalations.advance(delivery.escalationId, new Date(Date.now() + 100 * HOUR));
+      expect(chain.status).toBe('SATISFIED');
+      expect(chain.deliveries).toHaveLength(1);
+    });
+
+    it('drops closed chains from the sweep index', async () => {
+      const open = await sendEscalating();
+      const done = await sendEscalating();
+      expect((await dlvr.store.listOpenEscalations()).map(e => e.escalationId).sort())
+        .toEqual([open.escalationId, done.escalationId].sort());
+
+      await dlvr.receipt(done.deliveryId, { signer: 'tenant-id' });
+      await dlvr.escalations.advance(done.escalationId);
+
+      expect(await dlvr.store.listOpenEscalations()).toEqual([
+        { escalationId: open.escalationId, nextCheckAt: expect.any(String) }
+      ]);
+      const swept = await dlvr.escalations.sweep(new Date(Date.now() + 100 * HOUR));
+      expect(swept.results.map(r => r.escalationId)).toEqual([open.escalationId]);
+      expect((await dlvr.store.getEscalation(done.escalationId)).status).toBe('SATISFIED');
+    });
+
+    it('rejects an invalid policy before dispatch', async () => {
+      await expect(dlvr.send({
+        mintId: 'DM-NOTICE',
+        method: 'email',
+        address: 'a@example.com',
+        escalation: { steps: [{ method: 'pigeon', after: '1d' }] }
+      })).rejects.toThrow('Unsupported delivery method in escalation step 1');
+
+      await expect(dlvr.send({
+        mintId: 'DM-NOTICE',
+        method: 'email',
+        address: 'a@example.com',
+        escalation: { steps: [{ method: 'sms', after: 'soon' }] }
+      })).rejects.toThrow('Invalid escalation delay');
+    });
+  });
+
   describe('serve (legal service)', () => {
     it('initiates service of process', async () => {
       await dlvr.initialize();
@@ -343,6 +641,64 @@ describe('ChittyDLVR', () => {
       expect(result.sent).toBe(2);
       expect(result.failed).toBe(1);
     });
+
+    it('counts deliveries that come back past SENT as sent', async () => {
+      const api = new ChittyDLVR({ webhooks: { secret: 'whsec-master', fetch: async () => new Response('ok') } });
+      const result = await api.bulkSend({
+        mintId: 'DM-BULK-TEST',
+        recipients: [
+          { to: 'svc', method: 'api', address: 'https://hooks.example.com/dlvr' },
+          { to: 'alice', method: 'email', address: 'alice@example.com' }
+        ]
+      });
+
+      expect(result.deliveries.map(d => d.status)).toEqual(['DELIVERED', 'SENT']);
+      expect(result).toMatchObject({ sent: 2, queued: 0, failed: 0 });
+    });
+  });
+
+  describe('channel adapters', () => {
+    const slack = {
+      capabilities: { confirmation: true, openTracking: false, baseScore: 55 },
+      dispatch: async ({ deliveryId, address }) => ({ messageTs: `ts-${deliveryId}`, to: address })
+    };
+
+    it('registers adapters at construction and dispatches through them', async () => {
+      const custom = new ChittyDLVR({ adapters: { slack } });
+      const result = await custom.send({ mintId: 'DM-SLACK', to: 'u', method: 'slack', address: '@counsel' });
+
+      expect(custom.channels.methods()).toContain('slack');
+      expect(deliveryMethods(custom)).toEqual([...DELIVERY_METHODS, 'slack']);
+      expect(deliveryMethods()).toEqual(DELIVERY_METHODS);
+      custom.channels.register('teams', slack);
+      expect(deliveryMethods(custom).at(-1)).toBe('teams');
+      expect(result.dispatch).toMatchObject({ channel: 'slack', dispatched: true, to: '@counsel' });
+      expect(result.proof.score).toBe(17); // 55 * 0.3
+    });
+
+    it('drives scoring from declared capabilities', () => {
+      const custom = new ChittyDLVR({ adapters: { slack } });
+      expect(custom.calculateDeliveryScore('slack', 'RECEIPTED')).toBe(55);
+    });
+
+    it('rejects confirmation on channels that do not support it', async () => {
+      const portalOnly = new ChittyDLVR({
+        adapters: { casePortal: { capabilities: { baseScore: 80 }, dispatch: async () => ({}) } }
+      });
+      const { deliveryId } = await portalOnly.send({ mintId: 'DM-1', to: 'u', method: 'casePortal' });
+      await expect(portalOnly.confirm(deliveryId)).rejects.toMatchObject({ code: 'CONFIRMATION_UNSUPPORTED' });
+    });
+
+    it('validates adapters and protects built-ins', () => {
+      expect(() => new ChittyDLVR({ adapters: { slack: { capabilities: { baseScore: 50 } } } }))
+        .toThrow('must provide a dispatch() function');
+      expect(() => new ChittyDLVR({ adapters: { slack: { dispatch: async () => ({}) } } }))
+        .toThrow('capabilities.baseScore');
+      expect(() => new ChittyDLVR({ adapters: { email: slack } }))
+        .toThrow('already registered');
+      expect(new ChittyDLVR({ adapters: { email: { ...slack, replace: true } } }).calculateDeliveryScore('email', 'RECEIPTED'))
+        .toBe(55);
+    });
   });
 
   describe('calculateDeliveryScore', () => {
@@ -0,0 +1,98 @@
+/**
+ * Document View Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryDocumentSource, DocuMintDocumentSource } from '../src/core/documents.js';
+
+const PDF = '%PDF-1.7 certified contract';
+const sha256 = async (text) => Array.from(
+  new Uint8Array(await crypto.subtle.digest('SHA-256', new TextEncoder().encode(text))),
+  b => b.toString(16).padStart(2, '0')
+).join('');
+const BROWSER = { ip: '198.51.100.4', userAgent: 'Mozilla/5.0 (Macintosh; Intel Mac OS X 14_5) AppleWebKit/605.1.15 Safari/605.1.15' };
+
+describe('document view', () => {
+  let dlvr;
+  let documents;
+  let deliveryId;
+
+  beforeEach(async () => {
+    documents = new MemoryDocumentSource({ 'DM-VIEW': { bytes: PDF, contentType: 'application/pdf', filename: 'contract.pdf' } });
+    dlvr = new ChittyDLVR({ documents });
+    ({ deliveryId } = await dlvr.send({ mintId: 'DM-VIEW', to: 'jane', method: 'email', address: 'jane@example.com' }));
+  });
+
+  it('serves the document bytes and records the view as OPENED', async () => {
+    const served = await dlvr.view(deliveryId, { ip: '198.51.100.4', userAgent: 'UA/1' });
+
+    expect(new TextDecoder().decode(served.bytes)).toBe(PDF);
+    expect(served).toMatchObject({ mintId: 'DM-VIEW', contentType: 'application/pdf', filename: 'contract.pdf', sha256: await sha256(PDF) });
+
+    const stored = await dlvr.store.getDelivery(deliveryId);
+    expect(stored.status).toBe('OPENED');
+    expect(stored.viewData).toMatchObject({ source: 'view', contentSha256: served.sha256, ip: '198.51.100.4' });
+  });
+
+  it('binds the served content hash into the signed receipt payload', async () => {
+    const served = await dlvr.view(deliveryId, BROWSER);
+    const receipt = await dlvr.receipt(deliveryId, { signer: 'jane' });
+
+    expect(JSON.parse(receipt.signature.signedPayload).content.sha256).toBe(served.sha256);
+    expect(receipt.content).toMatchObject({ mintId: 'DM-VIEW', sha256: served.sha256, size: PDF.length });
+    expect((await dlvr.receipts.verify(receipt.receiptId)).verified).toBe(true);
+  });
+
+  it('records a content change and binds the latest bytes', async () => {
+    await dlvr.view(deliveryId, BROWSER);
+    documents.put('DM-VIEW', { bytes: `${PDF} (amended)`, contentType: 'application/pdf' });
+    const amended = await dlvr.view(deliveryId, BROWSER);
+
+    const status = await dlvr.status(deliveryId);
+    expect(status.content.sha256).toBe(amended.sha256);
+    expect(status.timeline.find(e => e.event === 'DOCUMENT_CHANGED').details.sha256).toBe(amended.sha256);
+  });
+
+  it('serves link scanners without opening the delivery or binding the content', async () => {
+    const scanned = await dlvr.view(deliveryId, { ip: '40.94.0.1', userAgent: 'Mozilla/5.0 (compatible; SafeLinks preview bot)' });
+    await dlvr.view(deliveryId, { ip: '40.94.0.2', userAgent: 'Mozilla/5.0 (compatible; SafeLinks preview bot)' });
+    expect(new TextDecoder().decode(scanned.bytes)).toBe(PDF);
+
+    const status = await dlvr.status(deliveryId);
+    expect(status.status).toBe('SENT');
+    expect(status.content).toBeNull();
+    const viewed = status.timeline.filter(e => e.event === 'DOCUMENT_VIEWED');
+    expect(viewed).toHaveLength(1);
+    expect(viewed[0].details).toMatchObject({ confidence: 'low', agent: 'crawler', contentSha256: scanned.sha256 });
+
+    await dlvr.view(deliveryId, BROWSER);
+    expect(await dlvr.status(deliveryId)).toMatchObject({ status: 'OPENED', content: { sha256: scanned.sha256 } });
+  });
+
+  it('answers 404 when the source has no document for the mintId', async () => {
+    const other = await dlvr.send({ mintId: 'DM-MISSING', to: 'jane', method: 'email', address: 'jane@example.com' });
+    await expect(dlvr.view(other.deliveryId)).rejects.toMatchObject({ code: 'DOCUMENT_NOT_FOUND', status: 404 });
+  });
+});
+
+describe('DocuMintDocumentSource', () => {
+  it('fetches document content with the API key', async () => {
+    const requests = [];
+    const source = new DocuMintDocumentSource({
+      baseUrl: 'https://documint.test/v1/',
+      apiKey: 'dm-key',
+      fetch: async (url, init) => {
+        requests.push({ url, init });
+        if (url.includes('DM-NONE')) return new Response('missing', { status: 404 });
+        return new Response(PDF, { headers: { 'Content-Type': 'application/pdf', 'Content-Disposition': 'inline; filename="contract.pdf"' } });
+      }
+    });
+
+    const document = await source.get('DM-1');
+    expect(requests[0]).toMatchObject({ url: 'https://documint.test/v1/documents/DM-1/content', init: { headers: { Authorization: 'Bearer dm-key' } } });
+    expect(document).toMatchObject({ contentType: 'application/pdf', filename: 'contract.pdf' });
+    expect(new TextDecoder().decode(document.bytes)).toBe(PDF);
+    expect(await source.get('DM-NONE')).toBeNull();
+  });
+});
@@ -0,0 +1,123 @@
+/**
+ * Geofence Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { checkGeofence, haversineMeters, normalizeGeolocation } from '../src/core/geo.js';
+
+// Chicago City Hall, and points roughly 55 m and 1.1 km north of it
+const CITY_HALL = { lat: 41.88376, lng: -87.63237 };
+const NEARBY = { lat: 41.88426, lng: -87.63237 };
+const FAR = { lat: 41.89376, lng: -87.63237 };
+
+const fix = (point, overrides = {}) => ({ ...point, accuracy: 10, timestamp: new Date().toISOString(), ...overrides });
+
+describe('checkGeofence', () => {
+  it('measures great-circle distance', () => {
+    expect(haversineMeters(CITY_HALL, NEARBY)).toBeCloseTo(55.6, 0);
+    expect(haversineMeters(CITY_HALL, CITY_HALL)).toBe(0);
+  });
+
+  it('verifies a fresh, accurate fix inside the radius', () => {
+    const check = checkGeofence(normalizeGeolocation(fix(NEARBY)), CITY_HALL, { radiusMeters: 100 });
+    expect(check).toMatchObject({ verified: true, radiusMeters: 100, accuracyMeters: 10, reason: null });
+    expect(check.distanceMeters).toBeCloseTo(55.6, 0);
+  });
+
+  it('explains why a fix does not verify', () => {
+    const reason = (evidence, target = CITY_HALL) => checkGeofence(evidence && normalizeGeolocation(evidence), target, { radiusMeters: 100 }).reason;
+    const minutesAgo = (m) => new Date(Date.now() - m * 60000).toISOString();
+
+    expect(reason(fix(FAR))).toBe('OUTSIDE_RADIUS');
+    expect(reason(fix(NEARBY, { accuracy: 500 }))).toBe('ACCURACY_TOO_COARSE');
+    expect(reason(fix(NEARBY, { timestamp: minutesAgo(60) }))).toBe('FIX_TOO_OLD');
+    expect(reason(fix(NEARBY, { timestamp: minutesAgo(-10) }))).toBe('FIX_IN_FUTURE');
+    expect(reason(null)).toBe('NO_GEOLOCATION');
+    expect(reason(fix(NEARBY), null)).toBe('NO_TARGET_LOCATION');
+  });
+
+  it('rejects malformed evidence', () => {
+    expect(() => normalizeGeolocation({ lat: 91, lng: 0, accuracy: 5, timestamp: new Date().toISOString() })).toThrow(/lat/);
+    expect(() => normalizeGeolocation({ ...NEARBY, timestamp: new Date().toISOString() })).toThrow(/accuracy/);
+    expect(() => normalizeGeolocation({ ...NEARBY, accuracy: 5 })).toThrow(/timestamp/);
+  });
+
+  it('does not read null or empty coordinates as 0', () => {
+    const timestamp = new Date().toISOString();
+    expect(() => normalizeGeolocation({ lat: null, lng: null, accuracy: 5, timestamp })).toThrow(/lat/);
+    expect(() => normalizeGeolocation({ lat: '', lng: ' ', accuracy: 5, timestamp })).toThrow(/lat/);
+    expect(() => normalizeGeolocation({ ...NEARBY, accuracy: null, timestamp })).toThrow(/accuracy/);
+    expect(normalizeGeolocation({ lat: '41.8837', lng: '-87.6319', accuracy: '5', timestamp })).toMatchObject({ lat: 41.8837, lng: -87.6319, accuracy: 5 });
+  });
+});
+
+describe('in-person hand-offs', () => {
+  const send = (dlvr, options = { targetLocation: CITY_HALL }) =>
+    dlvr.send({ mintId: 'DM-GEO', to: 'jane@example.com', method: 'inPerson', options });
+
+  it('computes geoVerified from the courier fix, not the caller', async () => {
+    const dlvr = new ChittyDLVR({ geofence: { radiusMeters: 100 } });
+    const delivery = await send(dlvr);
+    expect(delivery.dispatch).toMatchObject({ target: CITY_HALL, radiusMeters: 100, geoVerified: false });
+
+    const handed = await dlvr.recordHandoff(delivery.deliveryId, {
+      geolocation: fix(NEARBY),
+      handedTo: 'Jane Doe',
+      geoVerified: false
+    });
+
+    expect(handed.status).toBe('DELIVERED');
+    expect(handed.dispatch.geoVerified).toBe(true);
+    expect(handed.statusHistory.at(-1)).toMatchObject({ source: 'channel:inPerson', details: { geoVerified: true } });
+  });
+
+  it('records but does not verify a hand-off outside the fence', async () => {
+    const dlvr = new ChittyDLVR();
+    const delivery = await send(dlvr, { targetLocation: CITY_HALL, radiusMeters: 50 });
+
+    const handed = await dlvr.recordHandoff(delivery.deliveryId, { geolocation: fix(FAR), geoVerified: true });
+    expect(handed.dispatch.geoVerified).toBe(false);
+    expect(handed.dispatch.geofence.reason).toBe('OUTSIDE_RADIUS');
+  });
+
+  it('only applies to inPerson deliveries', async () => {
+    const dlvr = new ChittyDLVR();
+    const delivery = await dlvr.send({ mintId: 'DM-GEO', to: 'jane@example.com', method: 'email', address: 'jane@example.com' });
+    await expect(dlvr.recordHandoff(delivery.deliveryId, { geolocation: fix(NEARBY) }))
+      .rejects.toMatchObject({ code: 'HANDOFF_UNSUPPORTED' });
+  });
+});
+
+describe('service attempts', () => {
+  it('earns the technical geo bonus only for a geofence-verified service', async () => {
+    const dlvr = new ChittyDLVR();
+    const serve = () => dlvr.serve('DM-SERVE', {
+      respondent: 'John Doe',
+      address: '121 N LaSalle St, Chicago, IL 60602',
+      targetLocation: CITY_HALL
+    });
+
+    const verified = await serve();
+    const miss = await dlvr.recordAttempt(verified.serviceId, { successful: false, geolocation: fix(FAR) });
+    const hit = await dlvr.recordAttempt(verified.serviceId, { successful: true, servedTo: 'John Doe', geolocation: fix(NEARBY) });
+    expect(miss).toMatchObject({ attemptNumber: 1, geoVerified: false });
+    expect(hit).toMatchObject({ attemptNumber: 2, geoVerified: true });
+
+    const claimed = await serve();
+    await dlvr.recordAttempt(claimed.serviceId, { successful: true, geoVerified: true });
+
+    const withFix = await dlvr.recordService(verified.serviceId, { processServer: 'SERVER-001', details: { geoVerified: false } });
+    const withClaim = await dlvr.recordService(claimed.serviceId, { processServer: 'SERVER-001', details: { geoVerified: true } });
+    expect(withFix.geoVerified).toBe(true);
+    expect(withFix.proof.technical).toBe(95);
+    expect(withClaim.geoVerified).toBe(false);
+    expect(withClaim.proof.technical).toBe(90);
+  });
+
+  it('rejects attempts for unknown services', async () => {
+    const dlvr = new ChittyDLVR();
+    await expect(dlvr.recordAttempt('DS-MISSING', { successful: true }))
+      .rejects.toMatchObject({ code: 'SERVICE_NOT_FOUND', status: 404 });
+  });
+});
@@ -0,0 +1,197 @@
+/**
+ * Queue Job Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryEmailTransport } from '../src/core/transports.js';
+
+function message(body, attempts = 1) {
+  return {
+    body,
+    attempts,
+    acked: false,
+    retried: null,
+    ack() { this.acked = true; },
+    retry(options) { this.retried = options; }
+  };
+}
+
+function setup(config = {}) {
+  const queued = [];
+  const email = new MemoryEmailTransport();
+  const dlvr = new ChittyDLVR({
+    email: { transport: email },
+    queue: { send: async (body, options) => queued.push({ body, options }) },
+    asyncDispatch: true,
+    ...config
+  });
+  return { dlvr, queued, email };
+}
+
+const send = (dlvr, extra = {}) => dlvr.send({ mintId: 'DM-JOB', to: 'Jane', method: 'email', address: 'jane@example.com', ...extra });
+
+describe('async dispatch', () => {
+  it('stores the delivery PENDING and leaves the channel work to a dispatch job', async () => {
+    const { dlvr, queued, email } = setup();
+
+    const delivery = await send(dlvr);
+    expect(delivery.status).toBe('PENDING');
+    expect(email.sent).toHaveLength(0);
+    expect(delivery.events.map(e => e.event)).toEqual(['DISPATCH_QUEUED']);
+    expect(queued[0]).toMatchObject({ body: { type: 'dispatch', deliveryId: delivery.deliveryId }, options: { delaySeconds: 0 } });
+    expect(queued[0].body.jobId).toMatch(/^DJ-/);
+
+    const msg = message(queued[0].body);
+    expect(await dlvr.jobs.process(msg)).toEqual({ outcome: 'done', type: 'dispatch' });
+    expect(msg.acked).toBe(true);
+    expect((await dlvr.getDelivery(delivery.deliveryId)).status).toBe('SENT');
+    expect(email.sent).toHaveLength(1);
+
+    const bulk = await dlvr.bulkSend({ mintId: 'DM-JOB', recipients: [{ to: 'a', address: 'a@example.com' }, { to: 'b', address: 'b@example.com' }] });
+    expect(bulk).toMatchObject({ sent: 0, queued: 2, failed: 0 });
+  });
+
+  it('retries a failing dispatch with backoff, then dead-letters it and fails the delivery', async () => {
+    const { dlvr, queued } = setup({ email: { transport: { send: async () => { throw new Error('421 try again later'); } } } });
+    const delivery = await send(dlvr);
+    const job = queued[0].body;
+
+    const first = message(job, 1);
+    expect(await dlvr.jobs.process(first)).toMatchObject({ outcome: 'retrying', attempts: 1, delaySeconds: 30 });
+    expect(first.retried).toEqual({ delaySeconds: 30 });
+    expect(await dlvr.jobs.process(message(job, 3))).toMatchObject({ outcome: 'retrying', delaySeconds: 120 });
+    expect((await dlvr.getDelivery(delivery.deliveryId)).status).toBe('PENDING');
+
+    const last = message(job, 5);
+    const outcome = await dlvr.jobs.process(last);
+    expect(outcome).toMatchObject({ outcome: 'dead-lettered', type: 'dispatch' });
+    expect(last.acked).toBe(true);
+
+    const failed = await dlvr.status(delivery.deliveryId);
+    expect(failed.status).toBe('FAILED');
+    expect(failed.timeline.at(-1)).toMatchObject({ event: 'JOB_DEAD_LETTERED', details: { job: 'dispatch', attempts: 5 } });
+
+    const [deadLetter] = await dlvr.jobs.deadLetters({ deliveryId: delivery.deliveryId });
+    expect(deadLetter).toMatchObject({
+      deadLetterId: outcome.deadLetterId,
+      type: 'dispatch',
+      attempts: 5,
+      maxAttempts: 5,
+      error: { code: 'DISPATCH_FAILED' }
+    });
+
+    const replayed = await dlvr.jobs.replay(deadLetter.deadLetterId);
+    expect(replayed.replayJobId).toBe(queued.at(-1).body.jobId);
+    expect(queued.at(-1).body).toMatchObject({ type: 'dispatch', deliveryId: delivery.deliveryId });
+    await expect(dlvr.jobs.replay('DL-NOPE')).rejects.toMatchObject({ code: 'DEAD_LETTER_NOT_FOUND' });
+  });
+
+  it('sends once when the store fails after dispatch, and keeps the delivery SENT', async () => {
+    const { dlvr, queued, email } = setup();
+    const escalation = { steps: [{ method: 'sms', address: '+13125550199', after: '48h' }] };
+    const putEscalation = dlvr.store.putEscalation.bind(dlvr.store);
+    let outage = 1;
+    dlvr.store.putEscalation = async (record) => {
+      if (outage-- > 0) throw new Error('storage unavailable');
+      return putEscalation(record);
+    };
+
+    const delivery = await send(dlvr, { escalation });
+    const job = queued[0].body;
+    expect(await dlvr.jobs.process(message(job, 1))).toMatchObject({ outcome: 'retrying' });
+    expect(await dlvr.getDelivery(delivery.deliveryId)).toMatchObject({ status: 'SENT', pendingDispatch: { dispatchedAt: expect.any(String) } });
+
+    // The retry finishes the release without sending again
+    expect(await dlvr.jobs.process(message(job, 2))).toMatchObject({ outcome: 'done' });
+    const released = await dlvr.getDelivery(delivery.deliveryId);
+    expect(released.escalationId).toMatch(/^DE-/);
+    expect(released.pendingDispatch).toBeUndefined();
+    expect(email.sent).toHaveLength(1);
+
+    // A last attempt that cannot finish leaves the sent delivery SENT
+    outage = Infinity;
+    const last = await send(dlvr, { escalation });
+    expect(await dlvr.jobs.process(message(queued.at(-1).body, 5))).toMatchObject({ outcome: 'dead-lettered' });
+    const { status, timeline } = await dlvr.status(last.deliveryId);
+    expect(status).toBe('SENT');
+    expect(timeline.map(e => e.event)).toContain('RELEASE_INCOMPLETE');
+    expect(email.sent).toHaveLength(2);
+  });
+
+  it('refuses channel follow-ups on a delivery still waiting for dispatch', async () => {
+    const { dlvr, queued } = setup();
+    const pending = { code: 'NOT_DISPATCHED', status: 409 };
+
+    const mail = await send(dlvr, { method: 'physical', address: '1 Main St, Chicago, IL 60601' });
+    await expect(dlvr.attachTracking(mail.deliveryId, { trackingNumber: '1Z999AA10123456784' })).rejects.toMatchObject(pending);
+    await expect(dlvr.returnReceipt(mail.deliveryId, { signedBy: 'Jane', signature: 'Jane' })).rejects.toMatchObject(pending);
+
+    const courier = await send(dlvr, { method: 'inPerson', address: null });
+    const geolocation = { lat: 41.8837, lng: -87.6319, accuracy: 5, timestamp: new Date().toISOString() };
+    await expect(dlvr.recordHandoff(courier.deliveryId, { geolocation })).rejects.toMatchObject(pending);
+
+    const portal = await send(dlvr, { method: 'portal', address: null });
+    await expect(dlvr.issuePortalToken(portal.deliveryId)).rejects.toMatchObject(pending);
+
+    // Once dispatched, the same calls go through
+    await dlvr.jobs.process(message(queued[0].body));
+    await expect(dlvr.attachTracking(mail.deliveryId, { trackingNumber: '1Z999AA10123456784' })).resolves.toMatchObject({ status: 'SENT' });
+  });
+
+  it('dead-letters DeliveryErrors at once and ignores unknown job types', async () => {
+    const { dlvr } = setup();
+
+    expect(await dlvr.jobs.process(message({ type: 'reminder', deliveryId: 'DD-MISSING' })))
+      .toMatchObject({ outcome: 'dead-lettered', type: 'reminder' });
+    expect(await dlvr.jobs.process(message({ type: 'retry', deliveryId: 'DD-MISSING', attempt: 2 })))
+      .toMatchObject({ outcome: 'dead-lettered', type: 'retry' });
+    expect(await dlvr.jobs.process(message({ type: 'audit' }))).toEqual({ outcome: 'ignored' });
+    expect(await dlvr.jobs.deadLetters({ type: 'retry' })).toHaveLength(1);
+  });
+
+  it('enqueues escalate jobs from the sweep when a queue is bound', async () => {
+    const { dlvr, queued } = setup({ asyncDispatch: false });
+    const delivery = await send(dlvr, { escalation: { steps: [{ method: 'sms', address: '+13125550100', after: '1h' }] } });
+
+    const swept = await dlvr.escalations.sweep(new Date(Date.now() + 2 * 60 * 60 * 1000));
+    expect(swept.results).toEqual([{ escalationId: delivery.escalationId, queued: true }]);
+    expect(queued.at(-1).body).toMatchObject({ type: 'escalate', escalationId: delivery.escalationId });
+  });
+});
+
+describe('reminders', () => {
+  const HOUR = 60 * 60 * 1000;
+
+  it('re-sends the notice after remindAfter unless the delivery was opened', async () => {
+    const { dlvr, queued, email } = setup({ asyncDispatch: false });
+
+    const unopened = await send(dlvr, { options: { remindAfter: '24h' } });
+    const sentAt = Date.parse(unopened.sentAt);
+    expect(unopened.reminder).toMatchObject({ state: 'SCHEDULED', dueAt: new Date(sentAt + 24 * HOUR).toISOString() });
+    expect(queued[0]).toMatchObject({ body: { type: 'reminder' }, options: { delaySeconds: 12 * 60 * 60 } });
+
+    // Arriving at the queue's delay ceiling, the job waits out the rest
+    await dlvr.remind(unopened.deliveryId, new Date(sentAt + 12 * HOUR));
+    expect(queued).toHaveLength(2);
+
+    const reminded = await dlvr.remind(unopened.deliveryId, new Date(sentAt + 24 * HOUR));
+    expect(reminded.reminder).toMatchObject({ state: 'SENT', messageId: expect.any(String) });
+    expect(reminded.events.at(-1).event).toBe('REMINDER_SENT');
+    expect(email.sent).toHaveLength(2);
+
+    const opened = await send(dlvr, { options: { remindAfter: '24h' } });
+    await dlvr.opened(opened.deliveryId);
+    const skipped = await dlvr.remind(opened.deliveryId, new Date(sentAt + 25 * HOUR));
+    expect(skipped.reminder.state).toBe('SKIPPED');
+    expect(email.sent).toHaveLength(3);
+  });
+
+  it('rejects reminders on channels without a notice, or without a queue', async () => {
+    const { dlvr } = setup();
+    await expect(dlvr.send({ mintId: 'DM-JOB', method: 'physical', address: '123 Main St, Chicago, IL 60601', options: { remindAfter: '3d' } }))
+      .rejects.toMatchObject({ code: 'REMINDER_UNSUPPORTED' });
+    await expect(send(dlvr, { options: { remindAfter: 'soon' } })).rejects.toMatchObject({ code: 'INVALID_REMINDER' });
+    await expect(send(new ChittyDLVR(), { options: { remindAfter: '1d' } })).rejects.toMatchObject({ code: 'QUEUE_UNAVAILABLE' });
+  });
+});
@@ -0,0 +1,65 @@
+/**
+ * Tracking Pixel Open Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { classifyOpen } from '../src/core/opens.js';
+
+const DESKTOP = 'Mozilla/5.0 (Macintosh; Intel Mac OS X 10_15_7) AppleWebKit/605.1.15 (KHTML, like Gecko)';
+const GMAIL = 'Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)';
+
+describe('classifyOpen', () => {
+  it('flags mail-provider prefetchers as low confidence', () => {
+    expect(classifyOpen({ userAgent: GMAIL })).toEqual({ automated: true, confidence: 'low', agent: 'gmail-proxy' });
+    expect(classifyOpen({ userAgent: 'Mozilla/5.0' }).agent).toBe('apple-mpp');
+    expect(classifyOpen({ userAgent: DESKTOP, ip: '17.58.101.2' }).agent).toBe('apple-mpp');
+    expect(classifyOpen({ userAgent: 'YahooMailProxy; https://help.yahoo.com/kb/yahoo-mail-proxy-SLN28749.html' }).agent).toBe('yahoo-proxy');
+    expect(classifyOpen({}).automated).toBe(true);
+  });
+
+  it('treats ordinary clients as high-confidence opens', () => {
+    expect(classifyOpen({ userAgent: DESKTOP, ip: '198.51.100.4' })).toEqual({ automated: false, confidence: 'high', agent: null });
+  });
+});
+
+describe('pixelOpen', () => {
+  let dlvr;
+  let deliveryId;
+
+  beforeEach(async () => {
+    dlvr = new ChittyDLVR();
+    ({ deliveryId } = await dlvr.send({ mintId: 'DM-PIXEL', to: 'jane', method: 'email', address: 'jane@example.com' }));
+  });
+
+  it('keeps prefetches out of the status and score', async () => {
+    const first = await dlvr.pixelOpen(deliveryId, { userAgent: GMAIL });
+    await dlvr.pixelOpen(deliveryId, { userAgent: GMAIL });
+    expect(first.recorded).toBe('prefetch');
+
+    const status = await dlvr.status(deliveryId);
+    expect(status.status).toBe('SENT');
+    expect(status.proof.score).toBe(dlvr.calculateDeliveryScore('email', 'SENT'));
+    expect(status.timeline.filter(e => e.event === 'OPEN_PREFETCHED')).toEqual([
+      expect.objectContaining({ source: 'pixel', details: expect.objectContaining({ confidence: 'low', agent: 'gmail-proxy' }) })
+    ]);
+    expect(status.pixel).toMatchObject({ loads: 2, prefetches: 2 });
+  });
+
+  it('opens on the first human load and dedupes the rest', async () => {
+    expect((await dlvr.pixelOpen(deliveryId, { userAgent: DESKTOP, ip: '198.51.100.4' })).recorded).toBe('opened');
+    expect((await dlvr.pixelOpen(deliveryId, { userAgent: DESKTOP, ip: '198.51.100.4' })).recorded).toBe('repeat');
+
+    const stored = await dlvr.store.getDelivery(deliveryId);
+    expect(stored.status).toBe('OPENED');
+    expect(stored.viewData).toMatchObject({ source: 'pixel', confidence: 'high', ip: '198.51.100.4' });
+    expect(stored.views).toBeUndefined();
+    expect(stored.pixel.loads).toBe(2);
+  });
+
+  it('does not reopen a terminal delivery', async () => {
+    await dlvr.decline(deliveryId, { reason: 'Not mine' });
+    expect((await dlvr.pixelOpen(deliveryId, { userAgent: DESKTOP })).recorded).toBe('repeat');
+    expect((await dlvr.store.getDelivery(deliveryId)).status).toBe('REFUSED');
+  });
+});
@@ -0,0 +1,70 @@
+/**
+ * Portal Access Token Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+
+const HOUR = 60 * 60 * 1000;
+
+describe('portal access tokens', () => {
+  let dlvr;
+  let delivery;
+
+  beforeEach(async () => {
+    dlvr = new ChittyDLVR({ portalSecret: 'portal-secret' });
+    delivery = await dlvr.send({ mintId: 'DM-PORTAL', to: 'jane', method: 'portal' });
+  });
+
+  it('issues a scoped token with the portal dispatch and keeps only its ID', async () => {
+    const { access, expiresAt } = delivery.dispatch;
+    const { portalAccess } = delivery;
+    expect(portalAccess.scope).toEqual(['view', 'acknowledge', 'receipt']);
+    expect(portalAccess.expiresAt).toBe(new Date(Math.floor(Date.parse(expiresAt) / 1000) * 1000).toISOString());
+    expect(portalAccess.url).toBe(`https://portal.chitty.cc/delivery/${delivery.deliveryId}?token=${portalAccess.token}`);
+
+    expect(access).toEqual({ tokenId: portalAccess.tokenId, scope: portalAccess.scope, expiresAt: portalAccess.expiresAt });
+    const stored = await dlvr.store.getDelivery(delivery.deliveryId);
+    expect(JSON.stringify(stored)).not.toContain(portalAccess.token);
+    expect(stored.portalAccess).toBeUndefined();
+    expect(JSON.stringify(await dlvr.status(delivery.deliveryId))).not.toContain(portalAccess.token);
+  });
+
+  it('logs every access through opened()', async () => {
+    const token = delivery.portalAccess.token;
+    const first = await dlvr.portalAccess(delivery.deliveryId, token, { ip: '192.0.2.1', userAgent: 'UA/1' });
+    const second = await dlvr.portalAccess(delivery.deliveryId, token, { ip: '192.0.2.2', userAgent: 'UA/2' });
+
+    expect(first).toMatchObject({ status: 'OPENED', repeat: false, access: { tokenId: delivery.dispatch.access.tokenId } });
+    expect(second.repeat).toBe(true);
+
+    const stored = await dlvr.store.getDelivery(delivery.deliveryId);
+    expect(stored.viewData).toMatchObject({ ip: '192.0.2.1', source: 'portal' });
+    expect(stored.views).toEqual([expect.objectContaining({ ip: '192.0.2.2', userAgent: 'UA/2' })]);
+  });
+
+  it('rejects expired, foreign, under-scoped and forged tokens', async () => {
+    const verify = (token, options) => dlvr.portalTokens.verify(token, { deliveryId: delivery.deliveryId, ...options });
+    const short = await dlvr.issuePortalToken(delivery.deliveryId, { scope: 'acknowledge', ttlSeconds: 60 });
+    const other = await dlvr.send({ mintId: 'DM-PORTAL', to: 'john', method: 'portal' });
+
+    await expect(verify(short.token, { scope: 'acknowledge', now: Date.now() + HOUR }))
+      .rejects.toMatchObject({ code: 'PORTAL_TOKEN_EXPIRED', status: 401 });
+    await expect(verify(short.token)).rejects.toMatchObject({ code: 'PORTAL_TOKEN_FORBIDDEN', status: 403 });
+    await expect(verify(other.portalAccess.token)).rejects.toMatchObject({ code: 'PORTAL_TOKEN_FORBIDDEN' });
+    await expect(new ChittyDLVR({ portalSecret: 'other-secret' }).portalTokens.verify(delivery.portalAccess.token, { deliveryId: delivery.deliveryId }))
+      .rejects.toMatchObject({ code: 'PORTAL_TOKEN_INVALID' });
+    await expect(verify('not-a-token')).rejects.toMatchObject({ code: 'PORTAL_TOKEN_INVALID' });
+  });
+
+  it('never issues past the portal expiry and only for portal deliveries', async () => {
+    const token = await dlvr.issuePortalToken(delivery.deliveryId, { ttlSeconds: 365 * 24 * 3600 });
+    expect(Date.parse(token.expiresAt)).toBeLessThanOrEqual(Date.parse(delivery.dispatch.expiresAt));
+
+    await expect(dlvr.issuePortalToken(delivery.deliveryId, { scope: ['admin'] }))
+      .rejects.toMatchObject({ code: 'INVALID_PORTAL_TOKEN_REQUEST' });
+
+    const email = await dlvr.send({ mintId: 'DM-PORTAL', to: 'jane', method: 'email', address: 'jane@example.com' });
+    await expect(dlvr.issuePortalToken(email.deliveryId)).rejects.toMatchObject({ code: 'PORTAL_UNSUPPORTED' });
+  });
+});
@@ -0,0 +1,105 @@
+/**
+ * Rate Limit Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryEmailTransport, MemorySMSTransport } from '../src/core/transports.js';
+import { RateLimiter, takeTokens, KVRateLimitStore, RateLimiterObject } from '../src/core/ratelimit.js';
+
+const T0 = Date.parse('2026-06-01T12:00:00Z');
+
+describe('token bucket', () => {
+  it('bursts to the limit, then refills at limit per window', () => {
+    const spec = { limit: 3, windowSeconds: 60 };
+    let bucket;
+    const take = (cost, at) => {
+      const next = takeTokens(bucket, spec, cost, at);
+      bucket = next.bucket;
+      return next.result;
+    };
+
+    expect(take(2, T0)).toMatchObject({ allowed: true, remaining: 1 });
+    expect(take(1, T0)).toMatchObject({ allowed: true, remaining: 0, resetSeconds: 60 });
+    expect(take(1, T0)).toMatchObject({ allowed: false, retryAfterSeconds: 20 });
+
+    // One token back every 20s
+    expect(take(1, T0 + 20_000)).toMatchObject({ allowed: true, remaining: 0 });
+    expect(take(1, T0 + 10 * 60_000)).toMatchObject({ allowed: true, remaining: 2 });
+  });
+
+  it('keeps buckets in KV and in a Durable Object', async () => {
+    const kv = new Map();
+    const store = new KVRateLimitStore({
+      get: async (key) => (kv.has(key) ? JSON.parse(kv.get(key).value) : null),
+      put: async (key, value, options) => kv.set(key, { value, options })
+    });
+    const spec = { limit: 1, windowSeconds: 30 };
+
+    expect(await store.take('recipient:email:a@example.com', spec, 1, T0)).toMatchObject({ allowed: true });
+    expect(await store.take('recipient:email:a@example.com', spec, 1, T0)).toMatchObject({ allowed: false, retryAfterSeconds: 30 });
+    expect(kv.get('ratelimit:recipient:email:a@example.com').options).toEqual({ expirationTtl: 60 });
+
+    const storage = new Map();
+    const object = new RateLimiterObject({ storage: { get: async k => storage.get(k), put: async (k, v) => storage.set(k, v) } });
+    const take = () => object.fetch(new Request('https://rate-limiter/take', {
+      method: 'POST',
+      body: JSON.stringify({ spec, cost: 1, now: T0 })
+    })).then(r => r.json());
+    expect(await take()).toMatchObject({ allowed: true, remaining: 0 });
+    expect(await take()).toMatchObject({ allowed: false });
+  });
+});
+
+describe('recipient limits', () => {
+  function setup(rateLimits) {
+    const email = new MemoryEmailTransport();
+    const sms = new MemorySMSTransport();
+    const dlvr = new ChittyDLVR({ email: { transport: email }, sms: { from: '+13125550100', transport: sms }, linkSecret: 'links', rateLimits });
+    return { dlvr, email, sms };
+  }
+
+  it('limits each channel separately and refuses before anything is stored', async () => {
+    const { dlvr, sms } = setup({ recipient: { sms: { limit: 2, windowSeconds: 3600 } } });
+    const text = (address) => dlvr.send({ mintId: 'DM-RL', method: 'sms', address });
+
+    await text('+13125550199');
+    await text('+1 (312) 555-0199');
+    await expect(text('+13125550199')).rejects.toMatchObject({
+      code: 'RATE_LIMITED',
+      status: 429,
+      details: { scope: 'recipient', method: 'sms', limit: 2, remaining: 0 }
+    });
+    expect(sms.sent).toHaveLength(2);
+    expect(await dlvr.store.list('delivery:')).toHaveLength(2);
+
+    // Other recipients and other channels have their own buckets
+    expect((await text('+13125550188')).status).toBe('SENT');
+    expect((await dlvr.send({ mintId: 'DM-RL', method: 'email', address: 'x@example.com' })).status).toBe('SENT');
+  });
+
+  it('shares one bucket across display-name variants of an address', async () => {
+    const { dlvr, email } = setup({ recipient: { email: { limit: 2, windowSeconds: 3600 } } });
+    const mail = (address) => dlvr.send({ mintId: 'DM-RL', method: 'email', address });
+
+    await mail('Jane <jane@example.com>');
+    await mail('"J" <Jane@Example.com>');
+    await expect(mail('jane@example.com')).rejects.toMatchObject({ code: 'RATE_LIMITED', details: { scope: 'recipient', remaining: 0 } });
+    expect(email.sent).toHaveLength(2);
+  });
+
+  it('turns a channel off with false and reports refusals in bulk results', async () => {
+    const { dlvr } = setup({ recipient: { default: { limit: 1, windowSeconds: 60 }, legalService: false } });
+
+    for (let i = 0; i < 3; i++) {
+      expect((await dlvr.send({ mintId: 'DM-RL', method: 'legalService', address: 'served@example.com' })).status).toBe('SENT');
+    }
+
+    const bulk = await dlvr.bulkSend({ mintId: 'DM-RL', recipients: [{ address: 'b@example.com' }, { address: 'B@example.com' }] });
+    expect(bulk).toMatchObject({ sent: 1, failed: 1 });
+    expect(bulk.deliveries[1]).toMatchObject({ status: 'FAILED', code: 'RATE_LIMITED' });
+
+    expect(() => new RateLimiter(null, { apiKey: { sms: { limit: 0, windowSeconds: 60 } } })).toThrow(/must be positive/);
+    expect(new ChittyDLVR().rateLimits).toBeNull();
+  });
+});
@@ -0,0 +1,174 @@
+/**
+ * Canonical Receipt Signature Tests
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { receiptPayload } from '../src/core/receipt.js';
+import { canonicalize } from '../src/core/jcs.js';
+
+describe('canonicalize (RFC 8785)', () => {
+  it('sorts members by UTF-16 code units and drops whitespace', () => {
+    expect(canonicalize({ b: [1, { z: null, a: true }], a: 'x', '€': 1, '\r': 2, 'ö': 3, '😀': 4 }))
+      .toBe('{"\\r":2,"a":"x","b":[1,{"a":true,"z":null}],"ö":3,"€":1,"😀":4}');
+    expect(canonicalize({ skipped: undefined, list: [undefined] })).toBe('{"list":[null]}');
+  });
+
+  it('serializes numbers and strings as ECMAScript does', () => {
+    // RFC 8785 appendix B samples
+    expect(canonicalize([1e21, 1e-7, 333333333.3333333, -0, 4.5, 0.002])).toBe('[1e+21,1e-7,333333333.3333333,0,4.5,0.002]');
+    expect(canonicalize('\u0000\u001f\t"\\ ')).toBe('"\\u0000\\u001f\\t\\"\\\\ "');
+    expect(() => canonicalize({ n: NaN })).toThrow(/non-finite/);
+    expect(() => canonicalize({ f: () => {} })).toThrow(/Cannot canonicalize/);
+  });
+});
+
+// Copy of `record` with the value at `path` replaced
+function tamper(record, path, value) {
+  const copy = structuredClone(record);
+  const keys = path.split('.');
+  const last = keys.pop();
+  keys.reduce((node, key) => node[key], copy)[last] = value;
+  return copy;
+}
+
+describe('receipt signatures', () => {
+  let dlvr;
+
+  beforeEach(() => {
+    dlvr = new ChittyDLVR({ apiKey: 'test-key-minimum-16ch', chittyId: 'test-chitty-id' });
+    dlvr.receipts.fetchDrandRound = async () => ({ round: 4242, randomness: 'ab'.repeat(32), signature: 'cd'.repeat(48) });
+  });
+
+  async function receipted() {
+    const { deliveryId } = await dlvr.send({ mintId: 'DM-JCS', to: 'Jane', method: 'email', address: 'jane@example.com' });
+    await dlvr.acknowledge(deliveryId, { statement: 'I acknowledge receipt of DM-JCS' });
+    return dlvr.receipt(deliveryId, { signer: 'recipient-id' });
+  }
+
+  it('signs the canonical form of every field but the signature', async () => {
+    const receipt = await receipted();
+    const { signature: _, ...fields } = receipt;
+
+    expect(receipt.version).toBe(2);
+    expect(receipt.signature.canonicalization).toBe('JCS');
+    expect(receipt.signature.signedPayload).toBe(canonicalize(receiptPayload(receipt)));
+    expect(JSON.parse(receipt.signature.signedPayload)).toEqual(JSON.parse(JSON.stringify(fields)));
+
+    // Verifies without the embedded string
+    const { signedPayload, ...signature } = receipt.signature;
+    expect(await dlvr.receipts.verify(receipt.receiptId, { ...receipt, signature })).toMatchObject({ version: 2, verified: true, fieldsMatch: true });
+  });
+
+  it('rejects a receipt whose fields were edited after signing', async () => {
+    const receipt = await receipted();
+
+    const resigned = await dlvr.receipts.verify(receipt.receiptId, { ...receipt, signer: 'someone-else' });
+    expect(resigned).toMatchObject({ verified: false, signatureValid: false });
+
+    const acknowledgment = { ...receipt.acknowledgment, statement: 'I did not receive anything' };
+    expect((await dlvr.receipts.verify(receipt.receiptId, { ...receipt, acknowledgment })).verified).toBe(false);
+
+    // Downgrading to the legacy scheme does not get around it
+    const { version, ...downgraded } = receipt;
+    expect(await dlvr.receipts.verify(receipt.receiptId, { ...downgraded, signer: 'someone-else' }))
+      .toMatchObject({ version: 1, verified: false, mismatchedFields: ['signature.signedPayload'] });
+
+    expect(await dlvr.receipts.verify(receipt.receiptId, { ...receipt, version: 3 }))
+      .toMatchObject({ verified: false, error: 'Unsupported receipt version: 3' });
+  });
+
+  it('attests every nested block of a receipt', async () => {
+    const receipt = await dlvr.receipts.create({
+      deliveryId: 'DD-NESTED',
+      signer: 'recipient-id',
+      method: 'witness',
+      acknowledgment: { statement: 'Received', acknowledgedAt: '2026-10-19T15:00:00.000Z' },
+      content: { mintId: 'DM-NESTED', sha256: 'ef'.repeat(32), size: 2048, contentType: 'application/pdf', servedAt: '2026-10-19T14:00:00.000Z' },
+      witnessAttestation: {
+        attestationId: 'DW-NESTED',
+        witness: { name: 'Alex Rivera', chittyId: 'CHITTY-WITNESS-1' },
+        signature: { type: 'key', keyFingerprint: '12'.repeat(32) },
+        payloadSha256: '34'.repeat(32),
+        attestedAt: '2026-10-19T14:30:00.000Z'
+      },
+      timestamp: '2026-10-19T15:04:05.000Z'
+    });
+    expect((await dlvr.receipts.verify(receipt.receiptId)).verified).toBe(true);
+
+    const edits = [
+      ['status', 'REVOKED'],
+      ['legal.admissible', false],
+      ['legal.score', 99],
+      ['acknowledgment.statement', 'Never received'],
+      ['content.mintId', 'DM-OTHER'],
+      ['content.size', 1],
+      ['content.contentType', 'text/plain'],
+      ['content.servedAt', '2026-10-20T00:00:00.000Z'],
+      ['witnessAttestation.name', 'Someone Else'],
+      ['witnessAttestation.chittyId', 'CHITTY-WITNESS-2'],
+      ['drand.signature', '00'.repeat(48)],
+      ['witnessTimestamp', '2026-10-20T00:00:00.000Z'],
+      ['verifyUrl', 'https://evil.example/receipt']
+    ];
+    for (const [path, value] of edits) {
+      expect((await dlvr.receipts.verify(receipt.receiptId, tamper(receipt, path, value))).verified, path).toBe(false);
+    }
+  });
+
+  it('covers refusal records', async () => {
+    const { deliveryId } = await dlvr.send({ mintId: 'DM-JCS', to: 'Jane', method: 'email', address: 'jane@example.com' });
+    const { receipt: refusal } = await dlvr.decline(deliveryId, { reason: 'Not mine', ip: '203.0.113.7', userAgent: 'Mail/1.0' });
+
+    expect(JSON.parse(refusal.signature.signedPayload)).toMatchObject({ type: 'refusal', mintId: 'DM-JCS', evidence: { ip: '203.0.113.7' } });
+    expect((await dlvr.receipts.verify(refusal.receiptId)).verified).toBe(true);
+    for (const [path, value] of [['evidence.ip', '198.51.100.1'], ['evidence.userAgent', 'Other/2.0'], ['legal.tenderEvidence', false]]) {
+      expect((await dlvr.receipts.verify(refusal.receiptId, tamper(refusal, path, value))).verified, path).toBe(false);
+    }
+  });
+
+  it('covers physical receipt evidence', async () => {
+    const receipt = await dlvr.receipts.createPhysicalReceipt({
+      deliveryId: 'DD-MAIL',
+      carrier: 'usps',
+      trackingNumber: '9407111898765431324515',
+      signedBy: 'J. Recipient',
+      evidence: await dlvr.receipts.digestEvidence({ image: btoa('green card') }),
+      timestamp: '2026-10-19T15:04:05.000Z'
+    });
+    expect((await dlvr.receipts.verify(receipt.receiptId)).verified).toBe(true);
+    for (const [path, value] of [['evidence.size', 1], ['evidence.contentType', 'image/png'], ['legal.score', 99]]) {
+      expect((await dlvr.receipts.verify(receipt.receiptId, tamper(receipt, path, value))).verified, path).toBe(false);
+    }
+  });
+
+  it('keeps legacy receipts verifiable and checks the fields they signed', async () => {
+    const receipt = await receipted();
+
+    // A v1 receipt: JSON.stringify of its fixed field list, no version field
+    const { version, ...legacy } = receipt;
+    const signedPayload = JSON.stringify({
+      receiptId: receipt.receiptId,
+      deliveryId: receipt.deliveryId,
+      signer: receipt.signer,
+      method: receipt.method,
+      acknowledgment: receipt.acknowledgment,
+      witnessAttestationId: null,
+      witnessAttestationSha256: null,
+      contentSha256: null,
+      timestamp: receipt.createdAt,
+      drandRound: receipt.drand.round,
+      drandRandomness: receipt.drand.randomness
+    });
+    const { privateKey } = await dlvr.receipts.getServiceKeyPair();
+    const value = dlvr.receipts.bufferToBase64(await crypto.subtle.sign(
+      { name: 'ECDSA', hash: 'SHA-256' }, privateKey, new TextEncoder().encode(signedPayload)
+    ));
+    legacy.signature = { ...receipt.signature, canonicalization: undefined, signedPayload, value };
+
+    expect(await dlvr.receipts.verify(legacy.receiptId, legacy)).toMatchObject({ version: 1, verified: true, signatureValid: true });
+
+    const edited = await dlvr.receipts.verify(legacy.receiptId, { ...legacy, method: 'notarized' });
+    expect(edited).toMatchObject({ verified: false, signatureValid: true, fieldsMatch: false, mismatchedFields: ['method'] });
+  });
+});
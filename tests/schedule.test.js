@@ -0,0 +1,162 @@
+/**
+ * Dispatch Scheduling Tests
+ */
+
+import { describe, it, expect, beforeEach, afterEach, vi } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryEmailTransport, MemorySMSTransport } from '../src/core/transports.js';
+import { parseQuietHours, windowOpensAt, timeZoneForPhone, timeZoneForAddress } from '../src/core/schedule.js';
+
+describe('recipient time zone', () => {
+  it('infers the zone from the area code, then the postal address, then the default', () => {
+    const dlvr = new ChittyDLVR({ schedule: { defaultTimeZone: 'America/Phoenix' } });
+    const zoneOf = (method, address, options) => dlvr.scheduler.timeZoneFor({ method, address, options });
+
+    expect(timeZoneForPhone('+1 (312) 555-0100')).toBe('America/Chicago');
+    expect(timeZoneForPhone('+442071234567')).toBeNull();
+    expect(timeZoneForAddress('1600 Pennsylvania Ave NW, Washington, DC 20500')).toBe('America/New_York');
+
+    expect(zoneOf('sms', '+12065550100')).toEqual({ timeZone: 'America/Los_Angeles', source: 'areaCode' });
+    expect(zoneOf('email', 'a@example.com', { postalAddress: '500 Main St, Boise, ID 83702' }))
+      .toEqual({ timeZone: 'America/Boise', source: 'postalAddress' });
+    expect(zoneOf('sms', '+12065550100', { timeZone: 'Europe/Berlin' })).toEqual({ timeZone: 'Europe/Berlin', source: 'explicit' });
+    expect(zoneOf('email', 'a@example.com')).toEqual({ timeZone: 'America/Phoenix', source: 'default' });
+    expect(() => zoneOf('sms', '+12065550100', { timeZone: 'Mars/Olympus' })).toThrow(/Invalid time zone/);
+  });
+
+  it('finds when a quiet window ends, across midnight and DST', () => {
+    const window = parseQuietHours('21:00-08:00');
+
+    // 00:30 EST on the night clocks go forward; 08:00 is EDT
+    expect(windowOpensAt(new Date('2026-03-08T05:30:00Z'), window, 'America/New_York').toISOString())
+      .toBe('2026-03-08T12:00:00.000Z');
+    // 22:15 CDT
+    expect(windowOpensAt(new Date('2026-06-02T03:15:42Z'), window, 'America/Chicago').toISOString())
+      .toBe('2026-06-02T13:00:00.000Z');
+    expect(windowOpensAt(new Date('2026-06-01T18:00:00Z'), window, 'America/Chicago')).toBeNull();
+    expect(() => parseQuietHours({ start: '9pm', end: '08:00' })).toThrow(/Expected HH:MM/);
+  });
+});
+
+describe('deferred dispatch', () => {
+  let sms, email, queued;
+
+  function setup(config = {}) {
+    sms = new MemorySMSTransport();
+    email = new MemoryEmailTransport();
+    queued = [];
+    return new ChittyDLVR({
+      sms: { from: '+13125550100', transport: sms },
+      email: { transport: email },
+      linkSecret: 'links',
+      schedule: { quietHours: { sms: '21:00-08:00' } },
+      queue: { send: async (body, options) => queued.push({ body, options }) },
+      ...config
+    });
+  }
+
+  beforeEach(() => vi.useFakeTimers({ toFake: ['Date'] }));
+  afterEach(() => vi.useRealTimers());
+
+  it('holds an SMS during the recipient\'s quiet hours and sends it when they end', async () => {
+    const dlvr = setup();
+    vi.setSystemTime(new Date('2026-06-02T04:30:00Z')); // 23:30 in Chicago
+
+    const delivery = await dlvr.send({ mintId: 'DM-NIGHT', to: 'Tenant', method: 'sms', address: '+13125550199' });
+    expect(delivery.status).toBe('PENDING');
+    expect(delivery.dispatch).toBeNull();
+    expect(sms.sent).toHaveLength(0);
+    expect(delivery.schedule).toMatchObject({
+      deferred: true,
+      reason: 'QUIET_HOURS',
+      dispatchAt: '2026-06-02T13:00:00.000Z',
+      timeZone: 'America/Chicago',
+      timeZoneSource: 'areaCode'
+    });
+    expect(queued).toHaveLength(1);
+    expect(queued[0]).toMatchObject({ body: { type: 'dispatch', deliveryId: delivery.deliveryId }, options: { delaySeconds: 8.5 * 3600 } });
+
+    // Early delivery of the job re-enqueues it for the remainder
+    vi.setSystemTime(new Date('2026-06-02T12:00:00Z'));
+    await dlvr.dispatchPending(delivery.deliveryId);
+    expect(sms.sent).toHaveLength(0);
+    expect(queued[1].options.delaySeconds).toBe(3600);
+
+    vi.setSystemTime(new Date('2026-06-02T13:00:05Z'));
+    const sent = await dlvr.dispatchPending(delivery.deliveryId);
+    expect(sent.status).toBe('SENT');
+    expect(sms.sent).toHaveLength(1);
+
+    // A duplicate job is a no-op
+    await dlvr.dispatchPending(delivery.deliveryId);
+    expect(sms.sent).toHaveLength(1);
+
+    const status = await dlvr.status(delivery.deliveryId);
+    expect(status.schedule).toMatchObject({ state: 'RELEASED', releasedAt: '2026-06-02T13:00:05.000Z' });
+    expect(status.timeline.map(e => e.event || e.status)).toEqual(['PENDING', 'DISPATCH_DEFERRED', 'SENT']);
+    expect(status.timeline[2].details).toEqual({ scheduled: true, reason: 'QUIET_HOURS' });
+  });
+
+  it('sends at sendAt, pushed past quiet hours when it falls inside them', async () => {
+    const dlvr = setup();
+    vi.setSystemTime(new Date('2026-06-01T15:00:00Z'));
+
+    const email = await dlvr.send({ mintId: 'DM-LATER', method: 'email', address: 'r@example.com', options: { sendAt: '2026-06-03T09:00:00Z' } });
+    expect(email.schedule).toMatchObject({ reason: 'SEND_AT', dispatchAt: '2026-06-03T09:00:00.000Z', quietHours: null });
+    expect(queued[0].options.delaySeconds).toBe(12 * 3600);
+
+    const text = await dlvr.send({ mintId: 'DM-LATER', method: 'sms', address: '+12065550100', options: { sendAt: '2026-06-03T09:00:00Z' } });
+    expect(text.schedule).toMatchObject({ reason: 'QUIET_HOURS', dispatchAt: '2026-06-03T15:00:00.000Z', requestedAt: '2026-06-03T09:00:00.000Z' });
+  });
+
+  it('sends immediately outside the window, or for a past sendAt', async () => {
+    const dlvr = setup();
+    vi.setSystemTime(new Date('2026-06-02T18:00:00Z')); // 13:00 in Chicago
+
+    const text = await dlvr.send({ mintId: 'DM-NOW', method: 'sms', address: '+13125550199' });
+    const past = await dlvr.send({ mintId: 'DM-NOW', method: 'email', address: 'r@example.com', options: { sendAt: '2026-06-01T00:00:00Z' } });
+    expect(text.status).toBe('SENT');
+    expect(text.schedule).toMatchObject({ deferred: false, reason: null, quietHours: [{ start: '21:00', end: '08:00' }] });
+    expect(past.status).toBe('SENT');
+    expect(past.schedule.deferred).toBe(false);
+    expect(queued).toHaveLength(0);
+  });
+
+  it('lets a delivery widen the configured quiet hours but not lift them', async () => {
+    const dlvr = setup();
+    vi.setSystemTime(new Date('2026-06-02T04:30:00Z')); // 23:30 in Chicago
+
+    const waived = await dlvr.send({ mintId: 'DM-NOW', method: 'sms', address: '+13125550199', options: { quietHours: false } });
+    expect(waived).toMatchObject({ status: 'PENDING', schedule: { reason: 'QUIET_HOURS', dispatchAt: '2026-06-02T13:00:00.000Z' } });
+
+    const narrowed = await dlvr.send({ mintId: 'DM-NOW', method: 'sms', address: '+13125550199', options: { quietHours: '23:45-00:15' } });
+    expect(narrowed.schedule.dispatchAt).toBe('2026-06-02T13:00:00.000Z');
+
+    // 08:00 ends the configured window inside the delivery's own, which runs to 10:00
+    const widened = await dlvr.send({ mintId: 'DM-NOW', method: 'sms', address: '+13125550199', options: { quietHours: '07:00-10:00' } });
+    expect(widened.schedule).toMatchObject({
+      dispatchAt: '2026-06-02T15:00:00.000Z',
+      quietHours: [{ start: '21:00', end: '08:00' }, { start: '07:00', end: '10:00' }]
+    });
+
+    await expect(dlvr.send({ mintId: 'DM-NOW', method: 'sms', address: '+13125550199', options: { quietHours: '07:00-22:00' } }))
+      .rejects.toMatchObject({ code: 'INVALID_SCHEDULE' });
+  });
+
+  it('rejects quiet hours and deferral without a queue, and fails a deferred send that cannot be dispatched', async () => {
+    vi.setSystemTime(new Date('2026-06-02T04:30:00Z'));
+    expect(() => setup({ queue: null })).toThrow(/Quiet hours \(sms\) need a job queue/);
+    await expect(setup({ queue: null, schedule: {} }).send({ mintId: 'DM-X', method: 'email', address: 'r@example.com', options: { sendAt: '2026-06-03T09:00:00Z' } }))
+      .rejects.toMatchObject({ code: 'QUEUE_UNAVAILABLE', status: 503 });
+    await expect(setup().send({ mintId: 'DM-X', method: 'email', address: 'r@example.com', options: { sendAt: 'tomorrow' } }))
+      .rejects.toMatchObject({ code: 'INVALID_SCHEDULE' });
+
+    const dlvr = setup();
+    const delivery = await dlvr.send({ mintId: 'DM-X', method: 'email', address: 'not-an-email', options: { sendAt: '2026-06-02T05:00:00Z' } });
+    vi.setSystemTime(new Date('2026-06-02T05:00:00Z'));
+    await expect(dlvr.dispatchPending(delivery.deliveryId)).rejects.toMatchObject({ code: 'DISPATCH_FAILED' });
+    const failed = await dlvr.getDelivery(delivery.deliveryId);
+    expect(failed.status).toBe('FAILED');
+    expect(failed.statusHistory.at(-1)).toMatchObject({ source: 'queue', details: { reason: 'Dispatch failed' } });
+  });
+});
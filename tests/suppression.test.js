@@ -0,0 +1,112 @@
+/**
+ * Suppression List Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryEmailTransport, MemorySMSTransport } from '../src/core/transports.js';
+import { suppressionKey } from '../src/core/suppression.js';
+
+function setup(config = {}) {
+  const email = new MemoryEmailTransport();
+  const sms = new MemorySMSTransport();
+  const dlvr = new ChittyDLVR({ email: { transport: email }, sms: { from: '+13125550100', transport: sms }, linkSecret: 'links', ...config });
+  return { dlvr, email, sms };
+}
+
+describe('suppression list', () => {
+  it('keys entries by normalized email or phone', async () => {
+    const { dlvr } = setup();
+
+    expect(suppressionKey(' Jane@Example.COM ')).toEqual({ kind: 'email', value: 'jane@example.com', id: 'email:jane@example.com' });
+    expect(suppressionKey('+1 (312) 555-0199')).toMatchObject({ kind: 'phone', value: '+13125550199' });
+    expect(suppressionKey('123 Main St, Chicago, IL 60601')).toBeNull();
+
+    await dlvr.suppressions.add({ address: 'Jane@Example.com', reason: 'UNSUBSCRIBED', source: 'list-unsubscribe' });
+    const again = await dlvr.suppressions.add({ address: 'jane@example.com', reason: 'COMPLAINT' });
+    expect(again).toMatchObject({ address: 'jane@example.com', reason: 'COMPLAINT' });
+    expect(again.history.map(h => h.reason)).toEqual(['UNSUBSCRIBED', 'COMPLAINT']);
+    expect(await dlvr.suppressions.list()).toHaveLength(1);
+
+    await expect(dlvr.suppressions.add({ address: 'jane@example.com', reason: 'BORED' })).rejects.toMatchObject({ code: 'INVALID_SUPPRESSION' });
+    await expect(dlvr.suppressions.add({ address: 'https://hooks.example.com' })).rejects.toMatchObject({ code: 'INVALID_SUPPRESSION' });
+  });
+
+  it('fails non-legal channels fast with SUPPRESSED', async () => {
+    const { dlvr, email } = setup();
+    await dlvr.suppressions.add({ address: 'jane@example.com', reason: 'UNSUBSCRIBED' });
+
+    const attempt = dlvr.send({ mintId: 'DM-S', to: 'Jane', method: 'email', address: 'JANE@example.com' });
+    await expect(attempt).rejects.toMatchObject({
+      code: 'SUPPRESSED',
+      status: 422,
+      details: { address: 'jane@example.com', reason: 'UNSUBSCRIBED' }
+    });
+    expect(email.sent).toHaveLength(0);
+
+    // Queued sends are refused before anything is stored or enqueued
+    const queued = [];
+    const async = setup({ asyncDispatch: true, queue: { send: async (body) => queued.push(body) } }).dlvr;
+    await async.suppressions.add({ address: 'jane@example.com', reason: 'UNSUBSCRIBED' });
+    await expect(async.send({ mintId: 'DM-S', method: 'email', address: 'jane@example.com' })).rejects.toMatchObject({ code: 'SUPPRESSED' });
+    expect(queued).toHaveLength(0);
+  });
+
+  it('screens display-name mailboxes by their address', async () => {
+    const { dlvr, email } = setup();
+    expect(suppressionKey('"Jane Q." <Jane@Example.com>')).toMatchObject({ kind: 'email', value: 'jane@example.com' });
+
+    await dlvr.suppressions.add({ address: 'jane@example.com', reason: 'HARD_BOUNCE' });
+    await expect(dlvr.send({ mintId: 'DM-S', method: 'email', address: 'Jane <jane@example.com>' }))
+      .rejects.toMatchObject({ code: 'SUPPRESSED' });
+
+    await dlvr.suppressions.add({ address: 'Sam Roe <sam@example.com>', reason: 'UNSUBSCRIBED' });
+    expect(await dlvr.suppressions.check('sam@example.com')).toMatchObject({ address: 'sam@example.com' });
+    await expect(dlvr.send({ mintId: 'DM-S', method: 'email', address: 'SAM@example.com' }))
+      .rejects.toMatchObject({ code: 'SUPPRESSED' });
+    expect(email.sent).toHaveLength(0);
+  });
+
+  it('lets legal service through with an audit note', async () => {
+    const { dlvr } = setup();
+    await dlvr.suppressions.add({ address: 'jane@example.com', reason: 'UNSUBSCRIBED' });
+
+    const served = await dlvr.send({ mintId: 'DM-S', to: 'Jane', method: 'legalService', address: 'jane@example.com' });
+    expect(served.status).toBe('SENT');
+    expect(served.dispatch.suppression).toMatchObject({ bypassed: true, reason: 'UNSUBSCRIBED' });
+
+    const { timeline } = await dlvr.status(served.deliveryId);
+    const note = timeline.find(e => e.event === 'SUPPRESSION_BYPASSED');
+    expect(note).toMatchObject({ source: 'suppression', details: { address: 'jane@example.com', reason: 'UNSUBSCRIBED' } });
+    expect(note.details.note).toMatch(/cannot be opted out of/);
+  });
+
+  it('suppresses on SMS STOP and lifts it on START', async () => {
+    const { dlvr, sms } = setup();
+
+    expect(await dlvr.suppressions.ingestSMS({ from: '+13125550199', body: ' Stop ' }))
+      .toMatchObject({ action: 'suppressed', keyword: 'STOP', suppression: { reason: 'SMS_STOP', source: 'sms:inbound' } });
+    await expect(dlvr.send({ mintId: 'DM-S', method: 'sms', address: '+1 312 555 0199' })).rejects.toMatchObject({ code: 'SUPPRESSED' });
+    expect(sms.sent).toHaveLength(0);
+
+    expect(await dlvr.suppressions.ingestSMS({ from: '+13125550199', body: 'what is this?' })).toMatchObject({ action: 'ignored' });
+    expect(await dlvr.suppressions.ingestSMS({ from: '+13125550199', body: 'START' })).toMatchObject({ action: 'resubscribed' });
+    expect((await dlvr.send({ mintId: 'DM-S', method: 'sms', address: '+13125550199' })).status).toBe('SENT');
+
+    // START does not lift suppressions that came from elsewhere
+    await dlvr.suppressions.add({ address: '+13125550188', reason: 'MANUAL' });
+    expect(await dlvr.suppressions.ingestSMS({ from: '+13125550188', body: 'START' })).toMatchObject({ action: 'ignored' });
+  });
+
+  it('suppresses hard-bounced addresses but not soft bounces', async () => {
+    const { dlvr } = setup();
+    const hard = await dlvr.send({ mintId: 'DM-S', method: 'email', address: 'gone@example.com' });
+    const soft = await dlvr.send({ mintId: 'DM-S', method: 'email', address: 'full@example.com' });
+
+    await dlvr.recordBounce({ deliveryId: hard.deliveryId, action: 'failed', bounceType: 'hard', recipient: 'gone@example.com', provider: 'ses', statusCode: '5.1.1' });
+    await dlvr.recordBounce({ deliveryId: soft.deliveryId, action: 'failed', bounceType: 'soft', recipient: 'full@example.com', provider: 'ses', statusCode: '4.2.2' });
+
+    expect(await dlvr.suppressions.check('gone@example.com')).toMatchObject({ reason: 'HARD_BOUNCE', source: 'bounce:ses', deliveryId: hard.deliveryId });
+    expect(await dlvr.suppressions.check('full@example.com')).toBeNull();
+  });
+});
@@ -0,0 +1,118 @@
+/**
+ * Notification Template Tests
+ */
+
+import { describe, it, expect } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { MemoryEmailTransport, MemorySMSTransport } from '../src/core/transports.js';
+import { normalizeLocale } from '../src/core/templates.js';
+
+const ACME_EMAIL = {
+  channel: 'email',
+  locale: 'en',
+  tenant: 'acme',
+  subject: 'Acme Legal: {{mintId}} is ready',
+  text: 'Hello {{recipient}}, read it at {{viewUrl}} or decline at {{declineUrl}}',
+  html: '<p>Hello {{recipient}}, <a href="{{viewUrl}}">read it</a> or <a href="{{declineUrl}}">decline</a></p>'
+};
+
+describe('template registration', () => {
+  it('rejects missing, unknown and malformed placeholders before dispatch', async () => {
+    const dlvr = new ChittyDLVR();
+    const problems = async (template) => {
+      try {
+        await dlvr.templates.register(template);
+      } catch (error) {
+        expect(error.code).toBe('INVALID_TEMPLATE');
+        return error.details.problems;
+      }
+      throw new Error('expected registration to fail');
+    };
+
+    expect(await problems({ ...ACME_EMAIL, text: 'Read it at {{viewUrl}}' }))
+      .toEqual(['text is missing required placeholder {{declineUrl}}']);
+    expect(await problems({ ...ACME_EMAIL, subject: 'Hi {{firstName}}' }))
+      .toEqual(['subject uses unknown placeholder {{firstName}}']);
+    expect(await problems({ channel: 'sms', locale: 'fr', body: 'Voir: {{shortUrl}' }))
+      .toEqual(['body is missing required placeholder {{shortUrl}}', 'body has an unclosed or malformed placeholder']);
+    await expect(dlvr.templates.register({ ...ACME_EMAIL, locale: 'english' })).rejects.toMatchObject({ code: 'INVALID_TEMPLATE' });
+    await expect(dlvr.templates.register({ ...ACME_EMAIL, channel: 'fax' })).rejects.toMatchObject({ code: 'INVALID_TEMPLATE' });
+  });
+
+  it('validates templates passed in config at construction', () => {
+    expect(() => new ChittyDLVR({ templates: [{ channel: 'sms', locale: 'en', body: 'No link here' }] }))
+      .toThrow(/shortUrl/);
+  });
+
+  it('normalizes locale tags', () => {
+    expect(normalizeLocale('es_mx')).toBe('es-MX');
+    expect(normalizeLocale('PT-br')).toBe('pt-BR');
+    expect(() => normalizeLocale('')).toThrow();
+  });
+});
+
+describe('localized, per-tenant notifications', () => {
+  function setup(config = {}) {
+    const email = new MemoryEmailTransport();
+    const sms = new MemorySMSTransport();
+    const dlvr = new ChittyDLVR({ email: { transport: email }, sms: { from: '+13125550100', transport: sms }, linkSecret: 'links', ...config });
+    return { dlvr, email, sms };
+  }
+
+  it('uses the tenant override, falling back to the shared template for other tenants', async () => {
+    const { dlvr } = setup();
+    await dlvr.templates.register(ACME_EMAIL);
+
+    const acme = await dlvr.send({ mintId: 'DM-T', to: 'Jane', method: 'email', address: 'jane@example.com', options: { tenant: 'acme' } });
+    const other = await dlvr.send({ mintId: 'DM-T', to: 'Jane', method: 'email', address: 'jane@example.com', options: { tenant: 'globex' } });
+
+    expect(acme.dispatch.subject).toBe('Acme Legal: DM-T is ready');
+    expect(acme.dispatch.template).toEqual({ locale: 'en', tenant: 'acme', source: 'tenant' });
+    expect(other.dispatch.subject).toBe('Document Delivery: DM-T');
+    expect(other.dispatch.template.source).toBe('builtin');
+  });
+
+  it('walks the locale chain and escapes values in HTML', async () => {
+    const { dlvr, email, sms } = setup();
+    await dlvr.templates.register({ channel: 'sms', locale: 'fr', body: 'Livraison certifiée {{mintId}} : {{shortUrl}}' });
+
+    const spanish = await dlvr.send({ mintId: 'DM-<b>', to: 'Ana', method: 'email', address: 'ana@example.com', options: { locale: 'es-MX' } });
+    expect(spanish.dispatch.subject).toBe('Entrega de documento: DM-<b>');
+    expect(spanish.dispatch.locale).toBe('es');
+    expect(email.sent[0].raw).toContain('Content-Language: es');
+    expect(email.sent[0].raw).toContain('DM-&lt;b&gt;');
+
+    const french = await dlvr.send({ mintId: 'DM-FR', to: 'Luc', method: 'sms', address: '+33612345678', options: { locale: ['fr-CA', 'en'] } });
+    expect(french.dispatch.body).toBe(`Livraison certifiée DM-FR : ${french.dispatch.shortLink.url}`);
+    expect(sms.sent[0].body).toBe(french.dispatch.body);
+
+    const german = await dlvr.send({ mintId: 'DM-DE', to: 'Jan', method: 'sms', address: '+4915112345678', options: { locale: 'de' } });
+    expect(german.dispatch.locale).toBe('en');
+  });
+
+  it('writes to a recipient in their preferred locale without options.locale', async () => {
+    const { dlvr, email } = setup();
+    await dlvr.templates.setRecipientLocale('Ana', 'es_mx');
+
+    const notice = await dlvr.send({ mintId: 'DM-PREF', to: 'Ana', method: 'email', address: 'ana@example.com' });
+    expect(notice.dispatch).toMatchObject({ subject: 'Entrega de documento: DM-PREF', locale: 'es' });
+    expect(email.sent[0].raw).toContain('Content-Language: es');
+
+    // The recipient's preference comes before the sender's; others still get options.locale
+    const overridden = await dlvr.send({ mintId: 'DM-PREF', to: 'Ana', method: 'sms', address: '+13125550199', options: { locale: 'en' } });
+    expect(overridden.dispatch.locale).toBe('es');
+    const other = await dlvr.send({ mintId: 'DM-PREF', to: 'Luc', method: 'email', address: 'luc@example.com', options: { locale: ['fr', 'es'] } });
+    expect(other.dispatch.locale).toBe('es');
+
+    await expect(dlvr.templates.setRecipientLocale('Ana', 'spanish')).rejects.toMatchObject({ code: 'INVALID_LOCALE', status: 400 });
+  });
+
+  it('keeps the tracking pixel in a custom HTML body', async () => {
+    const { dlvr, email } = setup();
+    await dlvr.templates.register(ACME_EMAIL);
+
+    const delivery = await dlvr.send({ mintId: 'DM-T', to: 'Jane', method: 'email', address: 'jane@example.com', options: { tenant: 'acme' } });
+    expect(delivery.dispatch.trackingPixel).toBe(true);
+    expect(email.sent[0].raw).toContain(`https://chitty.cc/open/${delivery.deliveryId}.gif`);
+  });
+});
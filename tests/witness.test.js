@@ -0,0 +1,176 @@
+/**
+ * Witness Attestation Tests
+ * Witnesses register a P-256 key under their chittyId, then sign with it
+ * either directly or as a passkey (WebAuthn assertion built here the way an
+ * authenticator would).
+ */
+
+import { describe, it, expect, beforeEach } from 'vitest';
+import { ChittyDLVR } from '../src/core/dlvr.js';
+import { attestationPayload } from '../src/core/witness.js';
+import { toBase64Url } from '../src/core/hmac.js';
+
+const ECDSA = { name: 'ECDSA', namedCurve: 'P-256' };
+const SHA256 = { name: 'ECDSA', hash: 'SHA-256' };
+const encode = (text) => new TextEncoder().encode(text);
+
+const WITNESS = {
+  name: 'Alex Rivera',
+  chittyId: 'CHITTY-WITNESS-1',
+  contact: 'alex@example.com',
+  statement: 'I watched the courier hand the sealed envelope to the recipient.',
+  attestedAt: '2026-10-19T15:04:05.000Z'
+};
+
+async function keySigned(delivery, keys, credentialId, fields = WITNESS) {
+  const payload = attestationPayload({ deliveryId: delivery.deliveryId, mintId: delivery.mintId, ...fields });
+  const value = await crypto.subtle.sign(SHA256, keys.privateKey, encode(payload));
+  return {
+    ...fields,
+    signature: { type: 'key', credentialId, value: toBase64Url(value) }
+  };
+}
+
+async function passkeySigned(delivery, keys, options = {}) {
+  const { userPresent = true, type = 'webauthn.get', origin = 'https://chitty.cc', rpId = 'chitty.cc' } = options;
+  const payload = attestationPayload({ deliveryId: delivery.deliveryId, mintId: delivery.mintId, ...WITNESS });
+  const challenge = toBase64Url(await crypto.subtle.digest('SHA-256', encode(payload)));
+  const clientDataJSON = encode(JSON.stringify({ type, challenge, origin }));
+
+  // rpIdHash (32) | flags (1) | signCount (4)
+  const authenticatorData = new Uint8Array(37);
+  authenticatorData.set(new Uint8Array(await crypto.subtle.digest('SHA-256', encode(rpId))));
+  authenticatorData[32] = userPresent ? 0x05 : 0x04;
+
+  const clientDataHash = new Uint8Array(await crypto.subtle.digest('SHA-256', clientDataJSON));
+  const signed = new Uint8Array([...authenticatorData, ...clientDataHash]);
+  const raw = new Uint8Array(await crypto.subtle.sign(SHA256, keys.privateKey, signed));
+
+  return {
+    ...WITNESS,
+    signature: {
+      type: 'passkey',
+      credentialId: 'cred-1',
+      authenticatorData: toBase64Url(authenticatorData),
+      clientDataJSON: toBase64Url(clientDataJSON),
+      signature: toBase64Url(rawToDer(raw))
+    }
+  };
+}
+
+function rawToDer(raw) {
+  const integer = (bytes) => {
+    let start = 0;
+    while (start < bytes.length - 1 && bytes[start] === 0) start++;
+    const trimmed = bytes.slice(start);
+    return trimmed[0] & 0x80 ? [0x02, trimmed.length + 1, 0, ...trimmed] : [0x02, trimmed.length, ...trimmed];
+  };
+  const body = [...integer(raw.slice(0, 32)), ...integer(raw.slice(32))];
+  return new Uint8Array([0x30, body.length, ...body]);
+}
+
+describe('witness attestation', () => {
+  let dlvr;
+  let delivery;
+  let keys;
+  let keyId;
+
+  beforeEach(async () => {
+    dlvr = new ChittyDLVR({ webauthn: { rpId: 'chitty.cc', origins: ['https://chitty.cc'] } });
+    delivery = await dlvr.send({ mintId: 'DM-WITNESS', to: 'jane@example.com', method: 'inPerson' });
+    keys = await crypto.subtle.generateKey(ECDSA, true, ['sign', 'verify']);
+
+    const publicKey = await crypto.subtle.exportKey('jwk', keys.publicKey);
+    ({ credentialId: keyId } = await dlvr.registerWitnessCredential({ chittyId: WITNESS.chittyId, type: 'key', publicKey }));
+    await dlvr.registerWitnessCredential({ chittyId: WITNESS.chittyId, type: 'passkey', credentialId: 'cred-1', publicKey });
+  });
+
+  it('accepts an attestation signed with the witness key', async () => {
+    const attestation = await dlvr.attestWitness(delivery.deliveryId, await keySigned(delivery, keys, keyId));
+
+    expect(attestation.attestationId).toMatch(/^DW-/);
+    expect(attestation.witness).toEqual({ name: 'Alex Rivera', chittyId: 'CHITTY-WITNESS-1', contact: 'alex@example.com' });
+    expect(attestation.signature).toMatchObject({ type: 'key', algorithm: 'ECDSA-P256-SHA256', credentialId: keyId, keyFingerprint: keyId });
+    expect(attestation.payloadSha256).toMatch(/^[0-9a-f]{64}$/);
+
+    const status = await dlvr.status(delivery.deliveryId);
+    expect(status.witness).toMatchObject({ attestationId: attestation.attestationId, name: 'Alex Rivera' });
+    expect(status.timeline.at(-1)).toMatchObject({ event: 'WITNESS_ATTESTED', actor: 'CHITTY-WITNESS-1', source: 'witness' });
+  });
+
+  it('accepts a passkey assertion over the attestation', async () => {
+    const attestation = await dlvr.attestWitness(delivery.deliveryId, await passkeySigned(delivery, keys));
+    expect(attestation.signature).toMatchObject({ type: 'passkey', credentialId: 'cred-1' });
+
+    await expect(dlvr.attestWitness(delivery.deliveryId, await passkeySigned(delivery, keys, { userPresent: false })))
+      .rejects.toMatchObject({ code: 'WITNESS_SIGNATURE_INVALID' });
+  });
+
+  it('rejects passkey assertions for another origin, relying party or ceremony', async () => {
+    for (const options of [{ origin: 'https://evil.example' }, { rpId: 'evil.example' }, { type: 'webauthn.create' }]) {
+      await expect(dlvr.attestWitness(delivery.deliveryId, await passkeySigned(delivery, keys, options)))
+        .rejects.toMatchObject({ code: 'WITNESS_SIGNATURE_INVALID', status: 400 });
+    }
+  });
+
+  it('only trusts credentials registered to the witness chittyId', async () => {
+    // A valid signature under a key nobody registered for this witness
+    const stranger = await crypto.subtle.generateKey(ECDSA, true, ['sign', 'verify']);
+    const { credentialId } = await dlvr.registerWitnessCredential({
+      chittyId: 'CHITTY-SOMEONE-ELSE',
+      type: 'key',
+      publicKey: await crypto.subtle.exportKey('jwk', stranger.publicKey)
+    });
+    await expect(dlvr.attestWitness(delivery.deliveryId, await keySigned(delivery, stranger, credentialId)))
+      .rejects.toMatchObject({ code: 'WITNESS_CREDENTIAL_UNKNOWN', status: 403 });
+
+    // A key sent along with the attestation is not used
+    const signed = await keySigned(delivery, stranger, keyId);
+    signed.signature.publicKey = await crypto.subtle.exportKey('jwk', stranger.publicKey);
+    await expect(dlvr.attestWitness(delivery.deliveryId, signed))
+      .rejects.toMatchObject({ code: 'WITNESS_SIGNATURE_INVALID' });
+
+    const { chittyId, ...anonymous } = await keySigned(delivery, keys, keyId, { ...WITNESS, chittyId: null });
+    await expect(dlvr.attestWitness(delivery.deliveryId, anonymous))
+      .rejects.toMatchObject({ code: 'INVALID_WITNESS_ATTESTATION' });
+
+    // A key credential can't stand in for a passkey
+    const passkey = await passkeySigned(delivery, keys);
+    passkey.signature.credentialId = keyId;
+    await expect(dlvr.attestWitness(delivery.deliveryId, passkey))
+      .rejects.toMatchObject({ code: 'WITNESS_SIGNATURE_INVALID' });
+  });
+
+  it('rejects signatures that do not cover the submitted statement', async () => {
+    const signed = await keySigned(delivery, keys, keyId);
+    await expect(dlvr.attestWitness(delivery.deliveryId, { ...signed, statement: 'I saw nothing.' }))
+      .rejects.toMatchObject({ code: 'WITNESS_SIGNATURE_INVALID', status: 400 });
+
+    const { name, ...nameless } = signed;
+    await expect(dlvr.attestWitness(delivery.deliveryId, nameless))
+      .rejects.toMatchObject({ code: 'INVALID_WITNESS_ATTESTATION' });
+  });
+
+  it('links the attestation into witness receipts and requires one for them', async () => {
+    await expect(dlvr.receipt(delivery.deliveryId, { signer: 'jane', method: 'witness' }))
+      .rejects.toMatchObject({ code: 'WITNESS_ATTESTATION_REQUIRED', status: 422 });
+
+    const attestation = await dlvr.attestWitness(delivery.deliveryId, await keySigned(delivery, keys, keyId));
+    const receipt = await dlvr.receipt(delivery.deliveryId, { signer: 'jane', method: 'witness' });
+
+    expect(receipt.legal.score).toBe(90);
+    expect(receipt.witnessAttestation).toMatchObject({
+      attestationId: attestation.attestationId,
+      payloadSha256: attestation.payloadSha256,
+      signatureType: 'key'
+    });
+    expect(JSON.parse(receipt.signature.signedPayload).witnessAttestation.payloadSha256).toBe(attestation.payloadSha256);
+    expect((await dlvr.receipts.verify(receipt.receiptId)).verified).toBe(true);
+  });
+
+  it('only applies to inPerson deliveries', async () => {
+    const email = await dlvr.send({ mintId: 'DM-WITNESS', to: 'jane@example.com', method: 'email', address: 'jane@example.com' });
+    await expect(dlvr.attestWitness(email.deliveryId, await keySigned(email, keys, keyId)))
+      .rejects.toMatchObject({ code: 'WITNESS_UNSUPPORTED' });
+  });
+});
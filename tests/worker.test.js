@@ -0,0 +1,352 @@
+/**
+ * ChittyDLVR Worker Route Tests
+ * Exercise the fetch handler directly with an in-memory store.
+ */
+
+import { describe, it, expect, vi } from 'vitest';
+import worker from '../src/worker.js';
+import { hmacSHA256, toHex } from '../src/core/hmac.js';
+
+const env = {
+  INTERNAL_API_KEY: 'internal-key-minimum-16',
+  CHITTY_AUTH_SERVICE_TOKEN: 'service-token-for-tests',
+  CHITTY_ID: 'test-service',
+  LINK_SIGNING_SECRET: 'link-secret-for-tests',
+  PORTAL_TOKEN_SECRET: 'portal-secret-for-tests',
+  DOCUMINT: {
+    fetch: async (url) => url.includes('/documents/DM-WORKER/')
+      ? new Response('%PDF-1.7 worker', { headers: { 'Content-Type': 'application/pdf' } })
+      : new Response('not found', { status: 404 })
+  }
+};
+
+function call(path, { method = 'GET', body, auth = true } = {}) {
+  const headers = { 'Content-Type': 'application/json' };
+  if (auth) headers['Authorization'] = `Bearer ${env.CHITTY_AUTH_SERVICE_TOKEN}`;
+  return worker.fetch(new Request(`https://dlvr.chitty.cc${path}`, {
+    method,
+    headers,
+    body: body === undefined ? undefined : JSON.stringify(body)
+  }), env);
+}
+
+async function send(body = {}) {
+  const res = await call('/dlvr/v1/send', {
+    method: 'POST',
+    body: { mintId: 'DM-WORKER', to: 'recipient', method: 'email', address: 'r@example.com', ...body }
+  });
+  return res.json();
+}
+
+describe('ChittyDLVR Worker', () => {
+  describe('status and tracking', () => {
+    it('returns persisted status history', async () => {
+      const delivery = await send();
+      await call(`/dlvr/v1/confirm/${delivery.deliveryId}`, { method: 'POST', body: {} });
+
+      const res = await call(`/dlvr/v1/status/${delivery.deliveryId}`);
+      expect(res.status).toBe(200);
+      const body = await res.json();
+      expect(body.status).toBe('DELIVERED');
+      expect(body.timeline).toHaveLength(3);
+      expect(body.dispatch.channel).toBe('email');
+    });
+
+    it('public tracking returns the same delivery', async () => {
+      const delivery = await send();
+      const res = await call(`/track/${delivery.deliveryId}`, { auth: false });
+      expect(res.status).toBe(200);
+      expect((await res.json()).status).toBe('SENT');
+    });
+
+    it('answers illegal transitions with 409', async () => {
+      const delivery = await send();
+      await call(`/dlvr/v1/receipt/${delivery.deliveryId}`, { method: 'POST', body: { signer: 'recipient' } });
+
+      const res = await call(`/dlvr/v1/confirm/${delivery.deliveryId}`, { method: 'POST', body: {} });
+      expect(res.status).toBe(409);
+      expect((await res.json()).code).toBe('ILLEGAL_TRANSITION');
+    });
+
+    it('records an acknowledgment with request IP and user agent', async () => {
+      const delivery = await send();
+      const res = await worker.fetch(new Request(`https://dlvr.chitty.cc/dlvr/v1/acknowledge/${delivery.deliveryId}`, {
+        method: 'POST',
+        headers: {
+          'Authorization': `Bearer ${env.CHITTY_AUTH_SERVICE_TOKEN}`,
+          'CF-Connecting-IP': '192.0.2.44',
+          'User-Agent': 'RecipientBrowser/1.0'
+        },
+        body: JSON.stringify({ statement: 'I acknowledge receipt of DM-WORKER' })
+      }), env);
+
+      expect(res.status).toBe(200);
+      const body = await res.json();
+      expect(body.acknowledgment).toMatchObject({ ip: '192.0.2.44', userAgent: 'RecipientBrowser/1.0' });
+    });
+
+    it('public tracking shows status and timestamps, never addresses, dispatch or evidence', async () => {
+      const delivery = await send();
+      await worker.fetch(new Request(`https://dlvr.chitty.cc/dlvr/v1/acknowledge/${delivery.deliveryId}`, {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${env.CHITTY_AUTH_SERVICE_TOKEN}`, 'CF-Connecting-IP': '192.0.2.45' },
+        body: JSON.stringify({ statement: 'I acknowledge receipt of DM-WORKER' })
+      }), env);
+
+      const res = await call(`/track/${delivery.deliveryId}`, { auth: false });
+      const body = await res.json();
+      expect(body).toMatchObject({ deliveryId: delivery.deliveryId, status: 'ACKNOWLEDGED', acknowledgedAt: expect.any(String) });
+      for (const field of ['dispatch', 'acknowledgment', 'refusal', 'to', 'address', 'pixel', 'content', 'witness']) {
+        expect(body).not.toHaveProperty(field);
+      }
+      expect(JSON.stringify(body)).not.toContain('192.0.2.45');
+      expect(JSON.stringify(body)).not.toContain('r@example.com');
+    });
+
+    it('records a public decline with an optional reason', async () => {
+      const delivery = await send();
+      const preview = await call(`/decline/${delivery.deliveryId}`, { auth: false });
+      expect((await preview.json()).status).toBe('SENT');
+
+      const res = await call(`/decline/${delivery.deliveryId}`, { method: 'POST', auth: false, body: { reason: 'Wrong person' } });
+      expect(res.status).toBe(201);
+      const body = await res.json();
+      expect(body.status).toBe('REFUSED');
+      expect(body.receipt.receiptId).toMatch(/^DR-/);
+
+      const verify = await call(`/verify/receipt/${body.receipt.receiptId}`, { auth: false });
+      expect((await verify.json()).verified).toBe(true);
+    });
+
+    it('redirects an SMS short link to the view page', async () => {
+      const delivery = await send({ method: 'sms', address: '+13125550199' });
+      const res = await call(`/s/${delivery.dispatch.shortLink.code}`, { auth: false });
+      expect(res.status).toBe(302);
+      expect(res.headers.get('Location')).toBe(`https://chitty.cc/view/${delivery.deliveryId}`);
+
+      expect((await call('/s/AAAAAAAAAA', { auth: false })).status).toBe(404);
+    });
+
+    it('validates portal access tokens and logs each access as OPENED', async () => {
+      const delivery = await send({ method: 'portal', address: undefined });
+      const access = (token) => worker.fetch(new Request(`https://dlvr.chitty.cc/portal/${delivery.deliveryId}`, {
+        headers: { 'Authorization': `Bearer ${token}`, 'CF-Connecting-IP': '192.0.2.7', 'User-Agent': 'PortalBrowser/2.0' }
+      }), env);
+
+      const res = await access(delivery.portalAccess.token);
+      expect(res.status).toBe(200);
+      const body = await res.json();
+      expect(body.status).toBe('OPENED');
+      expect(body.viewData).toMatchObject({ ip: '192.0.2.7', userAgent: 'PortalBrowser/2.0', source: 'portal' });
+
+      const issued = await call(`/dlvr/v1/portal/${delivery.deliveryId}/token`, { method: 'POST', body: { scope: ['view'], ttlSeconds: 600 } });
+      expect(issued.status).toBe(201);
+      expect((await access((await issued.json()).token)).status).toBe(200);
+
+      const forged = await access(`${delivery.portalAccess.token}x`);
+      expect(forged.status).toBe(401);
+      expect((await forged.json()).code).toBe('PORTAL_TOKEN_INVALID');
+    });
+
+    it('returns the portal token once and never shows it again', async () => {
+      const delivery = await send({ method: 'portal', address: undefined });
+      const { token } = delivery.portalAccess;
+      expect(delivery.dispatch.access).toEqual({ tokenId: delivery.portalAccess.tokenId, scope: delivery.portalAccess.scope, expiresAt: delivery.portalAccess.expiresAt });
+
+      for (const path of [`/track/${delivery.deliveryId}`, `/dlvr/v1/status/${delivery.deliveryId}`]) {
+        const text = await (await call(path, { auth: !path.startsWith('/track') })).text();
+        expect(text).not.toContain(token);
+        expect(text).not.toContain('?token=');
+      }
+    });
+
+    it('serves the tracking pixel and records the first human open', async () => {
+      const delivery = await send();
+      const load = (path, userAgent) => worker.fetch(new Request(`https://dlvr.chitty.cc${path}`, {
+        headers: { 'User-Agent': userAgent, 'CF-Connecting-IP': '198.51.100.9' }
+      }), env);
+
+      const prefetch = await load(`/open/${delivery.deliveryId}.gif`, 'Mozilla/5.0 (Windows NT 5.1; rv:11.0) Gecko Firefox/11.0 (via ggpht.com GoogleImageProxy)');
+      expect(prefetch.status).toBe(200);
+      expect(prefetch.headers.get('Content-Type')).toBe('image/gif');
+      expect(new Uint8Array(await prefetch.arrayBuffer()).slice(0, 6)).toEqual(new TextEncoder().encode('GIF89a'));
+
+      await load(`/open/${delivery.deliveryId}.gif`, 'Mozilla/5.0 (Macintosh) AppleWebKit/605.1.15 (KHTML, like Gecko)');
+      const status = await (await call(`/dlvr/v1/status/${delivery.deliveryId}`)).json();
+      expect(status.status).toBe('OPENED');
+      expect(status.pixel).toMatchObject({ loads: 2, prefetches: 1 });
+
+      const unknown = await load('/open/DD-UNKNOWN.gif', 'Mozilla/5.0 (Macintosh)');
+      expect(unknown.status).toBe(200);
+    });
+
+    it('serves the document at /view and binds its hash into the receipt', async () => {
+      const delivery = await send();
+      const view = (userAgent) => worker.fetch(new Request(`https://dlvr.chitty.cc/view/${delivery.deliveryId}`, {
+        headers: { 'User-Agent': userAgent, 'CF-Connecting-IP': '198.51.100.9' }
+      }), env);
+
+      // A link scanner gets the document, but the delivery isn't opened
+      const scan = await view('Mozilla/5.0 (compatible; link preview bot)');
+      expect(scan.status).toBe(200);
+      expect((await (await call(`/dlvr/v1/status/${delivery.deliveryId}`)).json()).status).toBe('SENT');
+
+      const res = await view('Mozilla/5.0 (Macintosh) AppleWebKit/605.1.15 (KHTML, like Gecko)');
+      expect(res.status).toBe(200);
+      expect(res.headers.get('Content-Type')).toBe('application/pdf');
+      expect(await res.text()).toBe('%PDF-1.7 worker');
+
+      const receipt = await (await call(`/dlvr/v1/receipt/${delivery.deliveryId}`, { method: 'POST', body: { signer: 'recipient' } })).json();
+      expect(receipt.content.sha256).toBe(res.headers.get('X-Content-SHA256'));
+    });
+
+    it('returns 404 for an unknown delivery', async () => {
+      const res = await call('/track/DD-DOES-NOT-EXIST', { auth: false });
+      expect(res.status).toBe(404);
+    });
+  });
+
+  describe('scheduled', () => {
+    it('sweeps escalation chains', async () => {
+      const delivery = await send({
+        escalation: { steps: [{ method: 'sms', address: '+13125550100', after: '1h' }] }
+      });
+
+      await worker.scheduled({ scheduledTime: Date.now() + 2 * 60 * 60 * 1000 }, env, {});
+
+      const res = await call(`/dlvr/v1/escalation/${delivery.escalationId}`);
+      const body = await res.json();
+      expect(body.deliveries.map(d => d.method)).toEqual(['email', 'sms']);
+    });
+  });
+
+  describe('suppressions', () => {
+    it('suppresses on an inbound SMS STOP and refuses the next send', async () => {
+      const inbound = await worker.fetch(new Request('https://dlvr.chitty.cc/dlvr/v1/inbound/sms', {
+        method: 'POST',
+        headers: { 'Authorization': `Bearer ${env.CHITTY_AUTH_SERVICE_TOKEN}`, 'Content-Type': 'application/x-www-form-urlencoded' },
+        body: 'From=%2B13125550177&Body=STOP'
+      }), env);
+      expect((await inbound.json()).action).toBe('suppressed');
+
+      const res = await call('/dlvr/v1/send', { method: 'POST', body: { mintId: 'DM-WORKER', method: 'sms', address: '+13125550177' } });
+      expect(res.status).toBe(422);
+      expect((await res.json()).code).toBe('SUPPRESSED');
+
+      const entry = await call('/dlvr/v1/suppressions?address=%2B13125550177');
+      expect((await entry.json()).reason).toBe('SMS_STOP');
+    });
+  });
+
+  describe('inbound provider webhooks', () => {
+    const signed = { ...env, INBOUND_WEBHOOK_SECRET: 'inbound-secret-for-tests' };
+    const post = async (path, body, { contentType = 'application/json', secret = signed.INBOUND_WEBHOOK_SECRET, t = Math.floor(Date.now() / 1000) } = {}) => {
+      const headers = { 'Content-Type': contentType };
+      if (secret) headers['X-DLVR-Signature'] = `t=${t},v1=${toHex(await hmacSHA256(secret, `${t}.${body}`))}`;
+      return worker.fetch(new Request(`https://dlvr.chitty.cc${path}`, { method: 'POST', headers, body }), signed);
+    };
+
+    it('accepts bounces and SMS replies signed with INBOUND_WEBHOOK_SECRET, without the bearer', async () => {
+      const delivery = await send();
+      const ses = JSON.stringify({
+        notificationType: 'Bounce',
+        bounce: { bounceType: 'Permanent', bouncedRecipients: [{ emailAddress: 'r@example.com', status: '5.1.1' }] },
+        mail: { messageId: `<MSG-${delivery.deliveryId}@dlvr.chitty.cc>` }
+      });
+      expect((await post('/dlvr/v1/inbound/bounce', ses)).status).toBe(200);
+      expect((await (await call(`/dlvr/v1/status/${delivery.deliveryId}`)).json()).status).toBe('BOUNCED');
+
+      const reply = await post('/dlvr/v1/inbound/sms', 'From=%2B13125550166&Body=STOP', { contentType: 'application/x-www-form-urlencoded' });
+      expect((await reply.json()).action).toBe('suppressed');
+    });
+
+    it('refuses unsigned, forged and stale requests', async () => {
+      const stop = JSON.stringify({ from: '+13125550155', body: 'STOP' });
+
+      expect((await post('/dlvr/v1/inbound/sms', stop, { secret: null })).status).toBe(401);
+      const forged = await post('/dlvr/v1/inbound/sms', stop, { secret: 'guessed-secret' });
+      expect(forged.status).toBe(401);
+      expect((await forged.json()).code).toBe('WEBHOOK_SIGNATURE_INVALID');
+      expect((await post('/dlvr/v1/inbound/bounce', stop, { t: Math.floor(Date.now() / 1000) - 3600 })).status).toBe(401);
+
+      // Without a configured secret only the bearer gets in
+      const unconfigured = await worker.fetch(new Request('https://dlvr.chitty.cc/dlvr/v1/inbound/sms', { method: 'POST', body: stop }), env);
+      expect(unconfigured.status).toBe(401);
+      expect((await call('/dlvr/v1/suppressions?address=%2B13125550155')).status).toBe(404);
+    });
+  });
+
+  describe('rate limits', () => {
+    const limited = {
+      ...env,
+      CHITTY_AUTH_SERVICE_TOKEN: 'rate-limited-token-for-tests',
+      RATE_LIMITS: JSON.stringify({
+        apiKey: { default: { limit: 3, windowSeconds: 60 } },
+        recipient: { email: { limit: 1, windowSeconds: 3600 } }
+      })
+    };
+    const post = (path, body) => worker.fetch(new Request(`https://dlvr.chitty.cc${path}`, {
+      method: 'POST',
+      headers: { 'Authorization': `Bearer ${limited.CHITTY_AUTH_SERVICE_TOKEN}`, 'Content-Type': 'application/json' },
+      body: JSON.stringify(body)
+    }), limited);
+
+    it('reports the tighter quota and answers 429 with Retry-After once a bucket is empty', async () => {
+      const first = await post('/dlvr/v1/send', { mintId: 'DM-WORKER', method: 'email', address: 'limited@example.com' });
+      expect(first.status).toBe(201);
+      // The recipient bucket (1 per hour, now empty) is tighter than the key's (2 of 3 left)
+      expect(first.headers.get('X-RateLimit-Limit')).toBe('1');
+      expect(first.headers.get('X-RateLimit-Remaining')).toBe('0');
+
+      const again = await post('/dlvr/v1/send', { mintId: 'DM-WORKER', method: 'email', address: 'Limited@example.com' });
+      expect(again.status).toBe(429);
+      expect(again.headers.get('Retry-After')).toBe('3600');
+      expect(again.headers.get('X-RateLimit-Remaining')).toBe('0');
+      expect(await again.json()).toMatchObject({ code: 'RATE_LIMITED', scope: 'recipient', method: 'email' });
+
+      // One token left on the key: a bulk of three is refused before any send
+      const bulk = await post('/dlvr/v1/bulk', {
+        mintId: 'DM-WORKER',
+        recipients: ['x', 'y', 'z'].map(n => ({ method: 'email', address: `${n}@example.com` }))
+      });
+      expect(bulk.status).toBe(429);
+      expect(await bulk.json()).toMatchObject({ code: 'RATE_LIMITED', scope: 'apiKey', limit: 3 });
+      expect(Number(bulk.headers.get('Retry-After'))).toBeGreaterThan(0);
+    });
+
+    it('answers 503 with a config error when RATE_LIMITS does not parse', async () => {
+      const errors = [];
+      const spy = vi.spyOn(console, 'error').mockImplementation((...args) => errors.push(args.join(' ')));
+      try {
+        const res = await worker.fetch(new Request('https://dlvr.chitty.cc/dlvr/v1/status/DD-ANY', {
+          headers: { 'Authorization': `Bearer ${env.CHITTY_AUTH_SERVICE_TOKEN}` }
+        }), { ...env, RATE_LIMITS: '{"apiKey": {' });
+
+        expect(res.status).toBe(503);
+        expect(await res.json()).toEqual({ error: 'Service misconfigured' });
+        expect(errors.join('\n')).toMatch(/RATE_LIMITS is not valid JSON/);
+      } finally {
+        spy.mockRestore();
+      }
+    });
+  });
+
+  describe('queue', () => {
+    it('dead-letters jobs that cannot run and lists them through the API', async () => {
+      const acked = [];
+      await worker.queue({
+        messages: [{ body: { type: 'dispatch', deliveryId: 'DD-GONE' }, attempts: 1, ack: () => acked.push(true), retry: () => {} }]
+      }, env);
+      expect(acked).toHaveLength(1);
+
+      const res = await call('/dlvr/v1/dead-letters?deliveryId=DD-GONE');
+      const body = await res.json();
+      expect(body.count).toBe(1);
+      expect(body.deadLetters[0]).toMatchObject({ type: 'dispatch', error: { code: 'DELIVERY_NOT_FOUND' } });
+
+      const one = await call(`/dlvr/v1/dead-letters/${body.deadLetters[0].deadLetterId}`);
+      expect(one.status).toBe(200);
+      expect((await call('/dlvr/v1/dead-letters/DD-WRONG')).status).toBe(400);
+    });
+  });
+});